@@ -1,5 +1,15 @@
 const path = require('path');
 
+function parseJSON(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    console.warn(`[config] Ignoring invalid JSON: ${value}`);
+    return fallback;
+  }
+}
+
 const config = {
   port: parseInt(process.env.PORT, 10) || 3100,
   host: process.env.HOST || '0.0.0.0',
@@ -7,15 +17,50 @@ const config = {
   routesDir: process.env.ROUTES_DIR || path.join(__dirname, 'routes'),
   routeScanIntervalMs: parseInt(process.env.ROUTE_SCAN_INTERVAL_MS, 10) || 5000,
   logLevel: process.env.LOG_LEVEL || 'info',
+  logFormat: process.env.LOG_FORMAT || 'text',
+  logDir: process.env.LOG_DIR || path.join(__dirname, 'log'),
+  logMaxSizeMb: parseFloat(process.env.LOG_MAX_SIZE_MB) || 10,
+  logRetentionDays: parseFloat(process.env.LOG_RETENTION_DAYS) || 14,
+  shutdownTimeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 30000,
+  validateResponses: process.env.VALIDATE_RESPONSES === 'true' || process.env.NODE_ENV === 'development',
   workspacePath: process.env.WORKSPACE_PATH || '/Users/nbrown/.openclaw/workspace',
   openclawGateway: process.env.OPENCLAW_GATEWAY,
   openclawGatewayToken: process.env.OPENCLAW_GATEWAY_TOKEN,
+  gatewayReconnectMinMs: parseInt(process.env.GATEWAY_RECONNECT_MIN_MS, 10) || 1000,
+  gatewayReconnectMaxMs: parseInt(process.env.GATEWAY_RECONNECT_MAX_MS, 10) || 60000,
+  gatewayConnectTimeoutMs: parseInt(process.env.GATEWAY_CONNECT_TIMEOUT_MS, 10) || 15000,
+  gatewayQueueTtlMs: parseInt(process.env.GATEWAY_QUEUE_TTL_MS, 10) || 30000,
+  gatewayQueueMax: parseInt(process.env.GATEWAY_QUEUE_MAX, 10) || 100,
   mobeySlackBotToken: process.env.MOBEY_SLACK_BOT_TOKEN,
   fastmailUser: process.env.FASTMAIL_USER,
   fastmailAppPassword: process.env.FASTMAIL_APP_PASSWORD,
   claudeSocketPort: parseInt(process.env.CLAUDE_SOCKET_PORT, 10) || 3101,
   claudeSocketToken: process.env.CLAUDE_SOCKET_TOKEN,
+  httpAuthTokens: (process.env.HTTP_AUTH_TOKENS || '').split(',').map(s => s.trim()).filter(Boolean),
+  tailscaleAllowedUsers: (process.env.TAILSCALE_ALLOWED_USERS || '').split(',').map(s => s.trim()).filter(Boolean),
   projectRoot: process.env.PROJECT_ROOT || path.join(require('os').homedir(), '.claude-projects'),
+  // [{ prefix, maxAgeDays?, maxCount?, maxBytes? }] — see src/messageRetention.js
+  messageRetention: parseJSON(process.env.MESSAGE_RETENTION, [{ prefix: '', maxAgeDays: 30 }]),
+  messageRetentionIntervalMs: parseInt(process.env.MESSAGE_RETENTION_INTERVAL_MS, 10) || 3600000,
+  // Nacked messages are retried with exponential backoff, then dead-lettered
+  messageMaxAttempts: parseInt(process.env.MESSAGE_MAX_ATTEMPTS, 10) || 5,
+  messageRetryBackoffMs: parseInt(process.env.MESSAGE_RETRY_BACKOFF_MS, 10) || 1000,
+  messageRetryBackoffMaxMs: parseInt(process.env.MESSAGE_RETRY_BACKOFF_MAX_MS, 10) || 300000,
+  // A repeated source + externalId within this window is routed only once
+  messageDedupWindowMs: parseInt(process.env.MESSAGE_DEDUP_WINDOW_MS, 10) || 600000,
+  // [{ type, name?, order?, match?, onError?, ...options }] — see src/messageMiddleware.js
+  messageMiddleware: parseJSON(process.env.MESSAGE_MIDDLEWARE, []),
+  // What route() does with a payload that fails its command's schema: warn | reject | off
+  messageSchemaMode: process.env.MESSAGE_SCHEMA_MODE || 'warn',
+  // Turns a restart interrupted: rerun | fail | ask (see src/agentTurnManager.js)
+  turnRecovery: process.env.TURN_RECOVERY || 'rerun',
+  turnMaxRecoveryAttempts: parseInt(process.env.TURN_MAX_RECOVERY_ATTEMPTS, 10) || 3,
+  // Broker federation — enabled when FEDERATION_TOKEN is set (see src/brokerFederation.js)
+  federationToken: process.env.FEDERATION_TOKEN,
+  federationNodeId: process.env.FEDERATION_NODE_ID || require('os').hostname(),
+  federationPort: parseInt(process.env.FEDERATION_PORT, 10) || null,
+  federationPeers: parseJSON(process.env.FEDERATION_PEERS, []),
+  federationAdvertiseIntervalMs: parseInt(process.env.FEDERATION_ADVERTISE_INTERVAL_MS, 10) || 30000,
   anthropicApiKey: process.env.ANTHROPIC_API_KEY,
 };
 
@@ -1,5 +1,9 @@
 const gateway = require('../../src/gateway');
 
+/**
+ * GET /api/health — gateway connection status. 503 while the gateway is
+ * down; the rest of the server keeps running (see GET /health).
+ */
 module.exports = {
   path: '/health',
   method: 'GET',
@@ -6,12 +6,14 @@ const { sendSlackMessage, updateSlackMessage, uploadSlackFile, fetchThreadHistor
 const { mdToDocx, mdToHtml, mdToPdf, mdToTxt } = require('../../src/mdConverter');
 const { sendEmail } = require('../../src/emailHelper');
 const { claudeStream, cleanEnv } = require('../../src/claudeHelper');
+const { logger } = require('../../src/logger');
 
 const MOBE_DIR = path.join(os.homedir(), 'Projects', 'mobe3Full');
 const TIMEOUT_MS = 5 * 60 * 1000;
-const MAX_CONCURRENT = 3;
 const STREAM_UPDATES = false; // flip to true to re-enable SSE streaming
 
+const log = logger.child({ route: 'mobey' });
+
 // - `format`: Output format (default: `"md"`)
 //   - `"md"` (default) - Markdown
 //   - `"txt"` - Plain text
@@ -19,8 +21,6 @@ const STREAM_UPDATES = false; // flip to true to re-enable SSE streaming
 //   - `"html"` - HTML document
 //   - `"pdf"` - PDF document
 
-let running = 0;
-
 const PREPROCESSING_INSTRUCTIONS = [
   'You are a preprocessing parser. Your ONLY job is to extract structured parameters from a raw user prompt.',
   'Do NOT attempt to fulfill, answer, or act on the user\'s request. Do NOT use any tools. Do NOT explain anything.',
@@ -150,7 +150,7 @@ async function sendAnswer({ res, statusMsg, updateSlackStatus, answer, respond_e
         return sendHttpReply();
       }
     } catch (emailErr) {
-      console.error('Email send failed, falling back to md:', emailErr.message);
+      log.error('Email send failed, falling back to md:', emailErr.message);
       // Fall through to normal Slack / HTTP reply
     }
   }
@@ -214,21 +214,33 @@ module.exports = {
   path: '/mobey',
   method: 'post',
   description: 'Run a prompt through Claude CLI in mobe3Full workspace (SSE streaming)',
+  auth: ['local', 'bearer'],
+  // Each request runs a Claude CLI process — cap them across hot reloads
+  limits: { concurrency: 3 },
+
+  schema: {
+    body: {
+      type: 'object',
+      required: ['prompt'],
+      properties: {
+        prompt: { type: 'string', minLength: 1 },
+        timeout: { type: 'integer', minimum: 1 },
+        slack: {
+          type: 'object',
+          required: ['channel'],
+          properties: {
+            channel: { type: 'string' },
+            thread_ts: { type: 'string' },
+            sender_name: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
 
   async handler(req, res) {
     try {
-      const ip = req.ip || req.connection.remoteAddress;
-      const local = ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(ip);
-
-      if (!local) {
-        return res.status(403).json({ error: 'Forbidden' });
-      }
-
-      let { prompt: rawPrompt, timeout, slack: slackContext } = req.body || {};
-
-      if (!rawPrompt || typeof rawPrompt !== 'string') {
-        return res.status(400).json({ error: 'Missing or invalid "prompt" in request body' });
-      }
+      let { prompt: rawPrompt, timeout, slack: slackContext } = req.body;
 
       // Slack context — available throughout the handler
       let statusMsg = null;
@@ -293,7 +305,7 @@ module.exports = {
                   fileDescriptions.push(`[thread file: ${file.name} (saved to ${filePath}, ${file.mimetype}, ${file.size} bytes)]`);
                 }
               } catch (dlErr) {
-                console.error(`Failed to download thread file ${file.name}:`, dlErr.message);
+                log.error(`Failed to download thread file ${file.name}:`, dlErr.message);
                 fileDescriptions.push(`[thread file: ${file.name} — could not download]`);
               }
             }));
@@ -301,7 +313,7 @@ module.exports = {
             threadContext += fileDescriptions.join('\n') + '\n\n';
           }
         } catch (err) {
-          console.error('Failed to fetch thread history:', err.message);
+          log.error('Failed to fetch thread history:', err.message);
         }
       }
 
@@ -316,7 +328,7 @@ module.exports = {
         replyInline = parsed.reply_inline;
         shortPrompt = parsed.short_prompt || null;
       } catch (err) {
-        console.error('Preprocessing failed, using raw prompt:', err.message);
+        log.error('Preprocessing failed, using raw prompt:', err.message);
         prompt = rawPrompt;
         format = 'md';
         respond_email = null;
@@ -336,11 +348,6 @@ module.exports = {
         respond_email = null; // can't resolve, skip email
       }
 
-      if (running >= MAX_CONCURRENT) {
-        return res.status(429).json({ error: 'Too many concurrent requests' });
-      }
-
-      running++;
       const startedAt = Date.now();
       const timeoutMs = Math.min(timeout || TIMEOUT_MS, TIMEOUT_MS);
 
@@ -379,7 +386,6 @@ module.exports = {
           answer = { ok: false, error: err.message, code: err.code, durationMs, status: 502 };
         }
       } finally {
-        running--;
         // Clean up temp thread files directory
         if (threadFilesDir) {
           try { fs.rmSync(threadFilesDir, { recursive: true }); } catch { /* ignore */ }
@@ -1,4 +1,7 @@
 const slack = require('../src/slack');
+const { logger } = require('../src/logger');
+
+const log = logger.child({ route: 'example-slack-async' });
 
 /**
  * Example route demonstrating async processing with Slack status updates.
@@ -46,7 +49,7 @@ module.exports = {
 
     // Start async processing (no await - fire and forget)
     processAsync(task, slackContext).catch(err => {
-      console.error('[ERROR] Async processing failed:', err);
+      log.error('Async processing failed:', err);
     });
   },
 };
@@ -93,7 +96,7 @@ async function processAsync(task, slackContext) {
       thread_ts,
       text: `❌ Failed to process *${task}*: ${error.message}`,
     }).catch(err => {
-      console.error('[ERROR] Failed to post error to Slack:', err);
+      log.error('Failed to post error to Slack:', err);
     });
   }
 }
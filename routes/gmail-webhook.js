@@ -1,18 +1,11 @@
 const axios = require('axios');
+const { logger } = require('../src/logger');
 
 // Trigger OpenClaw to check email via hooks endpoint
 const OPENCLAW_HOOKS_URL = 'http://127.0.0.1:18789/hooks/gmail';
 const OPENCLAW_HOOKS_TOKEN = process.env.OPENCLAW_HOOKS_TOKEN || '4413a40184f6c46ef6134f1f42f7f19f62608dad1536b7a2';
 
-function log(level, message, data = {}) {
-  const timestamp = new Date().toISOString();
-  const prefix = `[${timestamp}] [Gmail Webhook] [${level.toUpperCase()}]`;
-  if (Object.keys(data).length > 0) {
-    console.log(`${prefix} ${message}`, JSON.stringify(data, null, 2));
-  } else {
-    console.log(`${prefix} ${message}`);
-  }
-}
+const log = logger.child({ route: 'gmail-webhook' });
 
 module.exports = {
   path: '/gmail-pubsub',
@@ -36,7 +29,7 @@ module.exports = {
       }
     }
     
-    log('info', `Gmail notification`, { pubsubMessageId, historyId, emailAddress });
+    log.info(`Gmail notification`, { pubsubMessageId, historyId, emailAddress });
 
     try {
       // Send trigger payload - agent will check email via gog
@@ -61,11 +54,11 @@ module.exports = {
       );
 
       const duration = Date.now() - startTime;
-      log('info', `Trigger sent`, { duration: `${duration}ms`, status: response.status });
+      log.info(`Trigger sent`, { duration: `${duration}ms`, status: response.status });
       
       res.status(200).json({ ok: true });
     } catch (error) {
-      log('error', `Failed to send trigger`, { error: error.message });
+      log.error(`Failed to send trigger`, { error: error.message });
       res.status(200).json({ ok: true }); // Always ack to Pub/Sub
     }
   }
@@ -1,13 +1,43 @@
+const { lifecycle } = require('../src/lifecycle');
+
+/**
+ * GET /health        — liveness + readiness + per-component state (200 while live)
+ * GET /health/live   — 200 until shutdown completes, else 503
+ * GET /health/ready  — 200 when started, not draining and critical components are healthy, else 503
+ */
 module.exports = {
-  path: '/health',
+  path: '/health{/:probe}',
   method: 'GET',
-  description: 'Health check endpoint',
+  description: 'Health check — liveness, readiness and component status',
+
+  schema: {
+    params: {
+      type: 'object',
+      properties: {
+        probe: { enum: ['live', 'ready'] },
+      },
+    },
+  },
+
+  handler(req, res) {
+    const health = lifecycle.health();
+    const ok = req.params.probe ? health[req.params.probe] : health.live;
+
+    // degraded: any component unhealthy (e.g. the gateway is reconnecting),
+    // even when only non-critical ones are and the server is still ready
+    const allHealthy = Object.values(health.components).every(c => c.healthy);
+    let status = 'ok';
+    if (health.state === 'draining' || health.state === 'stopped') status = health.state;
+    else if (health.state === 'starting') status = 'starting';
+    else if (!health.ready || !allHealthy) status = 'degraded';
 
-  handler(_req, res) {
-    res.json({
-      status: 'ok',
+    res.status(ok ? 200 : 503).json({
+      status,
+      live: health.live,
+      ready: health.ready,
       uptime: process.uptime(),
       timestamp: new Date().toISOString(),
+      components: health.components,
     });
   },
 };
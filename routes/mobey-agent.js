@@ -1,4 +1,7 @@
 const axios = require('axios');
+const { logger } = require('../src/logger');
+
+const log = logger.child({ route: 'mobey-agent' });
 
 /**
  * Wrapper endpoint for mobe3-technical agent to call mobey with auto-injected Slack context.
@@ -20,15 +23,9 @@ module.exports = {
   path: '/api/mobey-agent',
   method: 'POST',
   description: 'Agent-friendly mobey endpoint with auto-injected Slack context',
+  auth: ['local', 'bearer'],
 
   handler: async (req, res) => {
-    const ip = req.ip || req.connection.remoteAddress;
-    const local = ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(ip);
-
-    if (!local) {
-      return res.status(403).json({ error: 'Forbidden' });
-    }
-
     const { prompt, timeout, thread_ts, sender_name, channel } = req.body || {};
 
     if (!prompt || typeof prompt !== 'string') {
@@ -52,7 +49,7 @@ module.exports = {
       return res.json(response.data);
 
     } catch (error) {
-      console.error('[mobey-agent] Error calling /mobey:', error.message);
+      log.error('Error calling /mobey:', error.message);
       
       if (error.response) {
         // Forward mobey error response
@@ -7,6 +7,35 @@ module.exports = {
   path: '/api/tasks/:agentId/:taskId',
   method: 'PATCH',
   description: 'Update task frontmatter (status, priority, tags, status_update, todo)',
+  auth: ['bearer', 'tailscale'],
+
+  schema: {
+    body: {
+      type: 'object',
+      required: ['status'],
+      properties: {
+        status: { type: 'string', minLength: 1 },
+        priority: { type: ['string', 'number', 'null'] },
+        tags: { type: ['array', 'null'], items: { type: 'string' } },
+        updated: { type: 'string' },
+        assignee: { type: ['string', 'null'] },
+        status_update: { type: ['string', 'null'] },
+        todo: {},
+      },
+    },
+    response: {
+      200: {
+        type: 'object',
+        required: ['success', 'agentId', 'taskId', 'updated'],
+        properties: {
+          success: { const: true },
+          agentId: { type: 'string' },
+          taskId: { type: 'string' },
+          updated: { type: 'object' },
+        },
+      },
+    },
+  },
 
   handler: function(req, res) {
     const { agentId, taskId } = req.params;
@@ -21,10 +50,6 @@ module.exports = {
       return res.status(404).json({ error: 'Task file not found', file: taskId + '.md' });
     }
 
-    if (!req.body.status) {
-      return res.status(400).json({ error: 'status required in body' });
-    }
-
     try {
       const raw = fs.readFileSync(filePath, 'utf8');
       const parsed = matter(raw);
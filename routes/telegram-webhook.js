@@ -1,55 +1,40 @@
 const axios = require('axios');
+const { logger } = require('../src/logger');
 
 const WEBHOOK_SECRETS = (process.env.TELEGRAM_WEBHOOK_SECRETS || '').split(',').map(s => s.trim()).filter(Boolean);
 const OPENCLAW_WEBHOOK_URL = 'http://127.0.0.1:8787/telegram-webhook';
 const OPENCLAW_INJECT_URL = 'http://127.0.0.1:18789/inject/telegram';
 
-function log(level, message, data = {}) {
-  const timestamp = new Date().toISOString();
-  const prefix = `[${timestamp}] [Telegram Webhook] [${level.toUpperCase()}]`;
-  if (Object.keys(data).length > 0) {
-    console.log(`${prefix} ${message}`, JSON.stringify(data, null, 2));
-  } else {
-    console.log(`${prefix} ${message}`);
-  }
-}
+const log = logger.child({ route: 'telegram-webhook' });
 
 module.exports = {
   path: '/telegram-webhook{/:channel}',
   method: 'POST',
   description: 'Receive Telegram webhooks and forward to OpenClaw gateway',
+  // Telegram echoes the secret configured via setWebhook in this header
+  auth: { strategy: 'apiKey', header: 'x-telegram-bot-api-secret-token', keys: WEBHOOK_SECRETS },
   handler: async (req, res) => {
     const startTime = Date.now();
     const updateId = req.body?.update_id || 'unknown';
     const channel = req.params.channel || null;
 
-    log('info', `Incoming webhook request`, {
+    log.info(`Incoming webhook request`, {
       updateId,
       channel,
       ip: req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress,
       userAgent: req.headers['user-agent'],
-      hasSecret: !!req.headers['x-telegram-bot-api-secret-token'],
       contentLength: req.headers['content-length']
     });
 
     try {
-      // Verify Telegram secret token
+      // Secret already verified by the route's auth; forward it so OpenClaw can verify too
       const receivedSecret = req.headers['x-telegram-bot-api-secret-token'];
-      
-      if (!receivedSecret || !WEBHOOK_SECRETS.includes(receivedSecret)) {
-        log('warn', `Unauthorized: Invalid or missing secret token`, {
-          updateId,
-          receivedSecretLength: receivedSecret?.length || 0,
-          configuredSecrets: WEBHOOK_SECRETS.length
-        });
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
 
       // Log message details
       const message = req.body?.message;
       const callbackQuery = req.body?.callback_query;
       if (message) {
-        log('info', `Message received`, {
+        log.info(`Message received`, {
           updateId,
           messageId: message.message_id,
           chatId: message.chat?.id,
@@ -61,14 +46,14 @@ module.exports = {
           hasDocument: !!message.document
         });
       } else if (callbackQuery) {
-        log('info', `Callback query received`, {
+        log.info(`Callback query received`, {
           updateId,
           callbackId: callbackQuery.id,
           fromId: callbackQuery.from?.id,
           data: callbackQuery.data
         });
       } else {
-        log('info', `Other update type received`, {
+        log.info(`Other update type received`, {
           updateId,
           keys: Object.keys(req.body)
         });
@@ -76,7 +61,7 @@ module.exports = {
 
       // Forward to OpenClaw's Telegram webhook listener (handles session routing)
       const forwardUrl = channel ? `${OPENCLAW_WEBHOOK_URL}/${channel}` : OPENCLAW_WEBHOOK_URL;
-      log('debug', `Forwarding to OpenClaw`, { url: forwardUrl });
+      log.debug(`Forwarding to OpenClaw`, { url: forwardUrl });
 
       const response = await axios.post(
         forwardUrl,
@@ -94,13 +79,13 @@ module.exports = {
       const duration = Date.now() - startTime;
       
       if (response.status >= 200 && response.status < 300) {
-        log('info', `Successfully forwarded to OpenClaw`, {
+        log.info(`Successfully forwarded to OpenClaw`, {
           updateId,
           duration: `${duration}ms`,
           status: response.status
         });
       } else {
-        log('error', `OpenClaw returned non-success status`, {
+        log.error(`OpenClaw returned non-success status`, {
           updateId,
           duration: `${duration}ms`,
           status: response.status,
@@ -112,7 +97,7 @@ module.exports = {
       res.status(200).json({ ok: true });
     } catch (error) {
       const duration = Date.now() - startTime;
-      log('error', `Error forwarding to OpenClaw`, {
+      log.error(`Error forwarding to OpenClaw`, {
         updateId,
         duration: `${duration}ms`,
         error: error.message,
@@ -21,13 +21,72 @@
  *              slack/{workspace}/@{user}       — DMs
  *   Outbound:  Agents route messages to slack/{workspace}/#{channel} with
  *              command: "slack.send" and payload: { channel, text, thread_ts? }
+ *   Payload schemas for these commands are registered with the broker
+ *   (msg.schemas.list) while the service runs.
+ *
+ * Each inbound event starts a new trace: it is routed with a fresh
+ * correlationId that follows it through the agent turn and its tool calls.
  */
 
+const crypto = require('crypto');
 const { SocketModeClient } = require('@slack/socket-mode');
 const { WebClient } = require('@slack/web-api');
 
 const CACHE_TTL_MS = 30 * 60 * 1000; // 30 minutes
 
+// ─── Message schemas (registered with the broker while running) ────────────
+
+const SEND_SCHEMA = {
+  type: 'object',
+  required: ['text'],
+  anyOf: [{ required: ['channel'] }, { required: ['channelId'] }, { required: ['user'] }, { required: ['userName'] }],
+  properties: {
+    channel: { type: 'string', description: 'Channel name or ID' },
+    channelId: { type: 'string' },
+    user: { type: 'string', description: 'User name, for a DM' },
+    userName: { type: 'string' },
+    text: { type: 'string' },
+    thread_ts: { type: 'string' },
+    blocks: { type: 'array' },
+  },
+};
+
+const SCHEMAS = {
+  'slack.message': {
+    description: 'Inbound channel message or DM',
+    schema: {
+      type: 'object',
+      required: ['text', 'channelId', 'userId', 'ts'],
+      properties: {
+        text: { type: 'string' },
+        channelId: { type: 'string' },
+        channelName: { type: ['string', 'null'] },
+        userId: { type: 'string' },
+        userName: { type: 'string' },
+        threadTs: { type: ['string', 'null'] },
+        isDM: { type: 'boolean' },
+        ts: { type: 'string' },
+        files: { type: 'array', items: { type: 'object' } },
+      },
+    },
+  },
+  'slack.send': { description: 'Post a message to a channel or DM', schema: SEND_SCHEMA },
+  'slack.reply': { description: 'Post a reply (same payload as slack.send)', schema: SEND_SCHEMA },
+  'slack.slash_response': {
+    description: 'Answer a slash command through its response_url',
+    schema: {
+      type: 'object',
+      required: ['responseUrl'],
+      properties: {
+        responseUrl: { type: 'string' },
+        responseType: { enum: ['ephemeral', 'in_channel'] },
+        text: { type: 'string' },
+        blocks: { type: 'array' },
+      },
+    },
+  },
+};
+
 // ─── Service-level state (accessible by status()) ──────────────────────────
 
 let _connected = false;
@@ -313,6 +372,7 @@ module.exports = {
           },
           source: 'slack',
           externalId: event.ts,
+          correlationId: crypto.randomUUID(),
         });
       } catch (err) {
         _counters.errors++;
@@ -344,6 +404,7 @@ module.exports = {
           },
           source: 'slack',
           externalId: `reaction:${event.event_ts}`,
+          correlationId: crypto.randomUUID(),
         });
       } catch (err) {
         _counters.errors++;
@@ -380,6 +441,7 @@ module.exports = {
           },
           source: 'slack',
           externalId: event.ts,
+          correlationId: crypto.randomUUID(),
         });
       } catch (err) {
         _counters.errors++;
@@ -424,12 +486,16 @@ module.exports = {
           },
           source: 'slack',
           externalId: body.trigger_id,
+          correlationId: crypto.randomUUID(),
         });
       } catch (err) {
         log.error(`[slack-service] Failed to route slash command: ${err.message}`);
       }
     });
 
+    const unregisterSchemas = Object.entries(SCHEMAS).map(([command, { schema, description }]) =>
+      messageBroker.registerSchema(command, schema, { owner: 'slack', description }));
+
     // ─── Outbound: Broker → Slack ─────────────────────────────────────────
 
     const senderAgentId = `_slack-sender-${workspace}`;
@@ -541,10 +607,11 @@ module.exports = {
 
     // ─── Cleanup ──────────────────────────────────────────────────────────
 
-    return () => {
+    return async () => {
       clearInterval(cacheTimer);
       unsubListen();
-      socketClient.disconnect();
+      for (const unregister of unregisterSchemas) unregister();
+      await socketClient.disconnect();
       log.info('[slack-service] Disconnected from Slack');
     };
   },
@@ -14,7 +14,9 @@
  *
  * Debouncing:
  *   Messages are batched per session with a short debounce window.
- *   A burst of 15 Slack messages becomes one agent turn, not 15.
+ *   A burst of 15 Slack messages becomes one agent turn, not 15. Within a
+ *   batch, messages are ordered by `priority` (highest first), and messages
+ *   whose `ttlMs` ran out while they waited are dropped.
  *
  * Concurrency:
  *   Only one turn runs per session at a time. If messages arrive while
@@ -40,10 +42,40 @@
  *
  * Session config overrides agent config. If neither has autoRun, the
  * message is delivered but no turn is triggered (current behavior).
+ *
+ * Tracing:
+ *   A turn inherits the correlationId of the messages that triggered it.
+ *   Turn records, conversation log entries and trace events (turn.start,
+ *   turn.triage, turn.end) carry it; a batch spanning several correlation IDs
+ *   is recorded under each of them. The first message's ID is handed to the
+ *   CLI (TOOL_CORRELATION_ID) so tool calls and the messages they send stay
+ *   on the same trace, caused by the turn.
+ *
+ * Acknowledgements:
+ *   The turn manager is the broker consumer "turns". After a turn it acks
+ *   its messages — or, if execution failed, nacks them so the broker retries
+ *   them with backoff (redeliveries come back through onRedeliver into the
+ *   same session's queue) and eventually dead-letters them. Heartbeats are
+ *   not tracked; the next one comes on schedule.
+ *
+ * Persistence:
+ *   With a projectRoot, queued messages and in-flight turns (turn ID,
+ *   message IDs, attempt count) are written to
+ *   {projectRoot}/.turns/state.json shortly after they change (a burst of
+ *   changes shares one atomic write; stop() and drain() write at once).
+ *   start() re-queues the
+ *   waiting messages and applies the recovery policy to turns a restart
+ *   interrupted: "rerun" them, "fail" them (nack, as for a failed turn) or
+ *   "ask" — hold them until resolveInterrupted() decides. A turn interrupted
+ *   maxRecoveryAttempts times is failed rather than re-run.
  */
 
+const fs = require('fs');
+const path = require('path');
 const crypto = require('crypto');
 const cron = require('node-cron');
+const { logger, childLogger } = require('./logger');
+const { newCorrelationId } = require('./tracer');
 
 // ─── Defaults ─────────────────────────────────────────────────────────────────
 
@@ -52,6 +84,25 @@ const DEFAULT_DEBOUNCE_MS = 3000;
 const DEFAULT_MAX_BATCH_SIZE = 20;
 const DEFAULT_TRIAGE_TIMEOUT_MS = 30000;     // 30s max for triage
 const DEFAULT_EXECUTION_TIMEOUT_MS = 300000; // 5 min max for execution
+const DEFAULT_RECOVERY = 'rerun';
+const DEFAULT_MAX_RECOVERY_ATTEMPTS = 3;     // a turn that keeps dying with the server may be the cause
+const STATE_SAVE_DELAY_MS = 100;
+
+const RECOVERY_POLICIES = ['rerun', 'fail', 'ask'];
+
+// Broker consumer name for ack/nack
+const TURN_CONSUMER = 'turns';
+
+// Payload of the synthetic "heartbeat" messages this manager routes
+const HEARTBEAT_SCHEMA = {
+  type: 'object',
+  required: ['scheduled', 'cron', 'firedAt'],
+  properties: {
+    scheduled: { type: 'boolean' },
+    cron: { type: 'string' },
+    firedAt: { type: 'string' },
+  },
+};
 
 /**
  * Create an AgentTurnManager.
@@ -61,6 +112,10 @@ const DEFAULT_EXECUTION_TIMEOUT_MS = 300000; // 5 min max for execution
  * @param {object} opts.projectManager  - ProjectManager instance
  * @param {object} opts.agentCLIPool    - AgentCLIPool instance
  * @param {object} [opts.anthropicClient] - AnthropicClient for triage (from anthropicHelper)
+ * @param {object} [opts.tracer]        - Tracer instance (records turn events)
+ * @param {string} [opts.projectRoot]   - Persist turn state under {projectRoot}/.turns (omit to keep it in memory)
+ * @param {string} [opts.recovery]      - Interrupted turns on start(): "rerun" (default), "fail" or "ask"
+ * @param {number} [opts.maxRecoveryAttempts] - Fail a turn interrupted this many times (default 3)
  * @param {object} [opts.log]           - Logger
  * @param {object} [opts.defaults]      - Global defaults for triage/debounce
  * @returns {object} AgentTurnManager API
@@ -71,13 +126,20 @@ function createAgentTurnManager(opts) {
     projectManager,
     agentCLIPool,
     anthropicClient = null,
-    log = console,
+    tracer = null,
+    projectRoot = null,
+    recovery = DEFAULT_RECOVERY,
+    maxRecoveryAttempts = DEFAULT_MAX_RECOVERY_ATTEMPTS,
+    log = logger,
     defaults = {},
   } = opts;
 
   if (!messageBroker) throw new Error('agentTurnManager: messageBroker is required');
   if (!projectManager) throw new Error('agentTurnManager: projectManager is required');
   if (!agentCLIPool) throw new Error('agentTurnManager: agentCLIPool is required');
+  if (!RECOVERY_POLICIES.includes(recovery)) {
+    throw new Error(`agentTurnManager: recovery must be one of ${RECOVERY_POLICIES.join(', ')}`);
+  }
 
   const globalDefaults = {
     triageModel: defaults.triageModel || DEFAULT_TRIAGE_MODEL,
@@ -99,6 +161,12 @@ function createAgentTurnManager(opts) {
   // Heartbeat scheduled jobs: agentId → cron.ScheduledTask
   const heartbeatJobs = new Map();
 
+  // Turn state that outlives a restart: "agentId:sessionId" →
+  // { agentId, sessionId, queued: messages[], turn: record|null, interrupted: records[] }
+  const saved = new Map();
+  const statePath = projectRoot ? path.join(projectRoot, '.turns', 'state.json') : null;
+  let saveTimer = null;
+
   // Stats tracking
   const stats = {
     triageCount: 0,
@@ -108,21 +176,30 @@ function createAgentTurnManager(opts) {
     executionCount: 0,
     executionErrors: 0,
     messagesProcessed: 0,
+    turnsRecovered: 0,
+    turnsFailedOnRecovery: 0,
   };
 
+  _loadState();
+
   // Hook into broker
   let unhookRoute = null;
+  let unhookRedeliver = null;
+  let unregisterHeartbeatSchema = null;
 
   // ─── Lifecycle ────────────────────────────────────────────────────────────
 
   /**
-   * Start watching broker deliveries and heartbeat schedules.
+   * Start watching broker deliveries and heartbeat schedules, and recover
+   * the turn state a previous run left behind.
    */
   function start() {
     if (unhookRoute) return; // already started
 
     unhookRoute = messageBroker.onRoute((result) => {
       if (!result.delivered) return;
+      // A reply already handed to a waiting request() is in the inbox for the record only
+      if (result.awaited) return;
 
       // Handle session-level deliveries (specific sessions)
       for (const { agentId, sessionId } of result.deliveredToSessions) {
@@ -139,20 +216,44 @@ function createAgentTurnManager(opts) {
       }
     });
 
+    unhookRedeliver = messageBroker.onRedeliver(({ agentId, sessionId, consumer, message }) => {
+      if (consumer !== TURN_CONSUMER) return false;
+      const config = _resolveConfig(agentId, sessionId);
+      if (!config.enabled) return false;
+      _enqueue(agentId, sessionId, message, config);
+      return true;
+    });
+
+    unregisterHeartbeatSchema = messageBroker.registerSchema('heartbeat', HEARTBEAT_SCHEMA, {
+      owner: 'agentTurnManager',
+      description: 'Scheduled heartbeat turn (heartbeatCron in agent config)',
+    });
+
     // Start heartbeat schedules for all agents
     _startHeartbeats();
 
+    _recover();
+
     log.info('[agentTurnManager] Started — watching broker deliveries + heartbeats');
   }
 
   /**
-   * Stop watching and drain all pending queues.
+   * Stop watching and drop all pending queues. Persisted messages stay on
+   * disk for the next start().
    */
   function stop() {
     if (unhookRoute) {
       unhookRoute();
       unhookRoute = null;
     }
+    if (unhookRedeliver) {
+      unhookRedeliver();
+      unhookRedeliver = null;
+    }
+    if (unregisterHeartbeatSchema) {
+      unregisterHeartbeatSchema();
+      unregisterHeartbeatSchema = null;
+    }
 
     // Clear all debounce timers
     for (const [key, queue] of debounceQueues) {
@@ -163,10 +264,35 @@ function createAgentTurnManager(opts) {
 
     // Stop all heartbeat jobs
     _stopHeartbeats();
+    _writeState();
 
     log.info('[agentTurnManager] Stopped');
   }
 
+  /**
+   * Stop accepting new turns (like stop()) and wait for active turns to finish.
+   * Used for graceful shutdown.
+   *
+   * @param {number} [timeoutMs] - Give up waiting after this long (default: execution timeout)
+   * @returns {Promise<{ drained: boolean, active: number }>} drained is false when turns
+   *   were still running at the deadline
+   */
+  async function drain(timeoutMs = globalDefaults.executionTimeoutMs) {
+    stop();
+    if (activeTurns.size === 0) return { drained: true, active: 0 };
+
+    log.info(`[agentTurnManager] Draining — waiting for ${activeTurns.size} active turn(s)`);
+    let timer;
+    const deadline = new Promise(resolve => { timer = setTimeout(() => resolve(false), timeoutMs); });
+    const settled = Promise.allSettled([...activeTurns.values()]).then(() => true);
+    const drained = await Promise.race([settled, deadline]);
+    clearTimeout(timer);
+
+    if (!drained) log.warn(`[agentTurnManager] ${activeTurns.size} turn(s) still running after ${timeoutMs}ms`);
+    _writeState();
+    return { drained, active: drained ? 0 : activeTurns.size };
+  }
+
   // ─── Heartbeat / CRON ─────────────────────────────────────────────────────
 
   /**
@@ -424,11 +550,13 @@ function createAgentTurnManager(opts) {
 
   function _enqueue(agentId, sessionId, routeResult, config) {
     const key = `${agentId}:${sessionId}`;
+    const message = _toMessage(routeResult);
+    _rememberQueued(agentId, sessionId, message);
 
     // If a turn is already active, queue for re-run after it completes
     if (activeTurns.has(key)) {
       if (!pendingRerun.has(key)) pendingRerun.set(key, []);
-      pendingRerun.get(key).push(routeResult);
+      pendingRerun.get(key).push(message);
       return;
     }
 
@@ -437,7 +565,7 @@ function createAgentTurnManager(opts) {
     }
 
     const queue = debounceQueues.get(key);
-    queue.messages.push(routeResult);
+    queue.messages.push(message);
 
     // Reset debounce timer
     if (queue.timer) clearTimeout(queue.timer);
@@ -458,7 +586,7 @@ function createAgentTurnManager(opts) {
     const queue = debounceQueues.get(key);
     if (!queue || queue.messages.length === 0) return;
 
-    const routeResults = [...queue.messages];
+    const batch = [...queue.messages];
     const config = queue.config;
 
     // Clear queue
@@ -466,61 +594,368 @@ function createAgentTurnManager(opts) {
     if (queue.timer) clearTimeout(queue.timer);
     debounceQueues.delete(key);
 
-    // Extract the actual message objects from route results
-    const messages = routeResults.map(r => ({
-      id: r.id,
-      from: r.from,
-      path: r.path,
-      command: r.command,
-      payload: r.payload,
-      source: r.source,
-      externalId: r.externalId,
-      timestamp: r.timestamp,
-    }));
+    await _runBatch(agentId, sessionId, batch, config);
+  }
+
+  /**
+   * Run one turn over a batch of queued messages, then ack them and
+   * re-queue whatever arrived meanwhile.
+   *
+   * @param {number} [attempts] - Times this batch has started, counting this one
+   */
+  async function _runBatch(agentId, sessionId, batch, config, attempts = 1) {
+    const key = `${agentId}:${sessionId}`;
+
+    // Messages whose TTL ran out while queued are dropped, not retried
+    const now = Date.now();
+    const expired = batch.filter(m => m.expiresAt != null && m.expiresAt <= now);
+    if (expired.length > 0) {
+      log.info(`[agentTurnManager] ${key}: dropping ${expired.length} expired message(s)`);
+      _forgetQueued(agentId, sessionId, expired);
+      _acknowledge(agentId, sessionId, expired, null);
+    }
+
+    // Highest priority first; arrival order otherwise (sort is stable)
+    const messages = batch
+      .filter(m => !expired.includes(m))
+      .sort((a, b) => b.priority - a.priority);
+    if (messages.length === 0) return;
 
     // Run the turn (with active turn tracking)
-    const turnPromise = _runTurn(agentId, sessionId, messages, config);
+    const turnId = crypto.randomUUID().slice(0, 8);
+    _beginTurn(agentId, sessionId, { turnId, startedAt: now, attempts, messageIds: messages.map(m => m.id), messages });
+    const turnPromise = _runTurn(agentId, sessionId, messages, config, turnId, attempts);
     activeTurns.set(key, turnPromise);
 
     try {
-      await turnPromise;
+      _acknowledge(agentId, sessionId, messages, await turnPromise);
     } finally {
       activeTurns.delete(key);
+      _endTurn(agentId, sessionId);
 
       // Check for pending messages that arrived during the turn
       if (pendingRerun.has(key)) {
         const pending = pendingRerun.get(key);
         pendingRerun.delete(key);
 
-        // Re-enqueue them (they'll go through debounce again)
-        for (const routeResult of pending) {
-          _enqueue(agentId, sessionId, routeResult, config);
+        // Re-enqueue them (they'll go through debounce again), most urgent
+        // first so they make the next batch if there are more than fit
+        pending.sort((a, b) => b.priority - a.priority);
+        for (const message of pending) {
+          _enqueue(agentId, sessionId, message, config);
+        }
+      }
+    }
+  }
+
+  /** The fields of a route result (or redelivered message) a turn uses. */
+  function _toMessage(r) {
+    return {
+      id: r.id,
+      from: r.from,
+      path: r.path,
+      command: r.command,
+      payload: r.payload,
+      source: r.source,
+      externalId: r.externalId,
+      correlationId: r.correlationId,
+      replyTo: r.replyTo,
+      inReplyTo: r.inReplyTo,
+      attempt: r.attempt,
+      priority: r.priority || 0,
+      expiresAt: r.expiresAt,
+      timestamp: r.timestamp,
+    };
+  }
+
+  // ─── Persistence / Recovery ────────────────────────────────────────────────
+
+  function _entry(agentId, sessionId) {
+    const key = `${agentId}:${sessionId}`;
+    if (!saved.has(key)) saved.set(key, { agentId, sessionId, queued: [], turn: null, interrupted: [] });
+    return saved.get(key);
+  }
+
+  /** Record a waiting message, once — re-queued messages are already there. */
+  function _rememberQueued(agentId, sessionId, message) {
+    const entry = _entry(agentId, sessionId);
+    if (entry.queued.some(m => m.id === message.id)) return;
+    entry.queued.push(message);
+    _saveState();
+  }
+
+  function _forgetQueued(agentId, sessionId, messages) {
+    const ids = new Set(messages.map(m => m.id));
+    const entry = _entry(agentId, sessionId);
+    entry.queued = entry.queued.filter(m => !ids.has(m.id));
+    _saveState();
+  }
+
+  function _beginTurn(agentId, sessionId, record) {
+    const ids = new Set(record.messageIds);
+    const entry = _entry(agentId, sessionId);
+    entry.queued = entry.queued.filter(m => !ids.has(m.id));
+    entry.turn = record;
+    _saveState();
+  }
+
+  function _endTurn(agentId, sessionId) {
+    _entry(agentId, sessionId).turn = null;
+    _saveState();
+  }
+
+  /**
+   * Pick up where the last run stopped: re-queue waiting messages and apply
+   * the recovery policy to turns that were running (or awaiting a decision).
+   */
+  function _recover() {
+    for (const [key, entry] of [...saved]) {
+      const { agentId, sessionId } = entry;
+      // Still running from before a stop() in this process
+      const running = activeTurns.has(key);
+
+      const interrupted = entry.interrupted;
+      if (entry.turn && !running) interrupted.push({ ...entry.turn, interruptedAt: Date.now() });
+      entry.interrupted = [];
+      if (!running) entry.turn = null;
+
+      for (const turn of interrupted) _recoverTurn(agentId, sessionId, turn);
+
+      const config = _resolveConfig(agentId, sessionId);
+      if (!config.enabled) {
+        if (entry.queued.length > 0) {
+          log.info(`[agentTurnManager] ${key}: autoRun is off — dropping ${entry.queued.length} queued message(s)`);
+          entry.queued = [];
         }
+        continue;
+      }
+      for (const message of [...entry.queued]) _enqueue(agentId, sessionId, message, config);
+    }
+    _saveState();
+  }
+
+  function _recoverTurn(agentId, sessionId, turn) {
+    const key = `${agentId}:${sessionId}`;
+    const config = _resolveConfig(agentId, sessionId);
+    let policy = recovery;
+    if (!config.enabled) policy = 'fail';
+    else if (turn.attempts >= maxRecoveryAttempts) policy = 'fail';
+
+    if (policy === 'ask') {
+      _entry(agentId, sessionId).interrupted.push(turn);
+      log.warn(`[agentTurnManager] Turn ${turn.turnId} (${key}) was interrupted by a restart — waiting for a decision`);
+    } else if (policy === 'fail') {
+      _failInterrupted(agentId, sessionId, turn);
+    } else {
+      _rerun(agentId, sessionId, turn, config);
+    }
+  }
+
+  function _rerun(agentId, sessionId, turn, config) {
+    const key = `${agentId}:${sessionId}`;
+    stats.turnsRecovered++;
+    log.info(`[agentTurnManager] Turn ${turn.turnId} (${key}) was interrupted by a restart — re-running (attempt ${turn.attempts + 1})`);
+    if (activeTurns.has(key)) {
+      for (const message of turn.messages) _enqueue(agentId, sessionId, message, config);
+      return;
+    }
+    _runBatch(agentId, sessionId, turn.messages, config, turn.attempts + 1).catch((err) => {
+      stats.executionErrors++;
+      log.error(`[agentTurnManager] Re-running turn ${turn.turnId} (${key}) failed: ${err.message}`);
+      _failTurn(agentId, sessionId, turn, `Re-running turn ${turn.turnId} failed: ${err.message}`);
+    });
+  }
+
+  function _failInterrupted(agentId, sessionId, turn) {
+    const error = `Turn ${turn.turnId} was interrupted by a server restart (attempt ${turn.attempts})`;
+    stats.turnsFailedOnRecovery++;
+    log.warn(`[agentTurnManager] ${error} — failing ${turn.messages.length} message(s)`);
+    _failTurn(agentId, sessionId, turn, error);
+  }
+
+  /** Log a recovered turn as failed and nack its messages. */
+  function _failTurn(agentId, sessionId, turn, error) {
+    try {
+      projectManager.appendConversationLog(agentId, sessionId, {
+        role: 'system',
+        type: 'auto-turn-error',
+        turnId: turn.turnId,
+        correlationId: _correlationIdOf(turn.messages),
+        error,
+        timestamp: Date.now(),
+      });
+    } catch { /* non-fatal */ }
+    _acknowledge(agentId, sessionId, turn.messages, { executed: false, error });
+  }
+
+  function _loadState() {
+    if (!statePath) return;
+    let entries;
+    try {
+      entries = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') log.warn(`[agentTurnManager] Ignoring unreadable ${statePath}: ${err.message}`);
+      return;
+    }
+
+    for (const e of Array.isArray(entries) ? entries : []) {
+      if (!e || !e.agentId || !e.sessionId) continue;
+      saved.set(`${e.agentId}:${e.sessionId}`, {
+        agentId: e.agentId,
+        sessionId: e.sessionId,
+        queued: Array.isArray(e.queued) ? e.queued : [],
+        turn: e.turn || null,
+        interrupted: Array.isArray(e.interrupted) ? e.interrupted : [],
+      });
+    }
+  }
+
+  /** Drop empty entries and write the state soon; changes until then share the write. */
+  function _saveState() {
+    for (const [key, entry] of saved) {
+      if (entry.queued.length === 0 && !entry.turn && entry.interrupted.length === 0) saved.delete(key);
+    }
+    if (!statePath || saveTimer) return;
+    saveTimer = setTimeout(_writeState, STATE_SAVE_DELAY_MS);
+    saveTimer.unref?.();
+  }
+
+  /** Write the state now, to a temp file renamed over state.json. */
+  function _writeState() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (!statePath) return;
+    try {
+      fs.mkdirSync(path.dirname(statePath), { recursive: true });
+      const tmp = `${statePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify([...saved.values()]));
+      fs.renameSync(tmp, statePath);
+    } catch (err) {
+      log.error(`[agentTurnManager] Failed to save turn state: ${err.message}`);
+    }
+  }
+
+  // ─── Interrupted Turns ─────────────────────────────────────────────────────
+
+  /**
+   * Turns a restart interrupted that are waiting for a decision ("ask" policy).
+   *
+   * @returns {object[]} { turnId, agentId, sessionId, messageIds, attempts, startedAt, interruptedAt }
+   */
+  function listInterrupted() {
+    const turns = [];
+    for (const { agentId, sessionId, interrupted } of saved.values()) {
+      for (const t of interrupted) {
+        turns.push({
+          turnId: t.turnId,
+          agentId,
+          sessionId,
+          messageIds: t.messageIds,
+          attempts: t.attempts,
+          startedAt: t.startedAt,
+          interruptedAt: t.interruptedAt,
+        });
+      }
+    }
+    return turns;
+  }
+
+  /**
+   * Decide what happens to an interrupted turn.
+   *
+   * @param {string} turnId
+   * @param {string} action - "rerun" or "fail"
+   * @returns {boolean} false if no interrupted turn has that ID
+   */
+  function resolveInterrupted(turnId, action) {
+    if (action !== 'rerun' && action !== 'fail') throw new Error('action must be "rerun" or "fail"');
+    for (const entry of saved.values()) {
+      const turn = entry.interrupted.find(t => t.turnId === turnId);
+      if (!turn) continue;
+
+      const { agentId, sessionId } = entry;
+      entry.interrupted = entry.interrupted.filter(t => t !== turn);
+      if (action === 'fail') {
+        _failInterrupted(agentId, sessionId, turn);
+      } else {
+        _rerun(agentId, sessionId, turn, _resolveConfig(agentId, sessionId));
       }
+      _saveState();
+      return true;
     }
+    return false;
   }
 
   // ─── Turn Execution ────────────────────────────────────────────────────────
 
-  async function _runTurn(agentId, sessionId, messages, config) {
-    const turnId = crypto.randomUUID().slice(0, 8);
+  async function _runTurn(agentId, sessionId, messages, config, turnId, attempts = 1) {
+    const correlationId = _correlationIdOf(messages);
+    const turnLog = childLogger(log, { agentId, sessionId, turnId, correlationId });
 
-    log.info(`[agentTurnManager] Turn ${turnId}: ${agentId}:${sessionId} — ${messages.length} message(s)`);
+    turnLog.info(`[agentTurnManager] Turn ${turnId}: ${agentId}:${sessionId} — ${messages.length} message(s)`);
+    _trace(messages, 'turn.start', { id: turnId, agentId, sessionId, messageCount: messages.length });
 
     // Stage 1: Triage
     const shouldRun = await _triage(agentId, sessionId, messages, config, turnId);
+    _trace(messages, 'turn.triage', { id: turnId, causationId: turnId, decision: shouldRun ? 'run' : 'skip' });
 
     if (!shouldRun) {
-      log.info(`[agentTurnManager] Turn ${turnId}: triage → SKIP`);
-      return { turnId, skipped: true, reason: 'triage_rejected' };
+      turnLog.info(`[agentTurnManager] Turn ${turnId}: triage → SKIP`);
+      _trace(messages, 'turn.end', { id: turnId, causationId: turnId, skipped: true });
+      return { turnId, correlationId, skipped: true, reason: 'triage_rejected' };
     }
 
     // Stage 2: Execute
-    log.info(`[agentTurnManager] Turn ${turnId}: triage → RUN`);
-    const result = await _execute(agentId, sessionId, messages, config, turnId);
+    turnLog.info(`[agentTurnManager] Turn ${turnId}: triage → RUN`);
+    const result = await _execute(agentId, sessionId, messages, config, turnId, attempts);
 
     stats.messagesProcessed += messages.length;
-    return { turnId, ...result };
+    return { turnId, correlationId, ...result };
+  }
+
+  /**
+   * Ack a turn's messages, or nack them when execution failed so the broker
+   * retries them (see messageDelivery.js).
+   */
+  function _acknowledge(agentId, sessionId, messages, result) {
+    const failed = result && result.executed === false && result.error;
+    for (const m of messages) {
+      if (m.source === 'heartbeat') continue;
+      try {
+        if (failed) {
+          messageBroker.nack(agentId, m, result.error, { consumer: TURN_CONSUMER, sessionId });
+        } else {
+          messageBroker.ack(agentId, m.id, { consumer: TURN_CONSUMER });
+        }
+      } catch (err) {
+        log.warn(`[agentTurnManager] Failed to ${failed ? 'nack' : 'ack'} ${m.id}: ${err.message}`);
+      }
+    }
+  }
+
+  // ─── Tracing ───────────────────────────────────────────────────────────────
+
+  /** Correlation ID a turn runs under — that of its first message. */
+  function _correlationIdOf(messages) {
+    const first = messages.find(m => m.correlationId);
+    return first ? first.correlationId : null;
+  }
+
+  /**
+   * Record a turn event under every correlation ID in the batch, caused by
+   * that trace's messages unless `fields.causationId` says otherwise.
+   */
+  function _trace(messages, kind, fields) {
+    if (!tracer) return;
+    const byCorrelation = new Map(); // correlationId → message IDs
+    for (const m of messages) {
+      if (!m.correlationId) continue;
+      if (!byCorrelation.has(m.correlationId)) byCorrelation.set(m.correlationId, []);
+      byCorrelation.get(m.correlationId).push(m.id);
+    }
+    for (const [correlationId, messageIds] of byCorrelation) {
+      tracer.record(correlationId, kind, { causationId: messageIds, ...fields });
+    }
   }
 
   // ─── Stage 1: Triage ──────────────────────────────────────────────────────
@@ -625,6 +1060,7 @@ function createAgentTurnManager(opts) {
   }
 
   async function _triage(agentId, sessionId, messages, config, turnId) {
+    const turnLog = childLogger(log, { agentId, sessionId, turnId, correlationId: _correlationIdOf(messages) });
     stats.triageCount++;
 
     const triagePrompt = _buildTriagePrompt(agentId, sessionId, messages);
@@ -632,13 +1068,13 @@ function createAgentTurnManager(opts) {
     // null → triageRules auto-accept (skip LLM triage)
     if (triagePrompt === null) {
       stats.triageAccepted++;
-      log.info(`[agentTurnManager] Turn ${turnId}: triage → auto-accept (triageRules)`);
+      turnLog.info(`[agentTurnManager] Turn ${turnId}: triage → auto-accept (triageRules)`);
       return true;
     }
     // empty string → triageRules auto-reject
     if (triagePrompt === '') {
       stats.triageRejected++;
-      log.info(`[agentTurnManager] Turn ${turnId}: triage → auto-reject (triageRules)`);
+      turnLog.info(`[agentTurnManager] Turn ${turnId}: triage → auto-reject (triageRules)`);
       return false;
     }
 
@@ -660,11 +1096,11 @@ function createAgentTurnManager(opts) {
         stats.triageRejected++;
       }
 
-      log.info(`[agentTurnManager] Turn ${turnId}: triage response: ${text.slice(0, 100)}`);
+      turnLog.info(`[agentTurnManager] Turn ${turnId}: triage response: ${text.slice(0, 100)}`);
       return accepted;
     } catch (err) {
       stats.triageErrors++;
-      log.error(`[agentTurnManager] Turn ${turnId}: triage error: ${err.message}`);
+      turnLog.error(`[agentTurnManager] Turn ${turnId}: triage error: ${err.message}`);
       // Default to running on triage failure — better to over-run than miss messages
       return true;
     }
@@ -720,7 +1156,9 @@ function createAgentTurnManager(opts) {
 
   // ─── Stage 2: Execution ────────────────────────────────────────────────────
 
-  async function _execute(agentId, sessionId, messages, config, turnId) {
+  async function _execute(agentId, sessionId, messages, config, turnId, attempts = 1) {
+    const correlationId = _correlationIdOf(messages);
+    const turnLog = childLogger(log, { agentId, sessionId, turnId, correlationId });
     stats.executionCount++;
 
     // Build execution prompt with message context
@@ -733,6 +1171,13 @@ function createAgentTurnManager(opts) {
       ];
       if (m.source !== 'internal') meta.push(`Source: ${m.source}`);
       if (m.externalId) meta.push(`External ID: ${m.externalId}`);
+      if (m.inReplyTo) meta.push(`In-Reply-To: ${m.inReplyTo}`);
+      if (m.priority) meta.push(`Priority: ${m.priority}`);
+      if (m.attempt) meta.push(`Delivery attempt: ${m.attempt} (earlier turns failed on this message)`);
+      if (m.replyTo) {
+        meta.push(`Message ID: ${m.id}`);
+        meta.push(`Reply-To: ${m.replyTo} (the sender is waiting: answer with send-message, to "${m.replyTo}", inReplyTo "${m.id}")`);
+      }
 
       let payload = '';
       if (m.payload && Object.keys(m.payload).length > 0) {
@@ -762,6 +1207,9 @@ function createAgentTurnManager(opts) {
           `Use your available tools to take action as needed.`,
           `If a message requires a reply, use the send-message tool.`,
           `Update your memory/notes.md if you learn anything important.`,
+          ...(attempts > 1
+            ? [``, `A server restart interrupted an earlier run of this turn (this is attempt ${attempts}). Check what was already done before acting again.`]
+            : []),
         ].join('\n');
 
     try {
@@ -773,6 +1221,9 @@ function createAgentTurnManager(opts) {
       const cliOptions = {
         resumeSessionId: sessionId,
         timeoutMs: config.executionTimeoutMs,
+        // Exposed to tool-cli.js so tool calls join this turn's trace
+        correlationId,
+        causationId: turnId,
       };
       if (memoryContext) {
         cliOptions.systemPrompt = memoryContext;
@@ -804,6 +1255,7 @@ function createAgentTurnManager(opts) {
           role: 'system',
           type: 'auto-turn',
           turnId,
+          correlationId,
           messageCount: messages.length,
           messageIds: messages.map(m => m.id),
           timestamp: Date.now(),
@@ -812,14 +1264,16 @@ function createAgentTurnManager(opts) {
           role: 'assistant',
           type: 'auto-turn-result',
           turnId,
+          correlationId,
           text: responseText,
           timestamp: Date.now(),
         });
       } catch (logErr) {
-        log.warn(`[agentTurnManager] Turn ${turnId}: failed to log conversation: ${logErr.message}`);
+        turnLog.warn(`[agentTurnManager] Turn ${turnId}: failed to log conversation: ${logErr.message}`);
       }
 
-      log.info(`[agentTurnManager] Turn ${turnId}: executed — ${responseText.length} chars response`);
+      turnLog.info(`[agentTurnManager] Turn ${turnId}: executed — ${responseText.length} chars response`);
+      _trace(messages, 'turn.end', { id: turnId, causationId: turnId, executed: true, responseLength: responseText.length });
       return { executed: true, messageCount: messages.length, responseLength: responseText.length };
     } catch (err) {
       stats.executionErrors++;
@@ -830,12 +1284,14 @@ function createAgentTurnManager(opts) {
           role: 'system',
           type: 'auto-turn-error',
           turnId,
+          correlationId,
           error: err.message,
           timestamp: Date.now(),
         });
       } catch { /* non-fatal */ }
 
-      log.error(`[agentTurnManager] Turn ${turnId}: execution error: ${err.message}`);
+      turnLog.error(`[agentTurnManager] Turn ${turnId}: execution error: ${err.message}`);
+      _trace(messages, 'turn.end', { id: turnId, causationId: turnId, executed: false, error: err.message });
       return { executed: false, error: err.message };
     }
   }
@@ -844,24 +1300,39 @@ function createAgentTurnManager(opts) {
 
   /**
    * Manually trigger a turn for a session with specific messages.
-   * Bypasses triage (goes straight to execution).
+   * Bypasses triage (goes straight to execution). Messages without a
+   * correlationId share a new one — a manual trigger is an edge.
    */
   async function triggerTurn(agentId, sessionId, messages) {
     const config = _resolveConfig(agentId, sessionId);
     // Override enabled check for manual triggers
     const turnId = crypto.randomUUID().slice(0, 8);
-    log.info(`[agentTurnManager] Manual turn ${turnId}: ${agentId}:${sessionId}`);
-    return _execute(agentId, sessionId, messages, { ...config, ...globalDefaults }, turnId);
+    const fallbackId = newCorrelationId();
+    const traced = messages.map(m => (m.correlationId ? m : { ...m, correlationId: fallbackId }));
+    childLogger(log, { agentId, sessionId, turnId, correlationId: _correlationIdOf(traced) })
+      .info(`[agentTurnManager] Manual turn ${turnId}: ${agentId}:${sessionId}`);
+    _trace(traced, 'turn.start', { id: turnId, agentId, sessionId, messageCount: traced.length, manual: true });
+    return _execute(agentId, sessionId, traced, { ...config, ...globalDefaults }, turnId);
   }
 
   // ─── Status ────────────────────────────────────────────────────────────────
 
   function getStats() {
+    let queuedMessages = 0;
+    let interruptedTurns = 0;
+    for (const entry of saved.values()) {
+      queuedMessages += entry.queued.length;
+      interruptedTurns += entry.interrupted.length;
+    }
     return {
       ...stats,
       activeTurns: activeTurns.size,
       queuedSessions: debounceQueues.size,
       pendingReruns: pendingRerun.size,
+      queuedMessages,
+      interruptedTurns,
+      recovery,
+      persisted: statePath !== null,
     };
   }
 
@@ -872,10 +1343,13 @@ function createAgentTurnManager(opts) {
   return {
     start,
     stop,
+    drain,
     triggerTurn,
     refreshHeartbeats,
     getStats,
     isActive,
+    listInterrupted,
+    resolveInterrupted,
 
     // Exposed for testing
     _resolveConfig,
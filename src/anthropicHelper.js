@@ -17,6 +17,7 @@
  */
 
 const axios = require('axios');
+const { logger } = require('./logger');
 
 const ANTHROPIC_API_URL = 'https://messages.anthropic.com/v1/messages';
 const ANTHROPIC_VERSION = '2023-06-01';
@@ -50,7 +51,7 @@ function createAnthropicClient(opts = {}) {
   const {
     apiKey,
     timeoutMs = DEFAULT_TIMEOUT_MS,
-    log = console,
+    log = logger,
   } = opts;
 
   if (!apiKey) {
@@ -0,0 +1,447 @@
+/**
+ * brokerFederation.js — Links message brokers running on different hosts.
+ *
+ * Each server is a node with an ID (default: its hostname). Nodes link over
+ * WebSocket: a node listens on its federation port and/or dials the peer URLs
+ * it is configured with. A link is symmetric once established, so each pair
+ * of nodes only needs to be configured on one side.
+ *
+ * Protocol (JSON over WebSocket):
+ *   dialer → listener   { type: "fed.hello", nodeId, token }
+ *   listener → dialer   { type: "fed.welcome", nodeId }
+ *                       { type: "fed.error", error } then close (4003 bad token, 4009 already linked)
+ *   either way          { type: "fed.advertise", agents: [{ id, name }], patterns: [...] }
+ *                       { type: "fed.message", message: { id, from, path, ..., ttlMs?, via } }
+ *
+ * Advertisements carry a node's own agents and the path patterns its agents
+ * and sessions subscribe to (messageBroker.getSubscriptionPatterns()). They
+ * are sent when a link comes up and re-sent when they change. Every message
+ * routed locally — from an agent, a service, or a peer — is forwarded to each
+ * linked node whose patterns match its path, keeping its ID — except
+ * messages for a local agent (agent/{id}/…), which stay on this node even
+ * when a peer has an agent with the same ID (every node runs "main").
+ *
+ * Loop prevention: a forwarded message lists in `via` the nodes it has passed
+ * through, and is never sent to a node on that list. Each node also remembers
+ * the IDs it has seen recently and drops a message that reaches it twice
+ * (e.g. around a triangle of links).
+ *
+ * While a link is down its node's patterns are forgotten, so messages for it
+ * are not queued — with nothing local subscribed they go to the unmatched log.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const WebSocket = require('ws');
+const { logger } = require('./logger');
+const { createSubscriptionTrie } = require('./subscriptionTrie');
+const { isValidPattern } = require('./pathPattern');
+
+const AUTH_TIMEOUT_MS = 5000;
+const HEARTBEAT_INTERVAL_MS = 30000;
+const SEEN_MAX = 10000;
+
+/**
+ * Create a federation endpoint for a broker.
+ *
+ * @param {object} messageBroker  - MessageBroker instance
+ * @param {object} projectManager - For the local agent list
+ * @param {object} [log]          - Logger with info/warn/error methods
+ * @param {object} opts
+ * @param {string}   opts.token                 - Shared secret every node must present
+ * @param {string}   [opts.nodeId]              - This node's ID (default: hostname)
+ * @param {number}   [opts.port]                - Port to accept links on (0 = any free port; omit to only dial)
+ * @param {string}   [opts.host]                - Bind address (default 0.0.0.0)
+ * @param {string[]} [opts.peers]               - ws:// or wss:// URLs of nodes to dial
+ * @param {number}   [opts.advertiseIntervalMs] - How often to check for subscription changes
+ * @param {number}   [opts.reconnectMinMs]      - First redial delay
+ * @param {number}   [opts.reconnectMaxMs]      - Redial delay cap
+ * @param {function} [opts.random]              - Jitter source, injectable for tests
+ * @returns {{ start, close, advertise, listRemoteAgents, status }}
+ */
+function createBrokerFederation(messageBroker, projectManager, log = logger, opts = {}) {
+  const {
+    token,
+    nodeId = os.hostname(),
+    port = null,
+    host = '0.0.0.0',
+    peers = [],
+    advertiseIntervalMs = 30000,
+    reconnectMinMs = 1000,
+    reconnectMaxMs = 60000,
+    random = Math.random,
+  } = opts;
+
+  if (!token) throw new Error('brokerFederation: token is required');
+
+  const links = new Map();          // nodeId → { nodeId, ws, outbound, url, agents, patterns, connectedAt, forwarded, received }
+  const remoteTrie = createSubscriptionTrie(); // advertised pattern → nodeId
+  const seen = new Map();           // message ID → true, oldest first
+  const dialers = peers.map(url => ({ url, ws: null, timer: null, attempts: 0, lastError: null, nextRetryAt: null }));
+
+  let wss = null;
+  let heartbeat = null;
+  let advertiseTimer = null;
+  let lastAdvertised = null;
+  let closing = false;
+
+  // ─── Lifecycle ──────────────────────────────────────────────────────────
+
+  /**
+   * Start forwarding, listen (if a port is set) and dial every peer.
+   * Resolves once listening; peers are dialed in the background.
+   * @returns {Promise<void>}
+   */
+  function start() {
+    closing = false;
+    messageBroker.setForwarder(_forward);
+
+    heartbeat = setInterval(_heartbeat, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref?.();
+    advertiseTimer = setInterval(() => advertise(), advertiseIntervalMs);
+    advertiseTimer.unref?.();
+
+    for (const dialer of dialers) _dial(dialer);
+
+    if (port === null || port === undefined) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+      wss = new WebSocket.WebSocketServer({ port, host });
+      wss.once('listening', () => {
+        log.info(`[brokerFederation] Node ${nodeId} listening on ${host}:${wss.address().port}`);
+        resolve();
+      });
+      wss.once('error', reject);
+      wss.on('connection', (ws, req) => _accept(ws, req.socket.remoteAddress));
+    });
+  }
+
+  /** Stop forwarding, drop every link and stop listening and dialing. */
+  function close() {
+    closing = true;
+    messageBroker.setForwarder(null);
+    clearInterval(heartbeat);
+    clearInterval(advertiseTimer);
+
+    for (const dialer of dialers) {
+      clearTimeout(dialer.timer);
+      dialer.timer = null;
+      if (dialer.ws) dialer.ws.terminate();
+    }
+    for (const link of links.values()) link.ws.terminate();
+    if (!wss) return Promise.resolve();
+    return new Promise(resolve => wss.close(() => resolve()));
+  }
+
+  // ─── Links ──────────────────────────────────────────────────────────────
+
+  function _dial(dialer) {
+    if (closing) return;
+    dialer.nextRetryAt = null;
+    const ws = new WebSocket(dialer.url);
+    dialer.ws = ws;
+
+    ws.on('open', () => _send(ws, { type: 'fed.hello', nodeId, token }));
+    ws.on('message', (raw) => {
+      const msg = _parse(raw);
+      if (!msg) return;
+      if (msg.type === 'fed.welcome' && !ws._fedNodeId) {
+        dialer.attempts = 0;
+        dialer.lastError = null;
+        _link(ws, msg.nodeId, { outbound: true, url: dialer.url });
+      } else if (msg.type === 'fed.error') {
+        dialer.lastError = msg.error;
+      } else if (ws._fedNodeId) {
+        _handle(links.get(ws._fedNodeId), msg);
+      }
+    });
+    ws.on('error', (err) => { dialer.lastError = err.message; });
+    ws.on('close', () => {
+      _unlink(ws);
+      if (dialer.ws === ws) dialer.ws = null;
+      _redial(dialer);
+    });
+  }
+
+  function _redial(dialer) {
+    if (closing || dialer.timer) return;
+    dialer.attempts++;
+    const base = Math.min(reconnectMaxMs, reconnectMinMs * 2 ** Math.max(0, dialer.attempts - 1));
+    const delay = Math.round(base / 2 + random() * base / 2);
+    dialer.nextRetryAt = Date.now() + delay;
+    log.warn(`[brokerFederation] Redialing ${dialer.url} in ${delay}ms${dialer.lastError ? ` — last error: ${dialer.lastError}` : ''}`);
+
+    dialer.timer = setTimeout(() => {
+      dialer.timer = null;
+      _dial(dialer);
+    }, delay);
+    dialer.timer.unref?.();
+  }
+
+  function _accept(ws, addr) {
+    const authTimer = setTimeout(() => {
+      _send(ws, { type: 'fed.error', error: 'Authentication timeout' });
+      ws.close(4001, 'Auth timeout');
+    }, AUTH_TIMEOUT_MS);
+
+    ws.on('message', (raw) => {
+      const msg = _parse(raw);
+      if (!msg) return;
+      if (ws._fedNodeId) {
+        _handle(links.get(ws._fedNodeId), msg);
+        return;
+      }
+
+      clearTimeout(authTimer);
+      if (msg.type !== 'fed.hello' || !_tokenMatches(msg.token)) {
+        log.warn(`[brokerFederation] Rejected link from ${addr}: invalid token`);
+        _send(ws, { type: 'fed.error', error: 'Invalid token' });
+        ws.close(4003, 'Invalid token');
+        return;
+      }
+      if (!msg.nodeId || msg.nodeId === nodeId || links.has(msg.nodeId)) {
+        const error = msg.nodeId === nodeId ? `Node ID ${nodeId} is this node's` : `Already linked to ${msg.nodeId}`;
+        _send(ws, { type: 'fed.error', error });
+        ws.close(4009, 'Already linked');
+        return;
+      }
+
+      _send(ws, { type: 'fed.welcome', nodeId });
+      _link(ws, msg.nodeId, { outbound: false, url: null });
+    });
+    ws.on('close', () => {
+      clearTimeout(authTimer);
+      _unlink(ws);
+    });
+    ws.on('error', (err) => log.error(`[brokerFederation] Link error from ${addr}: ${err.message}`));
+  }
+
+  function _link(ws, peerId, { outbound, url }) {
+    if (!peerId || peerId === nodeId || links.has(peerId)) {
+      ws.close(4009, 'Already linked');
+      return;
+    }
+    ws._fedNodeId = peerId;
+    ws._fedAlive = true;
+    ws.on('pong', () => { ws._fedAlive = true; });
+
+    links.set(peerId, {
+      nodeId: peerId,
+      ws,
+      outbound,
+      url,
+      agents: [],
+      patterns: [],
+      connectedAt: Date.now(),
+      forwarded: 0,
+      received: 0,
+    });
+    log.info(`[brokerFederation] Linked to ${peerId} (${outbound ? `dialed ${url}` : 'inbound'})`);
+    _send(ws, { type: 'fed.advertise', ..._advertisement() });
+  }
+
+  function _unlink(ws) {
+    const peerId = ws._fedNodeId;
+    const link = peerId && links.get(peerId);
+    if (!link || link.ws !== ws) return;
+    for (const pattern of link.patterns) remoteTrie.remove(pattern, peerId);
+    links.delete(peerId);
+    log.warn(`[brokerFederation] Link to ${peerId} closed`);
+  }
+
+  function _heartbeat() {
+    for (const link of links.values()) {
+      if (link.ws._fedAlive === false) {
+        log.warn(`[brokerFederation] Heartbeat timeout — dropping link to ${link.nodeId}`);
+        link.ws.terminate();
+        continue;
+      }
+      link.ws._fedAlive = false;
+      link.ws.ping();
+    }
+  }
+
+  // ─── Protocol ───────────────────────────────────────────────────────────
+
+  function _handle(link, msg) {
+    if (!link) return;
+    if (msg.type === 'fed.advertise') {
+      _learn(link, msg);
+    } else if (msg.type === 'fed.message') {
+      _receive(link, msg.message);
+    }
+  }
+
+  /** Replace a peer's advertised agents and patterns. */
+  function _learn(link, { agents, patterns }) {
+    for (const pattern of link.patterns) remoteTrie.remove(pattern, link.nodeId);
+    link.agents = Array.isArray(agents) ? agents.filter(a => a && a.id) : [];
+    link.patterns = Array.isArray(patterns)
+      ? patterns.filter(p => typeof p === 'string' && p && !p.startsWith('!') && isValidPattern(p))
+      : [];
+    for (const pattern of link.patterns) remoteTrie.add(pattern, link.nodeId);
+    log.info(`[brokerFederation] ${link.nodeId} advertised ${link.agents.length} agent(s), ${link.patterns.length} pattern(s)`);
+  }
+
+  function _receive(link, message) {
+    if (!message || !message.id || !message.path) return;
+    const via = Array.isArray(message.via) && message.via.length > 0 ? message.via : [link.nodeId];
+    if (seen.has(message.id) || via.includes(nodeId)) return;
+    _markSeen(message.id);
+    if (message.ttlMs !== undefined && message.ttlMs <= 0) return;
+
+    link.received++;
+    try {
+      messageBroker.routeRemote({ ...message, via });
+    } catch (err) {
+      log.error(`[brokerFederation] Routing ${message.id} from ${link.nodeId} failed: ${err.message}`);
+    }
+  }
+
+  /** The broker's forwarder: send a routed message to every peer that subscribes to its path. */
+  function _forward(msg) {
+    const via = msg.via || [];
+    _markSeen(msg.id);
+    if (_isLocalAgentPath(msg.path)) return [];
+    const targets = [...remoteTrie.match(msg.path)].filter(peerId => !via.includes(peerId) && links.has(peerId));
+    if (targets.length === 0) return [];
+
+    const ttlMs = msg.expiresAt ? msg.expiresAt - Date.now() : undefined;
+    if (ttlMs !== undefined && ttlMs <= 0) return [];
+
+    const message = {
+      id: msg.id,
+      from: msg.from,
+      path: msg.path,
+      command: msg.command,
+      payload: msg.payload,
+      source: msg.source,
+      externalId: msg.externalId,
+      correlationId: msg.correlationId,
+      causationId: msg.causationId,
+      replyTo: msg.replyTo,
+      inReplyTo: msg.inReplyTo,
+      priority: msg.priority,
+      ttlMs,
+      via: [...via, nodeId],
+    };
+    for (const peerId of targets) {
+      const link = links.get(peerId);
+      _send(link.ws, { type: 'fed.message', message });
+      link.forwarded++;
+    }
+    return targets;
+  }
+
+  /** True for agent/{id} and anything under it when {id} is an agent on this node. */
+  function _isLocalAgentPath(msgPath) {
+    const [root, agentId] = String(msgPath).split('/').filter(Boolean);
+    if (root !== 'agent' || !agentId) return false;
+    try {
+      return projectManager.listAgents().some(a => a.id === agentId);
+    } catch {
+      return false;
+    }
+  }
+
+  function _markSeen(id) {
+    seen.delete(id);
+    seen.set(id, true);
+    if (seen.size > SEEN_MAX) seen.delete(seen.keys().next().value);
+  }
+
+  // ─── Advertisements ─────────────────────────────────────────────────────
+
+  function _advertisement() {
+    return {
+      agents: projectManager.listAgents().map(a => ({ id: a.id, name: a.name || a.id })),
+      patterns: messageBroker.getSubscriptionPatterns(),
+    };
+  }
+
+  /**
+   * Send this node's agents and patterns to every peer if they changed since
+   * the last advertisement (runs every advertiseIntervalMs).
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.force] - Send even if unchanged
+   */
+  function advertise({ force = false } = {}) {
+    let ad;
+    try {
+      ad = _advertisement();
+    } catch (err) {
+      log.error(`[brokerFederation] Building advertisement failed: ${err.message}`);
+      return;
+    }
+    const json = JSON.stringify(ad);
+    if (!force && json === lastAdvertised) return;
+    lastAdvertised = json;
+    for (const link of links.values()) _send(link.ws, { type: 'fed.advertise', ...ad });
+  }
+
+  // ─── Status ─────────────────────────────────────────────────────────────
+
+  /**
+   * Agents advertised by linked nodes.
+   * @returns {Array<{ id, name, node, remote: true }>}
+   */
+  function listRemoteAgents() {
+    const agents = [];
+    for (const link of links.values()) {
+      for (const agent of link.agents) agents.push({ ...agent, node: link.nodeId, remote: true });
+    }
+    return agents;
+  }
+
+  /**
+   * @returns {{ nodeId, port, links: object[], peers: object[] }}
+   */
+  function status() {
+    return {
+      nodeId,
+      port: wss ? wss.address().port : null,
+      links: [...links.values()].map(l => ({
+        nodeId: l.nodeId,
+        direction: l.outbound ? 'outbound' : 'inbound',
+        url: l.url,
+        connectedAt: l.connectedAt,
+        agents: l.agents.length,
+        patterns: l.patterns.length,
+        forwarded: l.forwarded,
+        received: l.received,
+      })),
+      peers: dialers.map(d => ({
+        url: d.url,
+        linked: Boolean(d.ws && d.ws._fedNodeId && links.has(d.ws._fedNodeId)),
+        attempts: d.attempts,
+        lastError: d.lastError,
+        nextRetryAt: d.nextRetryAt,
+      })),
+    };
+  }
+
+  // ─── Helpers ────────────────────────────────────────────────────────────
+
+  function _tokenMatches(candidate) {
+    if (typeof candidate !== 'string') return false;
+    const a = Buffer.from(candidate);
+    const b = Buffer.from(token);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  return { start, close, advertise, listRemoteAgents, status };
+}
+
+function _parse(raw) {
+  try {
+    return JSON.parse(raw.toString());
+  } catch {
+    return null;
+  }
+}
+
+function _send(ws, obj) {
+  if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(obj));
+}
+
+module.exports = { createBrokerFederation };
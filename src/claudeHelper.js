@@ -2,9 +2,14 @@ const { spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
+const { logger } = require('./logger');
 
 const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
 const DEFAULT_CLI_TTL_MS = 10 * 60 * 1000; // 10 minutes idle before eviction
+const DEFAULT_KILL_GRACE_MS = 5000;
+
+// Claude CLI processes that haven't exited yet (see killActiveProcesses)
+const activeProcesses = new Set();
 
 /** Expand leading ~ to the user's home directory. */
 function expandHome(p) {
@@ -28,6 +33,54 @@ function cleanEnv() {
   return env;
 }
 
+/** Track a spawned CLI process until it exits. */
+function _track(proc) {
+  activeProcesses.add(proc);
+  const untrack = () => activeProcesses.delete(proc);
+  proc.on('close', untrack);
+  proc.on('error', untrack);
+  return proc;
+}
+
+/** Number of Claude CLI processes still running. */
+function activeProcessCount() {
+  return activeProcesses.size;
+}
+
+/**
+ * Terminate every running Claude CLI process (used on shutdown so no
+ * `claude` child outlives the server). Sends SIGTERM, then SIGKILL to any
+ * process still running after `graceMs`.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.graceMs=5000]
+ * @returns {Promise<number>} Number of processes that were running
+ */
+async function killActiveProcesses({ graceMs = DEFAULT_KILL_GRACE_MS } = {}) {
+  const procs = [...activeProcesses];
+  if (procs.length === 0) return 0;
+
+  logger.warn(`[claudeHelper] Terminating ${procs.length} Claude CLI process(es)`);
+  const exited = procs.map(proc => new Promise(resolve => {
+    if (proc.exitCode !== null || proc.signalCode !== null) return resolve();
+    proc.once('close', resolve);
+  }));
+  for (const proc of procs) proc.kill('SIGTERM');
+
+  let timer;
+  const graceElapsed = new Promise(resolve => { timer = setTimeout(resolve, graceMs); });
+  await Promise.race([Promise.all(exited), graceElapsed]);
+  clearTimeout(timer);
+
+  for (const proc of procs) {
+    if (proc.exitCode === null && proc.signalCode === null) {
+      logger.error(`[claudeHelper] Claude CLI pid ${proc.pid} ignored SIGTERM — sending SIGKILL`);
+      proc.kill('SIGKILL');
+    }
+  }
+  return procs.length;
+}
+
 /**
  * Build CLI args common to both stream and query modes.
  * Maps options to Claude CLI flags.
@@ -82,6 +135,8 @@ function buildCommonArgs(options = {}) {
  * @param {string}   [options.resumeSessionId]  - Pass --resume <id>
  * @param {string}   [options.sessionId]        - Pass --session-id <uuid>
  * @param {string}   [options.model]            - Pass --model <model>
+ * @param {string}   [options.correlationId]    - Trace ID exposed to tool-cli.js (TOOL_CORRELATION_ID)
+ * @param {string}   [options.causationId]      - Turn ID exposed to tool-cli.js (TOOL_CAUSATION_ID)
  * @param {function} [onEvent]            - Called with (type, data) for each stream event
  *   type is one of:
  *     'thinking'   - { text }                 extended thinking delta
@@ -102,7 +157,7 @@ function claudeStream(prompt, options = {}, onEvent) {
 
   // Log CLI args for debugging (redact prompt to keep logs clean)
   const debugArgs = args.slice(0, -1); // everything except the prompt
-  console.log(`[claudeStream] CLI args: claude ${debugArgs.join(' ')} "<prompt>"`);
+  logger.debug(`[claudeStream] CLI args: claude ${debugArgs.join(' ')} "<prompt>"`);
 
   // Clean env: strip Claude Code internal vars. Secrets are NOT injected here —
   // they flow through toolLoader's executeTool() context so the LLM never sees them.
@@ -110,16 +165,18 @@ function claudeStream(prompt, options = {}, onEvent) {
 
   // Inject session context so tool-cli.js can identify itself without the
   // agent LLM needing to know or pass these values explicitly.
-  if (options.sessionId)  env.TOOL_SESSION_ID = options.sessionId;
-  if (options.agentId)    env.TOOL_AGENT_ID   = options.agentId;
+  if (options.sessionId)     env.TOOL_SESSION_ID     = options.sessionId;
+  if (options.agentId)       env.TOOL_AGENT_ID       = options.agentId;
+  if (options.correlationId) env.TOOL_CORRELATION_ID = options.correlationId;
+  if (options.causationId)   env.TOOL_CAUSATION_ID   = options.causationId;
 
   return new Promise((resolve, reject) => {
     const startedAt = Date.now();
-    const proc = spawn('claude', args, {
+    const proc = _track(spawn('claude', args, {
       cwd,
       stdio: ['ignore', 'pipe', 'pipe'],
       env,
-    });
+    }));
 
     let fullText = '';
     let stderr = '';
@@ -202,11 +259,11 @@ function claudeStream(prompt, options = {}, onEvent) {
     });
 
     const timer = setTimeout(() => {
-      console.error(`[claudeStream] Timeout after ${timeoutMs}ms — killing process (SIGTERM)`);
+      logger.error(`[claudeStream] Timeout after ${timeoutMs}ms — killing process (SIGTERM)`);
       proc.kill('SIGTERM');
       setTimeout(() => {
         if (!proc.killed) {
-          console.error(`[claudeStream] Process did not exit after SIGTERM — sending SIGKILL`);
+          logger.error(`[claudeStream] Process did not exit after SIGTERM — sending SIGKILL`);
           proc.kill('SIGKILL');
         }
       }, 5000);
@@ -254,16 +311,18 @@ function claudeQuery(prompt, options = {}) {
   const env = cleanEnv();
 
   // Inject session context for tool-cli.js (same as claudeStream).
-  if (options.sessionId)  env.TOOL_SESSION_ID = options.sessionId;
-  if (options.agentId)    env.TOOL_AGENT_ID   = options.agentId;
+  if (options.sessionId)     env.TOOL_SESSION_ID     = options.sessionId;
+  if (options.agentId)       env.TOOL_AGENT_ID       = options.agentId;
+  if (options.correlationId) env.TOOL_CORRELATION_ID = options.correlationId;
+  if (options.causationId)   env.TOOL_CAUSATION_ID   = options.causationId;
 
   return new Promise((resolve, reject) => {
     const startedAt = Date.now();
-    const proc = spawn('claude', args, {
+    const proc = _track(spawn('claude', args, {
       cwd,
       stdio: ['ignore', 'pipe', 'pipe'],
       env,
-    });
+    }));
 
     let stdout = '';
     let stderr = '';
@@ -271,11 +330,11 @@ function claudeQuery(prompt, options = {}) {
     proc.stderr.on('data', (chunk) => { stderr += chunk; });
 
     const timer = setTimeout(() => {
-      console.error(`[claudeQuery] Timeout after ${timeoutMs}ms — killing process (SIGTERM)`);
+      logger.error(`[claudeQuery] Timeout after ${timeoutMs}ms — killing process (SIGTERM)`);
       proc.kill('SIGTERM');
       setTimeout(() => {
         if (!proc.killed) {
-          console.error(`[claudeQuery] Process did not exit after SIGTERM — sending SIGKILL`);
+          logger.error(`[claudeQuery] Process did not exit after SIGTERM — sending SIGKILL`);
           proc.kill('SIGKILL');
         }
       }, 5000);
@@ -328,7 +387,7 @@ function createAgentCLIPool(opts = {}) {
     projectManager,
     ttlMs = DEFAULT_CLI_TTL_MS,
     sweepMs = undefined,
-    log = console,
+    log = logger,
   } = opts;
 
   if (!projectManager) throw new Error('createAgentCLIPool: projectManager is required');
@@ -479,4 +538,11 @@ function createAgentCLIPool(opts = {}) {
   return { getAgentCLI, evict, destroy, stats };
 }
 
-module.exports = { claudeQuery, claudeStream, cleanEnv, createAgentCLIPool };
+module.exports = {
+  claudeQuery,
+  claudeStream,
+  cleanEnv,
+  createAgentCLIPool,
+  activeProcessCount,
+  killActiveProcesses,
+};
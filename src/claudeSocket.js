@@ -10,6 +10,11 @@
  * All client messages may include an optional `reqId` field.
  * Responses echo it back for client-side correlation.
  *
+ * Requests that start work (msg.send, msg.route, msg.broadcast, msg.request,
+ * msg.reply, agent.tool.execute) may include a `correlationId` to join an existing
+ * trace; otherwise a new one is generated. Either way it is returned in the
+ * response and can be passed to trace.get.
+ *
  * ── Auth ─────────────────────────────────────────────────────────────
  * Client → Server:
  *   { type: "auth", token }
@@ -19,7 +24,7 @@
  *
  * ── Agents ────────────────────────────────────────────────────────────
  * Client → Server:
- *   { type: "agent.list" }
+ *   { type: "agent.list" }                 → includes agents on federated nodes, with { node, remote: true }
  *   { type: "agent.get", id }
  *   { type: "agent.create", id, config? }
  *   { type: "agent.update", id, config }
@@ -30,7 +35,7 @@
  * ── Agent Tools ───────────────────────────────────────────────────────
  *   { type: "agent.tools.list", agentId }
  *   { type: "agent.tools.refresh", agentId? }
- *   { type: "agent.tool.execute", agentId, toolName, input }
+ *   { type: "agent.tool.execute", agentId, toolName, input, sessionId?, correlationId?, causationId? }
  *
  * ── Ask-User (interactive tool ↔ dashboard) ─────────────────────────
  * Server → Client:
@@ -39,24 +44,45 @@
  *   { type: "ask-user.response", questionId, answer }
  *
  * ── Unified Messaging (msg.*) ────────────────────────────────────────
- *   { type: "msg.send", from, to, command, payload }
- *   { type: "msg.route", from, path, source, externalId?, command?, payload }
+ *   { type: "msg.send", from, to, command, payload, priority?, ttlMs? }
+ *   { type: "msg.route", from, path, source, externalId?, command?, payload, priority?, ttlMs? }
+ *                                                        → msg.route.ok { duplicate: true, id: <original> }
+ *                                                          for a source + externalId already routed
+ *                                                        → msg.send/route.error { details } when the payload
+ *                                                          fails its command's schema in reject mode
  *   { type: "msg.broadcast", from, command, payload }
- *   { type: "msg.receive", agentId }
+ *   { type: "msg.request", from, path, command?, payload, timeoutMs?, replyTo? }
+ *                                                        → msg.request.ok { reply } once answered,
+ *                                                          msg.request.error { timedOut } otherwise
+ *   { type: "msg.reply", from, inReplyTo, replyTo?, command?, payload }
+ *   { type: "msg.schedule.create", from, path, command?, payload, at? | delayMs? | cron? }
+ *                                                        → msg.schedule.create.ok { schedule }
+ *   { type: "msg.schedule.cancel", scheduleId }          → msg.schedule.cancel.ok { cancelled }
+ *   { type: "msg.schedule.list", from? }
+ *   { type: "msg.middleware.list" }                      → msg.middleware.list.ok { middleware } (run order + metrics)
+ *   { type: "msg.schemas.list", command? }               → msg.schemas.list.ok { schemas } (payload JSON Schemas per command)
+ *   { type: "msg.stats" }                                → msg.stats.ok { stats } (traffic counters, rates, queue depths)
+ *   { type: "msg.receive", agentId, consumer? }
  *   { type: "msg.listen", agentId }
- *   { type: "msg.history", agentId, options? }
- *   { type: "msg.sub.add", agentId, pattern }
+ *   { type: "msg.history", agentId, options? }          options: { limit, fromTime, toTime, cursor }
+ *   { type: "msg.search", query, pathPattern?, source?, command?, from?, agentId?, fromTime?, toTime?, limit? }
+ *                                                        → msg.search.ok { messages } (full-text, newest first)
+ *   { type: "msg.sub.add", agentId, pattern, filter? }   filter: see subscriptionFilter.js
  *   { type: "msg.sub.remove", agentId, pattern }
  *   { type: "msg.sub.list", agentId }
  *   { type: "msg.unmatched", options? }
  *   { type: "msg.unmatched.clear" }
+ *   { type: "msg.ack", agentId, messageId, consumer? }
+ *   { type: "msg.nack", agentId, messageId, reason, consumer?, sessionId? }
+ *   { type: "msg.dlq.list", agentId, options? }          options: { limit }
+ *   { type: "msg.dlq.replay", agentId, messageIds? }     (default: the whole queue)
  *
  * ── Session Messaging (msg.session.*) ──────────────────────────────────
- *   { type: "msg.session.sub.add", agentId, sessionId, pattern }
+ *   { type: "msg.session.sub.add", agentId, sessionId, pattern, filter? }
  *   { type: "msg.session.sub.remove", agentId, sessionId, pattern }
  *   { type: "msg.session.sub.list", agentId, sessionId }
  *   { type: "msg.session.listen", agentId, sessionId }
- *   { type: "msg.session.receive", agentId, sessionId }
+ *   { type: "msg.session.receive", agentId, sessionId, consumer? }
  *   { type: "msg.session.history", agentId, sessionId, options? }
  *
  * ── Sessions ─────────────────────────────────────────────────────────
@@ -71,9 +97,23 @@
  *   { type: "session.status", sessionId, agentId, status, startedAt?, endedAt?, durationMs?, reason?, error? }
  *   { type: "agent.status", agentId, isWorking, activeSessions, activeCount }
  *
+ * ── Auto-Turns ───────────────────────────────────────────────────────
+ *   { type: "turns.stats" }                              → turns.stats.ok { stats } (counters, queued, interrupted)
+ *   { type: "turns.interrupted.list" }                   → turns.interrupted.list.ok { turns } (restart-interrupted,
+ *                                                          awaiting a decision under TURN_RECOVERY=ask)
+ *   { type: "turns.interrupted.resolve", turnId, action } action: "rerun" | "fail"
+ *                                                        → turns.interrupted.resolve.ok { resolved }
+ *
  * ── Conversation History ─────────────────────────────────────────────
  *   { type: "conversation.history", agent, sessionId }
  *
+ * ── Federation ───────────────────────────────────────────────────────
+ *   { type: "federation.status" }  → { type: "federation.status.result", nodeId, port, links, peers }
+ *
+ * ── Tracing ──────────────────────────────────────────────────────────
+ *   { type: "trace.get", correlationId }
+ *     → { type: "trace.get.result", correlationId, events, chain }
+ *
  * ── Log Search ───────────────────────────────────────────────────────
  *   { type: "logs.search", options }
  *   { type: "logs.conversations", agentPrefix? }
@@ -87,6 +127,10 @@ const fs = require('fs');
 const os = require('os');
 const { WebSocketServer } = require('ws');
 const crypto = require('crypto');
+const { logger } = require('./logger');
+const { newCorrelationId, isValidCorrelationId } = require('./tracer');
+
+const defaultLog = logger.child({ module: 'claudeSocket' });
 
 /** Expand leading ~ to the user's home directory. */
 function expandHome(p) {
@@ -112,10 +156,13 @@ const HEARTBEAT_INTERVAL_MS = 30000;
  * @param {object}   [opts.toolLoader]    - ToolLoader instance
  * @param {object}   [opts.messageBroker] - MessageBroker instance (unified messaging)
  * @param {object}   [opts.logScanner]    - LogScanner instance
+ * @param {object}   [opts.tracer]        - Tracer instance (records tool calls, serves trace.get)
+ * @param {object}   [opts.federation]    - BrokerFederation instance (remote agents, federation.status)
+ * @param {object}   [opts.turnManager]   - AgentTurnManager instance (turns.*)
  * @param {object}   [opts.agentCLIPool]  - AgentCLIPool instance
  * @param {object}   [opts.anthropicClient] - Anthropic API client (for triage/title generation)
  * @param {object}   [opts.log]           - Logger with info/warn/error methods
- * @returns {{ wss: WebSocketServer, close: () => void }}
+ * @returns {{ wss: WebSocketServer, drain: (timeoutMs) => Promise, close: () => Promise, registerHandler }}
  */
 function start(opts = {}) {
   const {
@@ -129,7 +176,10 @@ function start(opts = {}) {
     logScanner,
     agentCLIPool,
     anthropicClient,
-    log = console,
+    tracer,
+    federation,
+    turnManager,
+    log = defaultLog,
   } = opts;
 
   if (!token) throw new Error('claudeSocket: token is required');
@@ -143,6 +193,14 @@ function start(opts = {}) {
     handlers[type] = fn;
   }
 
+  /**
+   * The request's correlationId, or a new one when it starts a trace here.
+   * Validated like the HTTP edge's X-Correlation-Id.
+   */
+  function _correlationIdFor(msg) {
+    return isValidCorrelationId(msg.correlationId) ? msg.correlationId : newCorrelationId();
+  }
+
   function _safeReadJSON(filePath, fallback) {
     try {
       return JSON.parse(fs.readFileSync(filePath, 'utf8'));
@@ -161,6 +219,8 @@ function start(opts = {}) {
   // ─── Active session/agent status tracking ─────────────────────────────
 
   const activeSessions = new Map(); // `${agentId}::${sessionId}` -> metadata
+  const idleWaiters = [];           // resolved when activeSessions empties (drain)
+  let draining = false;
 
   function _sessionKey(agentId, sessionId) {
     return `${agentId || ''}::${sessionId || ''}`;
@@ -250,6 +310,7 @@ function start(opts = {}) {
       const existing = activeSessions.get(key);
       if (!existing) return;
       activeSessions.delete(key);
+      if (activeSessions.size === 0) idleWaiters.splice(0).forEach(resolve => resolve());
       const endedAt = Date.now();
       _broadcastToAuthed({
         type: 'session.status',
@@ -385,6 +446,10 @@ function start(opts = {}) {
             activeSessions: active.map(s => s.sessionId),
           };
         });
+        if (federation) {
+          const local = new Set(agents.map(a => a.id));
+          agents.push(...federation.listRemoteAgents().filter(a => !local.has(a.id)));
+        }
         reply(ws, msg, { type: 'agent.list.result', agents });
       } catch (err) {
         reply(ws, msg, { type: 'agent.list.error', error: err.message });
@@ -476,8 +541,14 @@ function start(opts = {}) {
   }
 
   // Session start/continue/abort always registered
-  registerHandler('session.start', (ws, msg) => handleSessionStart(ws, msg, claudeStreamFn, projectManager, agentCLIPool, toolLoader, anthropicClient, sessionStatusRuntime, log));
-  registerHandler('session.continue', (ws, msg) => handleSessionContinue(ws, msg, claudeStreamFn, projectManager, agentCLIPool, toolLoader, anthropicClient, sessionStatusRuntime, log));
+  registerHandler('session.start', (ws, msg) => {
+    if (draining) return reply(ws, msg, { type: 'session.error', error: 'Server is shutting down' });
+    handleSessionStart(ws, msg, claudeStreamFn, projectManager, agentCLIPool, toolLoader, anthropicClient, sessionStatusRuntime, log);
+  });
+  registerHandler('session.continue', (ws, msg) => {
+    if (draining) return reply(ws, msg, { type: 'session.error', sessionId: msg.sessionId, error: 'Server is shutting down' });
+    handleSessionContinue(ws, msg, claudeStreamFn, projectManager, agentCLIPool, toolLoader, anthropicClient, sessionStatusRuntime, log);
+  });
   registerHandler('session.abort', (ws, msg) => handleSessionAbort(ws, msg, log));
   registerHandler('status.active', (ws, msg) => {
     const snapshot = sessionStatusRuntime.snapshot(msg.agentId || null);
@@ -511,14 +582,34 @@ function start(opts = {}) {
     });
 
     registerHandler('agent.tool.execute', (ws, msg) => {
+      const correlationId = _correlationIdFor(msg);
+      const executionId = crypto.randomUUID().slice(0, 8);
+      const startedAt = Date.now();
+      const traceTool = (outcome) => {
+        if (!tracer) return;
+        tracer.record(correlationId, 'tool.execute', {
+          id: executionId,
+          causationId: msg.causationId || undefined,
+          agentId: msg.agentId,
+          sessionId: msg.sessionId || undefined,
+          toolName: msg.toolName,
+          durationMs: Date.now() - startedAt,
+          ...outcome,
+        });
+      };
+
       const context = {
         messageBroker,
         logScanner,
         sessionId: msg.sessionId || null,
         askUser: createAskUser(msg.agentId, msg.sessionId || null),
+        // Tools that route messages pass these on so the trace continues
+        correlationId,
+        causationId: executionId,
       };
       toolLoader.executeTool(msg.agentId, msg.toolName, msg.input || {}, context)
         .then(result => {
+          traceTool({ isError: !!result?.isError });
           if (result?.isError) {
             appendSessionError(projectManager, msg.agentId, msg.sessionId || null, {
               type: 'agent.tool.result.error',
@@ -527,16 +618,17 @@ function start(opts = {}) {
               output: result.output,
             });
           }
-          reply(ws, msg, { type: 'agent.tool.result', agentId: msg.agentId, toolName: msg.toolName, result });
+          reply(ws, msg, { type: 'agent.tool.result', agentId: msg.agentId, toolName: msg.toolName, correlationId, result });
         })
         .catch(err => {
+          traceTool({ isError: true, error: err.message });
           appendSessionError(projectManager, msg.agentId, msg.sessionId || null, {
             type: 'agent.tool.execute.error',
             toolName: msg.toolName,
             input: msg.input || {},
             error: err.message,
           });
-          reply(ws, msg, { type: 'agent.tool.error', error: err.message });
+          reply(ws, msg, { type: 'agent.tool.error', correlationId, error: err.message });
         });
     });
   }
@@ -613,10 +705,13 @@ function start(opts = {}) {
         const result = messageBroker.send(msg.from, msg.to, {
           command: msg.command,
           payload: msg.payload,
+          priority: msg.priority,
+          ttlMs: msg.ttlMs,
+          correlationId: _correlationIdFor(msg),
         });
         reply(ws, msg, { type: 'msg.send.ok', messageId: result.id, message: result });
       } catch (err) {
-        reply(ws, msg, { type: 'msg.send.error', error: err.message });
+        reply(ws, msg, { type: 'msg.send.error', error: err.message, details: err.details });
       }
     });
 
@@ -627,10 +722,13 @@ function start(opts = {}) {
           payload: msg.payload || {},
           source: msg.source || 'external',
           externalId: msg.externalId,
+          priority: msg.priority,
+          ttlMs: msg.ttlMs,
+          correlationId: _correlationIdFor(msg),
         });
         reply(ws, msg, { type: 'msg.route.ok', ...result });
       } catch (err) {
-        reply(ws, msg, { type: 'msg.route.error', error: err.message });
+        reply(ws, msg, { type: 'msg.route.error', error: err.message, details: err.details });
       }
     });
 
@@ -639,6 +737,7 @@ function start(opts = {}) {
         const result = messageBroker.broadcast(msg.from, {
           command: msg.command,
           payload: msg.payload,
+          correlationId: _correlationIdFor(msg),
         });
         reply(ws, msg, { type: 'msg.broadcast.ok', messageId: result.id, message: result });
       } catch (err) {
@@ -646,15 +745,138 @@ function start(opts = {}) {
       }
     });
 
+    registerHandler('msg.request', (ws, msg) => {
+      messageBroker.request(msg.from, msg.path, {
+        command: msg.command || 'message',
+        payload: msg.payload || {},
+        correlationId: _correlationIdFor(msg),
+      }, { timeoutMs: msg.timeoutMs, replyTo: msg.replyTo })
+        .then(result => {
+          reply(ws, msg, { type: 'msg.request.ok', reply: result });
+        })
+        .catch(err => {
+          reply(ws, msg, { type: 'msg.request.error', error: err.message, timedOut: err.code === 'ETIMEDOUT' });
+        });
+    });
+
+    registerHandler('msg.reply', (ws, msg) => {
+      try {
+        const original = { id: msg.inReplyTo, replyTo: msg.replyTo, correlationId: msg.correlationId };
+        const result = messageBroker.reply(original, msg.payload || {}, { from: msg.from, command: msg.command });
+        reply(ws, msg, { type: 'msg.reply.ok', messageId: result.id, message: result });
+      } catch (err) {
+        reply(ws, msg, { type: 'msg.reply.error', error: err.message });
+      }
+    });
+
+    registerHandler('msg.schedule.create', (ws, msg) => {
+      try {
+        const schedule = messageBroker.schedule(msg.from, msg.path, {
+          command: msg.command || 'message',
+          payload: msg.payload || {},
+          correlationId: isValidCorrelationId(msg.correlationId) ? msg.correlationId : undefined,
+        }, { at: msg.at, delayMs: msg.delayMs, cron: msg.cron });
+        reply(ws, msg, { type: 'msg.schedule.create.ok', schedule });
+      } catch (err) {
+        reply(ws, msg, { type: 'msg.schedule.create.error', error: err.message });
+      }
+    });
+
+    registerHandler('msg.schedule.cancel', (ws, msg) => {
+      try {
+        const cancelled = messageBroker.cancelSchedule(msg.scheduleId);
+        reply(ws, msg, { type: 'msg.schedule.cancel.ok', scheduleId: msg.scheduleId, cancelled });
+      } catch (err) {
+        reply(ws, msg, { type: 'msg.schedule.cancel.error', error: err.message });
+      }
+    });
+
+    registerHandler('msg.schedule.list', (ws, msg) => {
+      try {
+        const schedules = messageBroker.listSchedules({ from: msg.from });
+        reply(ws, msg, { type: 'msg.schedule.list.ok', schedules });
+      } catch (err) {
+        reply(ws, msg, { type: 'msg.schedule.list.error', error: err.message });
+      }
+    });
+
+    registerHandler('msg.schemas.list', (ws, msg) => {
+      try {
+        reply(ws, msg, { type: 'msg.schemas.list.ok', schemas: messageBroker.listSchemas({ command: msg.command }) });
+      } catch (err) {
+        reply(ws, msg, { type: 'msg.schemas.list.error', error: err.message });
+      }
+    });
+
+    registerHandler('msg.stats', (ws, msg) => {
+      try {
+        reply(ws, msg, { type: 'msg.stats.ok', stats: messageBroker.getStats() });
+      } catch (err) {
+        reply(ws, msg, { type: 'msg.stats.error', error: err.message });
+      }
+    });
+
+    registerHandler('msg.middleware.list', (ws, msg) => {
+      try {
+        reply(ws, msg, { type: 'msg.middleware.list.ok', middleware: messageBroker.listMiddleware() });
+      } catch (err) {
+        reply(ws, msg, { type: 'msg.middleware.list.error', error: err.message });
+      }
+    });
+
     registerHandler('msg.receive', (ws, msg) => {
       try {
-        const messages = messageBroker.receive(msg.agentId);
+        const messages = messageBroker.receive(msg.agentId, { consumer: msg.consumer });
         reply(ws, msg, { type: 'msg.receive.ok', agentId: msg.agentId, messages });
       } catch (err) {
         reply(ws, msg, { type: 'msg.receive.error', error: err.message });
       }
     });
 
+    registerHandler('msg.ack', (ws, msg) => {
+      try {
+        const result = messageBroker.ack(msg.agentId, msg.messageId, { consumer: msg.consumer });
+        reply(ws, msg, { type: 'msg.ack.ok', agentId: msg.agentId, messageId: msg.messageId, ...result });
+      } catch (err) {
+        reply(ws, msg, { type: 'msg.ack.error', error: err.message });
+      }
+    });
+
+    registerHandler('msg.nack', (ws, msg) => {
+      try {
+        const result = messageBroker.nack(msg.agentId, msg.messageId, msg.reason, {
+          consumer: msg.consumer,
+          sessionId: msg.sessionId || null,
+        });
+        reply(ws, msg, { type: 'msg.nack.ok', agentId: msg.agentId, messageId: msg.messageId, ...result });
+      } catch (err) {
+        reply(ws, msg, { type: 'msg.nack.error', error: err.message });
+      }
+    });
+
+    registerHandler('msg.dlq.list', (ws, msg) => {
+      try {
+        const entries = messageBroker.dlqList(msg.agentId, msg.options || {});
+        reply(ws, msg, { type: 'msg.dlq.list.ok', agentId: msg.agentId, entries });
+      } catch (err) {
+        reply(ws, msg, { type: 'msg.dlq.list.error', error: err.message });
+      }
+    });
+
+    registerHandler('msg.dlq.replay', (ws, msg) => {
+      try {
+        const replayed = messageBroker.dlqReplay(msg.agentId, { messageIds: msg.messageIds });
+        reply(ws, msg, {
+          type: 'msg.dlq.replay.ok',
+          agentId: msg.agentId,
+          replayed: replayed.length,
+          messageIds: replayed.map(e => e.message.id),
+        });
+      } catch (err) {
+        reply(ws, msg, { type: 'msg.dlq.replay.error', error: err.message });
+      }
+    });
+
     registerHandler('msg.listen', (ws, msg) => {
       try {
         const unsub = messageBroker.listen(msg.agentId, (message) => {
@@ -672,16 +894,26 @@ function start(opts = {}) {
 
     registerHandler('msg.history', (ws, msg) => {
       try {
-        const messages = messageBroker.history(msg.agentId, msg.options || {});
-        reply(ws, msg, { type: 'msg.history.ok', agentId: msg.agentId, messages });
+        const { messages, nextCursor } = messageBroker.historyPage(msg.agentId, msg.options || {});
+        reply(ws, msg, { type: 'msg.history.ok', agentId: msg.agentId, messages, nextCursor });
       } catch (err) {
         reply(ws, msg, { type: 'msg.history.error', error: err.message });
       }
     });
 
+    registerHandler('msg.search', (ws, msg) => {
+      try {
+        const { query, pathPattern, source, command, from, agentId, fromTime, toTime, limit } = msg;
+        const messages = messageBroker.search({ query, pathPattern, source, command, from, agentId, fromTime, toTime, limit });
+        reply(ws, msg, { type: 'msg.search.ok', messages });
+      } catch (err) {
+        reply(ws, msg, { type: 'msg.search.error', error: err.message });
+      }
+    });
+
     registerHandler('msg.sub.add', (ws, msg) => {
       try {
-        messageBroker.subscribe(msg.agentId, msg.pattern);
+        messageBroker.subscribe(msg.agentId, msg.pattern, { filter: msg.filter });
         const subscriptions = messageBroker.getSubscriptions(msg.agentId);
         reply(ws, msg, { type: 'msg.sub.add.ok', agentId: msg.agentId, pattern: msg.pattern, subscriptions });
       } catch (err) {
@@ -730,7 +962,7 @@ function start(opts = {}) {
 
     registerHandler('msg.session.sub.add', (ws, msg) => {
       try {
-        messageBroker.subscribeSession(msg.agentId, msg.sessionId, msg.pattern);
+        messageBroker.subscribeSession(msg.agentId, msg.sessionId, msg.pattern, { filter: msg.filter });
         const subscriptions = messageBroker.getSessionSubscriptions(msg.agentId, msg.sessionId);
         reply(ws, msg, { type: 'msg.session.sub.add.ok', agentId: msg.agentId, sessionId: msg.sessionId, pattern: msg.pattern, subscriptions });
       } catch (err) {
@@ -774,7 +1006,7 @@ function start(opts = {}) {
 
     registerHandler('msg.session.receive', (ws, msg) => {
       try {
-        const messages = messageBroker.receiveSession(msg.agentId, msg.sessionId);
+        const messages = messageBroker.receiveSession(msg.agentId, msg.sessionId, { consumer: msg.consumer });
         reply(ws, msg, { type: 'msg.session.receive.ok', agentId: msg.agentId, sessionId: msg.sessionId, messages });
       } catch (err) {
         reply(ws, msg, { type: 'msg.session.receive.error', error: err.message });
@@ -783,14 +1015,68 @@ function start(opts = {}) {
 
     registerHandler('msg.session.history', (ws, msg) => {
       try {
-        const messages = messageBroker.sessionHistory(msg.agentId, msg.sessionId, msg.options || {});
-        reply(ws, msg, { type: 'msg.session.history.ok', agentId: msg.agentId, sessionId: msg.sessionId, messages });
+        const { messages, nextCursor } = messageBroker.sessionHistoryPage(msg.agentId, msg.sessionId, msg.options || {});
+        reply(ws, msg, { type: 'msg.session.history.ok', agentId: msg.agentId, sessionId: msg.sessionId, messages, nextCursor });
       } catch (err) {
         reply(ws, msg, { type: 'msg.session.history.error', error: err.message });
       }
     });
   }
 
+  // ─── Federation handlers ────────────────────────────────────────────────
+
+  if (federation) {
+    registerHandler('federation.status', (ws, msg) => {
+      try {
+        reply(ws, msg, { type: 'federation.status.result', ...federation.status() });
+      } catch (err) {
+        reply(ws, msg, { type: 'federation.status.error', error: err.message });
+      }
+    });
+  }
+
+  // ─── Auto-turn handlers ─────────────────────────────────────────────────
+
+  if (turnManager) {
+    registerHandler('turns.stats', (ws, msg) => {
+      try {
+        reply(ws, msg, { type: 'turns.stats.ok', stats: turnManager.getStats() });
+      } catch (err) {
+        reply(ws, msg, { type: 'turns.stats.error', error: err.message });
+      }
+    });
+
+    registerHandler('turns.interrupted.list', (ws, msg) => {
+      try {
+        reply(ws, msg, { type: 'turns.interrupted.list.ok', turns: turnManager.listInterrupted() });
+      } catch (err) {
+        reply(ws, msg, { type: 'turns.interrupted.list.error', error: err.message });
+      }
+    });
+
+    registerHandler('turns.interrupted.resolve', (ws, msg) => {
+      try {
+        const resolved = turnManager.resolveInterrupted(msg.turnId, msg.action);
+        reply(ws, msg, { type: 'turns.interrupted.resolve.ok', turnId: msg.turnId, resolved });
+      } catch (err) {
+        reply(ws, msg, { type: 'turns.interrupted.resolve.error', error: err.message });
+      }
+    });
+  }
+
+  // ─── Trace handlers ─────────────────────────────────────────────────────
+
+  if (tracer) {
+    registerHandler('trace.get', (ws, msg) => {
+      try {
+        const trace = tracer.get(msg.correlationId);
+        reply(ws, msg, { type: 'trace.get.result', ...trace });
+      } catch (err) {
+        reply(ws, msg, { type: 'trace.get.error', error: err.message });
+      }
+    });
+  }
+
   // ─── Log search handlers ────────────────────────────────────────────────
 
   if (logScanner) {
@@ -923,12 +1209,45 @@ function start(opts = {}) {
     log.error(`[claudeSocket] Server error: ${err.message}`);
   });
 
-  const close = () => {
-    clearInterval(heartbeat);
-    wss.close();
+  /**
+   * Refuse new sessions and wait for active streams to finish. Streams still
+   * running after `timeoutMs` are aborted. Other requests (tool calls from
+   * turns that are finishing up) keep working until close().
+   */
+  const drain = async (timeoutMs) => {
+    draining = true;
+    if (activeSessions.size > 0) {
+      log.info(`[claudeSocket] Draining — waiting for ${activeSessions.size} active session(s)`);
+      let timer;
+      const idle = new Promise(resolve => idleWaiters.push(resolve));
+      const deadline = new Promise(resolve => { timer = setTimeout(resolve, timeoutMs); });
+      await Promise.race([idle, deadline]);
+      clearTimeout(timer);
+    }
+
+    const remaining = activeSessions.size;
+    if (remaining > 0) {
+      log.warn(`[claudeSocket] Aborting ${remaining} session(s) still active at shutdown`);
+      for (const client of wss.clients) {
+        for (const [, session] of client._csSessions || []) {
+          if (session.abort) session.abort('shutdown');
+        }
+      }
+    }
+    return { drained: remaining === 0, active: remaining };
   };
 
-  return { wss, close, registerHandler };
+  /** Disconnect every client and stop listening. */
+  const close = () => new Promise((resolve) => {
+    draining = true;
+    clearInterval(heartbeat);
+    for (const client of wss.clients) {
+      client.close(1001, 'Server shutting down');
+    }
+    wss.close(() => resolve());
+  });
+
+  return { wss, drain, close, registerHandler };
 }
 
 // ─── Session handlers ─────────────────────────────────────────────────────────
@@ -943,7 +1262,7 @@ function start(opts = {}) {
  *   - Three-tier memory context as systemPrompt
  *   - Available tool documentation (if toolLoader provided)
  */
-function _resolveAgentOptions(agentId, options, projectManager, agentCLIPool, sessionId, toolLoader, log = console) {
+function _resolveAgentOptions(agentId, options, projectManager, agentCLIPool, sessionId, toolLoader, log = defaultLog) {
   if (!agentId || !projectManager) return { ...options };
 
   let cliOptions;
@@ -1145,7 +1464,7 @@ function _lateAnswersFileForReplay(projectManager, agentId, sessionId) {
   }
 }
 
-function _injectQueuedAskUserAnswers(prompt, projectManager, agentId, sessionId, log = console) {
+function _injectQueuedAskUserAnswers(prompt, projectManager, agentId, sessionId, log = defaultLog) {
   const filePath = _lateAnswersFileForReplay(projectManager, agentId, sessionId);
   if (!filePath || !fs.existsSync(filePath)) return prompt;
 
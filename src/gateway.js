@@ -1,18 +1,43 @@
+/**
+ * gateway.js — WebSocket client for the OpenClaw gateway.
+ *
+ * The gateway is an optional dependency: the server keeps running without it.
+ * After a failed connect or a dropped connection the client reconnects in the
+ * background with exponential backoff (GATEWAY_RECONNECT_MIN_MS doubling up to
+ * GATEWAY_RECONNECT_MAX_MS, with jitter) until close() is called. An attempt
+ * that hasn't completed its handshake within GATEWAY_CONNECT_TIMEOUT_MS is
+ * abandoned and counts as a failure.
+ *
+ * Connection state:
+ *   disconnected — connect() hasn't been called
+ *   connecting   — handshake in progress
+ *   connected    — ready for requests
+ *   reconnecting — waiting for the next attempt (see nextRetryAt)
+ *   closed       — close() was called; no further attempts
+ *   disabled     — OPENCLAW_GATEWAY / OPENCLAW_GATEWAY_TOKEN not configured
+ * healthCheck() returns the current state; onStateChange() reports transitions.
+ *
+ * send() while connecting or reconnecting queues the request for up to its
+ * queue TTL (GATEWAY_QUEUE_TTL_MS) and sends it once the handshake completes.
+ * Requests already in flight when the connection drops are rejected, not
+ * replayed.
+ */
+
 const crypto = require('crypto');
 const os = require('os');
+const { EventEmitter } = require('events');
 const WebSocket = require('ws');
 const config = require('../config');
+const { logger } = require('./logger');
 const { loadOrCreateIdentity, signPayload, buildAuthPayload } = require('./deviceIdentity');
 
-let ws = null;
-let handshakeDone = false;
-const pending = new Map(); // id -> { resolve, reject, timer }
-
 const CLIENT_ID = 'openclaw-control-ui';
 const CLIENT_MODE = 'webchat';
 const ROLE = 'operator';
 const SCOPES = ['operator.read', 'operator.write'];
 
+const DEFAULT_TIMEOUT_MS = 30_000;
+
 /**
  * Generate a unique request ID.
  */
@@ -21,225 +46,459 @@ function generateId() {
 }
 
 /**
- * Connect to the OpenClaw gateway over WebSocket.
- * Handles the connect.challenge → connect handshake with device signing.
- * @returns {Promise<void>}
+ * Create a gateway client.
+ *
+ * @param {object} [opts]
+ * @param {string}   [opts.url]              - Gateway URL (http(s):// or ws(s)://)
+ * @param {string}   [opts.token]            - Gateway token
+ * @param {object}   [opts.log]              - Logger
+ * @param {number}   [opts.reconnectMinMs]   - First reconnect delay
+ * @param {number}   [opts.reconnectMaxMs]   - Reconnect delay cap
+ * @param {number}   [opts.connectTimeoutMs] - Time allowed to open the socket and finish the handshake
+ * @param {number}   [opts.queueTtlMs]       - Default time send() waits in the queue while disconnected (0 = don't queue)
+ * @param {number}   [opts.queueMax]         - Maximum queued requests
+ * @param {function} [opts.loadIdentity]     - Device identity loader (injectable for tests)
+ * @param {function} [opts.random]           - Jitter source, injectable for tests
+ * @param {function} [opts.now]              - Clock (ms), injectable for tests
+ * @returns {{ connect, send, healthCheck, onStateChange, close, getConnection }}
  */
-function connect() {
-  return new Promise(async (outerResolve, outerReject) => {
-    try {
-      if (!config.openclawGateway) {
-        return outerReject(new Error('OPENCLAW_GATEWAY is not configured'));
-      }
-      if (!config.openclawGatewayToken) {
-        return outerReject(new Error('OPENCLAW_GATEWAY_TOKEN is not configured'));
-      }
+function createGateway(opts = {}) {
+  const {
+    url = config.openclawGateway,
+    token = config.openclawGatewayToken,
+    log = logger,
+    reconnectMinMs = config.gatewayReconnectMinMs,
+    reconnectMaxMs = config.gatewayReconnectMaxMs,
+    connectTimeoutMs = config.gatewayConnectTimeoutMs,
+    queueTtlMs: defaultQueueTtlMs = config.gatewayQueueTtlMs,
+    queueMax = config.gatewayQueueMax,
+    loadIdentity = loadOrCreateIdentity,
+    random = Math.random,
+    now = Date.now,
+  } = opts;
 
-      const identity = await loadOrCreateIdentity();
-      console.log(`[gateway] device id: ${identity.deviceId}`);
+  let ws = null;
+  let handshakeDone = false;
+  const pending = new Map(); // id -> { resolve, reject, timer }
+  const queue = [];          // { msg, timeoutMs, resolve, reject, timer }
+  const events = new EventEmitter();
 
-      // Convert http(s):// to ws(s):// and pass token as query param
-      const wsUrl = config.openclawGateway
-        .replace(/^http:/, 'ws:')
-        .replace(/^https:/, 'wss:');
+  let state = 'disconnected';
+  let identity = null;
+  let attemptPromise = null;
+  let retryTimer = null;
+  let closing = false;
+  let attempts = 0;          // failed attempts since the last successful handshake
+  let lastError = null;
+  let lastConnectedAt = null;
+  let nextRetryAt = null;
 
-      const urlWithToken = `${wsUrl}?token=${encodeURIComponent(config.openclawGatewayToken)}`;
+  // ─── Connection ───────────────────────────────────────────────────────────
 
-      handshakeDone = false;
-      ws = new WebSocket(urlWithToken, {
-        headers: { Origin: config.openclawGateway },
-      });
+  /**
+   * Connect to the OpenClaw gateway. Resolves once the handshake completes.
+   * On failure the promise rejects and reconnection continues in the
+   * background; call close() to stop it.
+   * @returns {Promise<void>}
+   */
+  function connect() {
+    if (!url || !token) {
+      const err = new Error(`${url ? 'OPENCLAW_GATEWAY_TOKEN' : 'OPENCLAW_GATEWAY'} is not configured`);
+      lastError = err.message;
+      _setState('disabled');
+      return Promise.reject(err);
+    }
 
-      let connectReqId = null;
-      let resolved = false;
+    closing = false;
+    if (state === 'connected') return Promise.resolve();
+    if (attemptPromise) return attemptPromise;
 
-      function finish(err) {
-        if (resolved) return;
-        resolved = true;
-        if (err) outerReject(err);
-        else outerResolve();
-      }
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    return _attempt();
+  }
 
-      ws.on('open', () => {
-        console.log('[gateway] WebSocket open, waiting for challenge...');
-      });
+  function _attempt() {
+    nextRetryAt = null;
+    _setState('connecting');
 
-      ws.on('message', async (data) => {
-        console.log('[gateway] raw message:', data.toString());
-        let msg;
-        try {
-          msg = JSON.parse(data.toString());
-        } catch {
-          return;
+    attemptPromise = _open().then(
+      () => {
+        attemptPromise = null;
+        attempts = 0;
+        lastError = null;
+        lastConnectedAt = now();
+        _setState('connected');
+        _flushQueue();
+      },
+      (err) => {
+        attemptPromise = null;
+        attempts++;
+        lastError = err.message;
+        _scheduleReconnect();
+        throw err;
+      },
+    );
+    return attemptPromise;
+  }
+
+  function _scheduleReconnect() {
+    if (closing || retryTimer) return;
+
+    const base = Math.min(reconnectMaxMs, reconnectMinMs * 2 ** Math.max(0, attempts - 1));
+    const delay = Math.round(base / 2 + random() * base / 2);
+    nextRetryAt = now() + delay;
+    _setState('reconnecting');
+    log.warn(`[gateway] reconnecting in ${delay}ms (attempt ${attempts + 1})${lastError ? ` — last error: ${lastError}` : ''}`);
+
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      _attempt().catch(() => { /* logged by the next _scheduleReconnect */ });
+    }, delay);
+    retryTimer.unref?.();
+  }
+
+  /**
+   * One connection attempt.
+   * Handles the connect.challenge → connect handshake with device signing.
+   */
+  function _open() {
+    return new Promise(async (outerResolve, outerReject) => {
+      try {
+        if (!identity) {
+          identity = await loadIdentity();
+          log.info(`[gateway] device id: ${identity.deviceId}`);
         }
+        if (closing) return outerReject(new Error('Gateway connection closed'));
+
+        // Convert http(s):// to ws(s):// and pass token as query param
+        const wsUrl = url
+          .replace(/^http:/, 'ws:')
+          .replace(/^https:/, 'wss:');
+
+        const urlWithToken = `${wsUrl}?token=${encodeURIComponent(token)}`;
+
+        handshakeDone = false;
+        const socket = new WebSocket(urlWithToken, {
+          headers: { Origin: url },
+        });
+        ws = socket;
+
+        let connectReqId = null;
+        let resolved = false;
+
+        // A gateway that accepts the TCP connection but never answers would
+        // otherwise leave the attempt hanging with no reconnect scheduled
+        const connectTimer = setTimeout(() => {
+          finish(new Error(`Gateway handshake timed out after ${connectTimeoutMs}ms`));
+          socket.terminate();
+        }, connectTimeoutMs);
+        connectTimer.unref?.();
 
-        // Handle challenge during handshake
-        if (msg.type === 'event' && msg.event === 'connect.challenge' && msg.payload?.nonce) {
-          console.log('[gateway] received challenge, signing and sending connect request...');
+        function finish(err) {
+          if (resolved) return;
+          resolved = true;
+          clearTimeout(connectTimer);
+          if (err) outerReject(err);
+          else outerResolve();
+        }
+
+        socket.on('open', () => {
+          log.info('[gateway] WebSocket open, waiting for challenge...');
+        });
+
+        socket.on('message', async (data) => {
+          log.debug('[gateway] raw message:', data.toString());
+          let msg;
           try {
-            connectReqId = generateId();
-            const signedAtMs = Date.now();
-            const payload = buildAuthPayload({
-              deviceId: identity.deviceId,
-              clientId: CLIENT_ID,
-              clientMode: CLIENT_MODE,
-              role: ROLE,
-              scopes: SCOPES,
-              signedAtMs,
-              token: config.openclawGatewayToken,
-              nonce: msg.payload.nonce,
-            });
-            const signature = await signPayload(identity.privateKey, payload);
-
-            const connectMsg = {
-              type: 'req',
-              id: connectReqId,
-              method: 'connect',
-              params: {
-                minProtocol: 3,
-                maxProtocol: 3,
-                client: {
-                  id: CLIENT_ID,
-                  version: '1.0.0',
-                  platform: os.platform(),
-                  mode: CLIENT_MODE,
-                },
+            msg = JSON.parse(data.toString());
+          } catch {
+            return;
+          }
+
+          // Handle challenge during handshake
+          if (msg.type === 'event' && msg.event === 'connect.challenge' && msg.payload?.nonce) {
+            log.info('[gateway] received challenge, signing and sending connect request...');
+            try {
+              connectReqId = generateId();
+              const signedAtMs = Date.now();
+              const payload = buildAuthPayload({
+                deviceId: identity.deviceId,
+                clientId: CLIENT_ID,
+                clientMode: CLIENT_MODE,
                 role: ROLE,
                 scopes: SCOPES,
-                auth: { token: config.openclawGatewayToken },
-                device: {
-                  id: identity.deviceId,
-                  publicKey: identity.publicKey,
-                  signature,
-                  signedAt: signedAtMs,
-                  nonce: msg.payload.nonce,
+                signedAtMs,
+                token,
+                nonce: msg.payload.nonce,
+              });
+              const signature = await signPayload(identity.privateKey, payload);
+
+              const connectMsg = {
+                type: 'req',
+                id: connectReqId,
+                method: 'connect',
+                params: {
+                  minProtocol: 3,
+                  maxProtocol: 3,
+                  client: {
+                    id: CLIENT_ID,
+                    version: '1.0.0',
+                    platform: os.platform(),
+                    mode: CLIENT_MODE,
+                  },
+                  role: ROLE,
+                  scopes: SCOPES,
+                  auth: { token },
+                  device: {
+                    id: identity.deviceId,
+                    publicKey: identity.publicKey,
+                    signature,
+                    signedAt: signedAtMs,
+                    nonce: msg.payload.nonce,
+                  },
                 },
-              },
-            };
-            ws.send(JSON.stringify(connectMsg));
-          } catch (err) {
-            finish(new Error(`Failed to sign challenge: ${err.message}`));
+              };
+              socket.send(JSON.stringify(connectMsg));
+            } catch (err) {
+              finish(new Error(`Failed to sign challenge: ${err.message}`));
+              socket.close();
+            }
+            return;
           }
-          return;
-        }
 
-        // Handle handshake response
-        if (!handshakeDone && msg.id === connectReqId) {
-          if (msg.ok === false || msg.type === 'error' || msg.error) {
-            const errMsg = msg.error?.message || msg.error || 'Gateway handshake failed';
-            finish(new Error(errMsg));
-          } else {
-            console.log('[gateway] handshake complete');
-            handshakeDone = true;
-            finish();
+          // Handle handshake response
+          if (!handshakeDone && msg.id === connectReqId) {
+            if (msg.ok === false || msg.type === 'error' || msg.error) {
+              const errMsg = msg.error?.message || msg.error || 'Gateway handshake failed';
+              finish(new Error(errMsg));
+              socket.close();
+            } else {
+              log.info('[gateway] handshake complete');
+              handshakeDone = true;
+              finish();
+            }
+            return;
           }
-          return;
-        }
 
-        // Normal message routing
-        const entry = pending.get(msg.id);
-        if (entry) {
-          clearTimeout(entry.timer);
-          pending.delete(msg.id);
-
-          if (msg.type === 'tool_result') {
-            entry.resolve(msg.result);
-          } else if (msg.type === 'res') {
-            entry.resolve(msg.result || msg);
-          } else if (msg.type === 'error') {
-            entry.reject(new Error(msg.error || 'Gateway returned an error'));
-          } else {
-            entry.resolve(msg);
+          // Normal message routing
+          const entry = pending.get(msg.id);
+          if (entry) {
+            clearTimeout(entry.timer);
+            pending.delete(msg.id);
+
+            if (msg.type === 'tool_result') {
+              entry.resolve(msg.result);
+            } else if (msg.type === 'res') {
+              entry.resolve(msg.result || msg);
+            } else if (msg.type === 'error') {
+              entry.reject(new Error(msg.error || 'Gateway returned an error'));
+            } else {
+              entry.resolve(msg);
+            }
           }
-        }
-      });
+        });
 
-      ws.on('error', (err) => {
-        for (const [id, entry] of pending) {
-          clearTimeout(entry.timer);
-          entry.reject(err);
-        }
-        pending.clear();
-        finish(err);
-      });
+        socket.on('error', (err) => {
+          _rejectPending(err);
+          finish(err);
+        });
+
+        socket.on('close', (code, reason) => {
+          // Failed attempts are reported by _scheduleReconnect
+          log[handshakeDone ? 'info' : 'debug'](`[gateway] connection closed: code=${code} reason=${reason?.toString() || '(none)'}`);
+          _rejectPending(new Error('Gateway connection closed'));
+          if (ws !== socket) return;
 
-      ws.on('close', (code, reason) => {
-        console.log(`[gateway] connection closed: code=${code} reason=${reason?.toString() || '(none)'}`);
-        for (const [id, entry] of pending) {
-          clearTimeout(entry.timer);
-          entry.reject(new Error('Gateway connection closed'));
+          const wasConnected = handshakeDone;
+          handshakeDone = false;
+          ws = null;
+          finish(new Error(`Gateway connection closed (code=${code})`));
+
+          // Dropped after a successful handshake — start over
+          if (wasConnected && !closing) {
+            lastError = `Connection closed (code=${code})`;
+            _scheduleReconnect();
+          }
+        });
+      } catch (err) {
+        outerReject(err);
+      }
+    });
+  }
+
+  // ─── Requests ─────────────────────────────────────────────────────────────
+
+  /**
+   * Send a message to the gateway and wait for the response.
+   *
+   * While the gateway is connecting or reconnecting the request waits in a
+   * queue for up to `queueTtlMs`, then is sent; `timeoutMs` starts once it is.
+   *
+   * @param {Object} message - The full message object (must include id and type)
+   * @param {number} [timeoutMs=30000] - Timeout in milliseconds
+   * @param {object} [opts]
+   * @param {number} [opts.queueTtlMs] - Max time to wait for a connection (0 = fail fast)
+   * @returns {Promise<Object>} The result from the gateway response
+   */
+  function send(message, timeoutMs = DEFAULT_TIMEOUT_MS, { queueTtlMs = defaultQueueTtlMs } = {}) {
+    const id = message.id || generateId();
+    const msg = { ...message, id };
+
+    if (state === 'connected') return _dispatch(msg, timeoutMs);
+
+    if (state === 'disabled') return Promise.reject(new Error('Gateway is not configured'));
+    if (state === 'closed') return Promise.reject(new Error('Gateway connection closed'));
+    if ((state !== 'connecting' && state !== 'reconnecting') || !queueTtlMs) {
+      return Promise.reject(new Error('Gateway not connected'));
+    }
+    if (queue.length >= queueMax) {
+      return Promise.reject(new Error(`Gateway not connected and the request queue is full (${queueMax})`));
+    }
+
+    return new Promise((resolve, reject) => {
+      const item = { msg, timeoutMs, resolve, reject, timer: null };
+      item.timer = setTimeout(() => {
+        queue.splice(queue.indexOf(item), 1);
+        reject(new Error(`Gateway not connected — request ${id} expired after ${queueTtlMs}ms in queue`));
+      }, queueTtlMs);
+      queue.push(item);
+    });
+  }
+
+  function _dispatch(msg, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      if (!ws || ws.readyState !== WebSocket.OPEN) {
+        return reject(new Error('Gateway not connected'));
+      }
+      if (!handshakeDone) {
+        return reject(new Error('Gateway handshake not complete'));
+      }
+
+      const { id } = msg;
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(new Error(`Gateway request ${id} timed out after ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      pending.set(id, { resolve, reject, timer });
+
+      ws.send(JSON.stringify(msg), (err) => {
+        if (err) {
+          clearTimeout(timer);
+          pending.delete(id);
+          reject(err);
         }
-        pending.clear();
-        handshakeDone = false;
-        ws = null;
-        finish(new Error(`Gateway connection closed (code=${code})`));
       });
-    } catch (err) {
-      outerReject(err);
+    });
+  }
+
+  function _flushQueue() {
+    if (queue.length === 0) return;
+    log.info(`[gateway] sending ${queue.length} queued request(s)`);
+    for (const item of queue.splice(0)) {
+      clearTimeout(item.timer);
+      _dispatch(item.msg, item.timeoutMs).then(item.resolve, item.reject);
     }
-  });
-}
+  }
 
-/**
- * Send a message to the gateway and wait for the response.
- * @param {Object} message - The full message object (must include id and type)
- * @param {number} [timeoutMs=30000] - Timeout in milliseconds
- * @returns {Promise<Object>} The result from the gateway response
- */
-function send(message, timeoutMs = 30000) {
-  return new Promise((resolve, reject) => {
-    if (!ws || ws.readyState !== WebSocket.OPEN) {
-      return reject(new Error('Gateway not connected'));
+  function _rejectQueue(err) {
+    for (const item of queue.splice(0)) {
+      clearTimeout(item.timer);
+      item.reject(err);
     }
-    if (!handshakeDone) {
-      return reject(new Error('Gateway handshake not complete'));
+  }
+
+  function _rejectPending(err) {
+    for (const [, entry] of pending) {
+      clearTimeout(entry.timer);
+      entry.reject(err);
     }
+    pending.clear();
+  }
 
-    const id = message.id || generateId();
-    const msg = { ...message, id };
+  // ─── State ────────────────────────────────────────────────────────────────
 
-    const timer = setTimeout(() => {
-      pending.delete(id);
-      reject(new Error(`Gateway request ${id} timed out after ${timeoutMs}ms`));
-    }, timeoutMs);
+  function _setState(next) {
+    if (state === next) return;
+    const prev = state;
+    state = next;
+    events.emit('state', healthCheck(), prev);
+  }
 
-    pending.set(id, { resolve, reject, timer });
+  /**
+   * Current connection state.
+   * @returns {{ connected: boolean, state: string, attempts: number, lastError: string|null,
+   *             lastConnectedAt: number|null, nextRetryAt: number|null, queued: number }}
+   */
+  function healthCheck() {
+    return {
+      connected: state === 'connected' && ws !== null && ws.readyState === WebSocket.OPEN && handshakeDone,
+      state,
+      attempts,
+      lastError,
+      lastConnectedAt,
+      nextRetryAt,
+      queued: queue.length,
+    };
+  }
 
-    ws.send(JSON.stringify(msg), (err) => {
-      if (err) {
-        clearTimeout(timer);
-        pending.delete(id);
-        reject(err);
-      }
-    });
-  });
-}
+  /**
+   * Subscribe to state transitions.
+   * @param {function(object, string)} listener - Called with (healthCheck(), previousState)
+   * @returns {function} Unsubscribe
+   */
+  function onStateChange(listener) {
+    events.on('state', listener);
+    return () => events.removeListener('state', listener);
+  }
 
-/**
- * Check if the gateway WebSocket is connected and handshake is done.
- * @returns {{ connected: boolean }}
- */
-function healthCheck() {
-  return {
-    connected: ws !== null && ws.readyState === WebSocket.OPEN && handshakeDone,
-  };
-}
+  /**
+   * Close the gateway connection and stop reconnecting (used on shutdown).
+   * Pending and queued requests are rejected with "Gateway connection closed".
+   * @returns {Promise<void>}
+   */
+  function close() {
+    closing = true;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    nextRetryAt = null;
+    _rejectQueue(new Error('Gateway connection closed'));
+    if (state !== 'disabled') _setState('closed');
 
-/**
- * Get the underlying WebSocket instance.
- * @returns {WebSocket}
- */
-function getConnection() {
-  if (!ws) {
-    throw new Error('Gateway not connected. Call connect() first.');
+    if (!ws) return Promise.resolve();
+    const socket = ws;
+    if (socket.readyState === WebSocket.CLOSED) return Promise.resolve();
+    return new Promise((resolve) => {
+      socket.once('close', () => resolve());
+      socket.close(1000, 'Server shutting down');
+    });
   }
-  return ws;
+
+  /**
+   * Get the underlying WebSocket instance.
+   * @returns {WebSocket}
+   */
+  function getConnection() {
+    if (!ws) {
+      throw new Error('Gateway not connected. Call connect() first.');
+    }
+    return ws;
+  }
+
+  return { connect, send, healthCheck, onStateChange, close, getConnection };
 }
 
+// Server-wide gateway client, configured from config.js
+const gateway = createGateway();
+
 module.exports = {
-  connect,
-  send,
-  healthCheck,
+  createGateway,
+  connect: gateway.connect,
+  send: gateway.send,
+  healthCheck: gateway.healthCheck,
+  onStateChange: gateway.onStateChange,
+  close: gateway.close,
   generateId,
-  getConnection,
+  getConnection: gateway.getConnection,
 };
@@ -0,0 +1,281 @@
+/**
+ * lifecycle.js — Ordered startup, health and graceful shutdown for the server.
+ *
+ * The server registers each long-lived component once:
+ *
+ *   lifecycle.register('gateway', {
+ *     start: () => gateway.connect(),            // may be async; a throw marks the component failed
+ *     drain: (timeoutMs) => ...,                 // optional — finish in-flight work
+ *     stop:  () => gateway.close(),              // optional — release resources
+ *     check: () => ({ ok: gateway.healthCheck().connected }), // optional — live health details
+ *     critical: true,                            // readiness depends on it (default true)
+ *   });
+ *
+ * startAll() starts components in registration order. A failed component is
+ * recorded (and makes the server not ready if critical) but doesn't stop the
+ * rest from starting.
+ *
+ * shutdown() runs once, however many times it's called:
+ *   1. draining — readiness turns false and every component's drain() runs
+ *      concurrently (stop accepting new work, wait for in-flight work)
+ *   2. stopping — stop() runs in reverse registration order
+ *   3. the logger is flushed (log.close())
+ * The whole sequence shares one deadline (SHUTDOWN_TIMEOUT_MS); a drain or
+ * stop still pending at the deadline is abandoned and shutdown moves on.
+ *
+ * While draining, HTTP requests get 503 with Retry-After from the
+ * rejectWhileDraining() middleware, except the paths it exempts (health).
+ *
+ * Health:
+ *   live  — the process is up and not yet stopped
+ *   ready — startup finished, not draining, and every critical component is
+ *           running with check().ok !== false
+ */
+
+const config = require('../config');
+const { logger } = require('./logger');
+
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 30_000;
+// Even past the deadline, give each stop() this long to release resources
+const MIN_STOP_MS = 1000;
+const DEFAULT_DRAIN_RETRY_AFTER_SEC = 5;
+
+/**
+ * Resolve with `promise`, or with `fallback` after `ms`.
+ */
+function _withTimeout(promise, ms, fallback) {
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(() => resolve(fallback), ms); });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create a Lifecycle.
+ *
+ * @param {object} [opts]
+ * @param {object}   [opts.log]               - Logger (close() is awaited at the end of shutdown)
+ * @param {number}   [opts.shutdownTimeoutMs] - Deadline for the whole shutdown sequence
+ * @param {function} [opts.now]               - Clock (ms), injectable for tests
+ * @returns {{ register, startAll, shutdown, health, isDraining, rejectWhileDraining, handleSignals }}
+ */
+function createLifecycle(opts = {}) {
+  const {
+    log = logger,
+    shutdownTimeoutMs = DEFAULT_SHUTDOWN_TIMEOUT_MS,
+    now = Date.now,
+  } = opts;
+
+  // name → { spec, state, error, startedAt }
+  // state: pending | starting | running | failed | draining | stopping | stopped
+  const components = new Map();
+
+  // starting | running | draining | stopped
+  let state = 'starting';
+  let shutdownPromise = null;
+
+  /**
+   * Register a component. Order matters: components start in registration
+   * order and stop in reverse.
+   */
+  function register(name, spec = {}) {
+    if (!name) throw new Error('lifecycle: component name is required');
+    if (components.has(name)) throw new Error(`lifecycle: component "${name}" is already registered`);
+    components.set(name, {
+      spec: { critical: true, ...spec },
+      state: 'pending',
+      error: null,
+      startedAt: null,
+    });
+  }
+
+  /**
+   * Start every registered component in order.
+   * @returns {Promise<object>} health() after startup
+   */
+  async function startAll() {
+    for (const [name, entry] of components) {
+      if (state !== 'starting') break; // shutdown began mid-startup
+
+      entry.state = 'starting';
+      try {
+        if (entry.spec.start) await entry.spec.start();
+        entry.state = 'running';
+        entry.startedAt = now();
+        log.info(`[lifecycle] Started ${name}`);
+      } catch (err) {
+        entry.state = 'failed';
+        entry.error = err.message;
+        const level = entry.spec.critical ? 'error' : 'warn';
+        log[level](`[lifecycle] Failed to start ${name}: ${err.message}`);
+      }
+    }
+
+    if (state === 'starting') state = 'running';
+    const snapshot = health();
+    log.info(`[lifecycle] Startup complete — ${snapshot.ready ? 'ready' : 'NOT ready'}`);
+    return snapshot;
+  }
+
+  /**
+   * Drain and stop every component, then flush logs. Idempotent.
+   *
+   * @param {string} [reason] - Logged (e.g. "SIGTERM")
+   * @returns {Promise<{ drained: boolean, durationMs: number }>}
+   */
+  function shutdown(reason = 'shutdown') {
+    if (!shutdownPromise) shutdownPromise = _shutdown(reason);
+    return shutdownPromise;
+  }
+
+  async function _shutdown(reason) {
+    const startedAt = now();
+    const deadline = startedAt + shutdownTimeoutMs;
+    const remaining = () => Math.max(0, deadline - now());
+    state = 'draining';
+    log.info(`[lifecycle] Shutting down (${reason}) — draining for up to ${shutdownTimeoutMs}ms`);
+
+    // Phase 1: drain everything concurrently
+    const active = [...components].filter(([, entry]) => entry.state === 'running');
+    const results = await Promise.all(active.map(async ([name, entry]) => {
+      if (!entry.spec.drain) return true;
+      entry.state = 'draining';
+      try {
+        const done = await _withTimeout(
+          Promise.resolve(entry.spec.drain(remaining())).then(() => true),
+          remaining(),
+          false,
+        );
+        if (!done) log.warn(`[lifecycle] ${name} did not drain before the deadline`);
+        return done;
+      } catch (err) {
+        log.error(`[lifecycle] Error draining ${name}: ${err.message}`);
+        return false;
+      }
+    }));
+    const drained = results.every(Boolean);
+
+    // Phase 2: stop in reverse order
+    for (const [name, entry] of [...components].reverse()) {
+      if (entry.state === 'pending' || entry.state === 'failed' || entry.state === 'stopped') continue;
+      entry.state = 'stopping';
+      try {
+        if (entry.spec.stop) {
+          const done = await _withTimeout(
+            Promise.resolve(entry.spec.stop()).then(() => true),
+            Math.max(remaining(), MIN_STOP_MS),
+            false,
+          );
+          if (!done) log.warn(`[lifecycle] ${name} did not stop in time`);
+        }
+        log.info(`[lifecycle] Stopped ${name}`);
+      } catch (err) {
+        log.error(`[lifecycle] Error stopping ${name}: ${err.message}`);
+      }
+      entry.state = 'stopped';
+    }
+
+    state = 'stopped';
+    const durationMs = now() - startedAt;
+    log.info(`[lifecycle] Shutdown complete in ${durationMs}ms${drained ? '' : ' (some work was abandoned)'}`);
+
+    // Last: flush log files
+    if (typeof log.close === 'function') {
+      try { await log.close(); } catch { /* nothing left to report to */ }
+    }
+
+    return { drained, durationMs };
+  }
+
+  /**
+   * Liveness, readiness and per-component state.
+   */
+  function health() {
+    const details = {};
+    let criticalHealthy = true;
+
+    for (const [name, entry] of components) {
+      let checked = {};
+      if (entry.spec.check && entry.state === 'running') {
+        try {
+          checked = entry.spec.check() || {};
+        } catch (err) {
+          checked = { ok: false, checkError: err.message };
+        }
+      }
+      const healthy = entry.state === 'running' && checked.ok !== false;
+      if (entry.spec.critical && !healthy) criticalHealthy = false;
+
+      details[name] = {
+        state: entry.state,
+        healthy,
+        critical: entry.spec.critical,
+        ...(entry.error ? { error: entry.error } : {}),
+        ...(entry.startedAt ? { uptimeMs: now() - entry.startedAt } : {}),
+        ...checked,
+      };
+    }
+
+    return {
+      state,
+      live: state !== 'stopped',
+      ready: state === 'running' && criticalHealthy,
+      components: details,
+    };
+  }
+
+  function isDraining() {
+    return state === 'draining' || state === 'stopped';
+  }
+
+  /**
+   * Express middleware that turns new requests away with 503 once shutdown
+   * has begun, so nothing starts work (or a claude process) mid-drain.
+   *
+   * @param {object} [opts]
+   * @param {string[]} [opts.exempt]        - Paths still served, with everything below them
+   * @param {number}   [opts.retryAfterSec] - Retry-After header (seconds)
+   * @returns {function} Express middleware
+   */
+  function rejectWhileDraining({ exempt = [], retryAfterSec = DEFAULT_DRAIN_RETRY_AFTER_SEC } = {}) {
+    return function drainGuard(req, res, next) {
+      if (!isDraining() || exempt.some(p => req.path === p || req.path.startsWith(p + '/'))) return next();
+      res.set('Retry-After', String(retryAfterSec));
+      res.status(503).json({ error: 'Server is shutting down', retryAfter: retryAfterSec });
+    };
+  }
+
+  /**
+   * Shut down on SIGTERM/SIGINT and exit. A second signal exits immediately.
+   *
+   * @param {object} [opts]
+   * @param {string[]} [opts.signals] - Signals to handle
+   * @param {object}   [opts.proc]    - process-like emitter (injectable for tests)
+   * @param {function} [opts.exit]    - Exit function (default proc.exit)
+   * @returns {function} Removes the handlers
+   */
+  function handleSignals({ signals = ['SIGTERM', 'SIGINT'], proc = process, exit = (code) => proc.exit(code) } = {}) {
+    const onSignal = (signal) => {
+      if (shutdownPromise) {
+        log.warn(`[lifecycle] ${signal} received during shutdown — exiting now`);
+        exit(1);
+        return;
+      }
+      shutdown(signal).then(
+        ({ drained }) => exit(drained ? 0 : 1),
+        () => exit(1),
+      );
+    };
+
+    for (const signal of signals) proc.on(signal, onSignal);
+    return () => {
+      for (const signal of signals) proc.removeListener(signal, onSignal);
+    };
+  }
+
+  return { register, startAll, shutdown, health, isDraining, rejectWhileDraining, handleSignals };
+}
+
+// Server-wide lifecycle, shared with routes (e.g. /health)
+const lifecycle = createLifecycle({ shutdownTimeoutMs: config.shutdownTimeoutMs });
+
+module.exports = { createLifecycle, lifecycle };
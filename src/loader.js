@@ -1,13 +1,41 @@
 const fs = require('fs');
 const path = require('path');
+const { compileRouteSchema, createSchemaMiddleware } = require('./routeSchema');
 
-const REQUIRED_EXPORTS = ['path', 'method', 'handler'];
+const SUPPORTED_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'all'];
+const DEFAULT_DEBOUNCE_MS = 200;
+const DEFAULT_POLL_INTERVAL_MS = 5000;
 
 class RouteLoader {
-  constructor(routesDir, logger) {
+  /**
+   * @param {string} routesDir - Directory to scan for route modules
+   * @param {object} logger - Logger with info/warn/error methods
+   * @param {object} [opts]
+   * @param {number} [opts.debounceMs] - Quiet period before a change triggers a reload
+   * @param {number} [opts.pollIntervalMs] - Polling interval when fs.watch is unavailable
+   * @param {boolean} [opts.validateResponses] - Check res.json() bodies against route response schemas
+   * @param {object} [opts.auth] - Route authenticator (from routeAuth.createRouteAuth)
+   * @param {object} [opts.limiter] - Route limiter (from routeLimiter.createRouteLimiter)
+   */
+  constructor(routesDir, logger, opts = {}) {
     this.routesDir = routesDir;
     this.log = logger;
     this.routes = new Map();
+
+    this.debounceMs = opts.debounceMs || DEFAULT_DEBOUNCE_MS;
+    this.pollIntervalMs = opts.pollIntervalMs || DEFAULT_POLL_INTERVAL_MS;
+    this.validateResponses = !!opts.validateResponses;
+    this.auth = opts.auth || null;
+    this.limiter = opts.limiter || null;
+
+    // Reload bookkeeping — incremented on every scan()
+    this.generation = 0;
+    this.lastReloadAt = null;
+
+    this._watcher = null;
+    this._pollTimer = null;
+    this._debounceTimer = null;
+    this._fingerprint = null;
   }
 
   /**
@@ -42,9 +70,116 @@ class RouteLoader {
     if (removed.length) this.log.info(`Routes removed: ${removed.join(', ')}`);
 
     this.routes = discovered;
+    this.generation++;
+    this.lastReloadAt = Date.now();
+    this._fingerprint = this._computeFingerprint();
     return Array.from(discovered.values());
   }
 
+  /**
+   * Watch the routes directory and call onReload(routes) after each rescan.
+   * Uses a recursive fs.watch with debouncing; falls back to polling file
+   * mtimes every pollIntervalMs when watching isn't supported.
+   */
+  watch(onReload) {
+    this.unwatch();
+    this._onReload = onReload;
+
+    try {
+      this._watcher = fs.watch(this.routesDir, { recursive: true }, (_event, filename) => {
+        // Ignore non-JS files; extensionless names may be directories (added/removed subfolders)
+        const ext = filename ? path.extname(String(filename)) : '';
+        if (ext && ext !== '.js') return;
+        this._scheduleReload();
+      });
+      this._watcher.on('error', (err) => {
+        this.log.warn(`Route watcher error: ${err.message} — falling back to polling`);
+        this._closeWatcher();
+        this._startPolling();
+      });
+      this.log.info(`Watching ${this.routesDir} for route changes`);
+    } catch (err) {
+      this.log.warn(`fs.watch unavailable for ${this.routesDir} (${err.message}) — polling every ${this.pollIntervalMs}ms`);
+      this._startPolling();
+    }
+  }
+
+  /**
+   * Stop watching/polling for route changes.
+   */
+  unwatch() {
+    this._closeWatcher();
+    if (this._pollTimer) {
+      clearInterval(this._pollTimer);
+      this._pollTimer = null;
+    }
+    if (this._debounceTimer) {
+      clearTimeout(this._debounceTimer);
+      this._debounceTimer = null;
+    }
+  }
+
+  _closeWatcher() {
+    if (this._watcher) {
+      this._watcher.close();
+      this._watcher = null;
+    }
+  }
+
+  _startPolling() {
+    if (this._pollTimer) return;
+    this._pollTimer = setInterval(() => {
+      if (this._computeFingerprint() !== this._fingerprint) {
+        this._scheduleReload();
+      }
+    }, this.pollIntervalMs);
+    this._pollTimer.unref();
+  }
+
+  _scheduleReload() {
+    if (this._debounceTimer) clearTimeout(this._debounceTimer);
+    this._debounceTimer = setTimeout(() => {
+      this._debounceTimer = null;
+      const routes = this.scan();
+      this.log.info(`Routes reloaded (generation ${this.generation})`);
+      if (this._onReload) {
+        try {
+          this._onReload(routes);
+        } catch (err) {
+          this.log.error(`Route reload callback failed: ${err.message}`);
+        }
+      }
+    }, this.debounceMs);
+  }
+
+  /**
+   * Cheap change detector: relative path + mtime + size of every .js file.
+   */
+  _computeFingerprint() {
+    const parts = [];
+    const walk = (dir) => {
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch {
+        return;
+      }
+      for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(full);
+        } else if (entry.isFile() && entry.name.endsWith('.js')) {
+          try {
+            const stat = fs.statSync(full);
+            parts.push(`${full}:${stat.mtimeMs}:${stat.size}`);
+          } catch { /* removed mid-walk */ }
+        }
+      }
+    };
+    walk(this.routesDir);
+    return parts.sort().join('|');
+  }
+
   /**
    * Recursively scan a directory for .js route files.
    * prefix is the path segment derived from subfolder structure (e.g. '/api').
@@ -75,24 +210,50 @@ class RouteLoader {
       delete require.cache[require.resolve(filePath)];
       const mod = require(filePath);
 
-      for (const key of REQUIRED_EXPORTS) {
-        if (!(key in mod)) {
-          this.log.warn(`Route ${relFile} missing required export "${key}" — skipped`);
-          return null;
-        }
+      if (!('path' in mod)) {
+        this.log.warn(`Route ${relFile} missing required export "path" — skipped`);
+        return null;
       }
 
-      const method = mod.method.toLowerCase();
-      if (!['get', 'post', 'put', 'patch', 'delete'].includes(method)) {
-        this.log.warn(`Route ${relFile} has unsupported method "${mod.method}" — skipped`);
-        return null;
+      const handlers = this._resolveHandlers(mod, relFile);
+      if (!handlers) return null;
+
+      const middleware = this._resolveMiddleware(mod, relFile);
+      if (!middleware) return null;
+
+      const routePath = prefix + mod.path;
+
+      const auth = this._resolveAuth(mod, relFile, routePath);
+      if (!auth) return null;
+
+      const limits = this._resolveLimits(mod, relFile, routePath);
+      if (!limits) return null;
+
+      let validate = null;
+      if (mod.schema !== undefined) {
+        try {
+          validate = createSchemaMiddleware(compileRouteSchema(mod.schema), {
+            label: `${routePath} (${relFile})`,
+            validateResponses: this.validateResponses,
+            log: this.log,
+          });
+        } catch (err) {
+          this.log.warn(`Route ${relFile} has an invalid schema: ${err.message} — skipped`);
+          return null;
+        }
       }
 
       return {
         file: relFile,
-        path: prefix + mod.path,
-        method,
-        handler: mod.handler,
+        path: routePath,
+        handlers: limits.limit ? handlers.map(h => ({ ...h, handler: _holdingLimit(h.handler) })) : handlers,
+        middleware,
+        auth: auth.entries,
+        authenticate: auth.authenticate,
+        limits: limits.limits,
+        limit: limits.limit,
+        schema: mod.schema || null,
+        validate,
         description: mod.description || '',
       };
     } catch (err) {
@@ -101,17 +262,176 @@ class RouteLoader {
     }
   }
 
+  /**
+   * Normalize a module's handlers into [{ method, handler }].
+   *
+   * Accepts either the single-method contract ({ method, handler }) or a
+   * `handlers` map keyed by method ({ handlers: { GET: fn, POST: fn } }).
+   * Returns null (after logging) if the module is invalid.
+   */
+  _resolveHandlers(mod, relFile) {
+    let entries;
+
+    if (mod.handlers !== undefined) {
+      if (!mod.handlers || typeof mod.handlers !== 'object' || Array.isArray(mod.handlers)) {
+        this.log.warn(`Route ${relFile} export "handlers" must be an object keyed by method — skipped`);
+        return null;
+      }
+      entries = Object.entries(mod.handlers);
+    } else {
+      for (const key of ['method', 'handler']) {
+        if (!(key in mod)) {
+          this.log.warn(`Route ${relFile} missing required export "${key}" — skipped`);
+          return null;
+        }
+      }
+      entries = [[mod.method, mod.handler]];
+    }
+
+    if (entries.length === 0) {
+      this.log.warn(`Route ${relFile} has no handlers — skipped`);
+      return null;
+    }
+
+    const handlers = [];
+    for (const [rawMethod, handler] of entries) {
+      const method = String(rawMethod).toLowerCase();
+      if (!SUPPORTED_METHODS.includes(method)) {
+        this.log.warn(`Route ${relFile} has unsupported method "${rawMethod}" — skipped`);
+        return null;
+      }
+      if (typeof handler !== 'function') {
+        this.log.warn(`Route ${relFile} handler for ${method.toUpperCase()} is not a function — skipped`);
+        return null;
+      }
+      handlers.push({ method, handler });
+    }
+
+    return handlers;
+  }
+
+  /**
+   * Normalize the optional `middleware` export (a function or an array of
+   * functions) into an array. Returns null (after logging) if invalid.
+   */
+  _resolveMiddleware(mod, relFile) {
+    if (mod.middleware === undefined) return [];
+
+    const middleware = [].concat(mod.middleware);
+    if (!middleware.every(fn => typeof fn === 'function')) {
+      this.log.warn(`Route ${relFile} export "middleware" must be a function or array of functions — skipped`);
+      return null;
+    }
+    return middleware;
+  }
+
+  /**
+   * Normalize the optional `auth` export and build its middleware.
+   * Routes that declare auth are skipped (fail closed) if it can't be enforced.
+   * Returns { entries, authenticate } or null (after logging) if invalid.
+   */
+  _resolveAuth(mod, relFile, routePath) {
+    if (mod.auth === undefined || mod.auth === false) {
+      return { entries: [], authenticate: null };
+    }
+    if (!this.auth) {
+      this.log.warn(`Route ${relFile} declares "auth" but no authenticator is configured — skipped`);
+      return null;
+    }
+
+    try {
+      const entries = this.auth.normalize(mod.auth);
+      const authenticate = entries.length
+        ? this.auth.createMiddleware(entries, `${routePath} (${relFile})`)
+        : null;
+      return { entries, authenticate };
+    } catch (err) {
+      this.log.warn(`Route ${relFile} has invalid auth: ${err.message} — skipped`);
+      return null;
+    }
+  }
+
+  /**
+   * Normalize the optional `limits` export and build its middleware.
+   * Limiter state is keyed by route file, so it carries over hot reloads.
+   * Returns { limits, limit } or null (after logging) if invalid.
+   */
+  _resolveLimits(mod, relFile, routePath) {
+    if (mod.limits === undefined || mod.limits === false) {
+      return { limits: null, limit: null };
+    }
+    if (!this.limiter) {
+      this.log.warn(`Route ${relFile} declares "limits" but no limiter is configured — skipped`);
+      return null;
+    }
+
+    try {
+      const limits = this.limiter.normalize(mod.limits);
+      const limit = limits
+        ? this.limiter.createMiddleware(limits, relFile, `${routePath} (${relFile})`)
+        : null;
+      return { limits, limit };
+    } catch (err) {
+      this.log.warn(`Route ${relFile} has invalid limits: ${err.message} — skipped`);
+      return null;
+    }
+  }
+
+  /**
+   * Reload metadata for diagnostics.
+   */
+  status() {
+    return {
+      generation: this.generation,
+      lastReloadAt: this.lastReloadAt ? new Date(this.lastReloadAt).toISOString() : null,
+      mode: this._watcher ? 'watch' : (this._pollTimer ? 'poll' : 'manual'),
+    };
+  }
+
+  /**
+   * Return the full route definitions from the last scan.
+   */
+  getRoutes() {
+    return Array.from(this.routes.values());
+  }
+
   /**
    * Return the currently loaded routes as a summary (for diagnostics).
    */
   list() {
     return Array.from(this.routes.values()).map(r => ({
-      method: r.method.toUpperCase(),
+      methods: r.handlers.map(h => h.method.toUpperCase()),
       path: r.path,
       file: r.file,
       description: r.description,
+      middleware: r.middleware.map(fn => fn.name || '(anonymous)'),
+      validated: !!r.validate,
+      auth: r.auth.map(a => a.strategy),
+      limits: r.limits,
     }));
   }
 }
 
+/**
+ * Wrap a handler so its concurrency slot stays taken until the handler's
+ * promise settles, not just until the response ends: a client that gives up
+ * doesn't stop the work it started.
+ */
+function _holdingLimit(handler) {
+  return function holdingLimit(req, res, next) {
+    const release = req.holdLimit ? req.holdLimit() : null;
+    if (!release) return handler(req, res, next);
+
+    let result;
+    try {
+      result = handler(req, res, next);
+    } catch (err) {
+      release();
+      throw err;
+    }
+    Promise.resolve(result).then(release, release);
+    return result;
+  };
+}
+
 module.exports = RouteLoader;
@@ -1,8 +1,9 @@
 /**
  * logScanner.js — Grep-like search across agent session logs.
  *
- * Loosely coupled: depends only on Node.js fs/path.
- * Can be extracted to a standalone project by copying this file.
+ * Loosely coupled: depends only on Node.js fs/path, plus the shared logger
+ * for its default `log`. Can be extracted to a standalone project by copying
+ * this file and passing a logger.
  *
  * Searches JSONL session logs (in sessions/) across agent subtrees using regex
  * or text patterns, with filtering by role, type, time range, and agent prefix.
@@ -10,6 +11,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const { logger } = require('./logger');
+
+const defaultLog = logger.child({ module: 'logScanner' });
 
 /**
  * Create a LogScanner instance.
@@ -19,7 +23,7 @@ const path = require('path');
  * @param {object} [log] - Logger
  * @returns {object} LogScanner API
  */
-function createLogScanner(projectRoot, listAgentsFn, log = console) {
+function createLogScanner(projectRoot, listAgentsFn, log = defaultLog) {
   if (!projectRoot) {
     throw new Error('logScanner: projectRoot is required');
   }
@@ -0,0 +1,280 @@
+/**
+ * logger.js — Shared leveled logger with child contexts and rotating log files.
+ *
+ * Every module logs through one root logger (exported as `logger`), configured
+ * from the environment:
+ *
+ *   LOG_LEVEL           — debug | info | warn | error | silent (default: info)
+ *   LOG_FORMAT          — text | json (JSON lines; default: text)
+ *   LOG_DIR             — directory for log files (default: ./log)
+ *   LOG_MAX_SIZE_MB     — rotate a file once it exceeds this size (default: 10)
+ *   LOG_RETENTION_DAYS  — delete rotated files older than this (default: 14)
+ *
+ * Files:
+ *   log/YYYY-MM-DD.log    — everything at or above LOG_LEVEL (a new file per day)
+ *   log/error.log         — warn + error only
+ *   log/<name>.<n>.log    — size-rotated segments of either file
+ *
+ * Child loggers bind context that is included on every line:
+ *
+ *   const turnLog = log.child({ agentId, sessionId, turnId });
+ *   turnLog.info('triage → RUN');
+ *   // text: [INFO]  2025-01-01T00:00:00.000Z [agentId=main sessionId=s1 turnId=ab12cd34] triage → RUN
+ *   // json: {"ts":"...","level":"info","agentId":"main","sessionId":"s1","turnId":"ab12cd34","msg":"triage → RUN"}
+ *
+ * Modules that accept an injected `log` may receive a plain { info, warn, error }
+ * object (tests do); use childLogger(log, context) instead of log.child() there.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_MAX_SIZE_BYTES = 10 * 1024 * 1024;
+const DEFAULT_RETENTION_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function _levelValue(level) {
+  const value = LEVELS[String(level).toLowerCase()];
+  if (value === undefined) throw new Error(`Unknown log level "${level}" (expected ${Object.keys(LEVELS).join(', ')})`);
+  return value;
+}
+
+// ─── Rotating file sink ─────────────────────────────────────────────────────
+
+/**
+ * Append-only log files with size-based rotation and age-based retention.
+ *
+ * @param {object} opts
+ * @param {string} opts.dir
+ * @param {number} opts.maxSizeBytes
+ * @param {number} opts.retentionDays
+ * @param {function} opts.now
+ */
+function _createFileSink({ dir, maxSizeBytes, retentionDays, now }) {
+  // name ('2025-01-01' | 'error') → { stream, size }
+  const files = new Map();
+  let lastPruneDay = null;
+
+  function _ensureDir() {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  }
+
+  function _open(name) {
+    _ensureDir();
+    const filePath = path.join(dir, `${name}.log`);
+    let size = 0;
+    try { size = fs.statSync(filePath).size; } catch { /* new file */ }
+    // Open synchronously so the file exists before any rotation renames it
+    const stream = fs.createWriteStream(null, { fd: fs.openSync(filePath, 'a') });
+    stream.on('error', () => { /* logging must never crash the process */ });
+    const entry = { stream, size };
+    files.set(name, entry);
+    return entry;
+  }
+
+  /** Move name.log aside to the next free name.<n>.log */
+  function _rotate(name) {
+    const entry = files.get(name);
+    if (entry) {
+      entry.stream.end();
+      files.delete(name);
+    }
+
+    let n = 1;
+    while (fs.existsSync(path.join(dir, `${name}.${n}.log`))) n++;
+    try {
+      fs.renameSync(path.join(dir, `${name}.log`), path.join(dir, `${name}.${n}.log`));
+    } catch { /* already moved */ }
+  }
+
+  /** Delete log files not modified within the retention window (checked once per day) */
+  function prune() {
+    const cutoff = now() - retentionDays * DAY_MS;
+    let entries;
+    try {
+      entries = fs.readdirSync(dir);
+    } catch {
+      return;
+    }
+    for (const file of entries) {
+      if (!file.endsWith('.log')) continue;
+      const filePath = path.join(dir, file);
+      try {
+        if (fs.statSync(filePath).mtimeMs < cutoff) fs.unlinkSync(filePath);
+      } catch { /* removed concurrently */ }
+    }
+  }
+
+  function _write(name, line) {
+    let entry = files.get(name) || _open(name);
+    const bytes = Buffer.byteLength(line);
+    if (entry.size > 0 && entry.size + bytes > maxSizeBytes) {
+      _rotate(name);
+      entry = _open(name);
+    }
+    entry.stream.write(line);
+    entry.size += bytes;
+  }
+
+  function write(level, line) {
+    const day = new Date(now()).toISOString().slice(0, 10);
+
+    if (day !== lastPruneDay) {
+      lastPruneDay = day;
+      // Close yesterday's daily file; it's done
+      for (const [name, entry] of files) {
+        if (name !== 'error' && name !== day) {
+          entry.stream.end();
+          files.delete(name);
+        }
+      }
+      prune();
+    }
+
+    _write(day, line);
+    if (level === 'warn' || level === 'error') _write('error', line);
+  }
+
+  /** Flush and close open files. Later writes reopen them. */
+  function close() {
+    const pending = [...files.values()].map(({ stream }) => new Promise(resolve => stream.end(resolve)));
+    files.clear();
+    return Promise.all(pending).then(() => {});
+  }
+
+  return { write, close, prune };
+}
+
+// ─── Logger ─────────────────────────────────────────────────────────────────
+
+function _formatArg(arg, pretty) {
+  if (typeof arg === 'string') return arg;
+  if (arg instanceof Error) return arg.stack || arg.message;
+  try {
+    return JSON.stringify(arg, null, pretty ? 2 : 0);
+  } catch {
+    return String(arg);
+  }
+}
+
+function _isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Create a logger.
+ *
+ * @param {object} [opts]
+ * @param {string}   [opts.level='info']       - Minimum level to emit
+ * @param {string}   [opts.format='text']      - 'text' or 'json' (JSON lines)
+ * @param {string}   [opts.dir]                - Log file directory (omit for console only)
+ * @param {boolean}  [opts.console=true]       - Also write to stdout/stderr
+ * @param {number}   [opts.maxSizeBytes]       - Rotate files larger than this
+ * @param {number}   [opts.retentionDays]      - Delete files older than this
+ * @param {object}   [opts.context]            - Context bound to every line
+ * @param {function} [opts.now]                - Clock (ms), injectable for tests
+ * @returns {{ debug, info, warn, error, child, setLevel, isLevelEnabled, close }}
+ */
+function createLogger(opts = {}) {
+  const {
+    format = 'text',
+    dir = null,
+    console: toConsole = true,
+    maxSizeBytes = DEFAULT_MAX_SIZE_BYTES,
+    retentionDays = DEFAULT_RETENTION_DAYS,
+    now = Date.now,
+  } = opts;
+
+  if (format !== 'text' && format !== 'json') {
+    throw new Error(`Unknown log format "${format}" (expected text or json)`);
+  }
+
+  // Shared by the logger and all of its children
+  const shared = {
+    threshold: _levelValue(opts.level || 'info'),
+    sink: dir ? _createFileSink({ dir, maxSizeBytes, retentionDays, now }) : null,
+  };
+
+  return _build(opts.context || {});
+
+  function _build(boundContext) {
+    // Unset ids (e.g. no sessionId yet) are left out rather than printed as "undefined"
+    const context = {};
+    for (const [key, value] of Object.entries(boundContext)) {
+      if (value !== undefined && value !== null) context[key] = value;
+    }
+    const contextKeys = Object.keys(context);
+    const contextText = contextKeys.length
+      ? `[${contextKeys.map(k => `${k}=${context[k]}`).join(' ')}] `
+      : '';
+
+    function _emit(level, args) {
+      if (LEVELS[level] < shared.threshold) return;
+
+      const ts = new Date(now()).toISOString();
+      let line;
+
+      if (format === 'json') {
+        const text = [];
+        const data = [];
+        for (const arg of args) {
+          if (_isPlainObject(arg) || Array.isArray(arg)) data.push(arg);
+          else text.push(_formatArg(arg, false));
+        }
+        const entry = { ts, level, ...context, msg: text.join(' ') };
+        if (data.length) entry.data = data.length === 1 ? data[0] : data;
+        line = JSON.stringify(entry);
+      } else {
+        const tag = `[${level.toUpperCase()}]`.padEnd(7);
+        line = `${tag} ${ts} ${contextText}${args.map(a => _formatArg(a, true)).join(' ')}`;
+      }
+
+      if (toConsole) {
+        if (level === 'error') console.error(line);
+        else if (level === 'warn') console.warn(line);
+        else console.log(line);
+      }
+      if (shared.sink) shared.sink.write(level, line + '\n');
+    }
+
+    return {
+      debug: (...args) => _emit('debug', args),
+      info: (...args) => _emit('info', args),
+      warn: (...args) => _emit('warn', args),
+      error: (...args) => _emit('error', args),
+
+      /** Logger that adds `extra` to this logger's bound context */
+      child: (extra = {}) => _build({ ...context, ...extra }),
+
+      /** Change the level for this logger and every child */
+      setLevel: (level) => { shared.threshold = _levelValue(level); },
+
+      isLevelEnabled: (level) => _levelValue(level) >= shared.threshold,
+
+      /** Flush and close log files (used on shutdown) */
+      close: () => (shared.sink ? shared.sink.close() : Promise.resolve()),
+    };
+  }
+}
+
+/**
+ * Bind context on any logger — falls back to the logger itself when it
+ * doesn't support child() (console, test doubles).
+ */
+function childLogger(log, context) {
+  return log && typeof log.child === 'function' ? log.child(context) : log;
+}
+
+// Root logger shared by every module. Bad LOG_LEVEL/LOG_FORMAT values fall
+// back to the defaults rather than preventing startup.
+const logger = createLogger({
+  level: config.logLevel.toLowerCase() in LEVELS ? config.logLevel : 'info',
+  format: config.logFormat === 'json' ? 'json' : 'text',
+  dir: config.logDir,
+  maxSizeBytes: config.logMaxSizeMb * 1024 * 1024,
+  retentionDays: config.logRetentionDays,
+});
+
+module.exports = { createLogger, childLogger, logger, LEVELS };
@@ -0,0 +1,95 @@
+/**
+ * messageArchive.js — Dated gzip archives for messages dropped from .messages/.
+ *
+ * Layout:
+ *   {dir}/{stream}/YYYY-MM-DD.jsonl.gz   — messages from that (UTC) day, by timestamp
+ *
+ * Each append() adds a gzip member to the day's file; gunzip reads the
+ * concatenated members back as one JSONL document. Archived messages carry
+ * `archived: true` and the delivery status they had when archived.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { logger } = require('./logger');
+
+const DAY_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl\.gz$/;
+
+/**
+ * Create a MessageArchive.
+ *
+ * @param {string} dir - Archive root (created on first append)
+ * @param {object} [log] - Logger with info/warn/error methods
+ * @returns {{ append, days, readDay }}
+ */
+function createMessageArchive(dir, log = logger) {
+  if (!dir) throw new Error('messageArchive: dir is required');
+
+  /**
+   * Archive messages from a stream, grouped by the day of their timestamp.
+   *
+   * @param {string} stream
+   * @param {object[]} entries - Messages, oldest first
+   */
+  function append(stream, entries) {
+    if (entries.length === 0) return;
+
+    const byDay = new Map();
+    for (const entry of entries) {
+      const day = new Date(entry.timestamp || 0).toISOString().slice(0, 10);
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(JSON.stringify({ ...entry, archived: true }));
+    }
+
+    const streamDir = path.join(dir, stream);
+    fs.mkdirSync(streamDir, { recursive: true });
+    for (const [day, lines] of byDay) {
+      fs.appendFileSync(path.join(streamDir, `${day}.jsonl.gz`), zlib.gzipSync(lines.join('\n') + '\n'));
+    }
+  }
+
+  /**
+   * Days archived for a stream, oldest first.
+   * @returns {string[]} YYYY-MM-DD
+   */
+  function days(stream) {
+    try {
+      return fs.readdirSync(path.join(dir, stream))
+        .map(f => DAY_FILE_PATTERN.exec(f))
+        .filter(Boolean)
+        .map(m => m[1])
+        .sort();
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Messages archived for a stream on one day, in archive order.
+   * @returns {object[]}
+   */
+  function readDay(stream, day) {
+    const filePath = path.join(dir, stream, `${day}.jsonl.gz`);
+    let content;
+    try {
+      content = zlib.gunzipSync(fs.readFileSync(filePath)).toString('utf8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') log.warn(`[messageArchive] Failed to read ${stream}/${day}: ${err.message}`);
+      return [];
+    }
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch { /* skip corrupt line */ }
+    }
+    return entries;
+  }
+
+  return { append, days, readDay };
+}
+
+module.exports = { createMessageArchive };
@@ -14,9 +14,17 @@
  *   webhook/{service}/{topic}         — webhook
  *   {any}/{path}/{segments}           — custom
  *
- * Wildcard matching:
- *   *   — matches exactly one path segment
- *   **  — matches zero or more segments
+ * Wildcard matching (see pathPattern.js):
+ *   *               — matches exactly one path segment
+ *   **              — matches zero or more segments
+ *   #eng-*          — glob within a segment
+ *   {#ops,#alerts}  — alternation within a segment
+ *   :name, #:name   — named capture; delivered copies carry `pathParams`
+ *   !pattern        — negation: excludes paths from a subscriber's other patterns
+ *
+ * Subscriptions are indexed in segment tries (see subscriptionTrie.js), so
+ * routing cost follows the branches a path can reach rather than the number
+ * of subscriptions.
  *
  * Every agent is auto-subscribed to agent/{its-own-id} (computed, not persisted).
  * Custom subscriptions are persisted in jvAgent.json under "subscriptions".
@@ -26,24 +34,125 @@
  * flagged with `handled: true` and `handledBy: [{ agentId, sessionId }]`.
  * Unmatched messages go to .messages/broker-unmatched.jsonl.
  *
+ * A custom or session subscription may carry a content `filter` (see
+ * subscriptionFilter.js) on command, source, sender and payload. A message
+ * reaches a subscriber only if at least one of its subscriptions matching the
+ * path also passes that subscription's filter (no filter passes everything).
+ *
  * Message format:
  * {
- *   id: string,          // UUID
- *   from: string,        // sender (agent ID or system identifier)
- *   path: string,        // delivery path
- *   command: string,     // action verb
- *   payload: object,     // arbitrary data
- *   status: string,      // "pending" | "delivered" | "read"
- *   timestamp: number,   // Unix ms
- *   source: string,      // "internal" | "slack" | "email" | "webhook" | etc.
- *   externalId?: string  // external system message ID
+ *   id: string,             // UUID
+ *   from: string,           // sender (agent ID or system identifier)
+ *   path: string,           // delivery path
+ *   command: string,        // action verb
+ *   payload: object,        // arbitrary data
+ *   status: string,         // "pending" | "delivered" (see Storage)
+ *   timestamp: number,      // Unix ms
+ *   source: string,         // "internal" | "slack" | "email" | "webhook" | etc.
+ *   externalId?: string,    // external system message ID
+ *   correlationId: string,  // trace ID assigned at the edge (defaults to id)
+ *   causationId?: string,   // ID of the turn / tool call that sent this message
+ *   replyTo?: string,       // path a reply should be routed to (requests only)
+ *   inReplyTo?: string,     // ID of the request this message answers (replies only)
+ *   priority: number,       // higher first when the turn manager batches (default 0)
+ *   expiresAt?: number,     // Unix ms; set from `ttlMs` — expired messages are not handed out
+ *   via?: string[],         // federation nodes it came through (messages from peers only)
+ *   pathParams?: object     // named captures of the recipient's matching pattern (delivered copies only)
  * }
+ *
+ * Deduplication:
+ *   A message routed with an `externalId` is idempotent per `source`: routing
+ *   the same source + externalId again within the dedup window (default
+ *   10 min) delivers nothing and returns the original route result, flagged
+ *   `duplicate: true`. Retried webhook and Slack events so reach agents once.
+ *
+ * Request/reply:
+ *   request() routes a message stamped with `replyTo` and resolves with the
+ *   first message routed with `inReplyTo` equal to the request's ID (see
+ *   reply()), or rejects after `timeoutMs`. Replies keep the request's
+ *   correlationId, so both legs land in the same trace; matching uses the
+ *   request ID because one trace can carry many requests.
+ *
+ * With a tracer (see tracer.js), every route() is recorded as a "broker.route"
+ * trace event under the message's correlationId.
+ *
+ * Storage (see messageStore.js):
+ *   Agent and session message files are append-only. receive() reads only
+ *   what was appended since the consumer's cursor and advances it; a message
+ *   is reported as "delivered" once the default consumer's cursor has passed
+ *   it. Old, fully consumed messages are compacted away, and retention
+ *   policies (messageRetention.js) expire messages by age, count and size per
+ *   path prefix. Both roll what they drop into .messages/archive/{stream}/
+ *   YYYY-MM-DD.jsonl.gz, which history() pages into with cursors.
+ *
+ * Acknowledgements (see messageDelivery.js):
+ *   Consumers ack() messages they handled and nack() ones they failed on.
+ *   Nacked messages are retried with backoff — pushed to onRedeliver() hooks,
+ *   or returned by the consumer's next receive() — and after maxAttempts
+ *   failures land in the agent's dead-letter queue (dlqList / dlqReplay).
+ *   broker-unmatched.jsonl remains the log of messages nobody subscribed to.
+ *
+ * Middleware (see messageMiddleware.js):
+ *   Before subscribers are matched, route() runs the message through the
+ *   middleware chain, which can rewrite its path and content, block it, or
+ *   fan copies out to more paths. onRoute() hooks, by contrast, only observe
+ *   deliveries after the fact. Blocked messages are logged to
+ *   broker-unmatched.jsonl with reason "blocked".
+ *
+ * Schemas (see messageSchemas.js):
+ *   Services (registerSchema()) and agents (`messageSchemas` in jvAgent.json)
+ *   declare JSON Schemas for command payloads. route() checks each payload
+ *   against its command's schema: in "warn" mode (default) a mismatch is
+ *   logged and listed in the result's `schemaErrors`; in "reject" mode
+ *   route() throws and nothing is delivered.
+ *
+ * Federation (see brokerFederation.js):
+ *   A forwarder installed with setForwarder() sends each routed message on to
+ *   peer brokers whose advertised subscriptions match its path; peers route
+ *   what they receive with routeRemote(). Messages that are only forwarded
+ *   count as delivered, with the peers listed in `forwardedTo`.
+ *
+ * Scheduling (see messageScheduler.js):
+ *   schedule() routes a message later — at a time, after a delay, or on a
+ *   cron expression. Schedules persist in .messages/schedules.json and survive
+ *   restarts; each delivery has the schedule ID as its causationId.
+ *
+ * Search (see messageSearch.js):
+ *   Every message delivered to an agent or session is added to a full-text
+ *   index in .messages/search/, which search() queries with path, source,
+ *   command, sender, agent and time filters. On first start the index is
+ *   built from the existing streams, and after each retention run messages
+ *   no longer in any stream are pruned from it.
+ *
+ * Statistics (see messageStats.js):
+ *   getStats() reports counters since start per source, top-level path
+ *   segment, agent and session, rolling rates, and the unconsumed backlog of
+ *   every agent and session stream per consumer.
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+const { createMessageStore } = require('./messageStore');
+const { createMessageArchive } = require('./messageArchive');
+const { createMessageRetention } = require('./messageRetention');
+const { createSubscriptionTrie, broadcastMatches } = require('./subscriptionTrie');
+const { matchPattern, validatePattern } = require('./pathPattern');
+const { compileFilter } = require('./subscriptionFilter');
+const { createMessageMiddleware, fromSpec } = require('./messageMiddleware');
+const { createMessageSchemas } = require('./messageSchemas');
+const { createMessageDelivery } = require('./messageDelivery');
+const { createMessageScheduler } = require('./messageScheduler');
+const { createMessageStats } = require('./messageStats');
+const { createMessageSearch } = require('./messageSearch');
+const { DEFAULT_CONSUMER } = require('./messageStore');
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 30000;
+const DEFAULT_DEDUP_WINDOW_MS = 10 * 60 * 1000;
+const MAX_SEARCH_LIMIT = 200;
+const UNMATCHED_STREAM = 'broker-unmatched';
 
 /**
  * Create a MessageBroker instance.
@@ -51,36 +160,93 @@ const { EventEmitter } = require('events');
  * @param {string} projectRoot - Absolute path to the root directory
  * @param {object} projectManager - ProjectManager instance (listAgents, getAgent, updateAgent)
  * @param {object} [log] - Logger with info/warn/error methods
+ * @param {object} [opts]
+ * @param {object} [opts.tracer] - Tracer instance (records broker.route events)
+ * @param {number} [opts.compactAtBytes] - Compact a message file once it grows past this size
+ * @param {number} [opts.compactKeep]    - Messages compaction always keeps per file
+ * @param {object} [opts.retention]      - { policies, intervalMs } (see messageRetention.js);
+ *                                         with intervalMs, retention runs in the background until close()
+ * @param {object} [opts.delivery]       - { maxAttempts, backoffMs, backoffMaxMs } (see messageDelivery.js)
+ * @param {number} [opts.dedupWindowMs=600000] - How long a source + externalId is remembered (0 disables dedup)
+ * @param {object[]} [opts.middleware]  - Built-in middleware specs, registered in order (see messageMiddleware.js)
+ * @param {string} [opts.schemaMode="warn"] - Payload schema checks: "warn", "reject" or "off" (see messageSchemas.js)
+ * @param {object} [opts.search]         - { flushEvery, flushIntervalMs, maxSegments } (see messageSearch.js)
  * @returns {object} MessageBroker API
  */
-function createMessageBroker(projectRoot, projectManager, log = console) {
+function createMessageBroker(projectRoot, projectManager, log = logger, opts = {}) {
   if (!projectRoot) throw new Error('messageBroker: projectRoot is required');
   if (!projectManager) throw new Error('messageBroker: projectManager is required');
 
+  const {
+    tracer = null,
+    compactAtBytes,
+    compactKeep,
+    retention: retentionOpts = {},
+    delivery: deliveryOpts = {},
+    dedupWindowMs = DEFAULT_DEDUP_WINDOW_MS,
+    middleware: middlewareSpecs = [],
+    schemaMode = 'warn',
+    search: searchOpts = {},
+  } = opts;
+
+  if (!['warn', 'reject', 'off'].includes(schemaMode)) throw new Error(`Invalid schemaMode: ${schemaMode}`);
+
   const messagesDir = path.join(projectRoot, '.messages');
-  fs.mkdirSync(messagesDir, { recursive: true });
+  const archive = createMessageArchive(path.join(messagesDir, 'archive'), log);
+  const store = createMessageStore(messagesDir, log, { compactAtBytes, compactKeep, archive });
+  const middleware = createMessageMiddleware(log, { pathMatches });
+  for (const spec of middlewareSpecs) {
+    const { name, fn, options } = fromSpec(spec);
+    middleware.use(name, fn, options);
+  }
+  const schemas = createMessageSchemas(log);
+  const retention = createMessageRetention(store, log, { ...retentionOpts, onArchived: _pruneSearch, exclude: [UNMATCHED_STREAM] });
+  const delivery = createMessageDelivery(messagesDir, log, { ...deliveryOpts, onDue: _offerRedelivery });
+  const scheduler = createMessageScheduler(messagesDir, log, { deliver: _deliverScheduled });
+  const stats = createMessageStats();
+  const searchIndex = createMessageSearch(path.join(messagesDir, 'search'), log, searchOpts);
 
   const emitter = new EventEmitter();
   emitter.setMaxListeners(200);
 
-  // Forward index: pattern → Set<agentId>  (custom agent subscriptions only)
-  const subscriptionIndex = new Map();
+  // Forward index: pattern trie → agentId  (custom agent subscriptions only)
+  const subscriptionTrie = createSubscriptionTrie();
   // Reverse index: agentId → Set<pattern>  (custom agent subscriptions only)
   const agentIndex = new Map();
-  // Auto-subscriptions: agentId → pattern  (computed, not persisted)
-  const autoSubs = new Map();
+  // Auto-subscriptions: agent/{id} trie → agentId  (computed, not persisted)
+  const autoTrie = createSubscriptionTrie();
 
   // Session subscription indexes
-  // Forward: pattern → Set<"agentId:sessionId">
-  const sessionSubIndex = new Map();
+  // Forward: pattern trie → "agentId:sessionId"
+  const sessionTrie = createSubscriptionTrie();
   // Reverse: "agentId:sessionId" → Set<pattern>
   const sessionIndex = new Map();
 
+  // Content filters: agentId / "agentId:sessionId" → Map<pattern, { filter, test }>
+  // (only subscriptions that have one)
+  const agentFilters = new Map();
+  const sessionFilters = new Map();
+
   // Route hooks — called after every successful delivery
   const routeHooks = [];
+  // Federation forwarder (see setForwarder)
+  let forwarder = null;
+  // Redelivery hooks — offered each retry as it comes due
+  const redeliverHooks = [];
+
+  // In-flight request() calls: request message ID → { resolve, reject, timer, replyTo, correlationId }
+  const pendingRequests = new Map();
+
+  // Stream name → { agentId, sessionId } for every stream written since start (see getStats)
+  const streamOwners = new Map();
+
+  // Recently routed external messages: "source\0externalId" → { at, result }, oldest first
+  const recentExternal = new Map();
 
   // Build indexes on startup
   _rebuildIndex();
+  if (searchIndex.isEmpty()) _backfillSearch();
+  if (retentionOpts.intervalMs) retention.start();
 
   // ─── Path Matching ──────────────────────────────────────────────────────
 
@@ -88,41 +254,32 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
    * Test whether a pattern matches a path.
    */
   function pathMatches(pattern, inPath) {
-    const patternSegs = _normalize(pattern).split('/');
-    const pathSegs = _normalize(inPath).split('/');
-    return _matchSegments(patternSegs, 0, pathSegs, 0);
+    return matchPattern(_normalizePattern(pattern), _normalize(inPath)) !== null;
   }
 
-  function _matchSegments(pSegs, pi, tSegs, ti) {
-    if (pi === pSegs.length && ti === tSegs.length) return true;
-    if (pi === pSegs.length) return false;
-
-    const seg = pSegs[pi];
-
-    if (seg === '**') {
-      for (let skip = ti; skip <= tSegs.length; skip++) {
-        if (_matchSegments(pSegs, pi + 1, tSegs, skip)) return true;
-      }
-      return false;
-    }
-
-    if (ti === tSegs.length) return false;
-
-    if (seg === '*') {
-      return _matchSegments(pSegs, pi + 1, tSegs, ti + 1);
-    }
-
-    if (seg === tSegs[ti]) {
-      return _matchSegments(pSegs, pi + 1, tSegs, ti + 1);
-    }
-
-    return false;
+  /**
+   * Values a pattern's named captures take in a path ("slack/:workspace/#:channel"
+   * → { workspace, channel }), or null if it doesn't match.
+   */
+  function pathParams(pattern, inPath) {
+    return matchPattern(_normalizePattern(pattern), _normalize(inPath));
   }
 
   function _normalize(p) {
     return (p || '').replace(/^\/+|\/+$/g, '').replace(/\/+/g, '/');
   }
 
+  /** _normalize(), keeping a leading "!" (negation). */
+  function _normalizePattern(p) {
+    const negated = (p || '').startsWith('!');
+    const normalized = _normalize(negated ? p.slice(1) : p);
+    return negated && normalized ? `!${normalized}` : normalized;
+  }
+
+  function _isNegated(pattern) {
+    return pattern.startsWith('!');
+  }
+
   // ─── Core Routing ──────────────────────────────────────────────────────
 
   /**
@@ -131,29 +288,87 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
    *
    * @param {string} from - Sender ID
    * @param {string} msgPath - Delivery path (e.g. "agent/researcher", "slack/workspace/#general")
-   * @param {object} message - { command, payload, source?, externalId? }
-   * @returns {object} { id, from, path, command, payload, status, timestamp, delivered, deliveredTo, messageIds, unmatched }
+   * @param {object} message - { command, payload, source?, externalId?, correlationId?, causationId?, priority?, ttlMs? }
+   * @returns {object} { id, from, path, command, payload, status, timestamp, delivered, deliveredTo, messageIds, unmatched },
+   *                   or the original result with `duplicate: true` when source + externalId was seen within the dedup window
    */
   function route(from, msgPath, message = {}) {
-    const normalizedPath = _normalize(msgPath);
+    return _route(from, msgPath, message, crypto.randomUUID());
+  }
+
+  /**
+   * Route and count the outcome (see getStats). A route() that throws
+   * because of a schema reject counts as rejected.
+   */
+  function _route(from, msgPath, message, id, options) {
+    let result;
+    try {
+      result = _dispatch(from, msgPath, message, id, options);
+    } catch (err) {
+      if (err.code === 'EINVAL') stats.recordRejected();
+      throw err;
+    }
+    stats.record(result);
+    return result;
+  }
+
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.bypass] - Skip dedup and middleware (fan-out copies, messages from peers)
+   */
+  function _dispatch(from, msgPath, message, id, { bypass = false } = {}) {
+    let normalizedPath = _normalize(msgPath);
     if (!normalizedPath) throw new Error('path is required');
 
+    const dedupKey = bypass ? null : _dedupKey(message);
+    const original = dedupKey && _recentlyRouted(dedupKey);
+    if (original) {
+      log.info(`[messageBroker] ${from} → ${normalizedPath}: duplicate of ${original.id} (${message.source || 'internal'} ${message.externalId}) — skipped`);
+      return { ...original, duplicate: true };
+    }
+
+    let fanOut = [];
+    let blocked = null;
+    if (!bypass && middleware.size() > 0) {
+      const outcome = middleware.run(from, normalizedPath, message);
+      normalizedPath = _normalize(outcome.path);
+      if (!normalizedPath) throw new Error('path is required');
+      message = outcome.message;
+      fanOut = outcome.fanOut.map(_normalize).filter(Boolean);
+      blocked = outcome.blocked;
+    }
+
+    const schemaErrors = bypass || blocked ? null : _checkSchema(from, normalizedPath, message);
+
+    const timestamp = Date.now();
     const msg = {
-      id: crypto.randomUUID(),
+      id,
       from,
       path: normalizedPath,
       command: message.command || 'message',
       payload: message.payload || {},
       status: 'pending',
-      timestamp: Date.now(),
+      timestamp,
       source: message.source || 'internal',
       externalId: message.externalId || null,
+      // A message routed without one starts its own trace
+      correlationId: message.correlationId || id,
+      causationId: message.causationId || null,
+      replyTo: message.replyTo ? _normalize(message.replyTo) : null,
+      inReplyTo: message.inReplyTo || null,
+      priority: Number.isFinite(message.priority) ? message.priority : 0,
+      expiresAt: message.ttlMs > 0 ? timestamp + message.ttlMs : null,
     };
+    // Federation peers the message has already passed through, origin first
+    if (Array.isArray(message.via) && message.via.length > 0) msg.via = message.via;
 
-    // Find all matching subscribers (agents + sessions)
-    const { agents: matchedAgents, sessions: matchedSessions } = _findMatchingSubscribers(normalizedPath, from);
+    if (blocked) return _blockedResult(msg, blocked);
 
-    if (matchedAgents.size === 0 && matchedSessions.size === 0) {
+    // Find all matching subscribers (agents + sessions), and peers to forward to
+    const { agents: matchedAgents, sessions: matchedSessions } = _findMatchingSubscribers(normalizedPath, from, msg);
+    const forwardedTo = _forward(msg);
+
+    if (matchedAgents.size === 0 && matchedSessions.size === 0 && forwardedTo.length === 0) {
       // Dead-letter
       _appendUnmatched({
         id: msg.id,
@@ -163,12 +378,23 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
         payload: msg.payload,
         source: msg.source,
         externalId: msg.externalId,
+        correlationId: msg.correlationId,
+        causationId: msg.causationId,
+        replyTo: msg.replyTo,
+        inReplyTo: msg.inReplyTo,
         reason: 'no_subscribers',
         timestamp: msg.timestamp,
       });
+      _trace(msg, { unmatched: true });
 
       log.warn(`[messageBroker] No subscribers for: ${normalizedPath}`);
-      return { ...msg, delivered: false, deliveredTo: [], deliveredToSessions: [], messageIds: [], unmatched: true };
+      const unmatched = { ...msg, delivered: false, deliveredTo: [], deliveredToSessions: [], messageIds: [], unmatched: true };
+      if (schemaErrors) unmatched.schemaErrors = schemaErrors;
+      if (dedupKey) _remember(dedupKey, unmatched);
+      if (fanOut.length > 0) unmatched.fannedOut = _fanOut(msg, message, fanOut);
+      // A reply still answers its request even if nobody subscribes to replyTo
+      _settleRequest(unmatched);
+      return unmatched;
     }
 
     // Deliver to matched sessions first
@@ -176,6 +402,8 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
 
     for (const [key, { agentId, sessionId }] of matchedSessions) {
       const sessionMsg = { ...msg, _deliveredTo: `${agentId}:${sessionId}` };
+      const params = _capturesFor(sessionIndex.get(key), normalizedPath);
+      if (params) sessionMsg.pathParams = params;
       _appendSessionMessage(agentId, sessionId, sessionMsg);
       emitter.emit(`session:${agentId}:${sessionId}`, sessionMsg);
       deliveredToSessions.push({ agentId, sessionId });
@@ -202,6 +430,8 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
         handled,
         handledBy: handled ? handledBy : undefined,
       };
+      const params = _capturesFor(agentIndex.get(agentId), normalizedPath);
+      if (params) agentMsg.pathParams = params;
 
       _appendMessage(agentId, agentMsg);
       emitter.emit(`agent:${agentId}`, agentMsg);
@@ -213,9 +443,17 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
     const sessionDesc = deliveredToSessions.length > 0
       ? ` sessions:[${deliveredToSessions.map(s => `${s.agentId}:${s.sessionId}`).join(', ')}]`
       : '';
-    log.info(`[messageBroker] ${from} → ${normalizedPath}: ${msg.command} → [${deliveredTo.join(', ')}]${sessionDesc} (${msg.id})`);
+    const peerDesc = forwardedTo.length > 0 ? ` peers:[${forwardedTo.join(', ')}]` : '';
+    log.info(`[messageBroker] ${from} → ${normalizedPath}: ${msg.command} → [${deliveredTo.join(', ')}]${sessionDesc}${peerDesc} (${msg.id})`);
 
     const result = { ...msg, delivered: true, deliveredTo, deliveredToSessions, messageIds, unmatched: false };
+    if (forwardedTo.length > 0) result.forwardedTo = forwardedTo;
+    if (schemaErrors) result.schemaErrors = schemaErrors;
+    if (dedupKey) _remember(dedupKey, result);
+    if (deliveredTo.length > 0 || deliveredToSessions.length > 0) _index(msg, deliveredTo, deliveredToSessions);
+    if (fanOut.length > 0) result.fannedOut = _fanOut(msg, message, fanOut);
+    _trace(msg, forwardedTo.length > 0 ? { deliveredTo, deliveredToSessions, forwardedTo } : { deliveredTo, deliveredToSessions });
+    _settleRequest(result);
 
     // Fire route hooks (async-safe — errors don't break delivery)
     for (const hook of routeHooks) {
@@ -227,45 +465,203 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
     return result;
   }
 
+  // ─── Middleware ─────────────────────────────────────────────────────────
+
+  /**
+   * Add pre-delivery middleware (see messageMiddleware.js).
+   *
+   * @param {string} name
+   * @param {function} fn - (ctx) => void; may rewrite ctx.path / ctx.message, ctx.block(reason), ctx.fanOut(...paths)
+   * @param {object} [options] - { order, match: { paths, filter }, onError: "skip" | "block" }
+   * @returns {function} Removes the middleware
+   */
+  function use(name, fn, options) {
+    return middleware.use(name, fn, options);
+  }
+
+  /** @returns {boolean} false if no such middleware */
+  function removeMiddleware(name) {
+    return middleware.remove(name);
+  }
+
+  /** Registered middleware in run order, with call, error, block, rewrite and fan-out counts. */
+  function listMiddleware() {
+    return middleware.list();
+  }
+
+  /** A message middleware stopped: logged with the unmatched ones, delivered nowhere. */
+  function _blockedResult(msg, blocked) {
+    _appendUnmatched({
+      id: msg.id,
+      from: msg.from,
+      path: msg.path,
+      command: msg.command,
+      payload: msg.payload,
+      source: msg.source,
+      externalId: msg.externalId,
+      correlationId: msg.correlationId,
+      causationId: msg.causationId,
+      reason: 'blocked',
+      blockedBy: blocked.by,
+      blockReason: blocked.reason,
+      timestamp: msg.timestamp,
+    });
+    _trace(msg, { blockedBy: blocked.by });
+
+    log.warn(`[messageBroker] ${msg.from} → ${msg.path}: ${msg.command} blocked by ${blocked.by}: ${blocked.reason}`);
+    return {
+      ...msg,
+      delivered: false,
+      deliveredTo: [],
+      deliveredToSessions: [],
+      messageIds: [],
+      unmatched: false,
+      blocked: true,
+      blockedBy: blocked.by,
+      blockReason: blocked.reason,
+    };
+  }
+
+  /** Route copies of a message to the paths middleware fanned it out to. */
+  function _fanOut(msg, message, paths) {
+    const copies = [];
+    for (const copyPath of new Set(paths)) {
+      if (copyPath === msg.path) continue;
+      try {
+        const copy = _route(msg.from, copyPath, {
+          ...message,
+          replyTo: null,
+          inReplyTo: null,
+          correlationId: msg.correlationId,
+          causationId: msg.id,
+        }, crypto.randomUUID(), { bypass: true });
+        copies.push({ id: copy.id, path: copy.path, delivered: copy.delivered, deliveredTo: copy.deliveredTo });
+      } catch (err) {
+        log.error(`[messageBroker] Fan-out of ${msg.id} to ${copyPath} failed: ${err.message}`);
+      }
+    }
+    return copies;
+  }
+
+  // ─── Schemas ────────────────────────────────────────────────────────────
+
+  /**
+   * Declare the payload JSON Schema for a command (see messageSchemas.js).
+   * route() checks payloads of that command against it.
+   *
+   * @param {string} command
+   * @param {object} schema
+   * @param {object} [options] - { owner, description, mode: "warn" | "reject" }
+   * @returns {function} Unregisters the schema
+   */
+  function registerSchema(command, schema, options) {
+    return schemas.register(command, schema, options);
+  }
+
+  /** @returns {boolean} false if the command had no schema */
+  function unregisterSchema(command) {
+    return schemas.unregister(command);
+  }
+
+  /**
+   * Registered schemas, sorted by command.
+   * @param {object} [options] - { command } to get just one
+   * @returns {Array<{ command, schema, owner, description, mode, registeredAt }>}
+   */
+  function listSchemas({ command } = {}) {
+    if (command) {
+      const entry = schemas.get(command);
+      return entry ? [entry] : [];
+    }
+    return schemas.list();
+  }
+
+  /**
+   * Check a message's payload against its command's schema. Throws in reject
+   * mode; otherwise logs and returns the errors, or null when it passes.
+   */
+  function _checkSchema(from, msgPath, message) {
+    if (schemaMode === 'off') return null;
+    const command = message.command || 'message';
+    const outcome = schemas.validate(command, message.payload || {});
+    if (!outcome || outcome.errors.length === 0) return null;
+
+    const detail = outcome.errors.map(e => `${e.field} ${e.message}`).join('; ');
+    if ((outcome.mode || schemaMode) === 'reject') {
+      const err = new Error(`Invalid ${command} payload: ${detail}`);
+      err.code = 'EINVAL';
+      err.details = outcome.errors;
+      throw err;
+    }
+    log.warn(`[messageBroker] ${from} → ${msgPath}: ${command} payload does not match its schema: ${detail}`);
+    return outcome.errors;
+  }
+
+  // ─── Deduplication / Expiry ────────────────────────────────────────────
+
+  function _dedupKey(message) {
+    if (!dedupWindowMs || !message.externalId) return null;
+    return `${message.source || 'internal'}\0${message.externalId}`;
+  }
+
+  /** The route result for a key seen within the window, forgetting older ones. */
+  function _recentlyRouted(key) {
+    const cutoff = Date.now() - dedupWindowMs;
+    for (const [k, entry] of recentExternal) {
+      if (entry.at > cutoff) break;
+      recentExternal.delete(k);
+    }
+    const entry = recentExternal.get(key);
+    return entry ? entry.result : null;
+  }
+
+  function _remember(key, result) {
+    recentExternal.set(key, { at: result.timestamp, result });
+  }
+
+  function _isExpired(msg, now = Date.now()) {
+    return msg.expiresAt != null && msg.expiresAt <= now;
+  }
+
+  /**
+   * Drop expired messages from a receive() batch. Expired retries are acked,
+   * so they are not offered again.
+   */
+  function _live(agentId, consumer, messages) {
+    const now = Date.now();
+    return messages.filter(m => {
+      if (!_isExpired(m, now)) return true;
+      if (m.redelivery) delivery.ack(agentId, consumer, m.id);
+      return false;
+    });
+  }
+
   /**
-   * Find all subscribers (agents + sessions) matching a path.
+   * Find all subscribers (agents + sessions) matching a path and, where their
+   * subscriptions have filters, the message.
    * Returns { agents: Set<agentId>, sessions: Map<key, { agentId, sessionId }> }
    * Excludes the sender from broadcast-style agent matches.
    */
-  function _findMatchingSubscribers(normalizedPath, from) {
+  function _findMatchingSubscribers(normalizedPath, from, msg) {
     const agents = new Set();
     const sessions = new Map(); // "agentId:sessionId" → { agentId, sessionId }
 
-    // Check agent auto-subscriptions — bidirectional:
+    // Every trie lookup is bidirectional:
     //   1) sub pattern matches delivery path (normal: sub "agent/researcher" matches path "agent/researcher")
     //   2) delivery path matches sub pattern (broadcast: path "agent/**" matches sub "agent/researcher")
-    for (const [agentId, autoPattern] of autoSubs) {
-      if (pathMatches(autoPattern, normalizedPath) || pathMatches(normalizedPath, autoPattern)) {
-        agents.add(agentId);
-      }
-    }
-
-    // Check agent custom subscriptions — also bidirectional
-    for (const [pattern, agentSet] of subscriptionIndex) {
-      if (pathMatches(pattern, normalizedPath) || pathMatches(normalizedPath, pattern)) {
-        for (const agentId of agentSet) {
-          agents.add(agentId);
-        }
-      }
+    for (const agentId of autoTrie.match(normalizedPath)) agents.add(agentId);
+    for (const agentId of subscriptionTrie.match(normalizedPath)) {
+      if (agents.has(agentId) || _excluded(agentIndex.get(agentId), normalizedPath)) continue;
+      if (_passesFilters(agentFilters, agentIndex, agentId, normalizedPath, msg)) agents.add(agentId);
     }
 
-    // Check session subscriptions — bidirectional
-    for (const [pattern, sessionKeys] of sessionSubIndex) {
-      if (pathMatches(pattern, normalizedPath) || pathMatches(normalizedPath, pattern)) {
-        for (const key of sessionKeys) {
-          if (!sessions.has(key)) {
-            const [agentId, sessionId] = _splitSessionKey(key);
-            sessions.set(key, { agentId, sessionId });
-            // Also ensure the parent agent is in the agent set (cascade)
-            agents.add(agentId);
-          }
-        }
-      }
+    for (const key of sessionTrie.match(normalizedPath)) {
+      if (_excluded(sessionIndex.get(key), normalizedPath)) continue;
+      if (!_passesFilters(sessionFilters, sessionIndex, key, normalizedPath, msg)) continue;
+      const [agentId, sessionId] = _splitSessionKey(key);
+      sessions.set(key, { agentId, sessionId });
+      // Also ensure the parent agent is in the agent set (cascade)
+      agents.add(agentId);
     }
 
     // For broadcast-style paths (agent/**), exclude the sender from agents
@@ -279,6 +675,83 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
     return { agents, sessions };
   }
 
+  /**
+   * Whether any of a subscriber's patterns matching the path lets the message
+   * through. Subscribers without filters always pass.
+   */
+  function _passesFilters(filters, index, owner, normalizedPath, msg) {
+    const byPattern = filters.get(owner);
+    if (!byPattern) return true;
+    for (const pattern of index.get(owner) || []) {
+      if (_isNegated(pattern)) continue;
+      if (!pathMatches(pattern, normalizedPath) && !broadcastMatches(normalizedPath, pattern)) continue;
+      const filter = byPattern.get(pattern);
+      if (!filter || filter.test(msg)) return true;
+    }
+    return false;
+  }
+
+  /** Throw if a subscription pattern doesn't parse, or is negated and has a filter. */
+  function _checkPattern(pattern, filter) {
+    validatePattern(pattern);
+    if (_isNegated(pattern) && filter) throw new Error('A negated pattern cannot have a filter');
+  }
+
+  /** Validate a persisted pattern; a bad one is logged and skipped. */
+  function _loadPattern(owner, pattern) {
+    if (!pattern) return false;
+    try {
+      validatePattern(pattern);
+      return true;
+    } catch (err) {
+      log.warn(`[messageBroker] Ignoring subscription of ${owner}: ${err.message}`);
+      return false;
+    }
+  }
+
+  /** Whether one of an owner's negated patterns ("!…") covers the path. */
+  function _excluded(patterns, normalizedPath) {
+    for (const pattern of patterns || []) {
+      if (_isNegated(pattern) && !pathMatches(pattern, normalizedPath)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Captures of the first of an owner's patterns that matches the path and
+   * has any, or null.
+   */
+  function _capturesFor(patterns, normalizedPath) {
+    for (const pattern of patterns || []) {
+      if (_isNegated(pattern) || !pattern.includes(':')) continue;
+      const params = matchPattern(pattern, normalizedPath);
+      if (params && Object.keys(params).length > 0) return params;
+    }
+    return null;
+  }
+
+  /** Record (or, with no filter, clear) the filter of one subscription. */
+  function _setFilter(filters, owner, pattern, filter) {
+    if (!filter) {
+      const byPattern = filters.get(owner);
+      if (byPattern && byPattern.delete(pattern) && byPattern.size === 0) filters.delete(owner);
+      return;
+    }
+    const test = compileFilter(filter, { pathMatches });
+    if (!filters.has(owner)) filters.set(owner, new Map());
+    filters.get(owner).set(pattern, { filter, test });
+  }
+
+  /** _setFilter for subscriptions read from config: a bad filter is dropped, not fatal. */
+  function _loadFilter(filters, owner, sub, pattern) {
+    if (!sub.filter) return;
+    try {
+      _setFilter(filters, owner, pattern, sub.filter);
+    } catch (err) {
+      log.warn(`[messageBroker] ${owner} subscription ${pattern}: ${err.message} — delivering unfiltered`);
+    }
+  }
+
   function _sessionKey(agentId, sessionId) {
     return `${agentId}:${sessionId}`;
   }
@@ -304,27 +777,278 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
     return route(from, 'agent/**', message);
   }
 
+  // ─── Request / Reply ───────────────────────────────────────────────────
+
+  /**
+   * Route a message and wait for its reply.
+   *
+   * The message is stamped with `replyTo` (default: the sender's own path,
+   * agent/{from} for a bare agent ID) so the receiver knows where to answer.
+   * The reply is still delivered there, flagged `awaited: true`.
+   *
+   * @param {string} from
+   * @param {string} msgPath
+   * @param {object} message - As for route()
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs=30000]
+   * @param {string} [options.replyTo] - Override the reply path
+   * @returns {Promise<object>} The reply message
+   */
+  function request(from, msgPath, message = {}, options = {}) {
+    const { timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS } = options;
+    const replyTo = options.replyTo || (from && from.includes('/') ? from : `agent/${from}`);
+    const id = crypto.randomUUID();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pendingRequests.delete(id);
+        const err = new Error(`Request ${id} to ${_normalize(msgPath)} timed out after ${timeoutMs}ms`);
+        err.code = 'ETIMEDOUT';
+        reject(err);
+      }, timeoutMs);
+
+      // Registered before routing so a reply sent synchronously by a route hook is not missed
+      pendingRequests.set(id, {
+        resolve, reject, timer,
+        replyTo: _normalize(replyTo),
+        correlationId: message.correlationId || id,
+      });
+
+      let result;
+      try {
+        result = _route(from, msgPath, { ...message, replyTo, inReplyTo: null }, id);
+      } catch (err) {
+        _clearRequest(id);
+        reject(err);
+        return;
+      }
+
+      if (result.duplicate) {
+        _clearRequest(id);
+        reject(new Error(`Duplicate of message ${result.id}`));
+      } else if (result.blocked) {
+        _clearRequest(id);
+        reject(new Error(`Blocked by ${result.blockedBy}: ${result.blockReason}`));
+      } else if (result.unmatched && pendingRequests.has(id)) {
+        _clearRequest(id);
+        reject(new Error(`No subscribers for: ${result.path}`));
+      }
+    });
+  }
+
+  /**
+   * Answer a request. Routes to the request's `replyTo` with `inReplyTo` set
+   * to its ID and its correlationId carried over.
+   *
+   * @param {object} original - The request message (at least { id }; replyTo and
+   *                            correlationId are looked up from in-flight requests when missing)
+   * @param {object} [payload]
+   * @param {object} [options] - { from, command, causationId }
+   * @returns {object} route() result
+   */
+  function reply(original, payload = {}, options = {}) {
+    if (!original || !original.id) throw new Error('original message is required');
+
+    const pending = pendingRequests.get(original.id);
+    const replyTo = original.replyTo || pending?.replyTo;
+    if (!replyTo) throw new Error(`Message ${original.id} does not expect a reply`);
+
+    const from = options.from || original._deliveredTo || 'unknown';
+    return route(from, replyTo, {
+      command: options.command || 'reply',
+      payload,
+      inReplyTo: original.id,
+      correlationId: original.correlationId || pending?.correlationId,
+      causationId: options.causationId,
+    });
+  }
+
+  function _settleRequest(result) {
+    if (!result.inReplyTo) return;
+    const pending = pendingRequests.get(result.inReplyTo);
+    if (!pending) return;
+    _clearRequest(result.inReplyTo);
+    // Route hooks see this, so the turn manager doesn't start a turn for a reply someone is awaiting
+    result.awaited = true;
+    pending.resolve(result);
+  }
+
+  function _clearRequest(id) {
+    const pending = pendingRequests.get(id);
+    if (!pending) return;
+    clearTimeout(pending.timer);
+    pendingRequests.delete(id);
+  }
+
+  // ─── Scheduling ────────────────────────────────────────────────────────
+
+  /**
+   * Route a message later.
+   *
+   * @param {string} from
+   * @param {string} msgPath
+   * @param {object} message - As for route()
+   * @param {object} when - One of:
+   *   { at }      — time to deliver (Unix ms or ISO date)
+   *   { delayMs } — delay from now
+   *   { cron }    — five-field cron expression, server local time ("0 9 * * 1")
+   * @returns {object} The schedule: { id, from, path, message, at?, cron?, nextRunAt, createdAt, lastRunAt, runCount }
+   */
+  function schedule(from, msgPath, message = {}, when = {}) {
+    const normalizedPath = _normalize(msgPath);
+    if (!normalizedPath) throw new Error('path is required');
+    return scheduler.add(from, normalizedPath, message, when);
+  }
+
+  /**
+   * Cancel a schedule by ID.
+   * @returns {boolean} false if no such schedule
+   */
+  function cancelSchedule(scheduleId) {
+    return scheduler.cancel(scheduleId);
+  }
+
+  /**
+   * A schedule by ID, or null.
+   */
+  function getSchedule(scheduleId) {
+    return scheduler.get(scheduleId);
+  }
+
+  /**
+   * Pending schedules, soonest first.
+   * @param {object} [options] - { from } to list one sender's schedules
+   */
+  function listSchedules(options = {}) {
+    return scheduler.list(options);
+  }
+
+  function _deliverScheduled(s) {
+    route(s.from, s.path, {
+      ...s.message,
+      // Each run of a recurring schedule starts its own trace
+      correlationId: s.cron ? undefined : s.message.correlationId,
+      causationId: s.id,
+    });
+  }
+
   // ─── Receiving / Polling ───────────────────────────────────────────────
 
   /**
-   * Get pending messages for an agent and mark them as delivered.
+   * Get messages that arrived since the last receive() and mark them as delivered,
+   * followed by this consumer's nacked messages whose retry is due. Expired
+   * messages are skipped.
+   *
+   * @param {string} agentId
+   * @param {object} [options]
+   * @param {string} [options.consumer] - Independent reader with its own cursor (default "default")
+   */
+  function receive(agentId, { consumer } = {}) {
+    if (!agentId) throw new Error('agentId is required');
+
+    const fresh = store.consume(_agentStream(agentId), consumer)
+      .map(m => ({ ...m, status: 'delivered' }));
+    consumer = consumer || DEFAULT_CONSUMER;
+    return _live(agentId, consumer, [...fresh, ...delivery.take(agentId, consumer)]);
+  }
+
+  // ─── Acknowledgements ──────────────────────────────────────────────────
+
+  /**
+   * Acknowledge a message as handled by a consumer, ending its retries.
+   *
+   * @param {string} agentId
+   * @param {string} messageId
+   * @param {object} [options] - { consumer }
+   * @returns {{ acked: true, retrying: boolean }} retrying: whether it had been nacked before
+   */
+  function ack(agentId, messageId, { consumer } = {}) {
+    if (!agentId) throw new Error('agentId is required');
+    if (!messageId) throw new Error('messageId is required');
+    const retrying = delivery.ack(agentId, consumer || DEFAULT_CONSUMER, messageId);
+    return { acked: true, retrying };
+  }
+
+  /**
+   * Report that a consumer failed to handle a message. It is retried after a
+   * backoff, or dead-lettered once it has failed maxAttempts times.
+   *
+   * @param {string} agentId
+   * @param {string|object} messageOrId - The message, or its ID (looked up in
+   *                                      the agent's — or session's — stream)
+   * @param {string} reason
+   * @param {object} [options] - { consumer, sessionId }
+   * @returns {{ attempts: number, dead: boolean, retryAt?: number }}
    */
-  function receive(agentId) {
+  function nack(agentId, messageOrId, reason, { consumer, sessionId = null } = {}) {
     if (!agentId) throw new Error('agentId is required');
+    if (!messageOrId) throw new Error('messageId is required');
+
+    const message = typeof messageOrId === 'object'
+      ? messageOrId
+      : _findMessage(agentId, sessionId, messageOrId, consumer || DEFAULT_CONSUMER);
+    if (!message) throw new Error(`Message not found: ${messageOrId}`);
 
-    const filePath = _agentMessageFile(agentId);
-    const entries = _readJSONL(filePath);
-    const pending = entries.filter(m => m.status === 'pending');
+    return delivery.nack(agentId, consumer || DEFAULT_CONSUMER, message, reason, sessionId);
+  }
 
-    if (pending.length > 0) {
-      const ids = new Set(pending.map(m => m.id));
-      const updated = entries.map(e => ids.has(e.id) ? { ...e, status: 'delivered' } : e);
-      const content = updated.map(e => JSON.stringify(e)).join('\n') + '\n';
-      fs.writeFileSync(filePath, content);
+  /**
+   * Register a push consumer for retries. The callback receives
+   * { agentId, sessionId, consumer, attempt, message } and returns true if it
+   * takes the message; otherwise it waits for the consumer's next receive().
+   * Returns an unsubscribe function.
+   */
+  function onRedeliver(callback) {
+    redeliverHooks.push(callback);
+    delivery.offer();
+    return () => {
+      const idx = redeliverHooks.indexOf(callback);
+      if (idx !== -1) redeliverHooks.splice(idx, 1);
+    };
+  }
+
+  function _offerRedelivery(retry) {
+    if (_isExpired(retry.message)) {
+      // Nobody should act on it any more
+      delivery.ack(retry.agentId, retry.consumer, retry.message.id);
+      log.info(`[messageBroker] Retry of ${retry.message.id} for ${retry.agentId} (${retry.consumer}) expired — dropped`);
+      return true;
+    }
+    return redeliverHooks.some(hook => hook(retry) === true);
+  }
+
+  /** A message by ID: one being retried, else newest-first from the session's then the agent's stream. */
+  function _findMessage(agentId, sessionId, messageId, consumer) {
+    const retry = delivery.retries(agentId).find(r => r.consumer === consumer && r.message.id === messageId);
+    if (retry) return retry.message;
+
+    const streams = sessionId ? [_sessionStream(agentId, sessionId), _agentStream(agentId)] : [_agentStream(agentId)];
+    for (const stream of streams) {
+      for (const entry of store.readReverse(stream)) {
+        if (entry.id === messageId) return entry;
+      }
     }
+    return null;
+  }
+
+  // ─── Dead-letter Queue ─────────────────────────────────────────────────
 
-    // Return with status updated
-    return pending.map(m => ({ ...m, status: 'delivered' }));
+  /**
+   * Messages an agent's consumers gave up on, newest first.
+   * Entries: { message, consumer, sessionId, attempts, reason, deadAt }
+   */
+  function dlqList(agentId, options = {}) {
+    if (!agentId) throw new Error('agentId is required');
+    return delivery.dlqList(agentId, options);
+  }
+
+  /**
+   * Requeue dead-lettered messages (all, or options.messageIds) for immediate
+   * redelivery with a fresh attempt count.
+   */
+  function dlqReplay(agentId, options = {}) {
+    if (!agentId) throw new Error('agentId is required');
+    return delivery.dlqReplay(agentId, options);
   }
 
   // ─── Real-time Listening ───────────────────────────────────────────────
@@ -350,23 +1074,30 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
 
   /**
    * Add a custom subscription for an agent. Persists to jvAgent.json.
+   * Subscribing again to the same pattern replaces its filter.
+   *
+   * @param {string} agentId
+   * @param {string} pattern
+   * @param {object} [options]
+   * @param {object} [options.filter] - Content filter (see subscriptionFilter.js)
    */
-  function subscribe(agentId, pattern) {
+  function subscribe(agentId, pattern, { filter } = {}) {
     if (!agentId) throw new Error('agentId is required');
     if (!pattern) throw new Error('pattern is required');
 
-    const normalized = _normalize(pattern);
+    const normalized = _normalizePattern(pattern);
 
     // Don't allow subscribing to own auto-subscription pattern
     if (normalized === `agent/${agentId}`) {
       return { success: true, pattern: normalized, note: 'auto-subscribed' };
     }
 
-    // Forward index
-    if (!subscriptionIndex.has(normalized)) {
-      subscriptionIndex.set(normalized, new Set());
-    }
-    subscriptionIndex.get(normalized).add(agentId);
+    // Checked first, so an invalid pattern or filter changes nothing
+    _checkPattern(normalized, filter);
+    _setFilter(agentFilters, agentId, normalized, filter);
+
+    // Forward index (negations are applied per agent, see _excluded)
+    if (!_isNegated(normalized)) subscriptionTrie.add(normalized, agentId);
 
     // Reverse index
     if (!agentIndex.has(agentId)) {
@@ -388,18 +1119,15 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
     if (!agentId) throw new Error('agentId is required');
     if (!pattern) throw new Error('pattern is required');
 
-    const normalized = _normalize(pattern);
+    const normalized = _normalizePattern(pattern);
 
     // Can't unsub from auto-subscription
     if (normalized === `agent/${agentId}`) {
       throw new Error('Cannot unsubscribe from auto-subscription');
     }
 
-    const agents = subscriptionIndex.get(normalized);
-    if (agents) {
-      agents.delete(agentId);
-      if (agents.size === 0) subscriptionIndex.delete(normalized);
-    }
+    subscriptionTrie.remove(normalized, agentId);
+    _setFilter(agentFilters, agentId, normalized, null);
 
     const patterns = agentIndex.get(agentId);
     if (patterns) {
@@ -436,20 +1164,21 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
 
   /**
    * Add a subscription for a specific session. Persists to session .json.
+   * Takes the same options as subscribe().
    */
-  function subscribeSession(agentId, sessionId, pattern) {
+  function subscribeSession(agentId, sessionId, pattern, { filter } = {}) {
     if (!agentId) throw new Error('agentId is required');
     if (!sessionId) throw new Error('sessionId is required');
     if (!pattern) throw new Error('pattern is required');
 
-    const normalized = _normalize(pattern);
+    const normalized = _normalizePattern(pattern);
     const key = _sessionKey(agentId, sessionId);
 
+    _checkPattern(normalized, filter);
+    _setFilter(sessionFilters, key, normalized, filter);
+
     // Forward index
-    if (!sessionSubIndex.has(normalized)) {
-      sessionSubIndex.set(normalized, new Set());
-    }
-    sessionSubIndex.get(normalized).add(key);
+    if (!_isNegated(normalized)) sessionTrie.add(normalized, key);
 
     // Reverse index
     if (!sessionIndex.has(key)) {
@@ -472,14 +1201,11 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
     if (!sessionId) throw new Error('sessionId is required');
     if (!pattern) throw new Error('pattern is required');
 
-    const normalized = _normalize(pattern);
+    const normalized = _normalizePattern(pattern);
     const key = _sessionKey(agentId, sessionId);
 
-    const keys = sessionSubIndex.get(normalized);
-    if (keys) {
-      keys.delete(key);
-      if (keys.size === 0) sessionSubIndex.delete(normalized);
-    }
+    sessionTrie.remove(normalized, key);
+    _setFilter(sessionFilters, key, normalized, null);
 
     const patterns = sessionIndex.get(key);
     if (patterns) {
@@ -517,24 +1243,22 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
   // ─── Session Receiving / Polling ───────────────────────────────────────
 
   /**
-   * Get pending messages for a specific session and mark them as delivered.
+   * Get messages that arrived for a specific session since the last
+   * receiveSession() and mark them as delivered, followed by due retries.
+   *
+   * @param {string} agentId
+   * @param {string} sessionId
+   * @param {object} [options]
+   * @param {string} [options.consumer] - Independent reader with its own cursor (default "default")
    */
-  function receiveSession(agentId, sessionId) {
+  function receiveSession(agentId, sessionId, { consumer } = {}) {
     if (!agentId) throw new Error('agentId is required');
     if (!sessionId) throw new Error('sessionId is required');
 
-    const filePath = _sessionMessageFile(agentId, sessionId);
-    const entries = _readJSONL(filePath);
-    const pending = entries.filter(m => m.status === 'pending');
-
-    if (pending.length > 0) {
-      const ids = new Set(pending.map(m => m.id));
-      const updated = entries.map(e => ids.has(e.id) ? { ...e, status: 'delivered' } : e);
-      const content = updated.map(e => JSON.stringify(e)).join('\n') + '\n';
-      fs.writeFileSync(filePath, content);
-    }
-
-    return pending.map(m => ({ ...m, status: 'delivered' }));
+    const fresh = store.consume(_sessionStream(agentId, sessionId), consumer)
+      .map(m => ({ ...m, status: 'delivered' }));
+    consumer = consumer || DEFAULT_CONSUMER;
+    return _live(agentId, consumer, [...fresh, ...delivery.take(agentId, consumer, sessionId)]);
   }
 
   // ─── Session Real-time Listening ───────────────────────────────────────
@@ -558,45 +1282,135 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
   // ─── Session History ──────────────────────────────────────────────────
 
   /**
-   * Read message history for a specific session.
+   * Read message history for a specific session, newest first.
+   * Pages continue into archived messages (see historyPage()).
    */
   function sessionHistory(agentId, sessionId, options = {}) {
-    const { limit = 100, fromTime, toTime } = options;
-
-    const filePath = _sessionMessageFile(agentId, sessionId);
-    let entries = _readJSONL(filePath);
-
-    if (fromTime) entries = entries.filter(e => e.timestamp >= fromTime);
-    if (toTime) entries = entries.filter(e => e.timestamp <= toTime);
+    return sessionHistoryPage(agentId, sessionId, options).messages;
+  }
 
-    entries.sort((a, b) => b.timestamp - a.timestamp);
-    return entries.slice(0, limit);
+  /**
+   * Like sessionHistory(), plus the cursor for the next page.
+   */
+  function sessionHistoryPage(agentId, sessionId, options = {}) {
+    if (!agentId) throw new Error('agentId is required');
+    if (!sessionId) throw new Error('sessionId is required');
+    return _historyPage(_sessionStream(agentId, sessionId), options);
   }
 
   // ─── History ───────────────────────────────────────────────────────────
 
   /**
-   * Read message history for an agent (messages delivered to this agent).
+   * Read message history for an agent (messages delivered to this agent),
+   * newest first. Pages continue into archived messages (see historyPage()).
    */
   function history(agentId, options = {}) {
-    const { limit = 100, fromTime, toTime } = options;
+    return historyPage(agentId, options).messages;
+  }
 
-    // Read agent's own message file
-    const filePath = _agentMessageFile(agentId);
-    let entries = _readJSONL(filePath);
+  /**
+   * Read one page of an agent's message history.
+   *
+   * Messages come newest first: the live file read backwards, then the
+   * archive a day at a time. Pass the returned `nextCursor` as
+   * `options.cursor` for the next page; it is null after the last one.
+   *
+   * @param {string} agentId
+   * @param {object} [options]
+   * @param {number} [options.limit=100]
+   * @param {number} [options.fromTime] - Oldest timestamp to include (stops the scan)
+   * @param {number} [options.toTime]   - Newest timestamp to include
+   * @param {string} [options.cursor]   - nextCursor from the previous page
+   * @returns {{ messages: object[], nextCursor: string|null }}
+   */
+  function historyPage(agentId, options = {}) {
+    if (!agentId) throw new Error('agentId is required');
+    return _historyPage(_agentStream(agentId), options);
+  }
 
-    if (fromTime) entries = entries.filter(e => e.timestamp >= fromTime);
-    if (toTime) entries = entries.filter(e => e.timestamp <= toTime);
+  function _historyPage(stream, options) {
+    const { limit = 100, fromTime, toTime, cursor } = options;
+    const after = cursor ? _decodeCursor(cursor) : null;
+
+    const messages = [];
+    let last = null;
+    let skipping = Boolean(after);
+    for (const item of _newestFirst(stream, fromTime, toTime, after)) {
+      const { entry } = item;
+      if (skipping) {
+        if (entry.id === after.id) { skipping = false; continue; }
+        if (entry.timestamp >= after.timestamp) continue;
+        skipping = false;
+      }
+      if (toTime && entry.timestamp > toTime) continue;
+      if (fromTime && entry.timestamp < fromTime) break;
 
-    entries.sort((a, b) => b.timestamp - a.timestamp);
-    return entries.slice(0, limit);
+      messages.push(entry);
+      last = item;
+      if (messages.length >= limit) break;
+    }
+
+    const nextCursor = messages.length >= limit && last ? _encodeCursor(last) : null;
+    return { messages, nextCursor };
+  }
+
+  /**
+   * Yield { entry, end } for the live file, then { entry, day } for the
+   * archive, newest first. A cursor from an earlier page resumes where it
+   * left off instead of rescanning everything newer.
+   */
+  function* _newestFirst(stream, fromTime, toTime, after) {
+    if (!after?.day) yield* _liveNewestFirst(stream, after);
+
+    const fromDay = fromTime ? new Date(fromTime).toISOString().slice(0, 10) : null;
+    const toDay = toTime ? new Date(toTime).toISOString().slice(0, 10) : null;
+    for (const day of archive.days(stream).reverse()) {
+      if (toDay && day > toDay) continue;
+      if (after?.day && day > after.day) continue;
+      if (fromDay && day < fromDay) break;
+      const entries = archive.readDay(stream, day);
+      // Stable sort keeps archive order among equal timestamps
+      entries.reverse().sort((a, b) => b.timestamp - a.timestamp);
+      for (const entry of entries) yield { entry, day };
+    }
+  }
+
+  function* _liveNewestFirst(stream, after) {
+    if (after?.end != null) {
+      // The offset is only trusted while it still ends the cursor's own line;
+      // compaction shifts offsets, so anything else falls back to a full scan
+      const resumed = store.readReverse(stream, DEFAULT_CONSUMER, { before: after.end, withOffsets: true });
+      const first = resumed.next();
+      if (!first.done && first.value.entry.id === after.id) {
+        yield first.value;
+        yield* resumed;
+        return;
+      }
+      resumed.return();
+    }
+    yield* store.readReverse(stream, DEFAULT_CONSUMER, { withOffsets: true });
+  }
+
+  function _encodeCursor({ entry, end, day }) {
+    const position = day ? { day } : { end };
+    return Buffer.from(JSON.stringify({ timestamp: entry.timestamp, id: entry.id, ...position })).toString('base64url');
+  }
+
+  function _decodeCursor(cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      const validEnd = decoded.end === undefined || Number.isInteger(decoded.end);
+      const validDay = decoded.day === undefined || /^\d{4}-\d{2}-\d{2}$/.test(decoded.day);
+      if (typeof decoded.timestamp === 'number' && decoded.id && validEnd && validDay) return decoded;
+    } catch { /* fall through */ }
+    throw new Error('Invalid history cursor');
   }
 
   // ─── Dead-letter / Unmatched ───────────────────────────────────────────
 
   function getUnmatched(options = {}) {
     const { limit = 100, fromTime, toTime } = options;
-    const filePath = path.join(messagesDir, 'broker-unmatched.jsonl');
+    const filePath = path.join(messagesDir, `${UNMATCHED_STREAM}.jsonl`);
     let entries = _readJSONL(filePath);
 
     if (fromTime) entries = entries.filter(e => e.timestamp >= fromTime);
@@ -607,7 +1421,7 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
   }
 
   function clearUnmatched() {
-    const filePath = path.join(messagesDir, 'broker-unmatched.jsonl');
+    const filePath = path.join(messagesDir, `${UNMATCHED_STREAM}.jsonl`);
     try {
       fs.writeFileSync(filePath, '');
       return { cleared: true };
@@ -616,39 +1430,210 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
     }
   }
 
+  // ─── Maintenance ───────────────────────────────────────────────────────
+
+  /**
+   * Compact every agent and session message file now (it also happens
+   * automatically as files grow).
+   *
+   * @param {object} [options]
+   * @param {number} [options.keep] - Minimum messages to keep per file
+   * @returns {{ stream, removed, bytes }[]} Files that shrank
+   */
+  function compact(options) {
+    return store.compactAll(options);
+  }
+
+  /**
+   * Apply the retention policies now, archiving what they drop.
+   * @returns {{ stream, removed, bytes }[]} Files that shrank
+   */
+  function runRetention() {
+    return retention.run();
+  }
+
+  /**
+   * Stop background retention, retry and schedule timers, and fail any
+   * in-flight request().
+   */
+  function close() {
+    searchIndex.close();
+    retention.stop();
+    delivery.stop();
+    scheduler.stop();
+    for (const [id, pending] of pendingRequests) {
+      _clearRequest(id);
+      pending.reject(new Error('Message broker closed'));
+    }
+  }
+
+  // ─── Search ────────────────────────────────────────────────────────────
+
+  /**
+   * Full-text search over every message delivered to an agent or session
+   * (see messageSearch.js), newest first.
+   *
+   * @param {object} options
+   * @param {string} options.query        - Words that must all appear; "word*" matches a prefix
+   * @param {string} [options.pathPattern] - Only messages whose path matches
+   * @param {string} [options.source]
+   * @param {string} [options.command]
+   * @param {string} [options.from]       - Sender
+   * @param {string} [options.agentId]    - Only messages this agent or its sessions received or sent
+   * @param {number} [options.fromTime]   - Unix ms, inclusive
+   * @param {number} [options.toTime]     - Unix ms, inclusive
+   * @param {number} [options.limit=20]   - At most 200
+   * @returns {object[]} Messages with the agents and sessions they were delivered to
+   */
+  function search(options = {}) {
+    const { query, pathPattern, source, command, from, agentId, fromTime, toTime, limit = 20 } = options;
+    const pattern = pathPattern ? _normalize(pathPattern) : null;
+    const sentBy = agentId ? new Set([agentId, `agent/${agentId}`]) : null;
+
+    return searchIndex.search(query, {
+      limit: Math.min(Math.max(1, limit), MAX_SEARCH_LIMIT),
+      filter: (doc) => {
+        if (pattern && !pathMatches(pattern, doc.path)) return false;
+        if (source && doc.source !== source) return false;
+        if (command && doc.command !== command) return false;
+        if (from && doc.from !== from) return false;
+        if (fromTime && doc.timestamp < fromTime) return false;
+        if (toTime && doc.timestamp > toTime) return false;
+        if (agentId) {
+          const received = doc.deliveredTo.includes(agentId) || doc.deliveredToSessions.some(s => s.agentId === agentId);
+          const sent = sentBy.has(doc.from) || doc.from.startsWith(`agent/${agentId}/session/`);
+          if (!received && !sent) return false;
+        }
+        return true;
+      },
+    });
+  }
+
+  function _index(msg, deliveredTo, deliveredToSessions) {
+    const { status, ...doc } = msg;
+    try {
+      searchIndex.add({ ...doc, deliveredTo, deliveredToSessions });
+    } catch (err) {
+      log.error(`[messageBroker] Failed to index ${msg.id} for search: ${err.message}`);
+    }
+  }
+
+  /** Index messages already in agent and session streams (first start only). */
+  function _backfillSearch() {
+    const docs = new Map(); // id → doc
+    for (const stream of _deliveryStreams()) {
+      for (const { status, handled, handledBy, _deliveredTo, ...entry } of store.read(stream)) {
+        if (!entry.id) continue;
+        if (!docs.has(entry.id)) docs.set(entry.id, { ...entry, deliveredTo: [], deliveredToSessions: [] });
+        const doc = docs.get(entry.id);
+        if (!_deliveredTo) continue;
+        const [agentId, sessionId] = _deliveredTo.includes(':') ? _splitSessionKey(_deliveredTo) : [_deliveredTo, null];
+        if (sessionId) {
+          if (!doc.deliveredToSessions.some(s => s.agentId === agentId && s.sessionId === sessionId)) {
+            doc.deliveredToSessions.push({ agentId, sessionId });
+          }
+        } else if (!doc.deliveredTo.includes(agentId)) {
+          doc.deliveredTo.push(agentId);
+        }
+      }
+    }
+    if (docs.size === 0) return;
+
+    for (const doc of [...docs.values()].sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))) searchIndex.add(doc);
+    searchIndex.flush();
+    log.info(`[messageBroker] Indexed ${docs.size} existing messages for search`);
+  }
+
+  /** Drop messages that no longer live in any agent or session stream from the index. */
+  function _pruneSearch() {
+    const live = new Set();
+    for (const stream of _deliveryStreams()) {
+      for (const entry of store.read(stream)) if (entry.id) live.add(entry.id);
+    }
+    try {
+      searchIndex.prune(doc => live.has(doc.id));
+    } catch (err) {
+      log.error(`[messageBroker] Failed to prune the search index: ${err.message}`);
+    }
+  }
+
+  function _deliveryStreams() {
+    return store.streams().filter(stream => stream.startsWith('agent--') || stream.startsWith('session--'));
+  }
+
+  // ─── Statistics ────────────────────────────────────────────────────────
+
+  /**
+   * Traffic since the broker started, plus what is waiting to be consumed.
+   *
+   * @returns {object} messageStats snapshot ({ since, uptimeMs, totals, bySource, byPrefix,
+   *   byAgent, bySession, rates }) plus `queues` — one { stream, agentId, sessionId, consumer,
+   *   messages, bytes, retrying } per stream and consumer with anything pending — and the
+   *   number of `retries` and `scheduled` messages
+   */
+  function getStats() {
+    const owners = new Map(streamOwners);
+    for (const { id } of projectManager.listAgents()) {
+      const stream = _agentStream(id);
+      if (!owners.has(stream)) owners.set(stream, { agentId: id, sessionId: null });
+    }
+    for (const key of sessionIndex.keys()) {
+      const [agentId, sessionId] = _splitSessionKey(key);
+      const stream = _sessionStream(agentId, sessionId);
+      if (!owners.has(stream)) owners.set(stream, { agentId, sessionId });
+    }
+
+    const retries = delivery.retries();
+    const queues = [];
+    for (const stream of store.streams().sort()) {
+      if (!stream.startsWith('agent--') && !stream.startsWith('session--')) continue;
+      const { agentId = null, sessionId = null } = owners.get(stream) || {};
+      for (const [consumer, { messages, bytes }] of Object.entries(store.backlog(stream))) {
+        const retrying = retries.filter(r =>
+          r.agentId === agentId && r.consumer === consumer && (r.sessionId || null) === sessionId).length;
+        if (messages === 0 && retrying === 0) continue;
+        queues.push({ stream, agentId, sessionId, consumer, messages, bytes, retrying });
+      }
+    }
+
+    return { ...stats.snapshot(), queues, retries: retries.length, scheduled: scheduler.list().length };
+  }
+
   // ─── Index Management ──────────────────────────────────────────────────
 
   function _rebuildIndex() {
-    subscriptionIndex.clear();
+    subscriptionTrie.clear();
     agentIndex.clear();
-    autoSubs.clear();
-    sessionSubIndex.clear();
+    autoTrie.clear();
+    sessionTrie.clear();
     sessionIndex.clear();
+    agentFilters.clear();
+    sessionFilters.clear();
+    schemas.removeWhere(owner => typeof owner === 'string' && owner.startsWith('agent/'));
 
     try {
       const agents = projectManager.listAgents();
       for (const agent of agents) {
         // Auto-subscription: every agent listens to agent/{id}
-        autoSubs.set(agent.id, `agent/${agent.id}`);
+        autoTrie.add(_normalize(`agent/${agent.id}`), agent.id);
 
         // Custom agent subscriptions from config
         try {
           const detail = projectManager.getAgent(agent.id);
           const subs = detail.subscriptions || detail.commsSubscriptions || [];
           for (const sub of subs) {
-            const pattern = _normalize(sub.pattern);
-            if (!pattern) continue;
+            const pattern = _normalizePattern(sub.pattern);
+            if (!_loadPattern(agent.id, pattern)) continue;
 
-            if (!subscriptionIndex.has(pattern)) {
-              subscriptionIndex.set(pattern, new Set());
-            }
-            subscriptionIndex.get(pattern).add(agent.id);
+            if (!_isNegated(pattern)) subscriptionTrie.add(pattern, agent.id);
+            _loadFilter(agentFilters, agent.id, sub, pattern);
 
             if (!agentIndex.has(agent.id)) {
               agentIndex.set(agent.id, new Set());
             }
             agentIndex.get(agent.id).add(pattern);
           }
+          _loadSchemas(agent.id, detail.messageSchemas || []);
         } catch { /* skip bad config */ }
 
         // Session subscriptions
@@ -657,15 +1642,12 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
           for (const session of sessions) {
             const sessionSubs = session.subscriptions || [];
             for (const sub of sessionSubs) {
-              const pattern = _normalize(sub.pattern);
-              if (!pattern) continue;
-
+              const pattern = _normalizePattern(sub.pattern);
               const key = _sessionKey(agent.id, session.id);
+              if (!_loadPattern(key, pattern)) continue;
 
-              if (!sessionSubIndex.has(pattern)) {
-                sessionSubIndex.set(pattern, new Set());
-              }
-              sessionSubIndex.get(pattern).add(key);
+              if (!_isNegated(pattern)) sessionTrie.add(pattern, key);
+              _loadFilter(sessionFilters, key, sub, pattern);
 
               if (!sessionIndex.has(key)) {
                 sessionIndex.set(key, new Set());
@@ -679,9 +1661,18 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
       log.warn(`[messageBroker] Failed to rebuild index: ${err.message}`);
     }
 
-    const customCount = [...subscriptionIndex.values()].reduce((sum, s) => sum + s.size, 0);
-    const sessionCount = [...sessionSubIndex.values()].reduce((sum, s) => sum + s.size, 0);
-    log.info(`[messageBroker] Index rebuilt: ${autoSubs.size} agents (auto), ${customCount} custom, ${sessionCount} session subscriptions`);
+    log.info(`[messageBroker] Index rebuilt: ${autoTrie.size()} agents (auto), ${subscriptionTrie.size()} custom, ${sessionTrie.size()} session subscriptions`);
+  }
+
+  /** Register schemas an agent declares in jvAgent.json; a bad one is logged and skipped. */
+  function _loadSchemas(agentId, declared) {
+    for (const { command, schema, description, mode } of declared) {
+      try {
+        schemas.register(command, schema, { owner: `agent/${agentId}`, description, mode });
+      } catch (err) {
+        log.warn(`[messageBroker] Ignoring schema for ${command} declared by ${agentId}: ${err.message}`);
+      }
+    }
   }
 
   function rebuildIndex() {
@@ -690,30 +1681,29 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
 
   // ─── Persistence Helpers ───────────────────────────────────────────────
 
-  function _agentMessageFile(agentId) {
-    const safeName = 'agent--' + agentId.replace(/\//g, '--');
-    return path.join(messagesDir, `${safeName}.jsonl`);
+  // Stream names double as file names: .messages/{stream}.jsonl
+  function _agentStream(agentId) {
+    return 'agent--' + agentId.replace(/\//g, '--');
   }
 
   function _appendMessage(agentId, msg) {
-    const filePath = _agentMessageFile(agentId);
-    const line = JSON.stringify(msg) + '\n';
-    fs.appendFileSync(filePath, line);
+    const stream = _agentStream(agentId);
+    if (!streamOwners.has(stream)) streamOwners.set(stream, { agentId, sessionId: null });
+    store.append(stream, msg);
   }
 
-  function _sessionMessageFile(agentId, sessionId) {
-    const safeName = 'session--' + agentId.replace(/\//g, '--') + '--' + sessionId.replace(/\//g, '--');
-    return path.join(messagesDir, `${safeName}.jsonl`);
+  function _sessionStream(agentId, sessionId) {
+    return 'session--' + agentId.replace(/\//g, '--') + '--' + sessionId.replace(/\//g, '--');
   }
 
   function _appendSessionMessage(agentId, sessionId, msg) {
-    const filePath = _sessionMessageFile(agentId, sessionId);
-    const line = JSON.stringify(msg) + '\n';
-    fs.appendFileSync(filePath, line);
+    const stream = _sessionStream(agentId, sessionId);
+    if (!streamOwners.has(stream)) streamOwners.set(stream, { agentId, sessionId });
+    store.append(stream, msg);
   }
 
   function _appendUnmatched(entry) {
-    const filePath = path.join(messagesDir, 'broker-unmatched.jsonl');
+    const filePath = path.join(messagesDir, `${UNMATCHED_STREAM}.jsonl`);
     const line = JSON.stringify(entry) + '\n';
     fs.appendFileSync(filePath, line);
   }
@@ -728,11 +1718,8 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
       const newSubs = [];
 
       for (const pattern of currentPatterns) {
-        if (existingMap.has(pattern)) {
-          newSubs.push(existingMap.get(pattern));
-        } else {
-          newSubs.push({ pattern, addedAt: Date.now() });
-        }
+        const entry = existingMap.get(pattern) || { pattern, addedAt: Date.now() };
+        newSubs.push(_withFilter(entry, agentFilters.get(agentId)));
       }
 
       projectManager.updateAgent(agentId, { subscriptions: newSubs });
@@ -752,11 +1739,8 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
       const newSubs = [];
 
       for (const pattern of currentPatterns) {
-        if (existingMap.has(pattern)) {
-          newSubs.push(existingMap.get(pattern));
-        } else {
-          newSubs.push({ pattern, addedAt: Date.now() });
-        }
+        const entry = existingMap.get(pattern) || { pattern, addedAt: Date.now() };
+        newSubs.push(_withFilter(entry, sessionFilters.get(key)));
       }
 
       projectManager.updateSession(agentId, sessionId, { subscriptions: newSubs });
@@ -765,6 +1749,13 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
     }
   }
 
+  /** A persisted subscription entry carrying its current filter, if any. */
+  function _withFilter(entry, byPattern) {
+    const { filter, ...rest } = entry;
+    const current = byPattern && byPattern.get(entry.pattern);
+    return current ? { ...rest, filter: current.filter } : rest;
+  }
+
   function _readJSONL(filePath) {
     try {
       const content = fs.readFileSync(filePath, 'utf8');
@@ -774,6 +1765,73 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
     }
   }
 
+  // ─── Tracing ──────────────────────────────────────────────────────────
+
+  function _trace(msg, delivery) {
+    if (!tracer) return;
+    tracer.record(msg.correlationId, 'broker.route', {
+      id: msg.id,
+      causationId: msg.causationId || undefined,
+      from: msg.from,
+      path: msg.path,
+      command: msg.command,
+      source: msg.source,
+      externalId: msg.externalId || undefined,
+      ...delivery,
+    });
+  }
+
+  // ─── Federation ─────────────────────────────────────────────────────────
+
+  /**
+   * Install the federation forwarder (see brokerFederation.js). It is called
+   * with every routed message and returns the IDs of the peer nodes it sent
+   * the message to; a message forwarded anywhere is not unmatched.
+   *
+   * @param {function|null} fn - (msg) => string[]
+   */
+  function setForwarder(fn) {
+    forwarder = fn;
+  }
+
+  /**
+   * Route a message received from a federation peer. It keeps the ID it was
+   * given at its origin, so replies to it find their request on any node,
+   * and skips dedup and middleware, which ran where it was first routed.
+   *
+   * @param {object} message - { id, from, path, command, payload, ..., ttlMs?, via }
+   * @returns {object} Route result
+   */
+  function routeRemote(message) {
+    if (!message || !message.id) throw new Error('message id is required');
+    return _route(message.from, message.path, message, message.id, { bypass: true });
+  }
+
+  /**
+   * Every path pattern something on this node subscribes to: each agent's
+   * agent/{id}, custom and session subscriptions. Peers forward what matches.
+   *
+   * @returns {string[]} Sorted, unique
+   */
+  function getSubscriptionPatterns() {
+    const patterns = new Set(projectManager.listAgents().map(a => _normalize(`agent/${a.id}`)));
+    for (const set of [...agentIndex.values(), ...sessionIndex.values()]) {
+      // Peers forward on the positive patterns; negations are applied on arrival
+      for (const p of set) if (!_isNegated(p)) patterns.add(p);
+    }
+    return [...patterns].sort();
+  }
+
+  function _forward(msg) {
+    if (!forwarder) return [];
+    try {
+      return forwarder(msg) || [];
+    } catch (err) {
+      log.error(`[messageBroker] Forwarding ${msg.id} to peers failed: ${err.message}`);
+      return [];
+    }
+  }
+
   // ─── Route Hooks ──────────────────────────────────────────────────────
 
   /**
@@ -793,17 +1851,44 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
     route,
     send,
     broadcast,
+    request,
+    reply,
+    schedule,
+    cancelSchedule,
+    getSchedule,
+    listSchedules,
+    ack,
+    nack,
+    onRedeliver,
+    dlqList,
+    dlqReplay,
     receive,
     listen,
     subscribe,
     unsubscribe,
     getSubscriptions,
     history,
+    historyPage,
     getUnmatched,
     clearUnmatched,
+    compact,
+    runRetention,
+    close,
     rebuildIndex,
     pathMatches,
+    pathParams,
     onRoute,
+    setForwarder,
+    routeRemote,
+    getSubscriptionPatterns,
+    registerSchema,
+    unregisterSchema,
+    listSchemas,
+    use,
+    removeMiddleware,
+    listMiddleware,
+    getStats,
+    search,
 
     // Session-level subscriptions
     subscribeSession,
@@ -812,6 +1897,7 @@ function createMessageBroker(projectRoot, projectManager, log = console) {
     receiveSession,
     listenSession,
     sessionHistory,
+    sessionHistoryPage,
   };
 }
 
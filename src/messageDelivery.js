@@ -0,0 +1,333 @@
+/**
+ * messageDelivery.js — Acknowledgements, retries and the dead-letter queue.
+ *
+ * Consumers acknowledge each message they have handled, or nack it with a
+ * reason. A nacked message is retried after an exponential backoff
+ * (backoffMs, 2×, 4×, … up to backoffMaxMs); once it has failed maxAttempts
+ * times it moves to its agent's dead-letter queue, where an operator can
+ * replay it.
+ *
+ * Layout (under the broker's .messages/):
+ *   retries.json          — messages waiting to be (or being) retried
+ *   dlq/{agentId}.jsonl   — dead messages, oldest first; the agent ID is
+ *                           URI-encoded, so "team/a" is dlq/team%2Fa.jsonl
+ *
+ * A retry is keyed by (agentId, consumer, message ID). When it comes due it is
+ * offered to `onDue` (push consumers such as the turn manager); if nobody
+ * takes it, take() hands it to the next poll by that consumer. Either way it
+ * stays in flight until acked or nacked again. After a restart, in-flight
+ * retries are due again — delivery is at-least-once.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+/**
+ * Create a delivery tracker.
+ *
+ * @param {string} dir - Directory for retries.json and dlq/
+ * @param {object} [log] - Logger with info/warn/error methods
+ * @param {object} [opts]
+ * @param {number}   [opts.maxAttempts=5]       - Failures before a message is dead-lettered
+ * @param {number}   [opts.backoffMs=1000]      - Delay before the first retry
+ * @param {number}   [opts.backoffMaxMs=300000] - Cap on the retry delay
+ * @param {function} [opts.onDue]               - (retry) => boolean; true if a push consumer took it
+ * @param {function} [opts.now]                 - Clock (ms), injectable for tests
+ * @returns {{ ack, nack, take, offer, retries, dlqList, dlqReplay, stop }}
+ */
+function createMessageDelivery(dir, log = logger, opts = {}) {
+  if (!dir) throw new Error('messageDelivery: dir is required');
+
+  const {
+    maxAttempts = 5,
+    backoffMs = 1000,
+    backoffMaxMs = 5 * 60 * 1000,
+    onDue = () => false,
+    now = Date.now,
+  } = opts;
+
+  const retriesPath = path.join(dir, 'retries.json');
+  const dlqDir = path.join(dir, 'dlq');
+
+  // "agentId\0consumer\0messageId" → { agentId, sessionId, consumer, message, attempts, lastError, dueAt, inFlight }
+  const retryMap = new Map();
+  let timer = null;
+
+  _load();
+  _arm();
+
+  // ─── Acknowledgements ────────────────────────────────────────────────────
+
+  /**
+   * Mark a message handled by a consumer, ending any retries.
+   * @returns {boolean} true if the message was being retried
+   */
+  function ack(agentId, consumer, messageId) {
+    const key = _key(agentId, consumer, messageId);
+    if (!retryMap.delete(key)) return false;
+    _save();
+    _arm();
+    return true;
+  }
+
+  /**
+   * Record a failed delivery. Schedules a retry, or dead-letters the message
+   * once it has failed maxAttempts times.
+   *
+   * @param {string} agentId
+   * @param {string} consumer
+   * @param {object} message - The stored message
+   * @param {string} reason
+   * @param {string|null} [sessionId] - Session the message was delivered to
+   * @returns {{ attempts: number, dead: boolean, retryAt?: number }}
+   */
+  function nack(agentId, consumer, message, reason, sessionId = null) {
+    const key = _key(agentId, consumer, message.id);
+    const previous = retryMap.get(key);
+    const attempts = (previous ? previous.attempts : 0) + 1;
+    const lastError = reason || 'nack';
+
+    if (attempts >= maxAttempts) {
+      retryMap.delete(key);
+      _appendDead(agentId, {
+        message: _strip(message),
+        consumer,
+        sessionId: sessionId || (previous && previous.sessionId) || null,
+        attempts,
+        reason: lastError,
+        deadAt: now(),
+      });
+      _save();
+      _arm();
+      log.warn(`[messageDelivery] ${message.id} dead-lettered for ${agentId} (${consumer}) after ${attempts} attempt(s): ${lastError}`);
+      return { attempts, dead: true };
+    }
+
+    const dueAt = now() + Math.min(backoffMaxMs, backoffMs * 2 ** (attempts - 1));
+    retryMap.set(key, {
+      agentId,
+      sessionId: sessionId || (previous && previous.sessionId) || null,
+      consumer,
+      message: _strip(message),
+      attempts,
+      lastError,
+      dueAt,
+      inFlight: false,
+    });
+    _save();
+    _arm();
+    log.info(`[messageDelivery] ${message.id} for ${agentId} (${consumer}) failed attempt ${attempts}/${maxAttempts}; retrying at ${new Date(dueAt).toISOString()}`);
+    return { attempts, dead: false, retryAt: dueAt };
+  }
+
+  /**
+   * Due retries for a polling consumer, marked in flight.
+   *
+   * @param {string} agentId
+   * @param {string} consumer
+   * @param {string|null} [sessionId] - null for the agent's own stream
+   * @returns {object[]} Messages with `redelivery: true` and `attempt`
+   */
+  function take(agentId, consumer, sessionId = null) {
+    const t = now();
+    const due = [];
+    for (const retry of retryMap.values()) {
+      if (retry.agentId !== agentId || retry.consumer !== consumer) continue;
+      if ((retry.sessionId || null) !== sessionId || retry.inFlight || retry.dueAt > t) continue;
+      retry.inFlight = true;
+      due.push(_redelivery(retry).message);
+    }
+    if (due.length > 0) _save();
+    return due;
+  }
+
+  /**
+   * Messages currently scheduled for retry (or in flight), soonest first.
+   */
+  function retries(agentId) {
+    return [...retryMap.values()]
+      .filter(r => !agentId || r.agentId === agentId)
+      .sort((a, b) => a.dueAt - b.dueAt)
+      .map(({ offered, ...retry }) => retry);
+  }
+
+  // ─── Dead-letter Queue ───────────────────────────────────────────────────
+
+  /**
+   * Dead-lettered messages for an agent, newest first.
+   */
+  function dlqList(agentId, options = {}) {
+    const { limit = 100 } = options;
+    return _readDead(agentId).reverse().slice(0, limit);
+  }
+
+  /**
+   * Requeue dead-lettered messages with a fresh attempt count. They are due
+   * immediately, to the consumer that gave up on them.
+   *
+   * @param {string} agentId
+   * @param {object} [options]
+   * @param {string[]} [options.messageIds] - Only these (default: the whole queue)
+   * @returns {object[]} The replayed DLQ entries
+   */
+  function dlqReplay(agentId, options = {}) {
+    const wanted = options.messageIds ? new Set(options.messageIds) : null;
+    const entries = _readDead(agentId);
+    const replayed = entries.filter(e => !wanted || wanted.has(e.message.id));
+    if (replayed.length === 0) return [];
+
+    const t = now();
+    for (const entry of replayed) {
+      retryMap.set(_key(agentId, entry.consumer, entry.message.id), {
+        agentId,
+        sessionId: entry.sessionId || null,
+        consumer: entry.consumer,
+        message: entry.message,
+        attempts: 0,
+        lastError: null,
+        dueAt: t,
+        inFlight: false,
+      });
+    }
+    _writeDead(agentId, entries.filter(e => !replayed.includes(e)));
+    _save();
+    _arm();
+
+    log.info(`[messageDelivery] Replayed ${replayed.length} dead-lettered message(s) for ${agentId}`);
+    return replayed;
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  // ─── Scheduling ──────────────────────────────────────────────────────────
+
+  /**
+   * Offer due retries to push consumers again — call when one registers, so
+   * retries that came due (or were loaded) before it existed reach it.
+   */
+  function offer() {
+    for (const retry of retryMap.values()) retry.offered = false;
+    _arm();
+  }
+
+  /** Wake up when the next retry comes due. */
+  function _arm() {
+    clearTimeout(timer);
+    timer = null;
+
+    let next = Infinity;
+    for (const retry of retryMap.values()) {
+      if (!retry.inFlight && !retry.offered && retry.dueAt < next) next = retry.dueAt;
+    }
+    if (next === Infinity) return;
+
+    timer = setTimeout(_offerDue, Math.max(0, next - now()));
+    timer.unref?.();
+  }
+
+  function _offerDue() {
+    timer = null;
+    const t = now();
+    let taken = false;
+    for (const retry of retryMap.values()) {
+      if (retry.inFlight || retry.offered || retry.dueAt > t) continue;
+      // Not taken → left for take(); not offered again until offer()
+      retry.offered = true;
+      try {
+        if (onDue(_redelivery(retry))) {
+          retry.inFlight = true;
+          taken = true;
+        }
+      } catch (err) {
+        log.error(`[messageDelivery] Redelivery of ${retry.message.id} failed: ${err.message}`);
+      }
+    }
+    if (taken) _save();
+    _arm();
+  }
+
+  // ─── Persistence ─────────────────────────────────────────────────────────
+
+  function _load() {
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(retriesPath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') log.warn(`[messageDelivery] Ignoring unreadable ${retriesPath}: ${err.message}`);
+      return;
+    }
+    for (const retry of Array.isArray(saved) ? saved : []) {
+      // Whatever was in flight when we stopped is due again
+      retryMap.set(_key(retry.agentId, retry.consumer, retry.message.id), { ...retry, inFlight: false });
+    }
+  }
+
+  function _save() {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${retriesPath}.tmp`;
+    const records = [...retryMap.values()].map(({ offered, ...retry }) => retry);
+    fs.writeFileSync(tmp, JSON.stringify(records, null, 2));
+    fs.renameSync(tmp, retriesPath);
+  }
+
+  function _dlqPath(agentId) {
+    return path.join(dlqDir, `${encodeURIComponent(agentId)}.jsonl`);
+  }
+
+  function _appendDead(agentId, entry) {
+    fs.mkdirSync(dlqDir, { recursive: true });
+    fs.appendFileSync(_dlqPath(agentId), JSON.stringify(entry) + '\n');
+  }
+
+  function _readDead(agentId) {
+    let content;
+    try {
+      content = fs.readFileSync(_dlqPath(agentId), 'utf8');
+    } catch {
+      return [];
+    }
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch { /* skip corrupt line */ }
+    }
+    return entries;
+  }
+
+  function _writeDead(agentId, entries) {
+    const filePath = _dlqPath(agentId);
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, entries.map(e => JSON.stringify(e) + '\n').join(''));
+    fs.renameSync(tmp, filePath);
+  }
+
+  return { ack, nack, take, offer, retries, dlqList, dlqReplay, stop };
+}
+
+function _key(agentId, consumer, messageId) {
+  return `${agentId}\0${consumer}\0${messageId}`;
+}
+
+/** Drop per-read fields so the stored copy is the message as routed. */
+function _strip(message) {
+  const { status, redelivery, attempt, ...rest } = message;
+  return rest;
+}
+
+function _redelivery(retry) {
+  return {
+    agentId: retry.agentId,
+    sessionId: retry.sessionId,
+    consumer: retry.consumer,
+    attempt: retry.attempts + 1,
+    message: { ...retry.message, redelivery: true, attempt: retry.attempts + 1 },
+  };
+}
+
+module.exports = { createMessageDelivery };
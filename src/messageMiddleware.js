@@ -0,0 +1,270 @@
+/**
+ * messageMiddleware.js — Pre-delivery middleware for the message broker.
+ *
+ * Every route() runs its message through the middleware chain before any
+ * subscriber is matched. A middleware is a synchronous function of a context
+ * it may change in place:
+ *
+ *   (ctx) => {
+ *     ctx.from                 // sender (read-only)
+ *     ctx.path = '...'         // rewrite the delivery path
+ *     ctx.message.payload.x = 1 // rewrite command, payload, source, …
+ *     ctx.block('reason')      // stop here; nothing is delivered
+ *     ctx.fanOut('a/b', 'c/d') // also deliver copies to these paths
+ *   }
+ *
+ * Middleware runs in ascending `order` (default 100; ties in registration
+ * order), and only for messages its optional `match` ({ paths, filter }, see
+ * subscriptionFilter.js) selects. A middleware that throws has its changes
+ * rolled back and the chain continues — unless it was registered with
+ * `onError: 'block'`, for policies that must fail closed.
+ *
+ * Built-in middleware (also configurable as JSON, see fromSpec()):
+ *   alias   — { aliases: { "ops": "slack/team/#ops" } }   path prefix rewrites
+ *   enrich  — { payload: { env: "prod" } }                 add payload fields (existing ones win)
+ *   redact  — { fields?: [...], patterns?: [...], replacement? }  scrub PII from payload strings
+ *   block   — { reason? }                                  block what `match` selects
+ *   fanOut  — { to: [...] }                                copy to extra paths
+ */
+
+const { logger } = require('./logger');
+const { compileFilter } = require('./subscriptionFilter');
+
+const DEFAULT_ORDER = 100;
+
+// Redacted by default: e-mail addresses, card-like digit runs, US SSNs
+const DEFAULT_PII_PATTERNS = [
+  '[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}',
+  '\\b(?:\\d[ -]?){13,16}\\b',
+  '\\b\\d{3}-\\d{2}-\\d{4}\\b',
+];
+
+/**
+ * Create an empty middleware chain.
+ *
+ * @param {object} [log] - Logger with info/warn/error methods
+ * @param {object} opts
+ * @param {function} opts.pathMatches - (pattern, path) => boolean, for `match.paths`
+ * @returns {{ use, remove, run, list, size }}
+ */
+function createMessageMiddleware(log = logger, { pathMatches }) {
+  const chain = []; // sorted by order, then registration
+  let registered = 0;
+
+  /**
+   * Add a middleware.
+   *
+   * @param {string} name - Unique name (used in logs, metrics and blockedBy)
+   * @param {function} fn - (ctx) => void
+   * @param {object} [options]
+   * @param {number} [options.order=100] - Lower runs first
+   * @param {object} [options.match]     - { paths?: string[], filter?: object } — run only for these messages
+   * @param {string} [options.onError]   - "skip" (default) or "block"
+   * @returns {function} Removes the middleware
+   */
+  function use(name, fn, options = {}) {
+    if (!name) throw new Error('middleware name is required');
+    if (typeof fn !== 'function') throw new Error(`middleware ${name}: fn must be a function`);
+    if (chain.some(m => m.name === name)) throw new Error(`middleware already registered: ${name}`);
+
+    const { order = DEFAULT_ORDER, match = null, onError = 'skip' } = options;
+    if (onError !== 'skip' && onError !== 'block') throw new Error(`middleware ${name}: onError must be "skip" or "block"`);
+
+    const entry = {
+      name,
+      fn,
+      order,
+      seq: registered++,
+      onError,
+      selects: _compileMatch(name, match),
+      metrics: { calls: 0, errors: 0, blocked: 0, rewrites: 0, fanOuts: 0, totalMs: 0, lastError: null },
+    };
+    chain.push(entry);
+    chain.sort((a, b) => a.order - b.order || a.seq - b.seq);
+
+    log.info(`[messageMiddleware] Registered ${name} (order ${order})`);
+    return () => remove(name);
+  }
+
+  /** @returns {boolean} false if no such middleware */
+  function remove(name) {
+    const idx = chain.findIndex(m => m.name === name);
+    if (idx === -1) return false;
+    chain.splice(idx, 1);
+    return true;
+  }
+
+  /**
+   * Run the chain over a message.
+   *
+   * @param {string} from
+   * @param {string} msgPath - Normalized delivery path
+   * @param {object} message - As passed to route(); not modified
+   * @returns {{ path, message, fanOut: string[], blocked: null | { by, reason } }}
+   */
+  function run(from, msgPath, message) {
+    let blocked = null;
+    const fanOutPaths = [];
+    const ctx = {
+      from,
+      path: msgPath,
+      message: structuredClone(message),
+      block: (reason) => { blocked = reason || 'blocked'; },
+      fanOut: (...paths) => { fanOutPaths.push(...paths.flat()); },
+    };
+
+    for (const m of chain) {
+      if (m.selects && !m.selects(_asMessage(ctx))) continue;
+
+      const before = { path: ctx.path, message: structuredClone(ctx.message), fanOuts: fanOutPaths.length };
+      const started = process.hrtime.bigint();
+      m.metrics.calls++;
+      try {
+        m.fn(ctx);
+      } catch (err) {
+        m.metrics.errors++;
+        m.metrics.lastError = err.message;
+        ctx.path = before.path;
+        ctx.message = before.message;
+        fanOutPaths.length = before.fanOuts;
+        blocked = m.onError === 'block' ? `middleware error: ${err.message}` : null;
+        log.error(`[messageMiddleware] ${m.name} failed on ${before.path}: ${err.message}`);
+      }
+      m.metrics.totalMs += Number(process.hrtime.bigint() - started) / 1e6;
+
+      if (ctx.path !== before.path) m.metrics.rewrites++;
+      m.metrics.fanOuts += fanOutPaths.length - before.fanOuts;
+      if (blocked) {
+        m.metrics.blocked++;
+        return { path: ctx.path, message: ctx.message, fanOut: [], blocked: { by: m.name, reason: blocked } };
+      }
+    }
+
+    return { path: ctx.path, message: ctx.message, fanOut: fanOutPaths, blocked: null };
+  }
+
+  /**
+   * Registered middleware in run order, with metrics:
+   * { name, order, onError, calls, errors, blocked, rewrites, fanOuts, totalMs, lastError }
+   */
+  function list() {
+    return chain.map(m => ({ name: m.name, order: m.order, onError: m.onError, ...m.metrics }));
+  }
+
+  function size() {
+    return chain.length;
+  }
+
+  /** The context as a message, for `match` filters. */
+  function _asMessage(ctx) {
+    return {
+      ...ctx.message,
+      command: ctx.message.command || 'message',
+      source: ctx.message.source || 'internal',
+      from: ctx.from,
+      path: ctx.path,
+    };
+  }
+
+  function _compileMatch(name, match) {
+    if (!match) return null;
+    const paths = match.paths || null;
+    let filter = null;
+    try {
+      if (match.filter) filter = compileFilter(match.filter, { pathMatches });
+    } catch (err) {
+      throw new Error(`middleware ${name}: ${err.message}`);
+    }
+    return (msg) =>
+      (!paths || paths.some(p => pathMatches(p, msg.path))) && (!filter || filter(msg));
+  }
+
+  return { use, remove, run, list, size };
+}
+
+// ─── Built-in Middleware ────────────────────────────────────────────────────
+
+/** Rewrite paths that are, or start with, an alias: "ops" → "slack/team/#ops". */
+function aliasMiddleware({ aliases = {} } = {}) {
+  const entries = Object.entries(aliases);
+  return (ctx) => {
+    for (const [alias, target] of entries) {
+      if (ctx.path === alias || ctx.path.startsWith(`${alias}/`)) {
+        ctx.path = target + ctx.path.slice(alias.length);
+        return;
+      }
+    }
+  };
+}
+
+/** Add payload fields the message doesn't already have. */
+function enrichMiddleware({ payload = {} } = {}) {
+  return (ctx) => {
+    ctx.message.payload = { ...payload, ...(ctx.message.payload || {}) };
+  };
+}
+
+/**
+ * Replace PII in payload strings. `fields` are blanked wherever they occur;
+ * `patterns` (regex sources) are replaced inside every string.
+ */
+function redactMiddleware({ fields = [], patterns = DEFAULT_PII_PATTERNS, replacement = '[REDACTED]' } = {}) {
+  const fieldSet = new Set(fields);
+  const regexes = patterns.map(p => new RegExp(p, 'g'));
+
+  const scrub = (value) => {
+    if (typeof value === 'string') return regexes.reduce((s, re) => s.replace(re, replacement), value);
+    if (Array.isArray(value)) return value.map(scrub);
+    if (value && typeof value === 'object') {
+      const out = {};
+      for (const [k, v] of Object.entries(value)) out[k] = fieldSet.has(k) ? replacement : scrub(v);
+      return out;
+    }
+    return value;
+  };
+
+  return (ctx) => {
+    if (ctx.message.payload) ctx.message.payload = scrub(ctx.message.payload);
+  };
+}
+
+/** Block every message it runs for (scope it with `match`). */
+function blockMiddleware({ reason = 'blocked by policy' } = {}) {
+  return (ctx) => ctx.block(reason);
+}
+
+/** Also deliver to extra paths. */
+function fanOutMiddleware({ to = [] } = {}) {
+  return (ctx) => ctx.fanOut(to);
+}
+
+const BUILT_INS = {
+  alias: aliasMiddleware,
+  enrich: enrichMiddleware,
+  redact: redactMiddleware,
+  block: blockMiddleware,
+  fanOut: fanOutMiddleware,
+};
+
+/**
+ * Build a built-in middleware from a config entry:
+ *   { type, name?, order?, match?, onError?, ...options }
+ *
+ * @returns {{ name, fn, options }} Arguments for use()
+ */
+function fromSpec(spec) {
+  const factory = BUILT_INS[spec && spec.type];
+  if (!factory) throw new Error(`Unknown middleware type: ${spec && spec.type}`);
+  const { type, name, order, match, onError, ...options } = spec;
+  return { name: name || type, fn: factory(options), options: { order, match, onError } };
+}
+
+module.exports = {
+  createMessageMiddleware,
+  fromSpec,
+  aliasMiddleware,
+  enrichMiddleware,
+  redactMiddleware,
+  blockMiddleware,
+  fanOutMiddleware,
+};
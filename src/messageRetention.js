@@ -0,0 +1,145 @@
+/**
+ * messageRetention.js — Retention policies for .messages/ streams.
+ *
+ * Policies are matched to each message by the longest prefix of its `path`
+ * (segment-wise: "slack" matches "slack/team/#general", not "slackbot/x";
+ * "" matches everything):
+ *
+ *   [
+ *     { prefix: '',      maxAgeDays: 30 },
+ *     { prefix: 'slack', maxAgeDays: 7, maxCount: 5000 },
+ *     { prefix: 'agent', maxBytes: 10 * 1024 * 1024 },
+ *   ]
+ *
+ * Within each file, a message is dropped when it is older than maxAgeDays, or
+ * when newer messages under the same policy already fill maxCount / maxBytes.
+ * Retention applies whether or not a message has been received. Dropped
+ * messages are rolled into the dated gzip archive (see messageArchive.js),
+ * where history() can still page into them. Messages matching no policy are
+ * kept.
+ *
+ * run() applies the policies to every stream once; start() also runs them
+ * every `intervalMs`. Either way `onArchived` hears about every run that
+ * dropped something.
+ */
+
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a retention runner.
+ *
+ * @param {object} store - MessageStore (streams, compact)
+ * @param {object} [log] - Logger with info/warn/error methods
+ * @param {object} [opts]
+ * @param {object[]} [opts.policies]   - [{ prefix, maxAgeDays?, maxCount?, maxBytes? }]
+ * @param {number}   [opts.intervalMs] - How often start() runs the policies
+ * @param {function} [opts.onArchived] - (results) => void, after a run that dropped messages
+ * @param {string[]} [opts.exclude]    - Streams the policies never touch (e.g. logs without consumers)
+ * @param {function} [opts.now]        - Clock (ms), injectable for tests
+ * @returns {{ run, start, stop, policyFor }}
+ */
+function createMessageRetention(store, log = logger, opts = {}) {
+  if (!store) throw new Error('messageRetention: store is required');
+
+  const {
+    policies: rawPolicies = [],
+    intervalMs = 60 * 60 * 1000,
+    now = Date.now,
+    onArchived = null,
+    exclude = [],
+  } = opts;
+
+  const excluded = new Set(exclude);
+
+  // Longest prefix first, so the first match is the most specific
+  const policies = rawPolicies
+    .map(p => ({ ...p, prefix: _normalize(p.prefix) }))
+    .sort((a, b) => b.prefix.length - a.prefix.length);
+
+  let timer = null;
+
+  /**
+   * The policy governing a message path, or null.
+   */
+  function policyFor(msgPath) {
+    const p = _normalize(msgPath);
+    return policies.find(({ prefix }) => prefix === '' || p === prefix || p.startsWith(prefix + '/')) || null;
+  }
+
+  /**
+   * Apply the policies to every stream now.
+   * @returns {{ stream, removed, bytes }[]} Streams that shrank
+   */
+  function run() {
+    if (policies.length === 0) return [];
+
+    const results = [];
+    for (const stream of store.streams()) {
+      if (excluded.has(stream)) continue;
+      try {
+        const result = store.compact(stream, { select: _select });
+        if (result.removed > 0) results.push(result);
+      } catch (err) {
+        log.error(`[messageRetention] Failed to apply retention to ${stream}: ${err.message}`);
+      }
+    }
+
+    if (results.length > 0) {
+      const removed = results.reduce((sum, r) => sum + r.removed, 0);
+      log.info(`[messageRetention] Archived ${removed} message(s) from ${results.length} stream(s)`);
+      try {
+        onArchived?.(results);
+      } catch (err) {
+        log.error(`[messageRetention] onArchived failed: ${err.message}`);
+      }
+    }
+    return results;
+  }
+
+  function start() {
+    if (timer || policies.length === 0) return;
+    run();
+    timer = setInterval(run, intervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  /** Indexes of lines to drop, walking each policy's messages newest first. */
+  function _select(lines) {
+    const t = now();
+    const usage = new Map(); // policy → { count, bytes }
+    const drop = new Set();
+
+    for (let i = lines.length - 1; i >= 0; i--) {
+      const { entry, start, end } = lines[i];
+      const policy = policyFor(entry.path);
+      if (!policy) continue;
+
+      if (!usage.has(policy)) usage.set(policy, { count: 0, bytes: 0 });
+      const used = usage.get(policy);
+      used.count++;
+      used.bytes += end - start;
+
+      if ((policy.maxAgeDays != null && entry.timestamp < t - policy.maxAgeDays * DAY_MS)
+        || (policy.maxCount != null && used.count > policy.maxCount)
+        || (policy.maxBytes != null && used.bytes > policy.maxBytes)) {
+        drop.add(i);
+      }
+    }
+    return drop;
+  }
+
+  return { run, start, stop, policyFor };
+}
+
+function _normalize(p) {
+  return (p || '').replace(/^\/+|\/+$/g, '').replace(/\/+/g, '/');
+}
+
+module.exports = { createMessageRetention };
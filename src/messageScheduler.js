@@ -0,0 +1,262 @@
+/**
+ * messageScheduler.js — Delayed and recurring broker messages.
+ *
+ * A schedule routes a stored message later, once ({ at } or { delayMs }) or
+ * on a cron expression ({ cron }, five fields, server local time):
+ *
+ *   ┌──────── minute        0-59
+ *   │ ┌────── hour          0-23
+ *   │ │ ┌──── day of month  1-31
+ *   │ │ │ ┌── month         1-12 or JAN-DEC
+ *   │ │ │ │ ┌ day of week   0-7 or SUN-SAT (0 and 7 are Sunday)
+ *   0 9 * * 1                — every Monday at 09:00
+ *
+ * Cron expressions are parsed, validated and run by node-cron: fields take
+ * *, lists (1,15), ranges (1-5) and steps (*\/15, 8-18/2), and when both day
+ * fields are restricted a day has to match both.
+ *
+ * Schedules persist in {dir}/schedules.json. After a restart, one-shot
+ * schedules that came due while the server was down fire right away;
+ * recurring ones skip the runs they missed and continue from now.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { logger } = require('./logger');
+
+// setTimeout's ceiling; longer waits re-arm when it fires
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * Create a scheduler.
+ *
+ * @param {string} dir - Directory for schedules.json
+ * @param {object} [log] - Logger with info/warn/error methods
+ * @param {object} opts
+ * @param {function} opts.deliver - (schedule) => void; routes the schedule's message
+ * @param {function} [opts.now]   - Clock (ms) for one-shot schedules, injectable for tests
+ * @returns {{ add, cancel, get, list, stop }}
+ */
+function createMessageScheduler(dir, log = logger, opts = {}) {
+  if (!dir) throw new Error('messageScheduler: dir is required');
+  const { deliver, now = Date.now } = opts;
+  if (typeof deliver !== 'function') throw new Error('messageScheduler: deliver is required');
+
+  const schedulesPath = path.join(dir, 'schedules.json');
+  const schedules = new Map(); // id → schedule
+  const cronTasks = new Map(); // id → node-cron task, for recurring schedules
+  let timer = null;
+
+  // node-cron's own warnings (e.g. missed executions) go to our log
+  const cronLogger = {
+    info: (m) => log.info(`[messageScheduler] ${m}`),
+    warn: (m) => log.warn(`[messageScheduler] ${m}`),
+    error: (m, err) => log.error(`[messageScheduler] ${m instanceof Error ? m.message : m}${err ? `: ${err.message}` : ''}`),
+    debug: () => {},
+  };
+
+  _load();
+  _arm();
+
+  /**
+   * Schedule a message.
+   *
+   * @param {string} from
+   * @param {string} msgPath
+   * @param {object} message - As for route()
+   * @param {object} when - Exactly one of { at } (ms or ISO date), { delayMs } or { cron }
+   * @returns {object} The schedule: { id, from, path, message, at?, cron?, nextRunAt, createdAt, lastRunAt, runCount }
+   */
+  function add(from, msgPath, message, when = {}) {
+    const given = ['at', 'delayMs', 'cron'].filter(k => when[k] != null);
+    if (given.length !== 1) throw new Error('Exactly one of at, delayMs or cron is required');
+
+    const t = now();
+    const schedule = {
+      id: crypto.randomUUID(),
+      from,
+      path: msgPath,
+      message,
+      createdAt: t,
+      lastRunAt: null,
+      runCount: 0,
+    };
+
+    if (when.cron != null) {
+      schedule.cron = _validateCron(String(when.cron));
+      _startCron(schedule);
+    } else {
+      const at = when.at != null ? _toTime(when.at) : t + Number(when.delayMs);
+      if (!Number.isFinite(at)) throw new Error('Invalid schedule time');
+      schedule.at = at;
+      schedule.nextRunAt = at;
+    }
+
+    schedules.set(schedule.id, schedule);
+    _save();
+    _arm();
+
+    const timing = schedule.cron ? `cron "${schedule.cron}"` : new Date(schedule.at).toISOString();
+    log.info(`[messageScheduler] ${from} → ${msgPath}: ${message.command || 'message'} scheduled (${timing}) as ${schedule.id}`);
+    return { ...schedule };
+  }
+
+  /**
+   * Cancel a schedule.
+   * @returns {boolean} false if no such schedule
+   */
+  function cancel(id) {
+    if (!schedules.delete(id)) return false;
+    _stopCron(id);
+    _save();
+    _arm();
+    log.info(`[messageScheduler] Cancelled schedule ${id}`);
+    return true;
+  }
+
+  function get(id) {
+    const schedule = schedules.get(id);
+    return schedule ? { ...schedule } : null;
+  }
+
+  /**
+   * Schedules, soonest first.
+   * @param {object} [options] - { from } to list one sender's schedules
+   */
+  function list(options = {}) {
+    return [...schedules.values()]
+      .filter(s => !options.from || s.from === options.from)
+      .sort((a, b) => a.nextRunAt - b.nextRunAt)
+      .map(s => ({ ...s }));
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+    for (const id of [...cronTasks.keys()]) _stopCron(id);
+  }
+
+  // ─── Firing ──────────────────────────────────────────────────────────────
+
+  /** Arm the timer for the soonest one-shot schedule; node-cron runs the others. */
+  function _arm() {
+    clearTimeout(timer);
+    timer = null;
+
+    let next = Infinity;
+    for (const s of schedules.values()) {
+      if (!s.cron && s.nextRunAt < next) next = s.nextRunAt;
+    }
+    if (next === Infinity) return;
+
+    timer = setTimeout(_fireDue, Math.min(MAX_TIMER_MS, Math.max(0, next - now())));
+    timer.unref?.();
+  }
+
+  function _fireDue() {
+    timer = null;
+    const t = now();
+
+    for (const s of [...schedules.values()]) {
+      if (s.cron || s.nextRunAt > t) continue;
+      _run(s, t);
+      schedules.delete(s.id);
+    }
+
+    _save();
+    _arm();
+  }
+
+  function _run(s, t) {
+    try {
+      deliver({ ...s });
+    } catch (err) {
+      log.error(`[messageScheduler] Schedule ${s.id} failed to route: ${err.message}`);
+    }
+    s.lastRunAt = t;
+    s.runCount++;
+  }
+
+  function _startCron(s) {
+    const task = cron.schedule(s.cron, () => {
+      if (!schedules.has(s.id)) return;
+      _run(s, now());
+      s.nextRunAt = _nextRun(task);
+      _save();
+    }, { name: `schedule-${s.id}`, unref: true, logger: cronLogger });
+    cronTasks.set(s.id, task);
+    s.nextRunAt = _nextRun(task);
+  }
+
+  function _stopCron(id) {
+    const task = cronTasks.get(id);
+    if (!task) return;
+    cronTasks.delete(id);
+    task.destroy();
+  }
+
+  // ─── Persistence ─────────────────────────────────────────────────────────
+
+  function _load() {
+    let saved;
+    try {
+      saved = JSON.parse(fs.readFileSync(schedulesPath, 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') log.warn(`[messageScheduler] Ignoring unreadable ${schedulesPath}: ${err.message}`);
+      return;
+    }
+
+    for (const s of Array.isArray(saved) ? saved : []) {
+      if (s.cron) {
+        // node-cron continues from now, skipping runs missed while down
+        try {
+          _validateCron(s.cron);
+        } catch (err) {
+          log.warn(`[messageScheduler] Dropping schedule ${s.id}: ${err.message}`);
+          continue;
+        }
+        _startCron(s);
+      }
+      schedules.set(s.id, s);
+    }
+  }
+
+  function _save() {
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${schedulesPath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify([...schedules.values()], null, 2));
+    fs.renameSync(tmp, schedulesPath);
+  }
+
+  return { add, cancel, get, list, stop };
+}
+
+function _toTime(at) {
+  return typeof at === 'number' ? at : Date.parse(at);
+}
+
+// ─── Cron Expressions ───────────────────────────────────────────────────────
+
+/**
+ * Check a five-field expression with node-cron.
+ * @returns {string} The trimmed expression
+ * @throws {Error} Naming the bad field
+ */
+function _validateCron(expr) {
+  const trimmed = expr.trim();
+  if (trimmed.split(/\s+/).length !== 5) throw new Error(`Invalid cron expression "${expr}": expected 5 fields`);
+  const { valid, errors } = cron.validateDetailed(trimmed);
+  if (!valid) {
+    throw new Error(`Invalid cron expression "${expr}": ${errors.map(e => e.message).join('; ')}`);
+  }
+  return trimmed;
+}
+
+function _nextRun(task) {
+  const next = task.getNextRun();
+  return next ? next.getTime() : null;
+}
+
+module.exports = { createMessageScheduler };
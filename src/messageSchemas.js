@@ -0,0 +1,129 @@
+/**
+ * messageSchemas.js — Registry of payload JSON Schemas, one per command.
+ *
+ * Services and agents declare the payload shape of commands they emit or
+ * accept, so consumers don't have to guess and the broker can check messages
+ * as they are routed:
+ *
+ *   registry.register('slack.send', {
+ *     type: 'object',
+ *     required: ['text'],
+ *     properties: { channel: { type: 'string' }, text: { type: 'string' }, thread_ts: { type: 'string' } },
+ *   }, { owner: 'slack', description: 'Post a message to Slack' });
+ *
+ * A command has at most one schema. Its owner may replace it; anyone else
+ * registering the same command is refused. Each schema may carry its own
+ * validation `mode` ("warn" or "reject") to override the broker's default.
+ *
+ * validate() reports errors as { field, message } with fields rooted at
+ * "payload" (see routeSchema.formatErrors), e.g. { field: "payload.text",
+ * message: "is required" }.
+ */
+
+const Ajv = require('ajv');
+const { logger } = require('./logger');
+const { formatErrors } = require('./routeSchema');
+
+const MODES = ['warn', 'reject'];
+
+/**
+ * Create an empty schema registry.
+ *
+ * @param {object} [log] - Logger with info/warn/error methods
+ * @returns {{ register, unregister, removeWhere, validate, get, list }}
+ */
+function createMessageSchemas(log = logger) {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  const entries = new Map(); // command → { command, schema, owner, description, mode, registeredAt, check }
+
+  /**
+   * Declare the payload schema for a command.
+   *
+   * @param {string} command
+   * @param {object} schema - JSON Schema for the payload
+   * @param {object} [options]
+   * @param {string} [options.owner]       - Who declared it (service name, "agent/{id}", …)
+   * @param {string} [options.description]
+   * @param {string} [options.mode]        - "warn" or "reject"; default: the broker's mode
+   * @returns {function} Unregisters the schema
+   * @throws {Error} If the schema doesn't compile or another owner has the command
+   */
+  function register(command, schema, { owner = null, description = null, mode = null } = {}) {
+    if (!command || typeof command !== 'string') throw new Error('command is required');
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) throw new Error(`Invalid schema for ${command}: must be an object`);
+    if (mode !== null && !MODES.includes(mode)) throw new Error(`Invalid schema for ${command}: mode must be "warn" or "reject"`);
+
+    const existing = entries.get(command);
+    if (existing && existing.owner !== owner) {
+      throw new Error(`Schema for ${command} is already registered by ${existing.owner || 'another owner'}`);
+    }
+
+    let check;
+    try {
+      check = ajv.compile(schema);
+    } catch (err) {
+      throw new Error(`Invalid schema for ${command}: ${err.message}`);
+    }
+
+    const entry = { command, schema, owner, description, mode, registeredAt: Date.now(), check };
+    entries.set(command, entry);
+    log.info(`[messageSchemas] ${existing ? 'Replaced' : 'Registered'} schema for ${command}${owner ? ` (${owner})` : ''}`);
+    return () => {
+      if (entries.get(command) === entry) entries.delete(command);
+    };
+  }
+
+  /** @returns {boolean} false if the command had no schema */
+  function unregister(command) {
+    return entries.delete(command);
+  }
+
+  /**
+   * Remove every schema whose owner passes `predicate`.
+   * @returns {number} How many were removed
+   */
+  function removeWhere(predicate) {
+    let removed = 0;
+    for (const [command, entry] of entries) {
+      if (predicate(entry.owner)) {
+        entries.delete(command);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Check a payload against its command's schema.
+   *
+   * @returns {null | { mode: string|null, errors: Array<{ field, message }> }}
+   *          null when the command has no schema; `errors` is empty when valid
+   */
+  function validate(command, payload) {
+    const entry = entries.get(command);
+    if (!entry) return null;
+    const valid = entry.check(payload);
+    return { mode: entry.mode, errors: valid ? [] : formatErrors(entry.check.errors, 'payload') };
+  }
+
+  /** @returns {object|null} { command, schema, owner, description, mode, registeredAt } */
+  function get(command) {
+    const entry = entries.get(command);
+    return entry ? _describe(entry) : null;
+  }
+
+  /** Every registered schema, sorted by command. */
+  function list() {
+    return [...entries.values()]
+      .sort((a, b) => a.command.localeCompare(b.command))
+      .map(_describe);
+  }
+
+  function _describe({ command, schema, owner, description, mode, registeredAt }) {
+    return { command, schema, owner, description, mode, registeredAt };
+  }
+
+  return { register, unregister, removeWhere, validate, get, list };
+}
+
+module.exports = { createMessageSchemas };
@@ -0,0 +1,472 @@
+/**
+ * messageSearch.js — Incremental on-disk full-text index of broker messages.
+ *
+ * Layout:
+ *   {dir}/docs.jsonl      — every indexed message, one per line, append-only
+ *   {dir}/seg-{n}.json    — immutable segments: { [term]: [docOffset, …] }
+ *   {dir}/index.json      — { segments, indexedTo, seq }
+ *
+ * A document is identified by its byte offset in docs.jsonl, so offsets grow
+ * with insertion order and a posting list is sorted by construction. add()
+ * appends the document and buffers its terms in memory; the buffer is
+ * written out as a new segment every `flushEvery` documents, after
+ * `flushIntervalMs`, or on close(). Once there are more than `maxSegments`
+ * segments they are merged into one. Documents appended after `indexedTo`
+ * (a crash before the last flush) are re-tokenized on startup.
+ *
+ * prune() drops documents the caller no longer keeps (the broker calls it
+ * after retention) by rewriting docs.jsonl and re-indexing what is left.
+ * Loaded segments are cached, least recently used first out once they hold
+ * more than `maxCachedTerms` terms; the newest segment always stays.
+ *
+ * Text is the string and number values of the payload plus the command and
+ * path, lowercased, accents stripped, split on anything that isn't a letter
+ * or digit. Single-letter words are skipped.
+ *
+ * Queries are words that must all appear (AND). A word ending in `*`
+ * matches any term with that prefix: "invoic*". Results come newest first.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DEFAULT_FLUSH_EVERY = 200;
+const DEFAULT_FLUSH_INTERVAL_MS = 5000;
+const DEFAULT_MAX_SEGMENTS = 8;
+const MAX_TERM_LENGTH = 64;
+const MAX_TEXT_LENGTH = 64 * 1024;
+const DEFAULT_MAX_CACHED_TERMS = 200000;
+const READ_CHUNK_BYTES = 4096;
+const SCAN_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Create or open a search index.
+ *
+ * @param {string} dir - Index directory (created on first write)
+ * @param {object} [log] - Logger with info/warn/error methods
+ * @param {object} [opts]
+ * @param {number} [opts.flushEvery=200]       - Write a segment after this many documents
+ * @param {number} [opts.flushIntervalMs=5000] - …or this long after the first unflushed one
+ * @param {number} [opts.maxSegments=8]        - Merge segments once there are more than this
+ * @param {number} [opts.maxCachedTerms=200000] - Evict cached segments past this many terms
+ * @returns {{ add, search, flush, prune, close, isEmpty, stats }}
+ */
+function createMessageSearch(dir, log = logger, opts = {}) {
+  if (!dir) throw new Error('messageSearch: dir is required');
+
+  const {
+    flushEvery = DEFAULT_FLUSH_EVERY,
+    flushIntervalMs = DEFAULT_FLUSH_INTERVAL_MS,
+    maxSegments = DEFAULT_MAX_SEGMENTS,
+    maxCachedTerms = DEFAULT_MAX_CACHED_TERMS,
+  } = opts;
+
+  const docsPath = path.join(dir, 'docs.jsonl');
+  const metaPath = path.join(dir, 'index.json');
+
+  let meta = { segments: [], indexedTo: 0, seq: 0 };
+  let docsSize = 0;
+  // Terms of documents not yet in a segment: term → [docOffset, …]
+  let pending = new Map();
+  let pendingDocs = 0;
+  // Loaded segments (immutable): name → Map<term, offsets>, least recently used first
+  const segmentCache = new Map();
+  let cachedTerms = 0;
+  let timer = null;
+
+  _load();
+
+  // ─── Indexing ───────────────────────────────────────────────────────────
+
+  /**
+   * Index one message.
+   *
+   * @param {object} doc - { id, from, path, command, source, timestamp, payload, … }; stored as given
+   */
+  function add(doc) {
+    fs.mkdirSync(dir, { recursive: true });
+    const line = JSON.stringify(doc) + '\n';
+    const offset = docsSize;
+    fs.appendFileSync(docsPath, line);
+    docsSize += Buffer.byteLength(line);
+    _buffer(offset, doc);
+
+    if (pendingDocs >= flushEvery) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, flushIntervalMs);
+      timer.unref?.();
+    }
+  }
+
+  /** Write buffered terms out as a segment. */
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+    if (pendingDocs === 0) return;
+
+    const name = `seg-${++meta.seq}.json`;
+    _writeSegment(name, pending);
+    _cache(name, pending);
+    meta.segments.push(name);
+    meta.indexedTo = docsSize;
+    pending = new Map();
+    pendingDocs = 0;
+    _saveMeta();
+
+    if (meta.segments.length > maxSegments) _merge();
+  }
+
+  /**
+   * Drop every document for which `keep` returns false and rebuild the
+   * index from the rest.
+   *
+   * @param {function} keep - (doc) => boolean
+   * @returns {number} Documents removed
+   */
+  function prune(keep) {
+    flush();
+    if (docsSize === 0) return 0;
+
+    const tmpPath = `${docsPath}.tmp`;
+    const out = fs.openSync(tmpPath, 'w');
+    let kept = 0;
+    let removed = 0;
+    let size = 0;
+    try {
+      _scan(0, (line) => {
+        let doc;
+        try {
+          doc = JSON.parse(line);
+        } catch {
+          return;
+        }
+        if (!keep(doc)) {
+          removed++;
+          return;
+        }
+        const bytes = Buffer.from(line + '\n');
+        fs.writeSync(out, bytes);
+        size += bytes.length;
+        kept++;
+      });
+    } finally {
+      fs.closeSync(out);
+    }
+    if (removed === 0) {
+      fs.rmSync(tmpPath, { force: true });
+      return 0;
+    }
+
+    // Forget the segments before swapping the documents, so a crash in
+    // between re-indexes whichever docs.jsonl survives from scratch
+    const previous = meta.segments;
+    meta = { segments: [], indexedTo: 0, seq: meta.seq };
+    _saveMeta();
+    fs.renameSync(tmpPath, docsPath);
+    docsSize = size;
+    _uncacheAll();
+    for (const old of previous) fs.rmSync(path.join(dir, old), { force: true });
+
+    _recover();
+    log.info(`[messageSearch] Pruned ${removed} documents (${kept} left)`);
+    return removed;
+  }
+
+  /** Flush and stop the flush timer. */
+  function close() {
+    flush();
+  }
+
+  function _buffer(offset, doc) {
+    for (const term of new Set(tokenize(messageText(doc)))) {
+      if (!pending.has(term)) pending.set(term, []);
+      pending.get(term).push(offset);
+    }
+    pendingDocs++;
+  }
+
+  function _merge() {
+    const merged = new Map();
+    // Segments are in insertion order, so appending keeps each list sorted
+    for (const name of meta.segments) {
+      for (const [term, offsets] of _segment(name)) {
+        if (!merged.has(term)) merged.set(term, []);
+        merged.get(term).push(...offsets);
+      }
+    }
+
+    const previous = meta.segments;
+    const name = `seg-${++meta.seq}.json`;
+    _writeSegment(name, merged);
+    meta.segments = [name];
+    _saveMeta();
+
+    _uncacheAll();
+    _cache(name, merged);
+    for (const old of previous) fs.rmSync(path.join(dir, old), { force: true });
+    log.info(`[messageSearch] Merged ${previous.length} segments (${merged.size} terms)`);
+  }
+
+  // ─── Searching ──────────────────────────────────────────────────────────
+
+  /**
+   * Find messages containing every word of `query`, newest first.
+   *
+   * @param {string} query
+   * @param {object} [options]
+   * @param {number}   [options.limit=20]
+   * @param {function} [options.filter] - (doc) => boolean; only documents passing it count toward `limit`
+   * @returns {object[]} Stored documents
+   */
+  function search(query, { limit = 20, filter = null } = {}) {
+    const words = parseQuery(query);
+    if (words.length === 0) throw new Error('query is required');
+
+    // Intersect shortest lists first
+    const lists = words.map(_postings).sort((a, b) => a.length - b.length);
+    let matches = lists[0];
+    for (const list of lists.slice(1)) {
+      if (matches.length === 0) break;
+      const set = new Set(list);
+      matches = matches.filter(offset => set.has(offset));
+    }
+
+    const results = [];
+    if (matches.length === 0) return results;
+
+    const fd = fs.openSync(docsPath, 'r');
+    try {
+      for (let i = matches.length - 1; i >= 0 && results.length < limit; i--) {
+        const doc = _readDoc(fd, matches[i]);
+        if (doc && (!filter || filter(doc))) results.push(doc);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    return results;
+  }
+
+  /** Sorted offsets of documents containing a query word ({ term, prefix }). */
+  function _postings({ term, prefix }) {
+    const lists = [];
+    for (const terms of [...meta.segments.map(_segment), pending]) {
+      if (!prefix) {
+        if (terms.has(term)) lists.push(terms.get(term));
+        continue;
+      }
+      for (const [t, offsets] of terms) {
+        if (t.startsWith(term)) lists.push(offsets);
+      }
+    }
+    if (!prefix) return lists.flat();
+    return [...new Set(lists.flat())].sort((a, b) => a - b);
+  }
+
+  function _readDoc(fd, offset) {
+    const chunks = [];
+    let pos = offset;
+    for (;;) {
+      const chunk = Buffer.alloc(READ_CHUNK_BYTES);
+      const read = fs.readSync(fd, chunk, 0, chunk.length, pos);
+      if (read === 0) break;
+      const nl = chunk.subarray(0, read).indexOf(0x0a);
+      if (nl !== -1) {
+        chunks.push(chunk.subarray(0, nl));
+        break;
+      }
+      chunks.push(chunk.subarray(0, read));
+      pos += read;
+    }
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+      log.warn(`[messageSearch] Skipping corrupt document at byte ${offset}`);
+      return null;
+    }
+  }
+
+  // ─── Status ─────────────────────────────────────────────────────────────
+
+  /** True until the first document is added. */
+  function isEmpty() {
+    return docsSize === 0;
+  }
+
+  /** @returns {{ bytes, segments, pendingDocs, cachedTerms }} */
+  function stats() {
+    return { bytes: docsSize, segments: meta.segments.length, pendingDocs, cachedTerms };
+  }
+
+  // ─── Persistence ────────────────────────────────────────────────────────
+
+  function _load() {
+    try {
+      meta = { ...meta, ...JSON.parse(fs.readFileSync(metaPath, 'utf8')) };
+    } catch (err) {
+      if (err.code !== 'ENOENT') log.warn(`[messageSearch] Ignoring unreadable ${metaPath}: ${err.message}`);
+    }
+    try {
+      docsSize = fs.statSync(docsPath).size;
+    } catch {
+      docsSize = 0;
+    }
+
+    // Segments that went missing can't be trusted — start over from the documents
+    if (meta.segments.some(name => !fs.existsSync(path.join(dir, name))) || meta.indexedTo > docsSize) {
+      log.warn('[messageSearch] Index is incomplete — re-indexing all documents');
+      meta = { segments: [], indexedTo: 0, seq: meta.seq };
+    }
+
+    if (meta.indexedTo < docsSize) {
+      log.info(`[messageSearch] Re-indexed ${_recover()} documents added since the last flush`);
+    }
+  }
+
+  /**
+   * Re-tokenize documents added after the last flush.
+   * @returns {number} Documents indexed
+   */
+  function _recover() {
+    const end = _scan(meta.indexedTo, (line, offset) => {
+      try {
+        _buffer(offset, JSON.parse(line));
+      } catch { /* skip corrupt line */ }
+    });
+    // Drop a half-written last line so the next append starts clean
+    if (end < docsSize) {
+      docsSize = end;
+      fs.truncateSync(docsPath, docsSize);
+    }
+    const count = pendingDocs;
+    flush();
+    return count;
+  }
+
+  /**
+   * Call fn(line, offset) for each complete line of docs.jsonl from `from`.
+   * @returns {number} Offset just past the last complete line
+   */
+  function _scan(from, fn) {
+    const fd = fs.openSync(docsPath, 'r');
+    let pos = from;
+    let carry = Buffer.alloc(0);
+    try {
+      for (;;) {
+        const chunk = Buffer.alloc(SCAN_CHUNK_BYTES);
+        const read = fs.readSync(fd, chunk, 0, chunk.length, pos + carry.length);
+        if (read === 0) break;
+        const buf = Buffer.concat([carry, chunk.subarray(0, read)]);
+        let lineStart = 0;
+        let nl;
+        while ((nl = buf.indexOf(0x0a, lineStart)) !== -1) {
+          fn(buf.toString('utf8', lineStart, nl), pos + lineStart);
+          lineStart = nl + 1;
+        }
+        pos += lineStart;
+        carry = buf.subarray(lineStart);
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    return pos;
+  }
+
+  function _segment(name) {
+    if (segmentCache.has(name)) {
+      // Move to the back: most recently used
+      const terms = segmentCache.get(name);
+      segmentCache.delete(name);
+      segmentCache.set(name, terms);
+    } else {
+      let terms;
+      try {
+        terms = new Map(Object.entries(JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'))));
+      } catch (err) {
+        log.warn(`[messageSearch] Failed to read ${name}: ${err.message}`);
+        terms = new Map();
+      }
+      _cache(name, terms);
+    }
+    return segmentCache.get(name);
+  }
+
+  function _cache(name, terms) {
+    segmentCache.set(name, terms);
+    cachedTerms += terms.size;
+    for (const [oldest, old] of segmentCache) {
+      if (cachedTerms <= maxCachedTerms || oldest === name) break;
+      segmentCache.delete(oldest);
+      cachedTerms -= old.size;
+    }
+  }
+
+  function _uncacheAll() {
+    segmentCache.clear();
+    cachedTerms = 0;
+  }
+
+  function _writeSegment(name, terms) {
+    fs.mkdirSync(dir, { recursive: true });
+    const sorted = {};
+    for (const term of [...terms.keys()].sort()) sorted[term] = terms.get(term);
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(sorted));
+    fs.renameSync(`${filePath}.tmp`, filePath);
+  }
+
+  function _saveMeta() {
+    fs.writeFileSync(`${metaPath}.tmp`, JSON.stringify(meta));
+    fs.renameSync(`${metaPath}.tmp`, metaPath);
+  }
+
+  return { add, search, flush, prune, close, isEmpty, stats };
+}
+
+// ─── Text ───────────────────────────────────────────────────────────────────
+
+/**
+ * The searchable text of a message: payload strings and numbers, command, path.
+ * @returns {string}
+ */
+function messageText(msg) {
+  const parts = [];
+  let length = 0;
+  const visit = (value, depth) => {
+    if (length > MAX_TEXT_LENGTH || depth > 10 || value == null) return;
+    if (typeof value === 'string' || typeof value === 'number') {
+      parts.push(String(value));
+      length += parts[parts.length - 1].length;
+    } else if (typeof value === 'object') {
+      for (const v of Array.isArray(value) ? value : Object.values(value)) visit(v, depth + 1);
+    }
+  };
+  visit(msg.payload, 0);
+  return [...parts, msg.command || '', msg.path || ''].join(' ').slice(0, MAX_TEXT_LENGTH);
+}
+
+/**
+ * Split text into index terms.
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  const words = String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.filter(w => w.length > 1 && w.length <= MAX_TERM_LENGTH);
+}
+
+/**
+ * Parse a query into words: { term, prefix }.
+ * @returns {{ term: string, prefix: boolean }[]}
+ */
+function parseQuery(query) {
+  const words = [];
+  for (const raw of String(query || '').split(/\s+/)) {
+    const prefix = raw.endsWith('*');
+    const terms = tokenize(prefix ? raw.slice(0, -1) : raw);
+    terms.forEach((term, i) => words.push({ term, prefix: prefix && i === terms.length - 1 }));
+  }
+  return words;
+}
+
+module.exports = { createMessageSearch, messageText, tokenize, parseQuery };
@@ -0,0 +1,247 @@
+/**
+ * messageStats.js — Traffic counters and rates for the message broker.
+ *
+ * The broker records every route() outcome here. Counters are kept in
+ * memory since the broker started:
+ *
+ *   totals     — routed, delivered, unmatched, blocked, rejected (schema),
+ *                duplicates, forwarded (to federation peers), bytes
+ *   bySource   — per message source ("slack", "internal", …)
+ *   byPrefix   — per top-level path segment ("agent", "slack", …)
+ *   byAgent    — per agent: messages it sent (routed / unmatched) and
+ *                received (delivered, bytes); other senders appear too
+ *   bySession  — per "agentId:sessionId": messages received
+ *
+ * Each group counts { routed, delivered, unmatched, bytes }, where bytes is
+ * the size of the payload as JSON. A group keeps at most `maxKeys` keys;
+ * past that the one idle longest is dropped (totals still count it). Rates
+ * are messages per second over the last 1, 5 and 15 minutes, from
+ * per-second buckets.
+ *
+ * formatPrometheus() renders a snapshot (plus the broker's queue depths) in
+ * the Prometheus text exposition format for GET /metrics. Sessions come and
+ * go with threads, so they get no series of their own there: bySession is
+ * left out, and session queues are summed per agent.
+ */
+
+const WINDOWS = { '1m': 60, '5m': 300, '15m': 900 };
+const BUCKETS = Math.max(...Object.values(WINDOWS));
+const RATE_OUTCOMES = ['routed', 'delivered', 'unmatched'];
+const DEFAULT_MAX_KEYS = 1000;
+
+/**
+ * Create an empty set of counters.
+ *
+ * @param {object} [opts]
+ * @param {number}   [opts.maxKeys=1000] - Keys kept per group
+ * @param {function} [opts.now]          - Clock (ms), injectable for tests
+ * @returns {{ record, recordRejected, snapshot }}
+ */
+function createMessageStats({ maxKeys = DEFAULT_MAX_KEYS, now = Date.now } = {}) {
+  const since = now();
+  const totals = { routed: 0, delivered: 0, unmatched: 0, blocked: 0, rejected: 0, duplicates: 0, forwarded: 0, bytes: 0 };
+  const bySource = new Map();
+  const byPrefix = new Map();
+  const byAgent = new Map();
+  const bySession = new Map();
+  // Ring of per-second buckets: { second, routed, delivered, unmatched }
+  const buckets = Array.from({ length: BUCKETS }, () => ({ second: -1, routed: 0, delivered: 0, unmatched: 0 }));
+
+  /**
+   * Count one route() result.
+   * @param {object} result - As returned by route()
+   */
+  function record(result) {
+    if (result.duplicate) {
+      totals.duplicates++;
+      return;
+    }
+
+    const bytes = _payloadBytes(result.payload);
+    const delivered = result.delivered ? 1 : 0;
+    const unmatched = result.unmatched ? 1 : 0;
+
+    totals.routed++;
+    totals.delivered += delivered;
+    totals.unmatched += unmatched;
+    totals.blocked += result.blocked ? 1 : 0;
+    totals.forwarded += result.forwardedTo ? 1 : 0;
+    totals.bytes += bytes;
+
+    for (const counters of [
+      _counters(bySource, result.source || 'internal'),
+      _counters(byPrefix, (result.path || '').split('/')[0]),
+    ]) {
+      counters.routed++;
+      counters.delivered += delivered;
+      counters.unmatched += unmatched;
+      counters.bytes += bytes;
+    }
+
+    if (result.from) {
+      const sender = _counters(byAgent, result.from);
+      sender.routed++;
+      sender.unmatched += unmatched;
+    }
+    for (const agentId of result.deliveredTo || []) {
+      const recipient = _counters(byAgent, agentId);
+      recipient.delivered++;
+      recipient.bytes += bytes;
+    }
+    for (const { agentId, sessionId } of result.deliveredToSessions || []) {
+      const session = _counters(bySession, `${agentId}:${sessionId}`);
+      session.delivered++;
+      session.bytes += bytes;
+    }
+
+    const bucket = _bucket();
+    bucket.routed++;
+    bucket.delivered += delivered;
+    bucket.unmatched += unmatched;
+  }
+
+  /** Count a route() that threw before delivering anything (e.g. schema reject mode). */
+  function recordRejected() {
+    totals.rejected++;
+  }
+
+  /**
+   * @returns {{ since, uptimeMs, totals, bySource, byPrefix, byAgent, bySession, rates }}
+   *          Groups are plain objects keyed by source, prefix, agent or session
+   */
+  function snapshot() {
+    const second = Math.floor(now() / 1000);
+    const rates = {};
+    for (const [name, seconds] of Object.entries(WINDOWS)) {
+      const sums = { routed: 0, delivered: 0, unmatched: 0 };
+      for (const b of buckets) {
+        if (b.second > second - seconds && b.second <= second) {
+          for (const key of RATE_OUTCOMES) sums[key] += b[key];
+        }
+      }
+      rates[name] = {};
+      for (const key of RATE_OUTCOMES) rates[name][key] = sums[key] / seconds;
+    }
+
+    return {
+      since,
+      uptimeMs: now() - since,
+      totals: { ...totals },
+      bySource: _plain(bySource),
+      byPrefix: _plain(byPrefix),
+      byAgent: _plain(byAgent),
+      bySession: _plain(bySession),
+      rates,
+    };
+  }
+
+  /** A key's counters, moved to the back so the idle-longest key is first. */
+  function _counters(map, key) {
+    let counters = map.get(key);
+    if (counters) {
+      map.delete(key);
+    } else {
+      counters = { routed: 0, delivered: 0, unmatched: 0, bytes: 0 };
+      if (map.size >= maxKeys) map.delete(map.keys().next().value);
+    }
+    map.set(key, counters);
+    return counters;
+  }
+
+  function _bucket() {
+    const second = Math.floor(now() / 1000);
+    const bucket = buckets[second % BUCKETS];
+    if (bucket.second !== second) {
+      bucket.second = second;
+      bucket.routed = bucket.delivered = bucket.unmatched = 0;
+    }
+    return bucket;
+  }
+
+  return { record, recordRejected, snapshot };
+}
+
+function _plain(map) {
+  const out = {};
+  for (const [key, counters] of [...map].sort(([a], [b]) => a.localeCompare(b))) out[key] = { ...counters };
+  return out;
+}
+
+function _payloadBytes(payload) {
+  try {
+    return Buffer.byteLength(JSON.stringify(payload ?? {}));
+  } catch {
+    return 0;
+  }
+}
+
+// ─── Prometheus ─────────────────────────────────────────────────────────────
+
+/**
+ * Render broker stats (messageBroker.getStats()) as Prometheus text, without
+ * per-session series.
+ *
+ * @param {object} stats - snapshot() plus `queues`
+ * @returns {string}
+ */
+function formatPrometheus(stats) {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) lines.push(`${name}${_labels(labels)} ${value}`);
+  };
+  const grouped = (group, label) => Object.entries(group).flatMap(([key, c]) =>
+    ['routed', 'delivered', 'unmatched'].map(outcome => [{ [label]: key, outcome }, c[outcome]]));
+  const bytes = (group, label) => Object.entries(group).map(([key, c]) => [{ [label]: key }, c.bytes]);
+
+  const { totals } = stats;
+  metric('broker_messages_total', 'counter', 'Messages by route outcome',
+    ['routed', 'delivered', 'unmatched', 'blocked', 'rejected', 'duplicates', 'forwarded']
+      .map(outcome => [{ outcome }, totals[outcome]]));
+  metric('broker_payload_bytes_total', 'counter', 'Payload bytes routed', [[{}, totals.bytes]]);
+
+  metric('broker_source_messages_total', 'counter', 'Messages by source and outcome', grouped(stats.bySource, 'source'));
+  metric('broker_source_bytes_total', 'counter', 'Payload bytes by source', bytes(stats.bySource, 'source'));
+  metric('broker_prefix_messages_total', 'counter', 'Messages by top-level path segment and outcome', grouped(stats.byPrefix, 'prefix'));
+  metric('broker_prefix_bytes_total', 'counter', 'Payload bytes by top-level path segment', bytes(stats.byPrefix, 'prefix'));
+  metric('broker_agent_messages_total', 'counter', 'Messages sent (routed, unmatched) and received (delivered) by agent', grouped(stats.byAgent, 'agent'));
+  metric('broker_agent_bytes_total', 'counter', 'Payload bytes received by agent', bytes(stats.byAgent, 'agent'));
+
+  metric('broker_message_rate', 'gauge', 'Messages per second over a rolling window',
+    Object.entries(stats.rates).flatMap(([window, r]) =>
+      RATE_OUTCOMES.map(outcome => [{ window, outcome }, r[outcome]])));
+
+  const queues = _queuesByAgent(stats.queues || []);
+  metric('broker_queue_depth', 'gauge', 'Unconsumed messages per agent, scope (agent or its sessions) and consumer',
+    queues.map(q => [q.labels, q.messages]));
+  metric('broker_queue_bytes', 'gauge', 'Unconsumed bytes per agent, scope and consumer',
+    queues.map(q => [q.labels, q.bytes]));
+  metric('broker_queue_retrying', 'gauge', 'Messages waiting for a retry per agent, scope and consumer',
+    queues.map(q => [q.labels, q.retrying]));
+
+  return lines.join('\n') + '\n';
+}
+
+/** Sum queues per agent, scope ("agent" for its own stream, "sessions" for all of its sessions') and consumer. */
+function _queuesByAgent(queues) {
+  const sums = new Map();
+  for (const q of queues) {
+    const labels = { agent: q.agentId || '', scope: q.sessionId ? 'sessions' : 'agent', consumer: q.consumer };
+    const key = JSON.stringify(labels);
+    if (!sums.has(key)) sums.set(key, { labels, messages: 0, bytes: 0, retrying: 0 });
+    const sum = sums.get(key);
+    sum.messages += q.messages;
+    sum.bytes += q.bytes;
+    sum.retrying += q.retrying;
+  }
+  return [...sums.values()];
+}
+
+function _labels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  const escape = v => String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([k, v]) => `${k}="${escape(v)}"`).join(',')}}`;
+}
+
+module.exports = { createMessageStats, formatPrometheus };
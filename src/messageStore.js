@@ -0,0 +1,479 @@
+/**
+ * messageStore.js — Append-only JSONL message streams with per-consumer cursors.
+ *
+ * Each stream is one file that is only ever appended to:
+ *
+ *   {dir}/{stream}.jsonl          — one message per line
+ *   {dir}/{stream}.cursors.json   — { [consumer]: byteOffset }
+ *
+ * A consumer's cursor is the byte offset just past the last line it has
+ * consumed, so consume() reads only the bytes appended since — O(new
+ * messages), not O(file). Delivery state isn't written into the messages:
+ * a message is "delivered" once the default consumer's cursor has passed it.
+ *
+ * Compaction drops the oldest messages every consumer has already passed,
+ * keeping at least the newest `compactKeep` lines, and shifts cursors back by
+ * the bytes removed. It runs when a stream grows past `compactAtBytes`, or on
+ * demand; retention (messageRetention.js) passes its own `select` to drop
+ * any set of messages. Dropped messages go to the archive, if one is
+ * configured, before the file is replaced. Appends, reads and compaction are
+ * synchronous, so within the process that owns the directory no append can
+ * land between compaction's read and its rename.
+ *
+ * Streams written before cursors existed (status rewritten in place) get a
+ * cursor on first use: just past the last message not marked "pending".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const DEFAULT_CONSUMER = 'default';
+const DEFAULT_COMPACT_AT_BYTES = 5 * 1024 * 1024;
+const DEFAULT_COMPACT_KEEP = 1000;
+const READ_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Create a MessageStore.
+ *
+ * @param {string} dir - Directory holding the stream files (created if missing)
+ * @param {object} [log] - Logger with info/warn/error methods
+ * @param {object} [opts]
+ * @param {number} [opts.compactAtBytes=5MB] - Compact a stream once it grows past this size
+ * @param {number} [opts.compactKeep=1000]   - Messages compaction always keeps per stream
+ * @param {object} [opts.archive]            - MessageArchive receiving dropped messages
+ * @returns {{ append, consume, read, readReverse, cursor, backlog, compact, compactAll, streams }}
+ */
+function createMessageStore(dir, log = logger, opts = {}) {
+  if (!dir) throw new Error('messageStore: dir is required');
+
+  const {
+    compactAtBytes = DEFAULT_COMPACT_AT_BYTES,
+    compactKeep = DEFAULT_COMPACT_KEEP,
+    archive = null,
+  } = opts;
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  // stream → { [consumer]: offset }  (loaded lazily)
+  const cursorCache = new Map();
+  // stream → byte size at which to next try compacting
+  const nextCompactAt = new Map();
+  // stream → { size, end, lines, at: { [consumer]: lines before its cursor } }, kept up to
+  // date by append/consume/compact so backlog() needn't read; dropped when the file changes elsewhere
+  const lineCounts = new Map();
+
+  // ─── Writing ────────────────────────────────────────────────────────────
+
+  /**
+   * Append one message to a stream.
+   */
+  function append(stream, entry) {
+    const filePath = _dataFile(stream);
+    const line = JSON.stringify(entry) + '\n';
+    fs.appendFileSync(filePath, line);
+
+    const size = _size(filePath);
+    _countAppended(stream, size - Buffer.byteLength(line), size);
+    if (size >= (nextCompactAt.get(stream) || compactAtBytes)) {
+      const result = compact(stream);
+      nextCompactAt.set(stream, Math.max(compactAtBytes, result.bytes + Math.ceil(compactAtBytes / 4)));
+    }
+  }
+
+  // ─── Reading ────────────────────────────────────────────────────────────
+
+  /**
+   * Return messages appended since `consumer` last consumed, and move its
+   * cursor past them.
+   *
+   * @param {string} stream
+   * @param {string} [consumer='default']
+   * @returns {object[]}
+   */
+  function consume(stream, consumer = DEFAULT_CONSUMER) {
+    const cursors = _cursors(stream);
+    const from = cursors[consumer] || 0;
+    const { entries, end, lines } = _readFrom(_dataFile(stream), from);
+
+    if (end !== from) {
+      cursors[consumer] = end;
+      _writeCursors(stream, cursors);
+      _countConsumed(stream, consumer, from, end, lines);
+    }
+    return entries.map(e => e.entry);
+  }
+
+  /**
+   * Read every message in a stream, oldest first, with `status` reported as
+   * "delivered" or "pending" relative to `consumer`'s cursor.
+   *
+   * @param {string} stream
+   * @param {string} [consumer='default']
+   * @returns {object[]}
+   */
+  function read(stream, consumer = DEFAULT_CONSUMER) {
+    const at = cursor(stream, consumer);
+    return _readFrom(_dataFile(stream), 0).entries.map(({ entry, end }) => ({
+      ...entry,
+      status: end <= at ? 'delivered' : 'pending',
+    }));
+  }
+
+  /**
+   * Iterate a stream newest first, reading the file backwards in chunks so a
+   * caller that stops early never loads the whole file. Statuses as in read().
+   *
+   * @param {string} stream
+   * @param {string} [consumer='default']
+   * @param {object} [options]
+   * @param {number}  [options.before]     - Start from the line ending at this byte offset
+   *   instead of the end of the file (a line cut off there is skipped)
+   * @param {boolean} [options.withOffsets] - Yield { entry, end } with each line's end offset
+   * @returns {Generator<object>}
+   */
+  function* readReverse(stream, consumer = DEFAULT_CONSUMER, { before = null, withOffsets = false } = {}) {
+    const at = cursor(stream, consumer);
+    let fd;
+    try {
+      fd = fs.openSync(_dataFile(stream), 'r');
+    } catch {
+      return;
+    }
+
+    try {
+      let pos = Math.min(fs.fstatSync(fd).size, before ?? Infinity);
+      let carry = Buffer.alloc(0); // tail of a line whose beginning we haven't read yet
+      let end = null;              // file offset just past `carry` (null until the first newline)
+
+      while (pos > 0) {
+        const len = Math.min(READ_CHUNK_BYTES, pos);
+        pos -= len;
+        const chunk = Buffer.alloc(len);
+        fs.readSync(fd, chunk, 0, len, pos);
+        let buf = Buffer.concat([chunk, carry]);
+
+        if (end === null) {
+          // A trailing line without its newline is still being written
+          const lastNl = buf.lastIndexOf(0x0a);
+          if (lastNl === -1) {
+            carry = Buffer.alloc(0);
+            continue;
+          }
+          end = pos + lastNl + 1;
+          buf = buf.subarray(0, lastNl + 1);
+        }
+
+        // Lines after the first newline are complete; the bytes before it may continue earlier in the file
+        const start = pos === 0 ? 0 : buf.indexOf(0x0a) + 1;
+        const lines = buf.subarray(start).toString('utf8').split('\n');
+        lines.pop(); // '' after the final newline
+        carry = buf.subarray(0, start);
+
+        let lineEnd = end;
+        for (let i = lines.length - 1; i >= 0; i--) {
+          const raw = lines[i];
+          const entryEnd = lineEnd;
+          lineEnd -= Buffer.byteLength(raw) + 1;
+          if (!raw.trim()) continue;
+          let entry;
+          try {
+            entry = JSON.parse(raw);
+          } catch {
+            continue;
+          }
+          const withStatus = { ...entry, status: entryEnd <= at ? 'delivered' : 'pending' };
+          yield withOffsets ? { entry: withStatus, end: entryEnd } : withStatus;
+        }
+        end = pos + carry.length;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Byte offset `consumer` has consumed up to.
+   */
+  function cursor(stream, consumer = DEFAULT_CONSUMER) {
+    return _cursors(stream)[consumer] || 0;
+  }
+
+  /**
+   * What each consumer of a stream has yet to consume. Line counts are kept
+   * as messages are appended and consumed, so this only stats the file; a
+   * stream this store didn't write, or one changed elsewhere, is counted
+   * once in chunks.
+   *
+   * @returns {{ [consumer]: { messages: number, bytes: number } }}
+   */
+  function backlog(stream) {
+    const cursors = _cursors(stream);
+    const size = _size(_dataFile(stream));
+    let counts = lineCounts.get(stream);
+    const stale = !counts || counts.size !== size ||
+      Object.entries(cursors).some(([consumer, at]) => at !== 0 && counts.at[consumer] === undefined);
+    if (stale) counts = _countLines(stream, cursors, size);
+
+    const result = {};
+    for (const [consumer, at] of Object.entries(cursors)) {
+      result[consumer] = { messages: counts.lines - (counts.at[consumer] || 0), bytes: Math.max(0, counts.end - at) };
+    }
+    return result;
+  }
+
+  /**
+   * Names of all streams in the directory.
+   */
+  function streams() {
+    try {
+      return fs.readdirSync(dir)
+        .filter(f => f.endsWith('.jsonl'))
+        .map(f => f.slice(0, -'.jsonl'.length));
+    } catch {
+      return [];
+    }
+  }
+
+  // ─── Compaction ─────────────────────────────────────────────────────────
+
+  /**
+   * Drop messages from a stream. By default: the oldest messages every
+   * consumer has passed, keeping at least the newest `keep`.
+   *
+   * @param {string} stream
+   * @param {object} [options]
+   * @param {number}   [options.keep]   - Minimum messages to keep (default compactKeep)
+   * @param {function} [options.select] - (lines) => Set of indexes to drop instead, where
+   *   lines[i] = { entry, start, end, delivered }, oldest first; `delivered` = every consumer has passed it
+   * @returns {{ stream, removed: number, bytes: number }} bytes = size afterwards
+   */
+  function compact(stream, { keep = compactKeep, select } = {}) {
+    const filePath = _dataFile(stream);
+    const { entries, end } = _readFrom(filePath, 0);
+    const cursors = _cursors(stream);
+    // The default consumer counts even before it has a cursor
+    const consumed = Math.min(cursors[DEFAULT_CONSUMER] || 0, ...Object.values(cursors), end);
+    const lines = entries.map(e => ({ ...e, delivered: e.end <= consumed }));
+
+    const drop = select ? select(lines) : _consumedPrefix(lines, keep);
+    if (drop.size === 0) return { stream, removed: 0, bytes: _size(filePath) };
+
+    // Archive first: a crash before the rename leaves duplicates, never losses
+    if (archive) {
+      const defaultAt = cursors[DEFAULT_CONSUMER] || 0;
+      archive.append(stream, lines
+        .filter((_, i) => drop.has(i))
+        .map(({ entry, end: lineEnd }) => ({ ...entry, status: lineEnd <= defaultAt ? 'delivered' : 'pending' })));
+    }
+
+    // Keep the other lines byte for byte (plus any incomplete trailing line)
+    const content = fs.readFileSync(filePath);
+    const kept = lines.filter((_, i) => !drop.has(i));
+    const parts = kept.map(l => content.subarray(l.start, l.end));
+    parts.push(content.subarray(end));
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, Buffer.concat(parts));
+    fs.renameSync(tmpPath, filePath);
+
+    // A cursor moves to the end of the last kept line it had passed
+    const at = {};
+    for (const consumer of Object.keys(cursors)) {
+      let offset = 0;
+      let passed = 0;
+      for (const l of kept) {
+        if (l.end > cursors[consumer]) break;
+        offset += l.end - l.start;
+        passed++;
+      }
+      cursors[consumer] = offset;
+      at[consumer] = passed;
+    }
+    _writeCursors(stream, cursors);
+
+    const bytes = parts.reduce((sum, b) => sum + b.length, 0);
+    lineCounts.set(stream, { size: bytes, end: bytes - (content.length - end), lines: kept.length, at });
+    log.info(`[messageStore] Compacted ${stream}: removed ${drop.size} message(s), ${content.length - bytes} bytes`);
+    return { stream, removed: drop.size, bytes };
+  }
+
+  /** Indexes of the leading delivered lines, leaving at least `keep`. */
+  function _consumedPrefix(lines, keep) {
+    const drop = new Set();
+    const droppable = Math.max(0, lines.length - keep);
+    for (let i = 0; i < droppable && lines[i].delivered; i++) drop.add(i);
+    return drop;
+  }
+
+  /**
+   * Compact every stream.
+   * @returns {object[]} compact() results for streams that changed
+   */
+  function compactAll(options) {
+    return streams()
+      .map(stream => compact(stream, options))
+      .filter(r => r.removed > 0);
+  }
+
+  // ─── Line Counts ────────────────────────────────────────────────────────
+
+  function _countAppended(stream, from, size) {
+    const counts = lineCounts.get(stream);
+    if (counts && counts.size === from && counts.end === from) {
+      counts.size = counts.end = size;
+      counts.lines++;
+    } else if (!counts && from === 0) {
+      lineCounts.set(stream, { size, end: size, lines: 1, at: {} });
+    } else {
+      lineCounts.delete(stream);
+    }
+  }
+
+  function _countConsumed(stream, consumer, from, end, lines) {
+    const counts = lineCounts.get(stream);
+    if (!counts) return;
+    const before = counts.at[consumer] ?? (from === 0 ? 0 : undefined);
+    if (before === undefined || end > counts.end) {
+      lineCounts.delete(stream);
+      return;
+    }
+    counts.at[consumer] = before + lines;
+  }
+
+  /** Count a stream's lines, and those before each cursor, reading it in chunks. */
+  function _countLines(stream, cursors, size) {
+    const counts = { size, end: 0, lines: 0, at: {} };
+    const consumers = Object.entries(cursors);
+    for (const [consumer] of consumers) counts.at[consumer] = 0;
+
+    let fd;
+    try {
+      fd = fs.openSync(_dataFile(stream), 'r');
+    } catch {
+      lineCounts.set(stream, counts);
+      return counts;
+    }
+    try {
+      const chunk = Buffer.alloc(Math.min(READ_CHUNK_BYTES, size));
+      for (let pos = 0; pos < size;) {
+        const len = fs.readSync(fd, chunk, 0, Math.min(chunk.length, size - pos), pos);
+        if (len <= 0) break;
+        const buf = chunk.subarray(0, len);
+        let nl = -1;
+        while ((nl = buf.indexOf(0x0a, nl + 1)) !== -1) {
+          const lineEnd = pos + nl + 1;
+          counts.lines++;
+          counts.end = lineEnd;
+          for (const [consumer, at] of consumers) if (lineEnd <= at) counts.at[consumer]++;
+        }
+        pos += len;
+      }
+    } finally {
+      fs.closeSync(fd);
+    }
+    lineCounts.set(stream, counts);
+    return counts;
+  }
+
+  // ─── Helpers ────────────────────────────────────────────────────────────
+
+  function _dataFile(stream) {
+    return path.join(dir, `${stream}.jsonl`);
+  }
+
+  function _cursorFile(stream) {
+    return path.join(dir, `${stream}.cursors.json`);
+  }
+
+  function _size(filePath) {
+    try {
+      return fs.statSync(filePath).size;
+    } catch {
+      return 0;
+    }
+  }
+
+  function _cursors(stream) {
+    if (cursorCache.has(stream)) {
+      const cursors = cursorCache.get(stream);
+      // The file was truncated or replaced behind our back — start over
+      const size = _size(_dataFile(stream));
+      for (const consumer of Object.keys(cursors)) {
+        if (cursors[consumer] > size) cursors[consumer] = 0;
+      }
+      return cursors;
+    }
+
+    let cursors;
+    try {
+      cursors = JSON.parse(fs.readFileSync(_cursorFile(stream), 'utf8'));
+    } catch {
+      cursors = { [DEFAULT_CONSUMER]: _legacyCursor(stream) };
+      if (cursors[DEFAULT_CONSUMER] > 0) _writeCursors(stream, cursors);
+    }
+    cursorCache.set(stream, cursors);
+    return cursors;
+  }
+
+  /** Offset just past the last message a pre-cursor broker marked non-pending. */
+  function _legacyCursor(stream) {
+    let offset = 0;
+    for (const { entry, end } of _readFrom(_dataFile(stream), 0).entries) {
+      if (entry.status && entry.status !== 'pending') offset = end;
+    }
+    return offset;
+  }
+
+  function _writeCursors(stream, cursors) {
+    const filePath = _cursorFile(stream);
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(cursors));
+    fs.renameSync(tmpPath, filePath);
+  }
+
+  /**
+   * Parse complete lines from byte `from` to the end of the file. A trailing
+   * line without its newline yet is left for the next read.
+   *
+   * @returns {{ entries: { entry, start, end }[], end: number, lines: number }}
+   *   end = offset after the last complete line; lines = complete lines read, corrupt ones included
+   */
+  function _readFrom(filePath, from) {
+    let buf;
+    try {
+      const fd = fs.openSync(filePath, 'r');
+      try {
+        const size = fs.fstatSync(fd).size;
+        if (size <= from) return { entries: [], end: from, lines: 0 };
+        buf = Buffer.alloc(size - from);
+        fs.readSync(fd, buf, 0, buf.length, from);
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch {
+      return { entries: [], end: from, lines: 0 };
+    }
+
+    const entries = [];
+    let lineStart = 0;
+    let lines = 0;
+    let nl;
+    while ((nl = buf.indexOf(0x0a, lineStart)) !== -1) {
+      lines++;
+      const line = buf.toString('utf8', lineStart, nl).trim();
+      if (line) {
+        try {
+          entries.push({ entry: JSON.parse(line), start: from + lineStart, end: from + nl + 1 });
+        } catch {
+          log.warn(`[messageStore] Skipping corrupt line at byte ${from + lineStart} of ${path.basename(filePath)}`);
+        }
+      }
+      lineStart = nl + 1;
+    }
+    return { entries, end: from + lineStart, lines };
+  }
+
+  return { append, consume, read, readReverse, cursor, backlog, compact, compactAll, streams };
+}
+
+module.exports = { createMessageStore, DEFAULT_CONSUMER };
@@ -0,0 +1,248 @@
+/**
+ * openapi.js — Build an OpenAPI 3.1 document from discovered route modules.
+ *
+ * Input is the loader's route list ({ file, path, handlers, schema, description }).
+ *
+ * Path conversion (Express 5 / path-to-regexp syntax → OpenAPI):
+ *   /api/tasks/:agentId          → /api/tasks/{agentId}
+ *   /files/*filePath             → /files/{filePath}
+ *   /telegram-webhook{/:channel} → /telegram-webhook  AND  /telegram-webhook/{channel}
+ *
+ * OpenAPI has no optional path parameters, so every optional `{...}` group is
+ * expanded into separate path entries (with and without the group).
+ *
+ * Tags come from the route's subfolder (routes/api/mobey.js → "api").
+ * A route's `schema` export supplies parameters, requestBody and responses;
+ * its `auth` strategies are listed under `x-auth` with a 401 response, and
+ * its `limits` under `x-limits` with a 429 response.
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+// Methods an `ALL` handler is documented under
+const ALL_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Expand optional `{...}` groups into every concrete Express path they describe.
+ * Nested groups ("/a{/:b{/:c}}") are supported; escaped braces are not.
+ *
+ * @param {string} expressPath
+ * @returns {string[]} Concrete paths, longest-last
+ */
+function expandOptionalGroups(expressPath) {
+  const open = expressPath.indexOf('{');
+  if (open === -1) return [expressPath];
+
+  // Find the matching close brace for the first group
+  let depth = 0;
+  let close = -1;
+  for (let i = open; i < expressPath.length; i++) {
+    if (expressPath[i] === '{') depth++;
+    else if (expressPath[i] === '}' && --depth === 0) { close = i; break; }
+  }
+  if (close === -1) return [expressPath];
+
+  const before = expressPath.slice(0, open);
+  const inner = expressPath.slice(open + 1, close);
+  const after = expressPath.slice(close + 1);
+
+  const results = [];
+  for (const rest of expandOptionalGroups(after)) {
+    results.push(before + rest);
+    for (const innerVariant of expandOptionalGroups(inner)) {
+      results.push(before + innerVariant + rest);
+    }
+  }
+  return results;
+}
+
+/**
+ * Convert a concrete (brace-free) Express path to OpenAPI form and collect
+ * its parameter names.
+ *
+ * @param {string} expressPath
+ * @returns {{ path: string, params: string[] }}
+ */
+function toOpenApiPath(expressPath) {
+  const params = [];
+  const converted = expressPath.replace(/[:*]([A-Za-z_$][\w$]*)/g, (_m, name) => {
+    params.push(name);
+    return `{${name}}`;
+  });
+  return { path: converted || '/', params };
+}
+
+/**
+ * Derive a tag from the route's subfolder ("api/mobey.js" → "api").
+ */
+function tagForFile(file) {
+  const idx = file.lastIndexOf('/');
+  return idx === -1 ? null : file.slice(0, idx);
+}
+
+function _operationId(method, openApiPath) {
+  const slug = openApiPath
+    .replace(/[{}]/g, '')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((s, i) => (i === 0 ? s : s[0].toUpperCase() + s.slice(1)))
+    .join('');
+  return `${method}${slug ? slug[0].toUpperCase() + slug.slice(1) : 'Root'}`;
+}
+
+function _buildParameters(params, schema) {
+  const parameters = [];
+  const paramSchema = (schema && schema.params) || {};
+  const paramProps = paramSchema.properties || {};
+
+  for (const name of params) {
+    parameters.push({
+      name,
+      in: 'path',
+      required: true,
+      schema: paramProps[name] || { type: 'string' },
+    });
+  }
+
+  const querySchema = schema && schema.query;
+  if (querySchema && querySchema.properties) {
+    const required = new Set(querySchema.required || []);
+    for (const [name, propSchema] of Object.entries(querySchema.properties)) {
+      parameters.push({
+        name,
+        in: 'query',
+        required: required.has(name),
+        schema: propSchema,
+      });
+    }
+  }
+
+  return parameters;
+}
+
+function _buildResponses(schema, auth, limits) {
+  const responses = {};
+  const response = schema && schema.response;
+
+  if (response) {
+    const keys = Object.keys(response);
+    const isStatusMap = keys.length > 0 && keys.every(k => k === 'default' || /^[1-5]\d\d$/.test(k));
+    const entries = isStatusMap ? Object.entries(response) : [['200', response]];
+
+    for (const [status, s] of entries) {
+      responses[status] = {
+        description: status === 'default' ? 'Default response' : `HTTP ${status}`,
+        content: { 'application/json': { schema: s } },
+      };
+    }
+  } else {
+    responses['200'] = { description: 'Success' };
+  }
+
+  if (schema && (schema.params || schema.query || schema.body)) {
+    responses['400'] = {
+      description: 'Validation failed',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } },
+    };
+  }
+
+  if (auth && auth.length) {
+    responses['401'] = { description: 'Unauthorized' };
+  }
+
+  if (limits) {
+    responses['429'] = {
+      description: 'Too many requests',
+      headers: { 'Retry-After': { schema: { type: 'integer' }, description: 'Seconds to wait before retrying' } },
+    };
+  }
+
+  return responses;
+}
+
+/**
+ * Build the OpenAPI document.
+ *
+ * @param {object[]} routes - Loader routes ({ file, path, handlers, schema, auth, limits, description })
+ * @param {object} [info]   - { title, version, description }
+ * @returns {object} OpenAPI 3.1 document
+ */
+function buildOpenApiDocument(routes, info = {}) {
+  const paths = {};
+  const tags = new Set();
+
+  for (const route of routes) {
+    const tag = tagForFile(route.file);
+    if (tag) tags.add(tag);
+
+    for (const concrete of expandOptionalGroups(route.path)) {
+      const { path: openApiPath, params } = toOpenApiPath(concrete);
+      if (!paths[openApiPath]) paths[openApiPath] = {};
+
+      for (const { method } of route.handlers) {
+        const methods = method === 'all' ? ALL_METHODS : [method];
+
+        for (const m of methods) {
+          if (!HTTP_METHODS.includes(m)) continue;
+          // An explicit handler wins over ALL for the same method
+          if (paths[openApiPath][m] && method === 'all') continue;
+
+          const operation = {
+            operationId: _operationId(m, openApiPath),
+            summary: route.description || undefined,
+            tags: tag ? [tag] : undefined,
+            parameters: _buildParameters(params, route.schema),
+            responses: _buildResponses(route.schema, route.auth, route.limits),
+            'x-route-file': route.file,
+          };
+
+          if (route.auth && route.auth.length) {
+            operation['x-auth'] = route.auth.map(a => a.strategy);
+          }
+          if (route.limits) {
+            operation['x-limits'] = route.limits;
+          }
+
+          if (route.schema && route.schema.body && !['get', 'head'].includes(m)) {
+            operation.requestBody = {
+              required: true,
+              content: { 'application/json': { schema: route.schema.body } },
+            };
+          }
+
+          paths[openApiPath][m] = operation;
+        }
+      }
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: info.title || 'API',
+      version: info.version || '0.0.0',
+      ...(info.description ? { description: info.description } : {}),
+    },
+    tags: [...tags].sort().map(name => ({ name })),
+    paths,
+    components: {
+      schemas: {
+        ValidationError: {
+          type: 'object',
+          required: ['error', 'details'],
+          properties: {
+            error: { type: 'string' },
+            details: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { field: { type: 'string' }, message: { type: 'string' } },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+module.exports = { buildOpenApiDocument, expandOptionalGroups, toOpenApiPath, tagForFile };
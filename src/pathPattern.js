@@ -0,0 +1,180 @@
+/**
+ * pathPattern.js — Path pattern syntax shared by the broker and its tries.
+ *
+ * A pattern is matched one "/"-separated segment at a time:
+ *
+ *   **                 — zero or more segments
+ *   *                  — exactly one segment
+ *   #eng-*             — glob: * inside a segment matches any characters
+ *   {#ops,#alerts}     — alternation inside a segment (may hold globs)
+ *   :workspace         — named capture of a whole segment
+ *   #:channel          — named capture of the rest of a segment
+ *   literal            — anything else
+ *
+ * A capture starts with ":" at the start of a segment or after a character
+ * that isn't a letter, digit or "_", so "host:8080" and "a:b" stay literal.
+ * Captured values are returned by matchPattern() as { name: value }.
+ *
+ * A pattern starting with "!" is negated: it matches the paths the rest of
+ * it doesn't. Subscriptions use negations to carve exceptions out of their
+ * other patterns (see messageBroker.js).
+ */
+
+const CAPTURE = /^:([A-Za-z_]\w*)/;
+const CACHE_LIMIT = 5000;
+
+const cache = new Map(); // pattern → compiled
+
+/**
+ * Whether a segment matches only itself.
+ * @param {string} seg
+ * @returns {boolean}
+ */
+function isLiteral(seg) {
+  return !seg.includes('*') && !seg.includes('{') && !_hasCapture(seg);
+}
+
+/**
+ * Compile one non-literal segment into a test for path segments.
+ * @param {string} seg
+ * @returns {function(string): boolean}
+ * @throws {Error} On malformed braces or captures
+ */
+function segmentTest(seg) {
+  if (seg === '*') return () => true;
+  const { regex } = _compileSegment(seg, seg);
+  return (text) => regex.test(text);
+}
+
+/**
+ * Match a path against a pattern.
+ *
+ * @param {string} pattern - Normalized, optionally starting with "!"
+ * @param {string} path    - Normalized
+ * @returns {object|null} Captured values ({} when there are none), or null if it doesn't match
+ * @throws {Error} If the pattern is malformed
+ */
+function matchPattern(pattern, path) {
+  const compiled = _compile(pattern);
+  const params = _match(compiled.segments, 0, path.split('/'), 0);
+  if (compiled.negated) return params ? null : {};
+  return params;
+}
+
+/**
+ * Check that a pattern parses.
+ * @throws {Error} With the reason it doesn't
+ */
+function validatePattern(pattern) {
+  _compile(pattern);
+}
+
+/** @returns {boolean} */
+function isValidPattern(pattern) {
+  try {
+    _compile(pattern);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// ─── Compilation ────────────────────────────────────────────────────────────
+
+function _compile(pattern) {
+  let compiled = cache.get(pattern);
+  if (compiled) return compiled;
+
+  const negated = pattern.startsWith('!');
+  const body = negated ? pattern.slice(1) : pattern;
+  if (!body) throw new Error(`Invalid pattern "${pattern}": empty`);
+
+  const names = new Set();
+  const segments = body.split('/').map((seg) => {
+    if (seg === '**') return { type: 'globstar' };
+    if (seg === '*') return { type: 'star' };
+    if (isLiteral(seg)) return { type: 'literal', text: seg };
+    const { regex, captures } = _compileSegment(seg, pattern);
+    for (const name of captures) {
+      if (names.has(name)) throw new Error(`Invalid pattern "${pattern}": capture :${name} appears twice`);
+      names.add(name);
+    }
+    return { type: 'glob', regex };
+  });
+
+  compiled = { negated, segments };
+  if (cache.size >= CACHE_LIMIT) cache.clear();
+  cache.set(pattern, compiled);
+  return compiled;
+}
+
+function _compileSegment(seg, pattern) {
+  let source = '';
+  const captures = [];
+  let inBraces = false;
+
+  for (let i = 0; i < seg.length; i++) {
+    const ch = seg[i];
+    const capture = ch === ':' && (i === 0 || !/\w/.test(seg[i - 1])) ? CAPTURE.exec(seg.slice(i)) : null;
+
+    if (capture) {
+      if (inBraces) throw new Error(`Invalid pattern "${pattern}": captures can't be inside braces`);
+      captures.push(capture[1]);
+      source += `(?<${capture[1]}>.+?)`;
+      i += capture[0].length - 1;
+    } else if (ch === '*') {
+      source += '.*?';
+    } else if (ch === '{') {
+      if (inBraces) throw new Error(`Invalid pattern "${pattern}": nested braces`);
+      inBraces = true;
+      source += '(?:';
+    } else if (ch === '}') {
+      if (!inBraces) throw new Error(`Invalid pattern "${pattern}": unbalanced braces`);
+      inBraces = false;
+      source += ')';
+    } else if (ch === ',' && inBraces) {
+      source += '|';
+    } else {
+      source += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  if (inBraces) throw new Error(`Invalid pattern "${pattern}": unbalanced braces`);
+
+  return { regex: new RegExp(`^${source}$`), captures };
+}
+
+function _hasCapture(seg) {
+  for (let i = seg.indexOf(':'); i !== -1; i = seg.indexOf(':', i + 1)) {
+    if ((i === 0 || !/\w/.test(seg[i - 1])) && CAPTURE.test(seg.slice(i))) return true;
+  }
+  return false;
+}
+
+// ─── Matching ───────────────────────────────────────────────────────────────
+
+function _match(segments, pi, tSegs, ti) {
+  if (pi === segments.length) return ti === tSegs.length ? {} : null;
+
+  const seg = segments[pi];
+  if (seg.type === 'globstar') {
+    for (let skip = ti; skip <= tSegs.length; skip++) {
+      const params = _match(segments, pi + 1, tSegs, skip);
+      if (params) return params;
+    }
+    return null;
+  }
+
+  if (ti === tSegs.length) return null;
+  const text = tSegs[ti];
+
+  if (seg.type === 'literal' && seg.text !== text) return null;
+  if (seg.type === 'glob') {
+    const m = seg.regex.exec(text);
+    if (!m) return null;
+    const params = _match(segments, pi + 1, tSegs, ti + 1);
+    return params && { ...m.groups, ...params };
+  }
+  return _match(segments, pi + 1, tSegs, ti + 1);
+}
+
+module.exports = { isLiteral, segmentTest, matchPattern, validatePattern, isValidPattern };
@@ -0,0 +1,218 @@
+/**
+ * routeAuth.js — Pluggable authentication for HTTP route modules.
+ *
+ * Routes opt in by exporting an `auth` field. Each entry names a strategy,
+ * optionally with options; when several are listed, ANY one succeeding lets
+ * the request through:
+ *
+ *   auth: 'bearer'
+ *   auth: ['local', 'bearer']
+ *   auth: { strategy: 'apiKey', header: 'x-api-key', keys: [process.env.MY_KEY] }
+ *   auth: { strategy: 'hmac', secret: process.env.HOOK_SECRET, header: 'x-hub-signature-256', prefix: 'sha256=' }
+ *   auth: ['bearer', { strategy: 'tailscale', users: ['me@example.com'] }]
+ *
+ * Built-in strategies:
+ *   bearer    — `Authorization: Bearer <token>`; defaults to the server tokens
+ *               (CLAUDE_SOCKET_TOKEN + HTTP_AUTH_TOKENS). Options: { tokens }
+ *   apiKey    — shared key in a header. Options: { keys (required), header = 'x-api-key' }
+ *   hmac      — HMAC of the raw request body. Options: { secret (required, string
+ *               or array), header = 'x-signature', algorithm = 'sha256',
+ *               encoding = 'hex', prefix = '' }
+ *   tailscale — identity headers added by `tailscale serve` (only trusted from
+ *               loopback). Options: { users } — defaults to TAILSCALE_ALLOWED_USERS;
+ *               an empty list accepts any tailnet user
+ *   local     — request originates from the loopback interface
+ *
+ * On success `req.auth = { strategy, identity }` is set for the handler.
+ * Otherwise the request gets `401 { error: 'Unauthorized' }`.
+ *
+ * Extra strategies can be added with registerStrategy(name, fn) where
+ * fn(req, options) returns `{ ok: true, identity }` or `{ ok: false, reason }`.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const LOOPBACK_ADDRS = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+function _matchesAny(value, candidates) {
+  return candidates.some(c => timingSafeEqual(value, c));
+}
+
+function _isLoopback(req) {
+  const ip = req.socket?.remoteAddress || req.ip;
+  return LOOPBACK_ADDRS.includes(ip);
+}
+
+/**
+ * Create a route authenticator.
+ *
+ * @param {object} [opts]
+ * @param {string[]} [opts.tokens]          - Default bearer tokens
+ * @param {string[]} [opts.tailscaleUsers]  - Default Tailscale login allowlist
+ * @param {object}   [opts.log]             - Logger with info/warn/error
+ * @returns {{ registerStrategy, normalize, createMiddleware }}
+ */
+function createRouteAuth(opts = {}) {
+  const {
+    tokens = [],
+    tailscaleUsers = [],
+    log = logger,
+  } = opts;
+
+  const defaultTokens = tokens.filter(Boolean);
+  const strategies = new Map();
+
+  // ─── Built-in strategies ──────────────────────────────────────────────────
+
+  registerStrategy('bearer', (req, options) => {
+    const header = req.headers.authorization || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    if (!match) return { ok: false, reason: 'missing bearer token' };
+
+    const allowed = (options.tokens || defaultTokens).filter(Boolean);
+    if (allowed.length === 0) return { ok: false, reason: 'no bearer tokens configured' };
+    if (!_matchesAny(match[1].trim(), allowed)) return { ok: false, reason: 'invalid bearer token' };
+
+    return { ok: true, identity: { type: 'token' } };
+  });
+
+  registerStrategy('apiKey', (req, options) => {
+    const headerName = (options.header || 'x-api-key').toLowerCase();
+    const key = req.headers[headerName];
+    if (!key) return { ok: false, reason: `missing ${headerName} header` };
+
+    const allowed = (options.keys || []).filter(Boolean);
+    if (!_matchesAny(String(key), allowed)) return { ok: false, reason: `invalid ${headerName}` };
+
+    return { ok: true, identity: { type: 'apiKey', header: headerName } };
+  }, (options) => {
+    if (!Array.isArray(options.keys)) throw new Error('apiKey strategy requires a "keys" array');
+  });
+
+  registerStrategy('hmac', (req, options) => {
+    const headerName = (options.header || 'x-signature').toLowerCase();
+    const received = req.headers[headerName];
+    if (!received) return { ok: false, reason: `missing ${headerName} header` };
+
+    const raw = req.rawBody
+      || (Buffer.isBuffer(req.body) || typeof req.body === 'string' ? req.body : null);
+    if (raw == null) return { ok: false, reason: 'raw body unavailable for signature check' };
+
+    const secrets = [].concat(options.secret).filter(Boolean);
+    const prefix = options.prefix || '';
+    for (const secret of secrets) {
+      const digest = crypto
+        .createHmac(options.algorithm || 'sha256', secret)
+        .update(raw)
+        .digest(options.encoding || 'hex');
+      if (timingSafeEqual(String(received), prefix + digest)) {
+        return { ok: true, identity: { type: 'hmac', header: headerName } };
+      }
+    }
+    return { ok: false, reason: 'signature mismatch' };
+  }, (options) => {
+    if (!options.secret) throw new Error('hmac strategy requires a "secret"');
+  });
+
+  registerStrategy('tailscale', (req, options) => {
+    // `tailscale serve` proxies from loopback; anything else could forge the headers
+    if (!_isLoopback(req)) return { ok: false, reason: 'tailscale headers not from loopback' };
+
+    const login = req.headers['tailscale-user-login'];
+    if (!login) return { ok: false, reason: 'missing Tailscale-User-Login header' };
+
+    const allowed = options.users || tailscaleUsers;
+    if (allowed.length > 0 && !allowed.includes(login)) {
+      return { ok: false, reason: `tailscale user ${login} not allowed` };
+    }
+
+    return {
+      ok: true,
+      identity: { type: 'tailscale', login, name: req.headers['tailscale-user-name'] || null },
+    };
+  });
+
+  registerStrategy('local', (req) => {
+    if (!_isLoopback(req)) return { ok: false, reason: 'not a loopback request' };
+    return { ok: true, identity: { type: 'local' } };
+  });
+
+  // ─── Registry ─────────────────────────────────────────────────────────────
+
+  /**
+   * Register (or replace) a strategy.
+   *
+   * @param {string} name
+   * @param {function} verify - (req, options) => { ok, identity?, reason? }
+   * @param {function} [validateOptions] - Throws if a route's options are invalid
+   */
+  function registerStrategy(name, verify, validateOptions = null) {
+    strategies.set(name, { verify, validateOptions });
+  }
+
+  /**
+   * Normalize a route's `auth` export into [{ strategy, options }].
+   * Returns [] for public routes. Throws on unknown strategies or bad options.
+   */
+  function normalize(auth) {
+    if (auth === undefined || auth === null || auth === false) return [];
+
+    return [].concat(auth).map((entry) => {
+      const { strategy, ...options } = typeof entry === 'string' ? { strategy: entry } : (entry || {});
+      if (!strategy) throw new Error('auth entry is missing "strategy"');
+
+      const def = strategies.get(strategy);
+      if (!def) throw new Error(`unknown auth strategy "${strategy}"`);
+      if (def.validateOptions) def.validateOptions(options);
+
+      return { strategy, options };
+    });
+  }
+
+  /**
+   * Build Express middleware enforcing normalized auth entries.
+   *
+   * @param {Array<{ strategy, options }>} entries - Output of normalize()
+   * @param {string} label - Route label for log lines
+   * @returns {function} Express middleware
+   */
+  function createMiddleware(entries, label) {
+    return function authenticate(req, res, next) {
+      const reasons = [];
+
+      for (const { strategy, options } of entries) {
+        let result;
+        try {
+          result = strategies.get(strategy).verify(req, options);
+        } catch (err) {
+          result = { ok: false, reason: `${strategy} error: ${err.message}` };
+        }
+
+        if (result.ok) {
+          req.auth = { strategy, identity: result.identity || null };
+          return next();
+        }
+        reasons.push(`${strategy}: ${result.reason}`);
+      }
+
+      log.warn(`Unauthorized ${req.method} ${req.originalUrl} (${label}) — ${reasons.join('; ')}`);
+      if (entries.some(e => e.strategy === 'bearer')) {
+        res.set('WWW-Authenticate', 'Bearer');
+      }
+      res.status(401).json({ error: 'Unauthorized' });
+    };
+  }
+
+  return { registerStrategy, normalize, createMiddleware };
+}
+
+module.exports = { createRouteAuth, timingSafeEqual };
@@ -0,0 +1,245 @@
+/**
+ * routeLimiter.js — Rate limiting and concurrency guards for HTTP route modules.
+ *
+ * Routes opt in by exporting a `limits` field:
+ *
+ *   limits: { concurrency: 3 }
+ *   limits: { rate: { max: 30, windowMs: 60_000, by: 'ip' } }
+ *   limits: {
+ *     rate: [{ max: 5, windowMs: 1000, by: 'token' }, { max: 500, windowMs: 3_600_000, by: 'route' }],
+ *     concurrency: { max: 2, by: 'token', retryAfterSec: 10 },
+ *   }
+ *
+ * `rate` rules are token buckets holding `max` requests and refilling `max`
+ * per `windowMs`. `concurrency` caps in-flight requests. A slot is released
+ * once the response has finished or the client has disconnected, and, for
+ * handlers the route loader mounts, once the handler's promise has settled,
+ * so work that outlives a dropped connection still counts. `by` picks the
+ * bucket key:
+ *   ip    — client address (default for rate)
+ *   token — authenticated identity / credential, falling back to ip
+ *   route — one shared bucket for the whole route (default for concurrency)
+ *
+ * Rejected requests get `429 { error: 'Too many requests', retryAfter }`
+ * with a `Retry-After` header (seconds).
+ *
+ * State lives in the limiter instance (created once by the server), keyed by
+ * route file — not in the route module — so it survives hot reloads.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const KEY_TYPES = ['ip', 'token', 'route'];
+const DEFAULT_CONCURRENCY_RETRY_SEC = 5;
+const SWEEP_INTERVAL_MS = 60_000;
+
+function _isPositiveInt(n) {
+  return Number.isInteger(n) && n > 0;
+}
+
+function _clientIp(req) {
+  return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Derive the bucket key for a request.
+ */
+function _keyFor(req, by) {
+  if (by === 'route') return 'route';
+  if (by === 'token') {
+    const identity = req.auth && req.auth.identity;
+    if (identity && identity.login) return `user:${identity.login}`;
+    const credential = req.headers.authorization
+      || (identity && identity.header && req.headers[identity.header]);
+    if (credential) {
+      return 'token:' + crypto.createHash('sha256').update(String(credential)).digest('hex').slice(0, 16);
+    }
+  }
+  return `ip:${_clientIp(req)}`;
+}
+
+/**
+ * Create a route limiter.
+ *
+ * @param {object} [opts]
+ * @param {object}   [opts.log] - Logger with info/warn/error
+ * @param {function} [opts.now] - Clock (ms), injectable for tests
+ * @returns {{ normalize, createMiddleware, stats }}
+ */
+function createRouteLimiter(opts = {}) {
+  const {
+    log = logger,
+    now = Date.now,
+  } = opts;
+
+  // key → { tokens, updatedAt, capacity, refillPerMs }
+  const buckets = new Map();
+  // key → { active, max }
+  const semaphores = new Map();
+  let lastSweep = now();
+  let rejected = 0;
+
+  /**
+   * Normalize a route's `limits` export into { rate: [...], concurrency }.
+   * Returns null when no limits are declared. Throws on invalid options.
+   */
+  function normalize(limits) {
+    if (limits === undefined || limits === null || limits === false) return null;
+    if (typeof limits !== 'object' || Array.isArray(limits)) {
+      throw new Error('"limits" must be an object with "rate" and/or "concurrency"');
+    }
+
+    const rate = [].concat(limits.rate || []).map((rule, i) => {
+      const { max, windowMs, by = 'ip' } = rule || {};
+      if (!_isPositiveInt(max)) throw new Error(`rate[${i}].max must be a positive integer`);
+      if (!_isPositiveInt(windowMs)) throw new Error(`rate[${i}].windowMs must be a positive integer`);
+      if (!KEY_TYPES.includes(by)) throw new Error(`rate[${i}].by must be one of ${KEY_TYPES.join(', ')}`);
+      return { max, windowMs, by };
+    });
+
+    let concurrency = null;
+    if (limits.concurrency !== undefined) {
+      const spec = typeof limits.concurrency === 'number' ? { max: limits.concurrency } : (limits.concurrency || {});
+      const { max, by = 'route', retryAfterSec = DEFAULT_CONCURRENCY_RETRY_SEC } = spec;
+      if (!_isPositiveInt(max)) throw new Error('concurrency.max must be a positive integer');
+      if (!KEY_TYPES.includes(by)) throw new Error(`concurrency.by must be one of ${KEY_TYPES.join(', ')}`);
+      if (!_isPositiveInt(retryAfterSec)) throw new Error('concurrency.retryAfterSec must be a positive integer');
+      concurrency = { max, by, retryAfterSec };
+    }
+
+    if (rate.length === 0 && !concurrency) return null;
+    return { rate, concurrency };
+  }
+
+  // ─── Token buckets ────────────────────────────────────────────────────────
+
+  function _bucket(key, rule, t) {
+    const capacity = rule.max;
+    const refillPerMs = rule.max / rule.windowMs;
+    let bucket = buckets.get(key);
+
+    if (!bucket) {
+      bucket = { tokens: capacity, updatedAt: t, capacity, refillPerMs };
+      buckets.set(key, bucket);
+      return bucket;
+    }
+
+    // Rules may change across reloads — always refill with the current ones
+    bucket.capacity = capacity;
+    bucket.refillPerMs = refillPerMs;
+    bucket.tokens = Math.min(capacity, bucket.tokens + (t - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = t;
+    return bucket;
+  }
+
+  /** Drop full buckets and idle semaphores so memory tracks active clients */
+  function _sweep(t) {
+    if (t - lastSweep < SWEEP_INTERVAL_MS) return;
+    lastSweep = t;
+
+    for (const [key, bucket] of buckets) {
+      const tokens = bucket.tokens + (t - bucket.updatedAt) * bucket.refillPerMs;
+      if (tokens >= bucket.capacity) buckets.delete(key);
+    }
+    for (const [key, sem] of semaphores) {
+      if (sem.active === 0) semaphores.delete(key);
+    }
+  }
+
+  function _reject(req, res, label, retryAfterSec, reason) {
+    rejected++;
+    log.warn(`Rate limited ${req.method} ${req.originalUrl} (${label}) — ${reason}`);
+    res.set('Retry-After', String(retryAfterSec));
+    res.status(429).json({ error: 'Too many requests', retryAfter: retryAfterSec });
+  }
+
+  /**
+   * Build Express middleware enforcing normalized limits.
+   *
+   * @param {{ rate, concurrency }} limits - Output of normalize()
+   * @param {string} routeKey - Stable identifier for the route (its file)
+   * @param {string} [label] - Route label for log lines
+   * @returns {function} Express middleware
+   */
+  function createMiddleware(limits, routeKey, label = routeKey) {
+    return function limit(req, res, next) {
+      const t = now();
+      _sweep(t);
+
+      // Check every rule before consuming so a rejection doesn't drain other buckets
+      const taken = [];
+      for (let i = 0; i < limits.rate.length; i++) {
+        const rule = limits.rate[i];
+        const bucket = _bucket(`${routeKey}|rate${i}|${_keyFor(req, rule.by)}`, rule, t);
+        if (bucket.tokens < 1) {
+          const retryAfterSec = Math.max(1, Math.ceil((1 - bucket.tokens) / bucket.refillPerMs / 1000));
+          return _reject(req, res, label, retryAfterSec, `${rule.max} per ${rule.windowMs}ms by ${rule.by}`);
+        }
+        taken.push(bucket);
+      }
+
+      const { concurrency } = limits;
+      let sem = null;
+      if (concurrency) {
+        const key = `${routeKey}|concurrency|${_keyFor(req, concurrency.by)}`;
+        sem = semaphores.get(key);
+        if (!sem) {
+          sem = { active: 0, max: concurrency.max };
+          semaphores.set(key, sem);
+        }
+        sem.max = concurrency.max;
+        if (sem.active >= sem.max) {
+          return _reject(req, res, label, concurrency.retryAfterSec, `${sem.active}/${sem.max} in flight`);
+        }
+      }
+
+      for (const bucket of taken) bucket.tokens -= 1;
+
+      if (sem) {
+        sem.active++;
+        let waiting = 1; // the response, plus any holders
+        const done = () => {
+          if (--waiting === 0) sem.active--;
+        };
+        let ended = false;
+        const onEnd = () => {
+          if (ended) return;
+          ended = true;
+          done();
+        };
+        res.on('finish', onEnd);
+        res.on('close', onEnd);
+
+        // Keep the slot until the returned release() is called as well
+        req.holdLimit = () => {
+          waiting++;
+          let released = false;
+          return () => {
+            if (released) return;
+            released = true;
+            done();
+          };
+        };
+      }
+
+      next();
+    };
+  }
+
+  /**
+   * Snapshot for diagnostics.
+   */
+  function stats() {
+    return {
+      buckets: buckets.size,
+      rejected,
+      inFlight: Array.from(semaphores, ([key, sem]) => ({ key, active: sem.active, max: sem.max }))
+        .filter(s => s.active > 0),
+    };
+  }
+
+  return { normalize, createMiddleware, stats };
+}
+
+module.exports = { createRouteLimiter };
@@ -0,0 +1,162 @@
+/**
+ * routeSchema.js — Declarative request/response validation for route modules.
+ *
+ * Route modules may export a `schema` object with JSON Schemas for each part
+ * of the request, plus an optional response schema:
+ *
+ *   module.exports = {
+ *     path: '/api/things/:id',
+ *     method: 'PATCH',
+ *     schema: {
+ *       params:   { type: 'object', properties: { id: { type: 'string' } } },
+ *       query:    { type: 'object', properties: { dryRun: { type: 'boolean' } } },
+ *       body:     { type: 'object', required: ['status'], properties: { status: { type: 'string' } } },
+ *       response: { 200: { type: 'object' } },   // or a single schema for every status
+ *     },
+ *     handler(req, res) { ... },
+ *   };
+ *
+ * Invalid requests never reach the handler — they get a 400:
+ *   { error: 'Validation failed', details: [{ field: 'body.status', message: 'is required' }] }
+ *
+ * Params and query values arrive as strings, so they are type-coerced on a
+ * copy before validation (`"10"` satisfies `{ type: 'integer' }`); the handler
+ * still sees the original request.
+ *
+ * Response validation wraps res.json() and only logs mismatches — it never
+ * changes what the client receives. Enable it with `validateResponses`.
+ */
+
+const Ajv = require('ajv');
+const { logger } = require('./logger');
+
+const REQUEST_PARTS = ['params', 'query', 'body'];
+const SCHEMA_KEYS = [...REQUEST_PARTS, 'response'];
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const coercingAjv = new Ajv({ allErrors: true, strict: false, coerceTypes: 'array' });
+
+/**
+ * Convert Ajv errors into `{ field, message }` entries rooted at `location`.
+ * Missing required properties are reported on the property itself.
+ */
+function formatErrors(errors, location) {
+  return (errors || []).map((err) => {
+    const segments = err.instancePath.split('/').filter(Boolean);
+    let message = err.message;
+
+    if (err.keyword === 'required') {
+      segments.push(err.params.missingProperty);
+      message = 'is required';
+    } else if (err.keyword === 'additionalProperties') {
+      segments.push(err.params.additionalProperty);
+      message = 'is not allowed';
+    }
+
+    return { field: [location, ...segments].join('.'), message };
+  });
+}
+
+/**
+ * Pick the response schema for a status code. A map keyed by status codes
+ * (`{ 200: ..., 404: ... }`, optionally with `default`) or a single schema.
+ */
+function _responseSchemaFor(compiled, statusCode) {
+  if (!compiled) return null;
+  if (typeof compiled === 'function') return compiled;
+  return compiled[statusCode] || compiled.default || null;
+}
+
+function _isStatusMap(schema) {
+  const keys = Object.keys(schema);
+  return keys.length > 0 && keys.every(k => k === 'default' || /^[1-5]\d\d$/.test(k));
+}
+
+/**
+ * Compile a route's `schema` export into validator functions.
+ * Throws if the export is malformed or a schema doesn't compile.
+ *
+ * @param {object} schema - { params?, query?, body?, response? }
+ * @returns {{ params?, query?, body?, response? }} Compiled validators
+ */
+function compileRouteSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('schema must be an object');
+  }
+
+  const unknown = Object.keys(schema).filter(k => !SCHEMA_KEYS.includes(k));
+  if (unknown.length) {
+    throw new Error(`unknown schema key(s): ${unknown.join(', ')}`);
+  }
+
+  const compiled = {};
+  for (const part of REQUEST_PARTS) {
+    if (schema[part]) {
+      compiled[part] = (part === 'body' ? ajv : coercingAjv).compile(schema[part]);
+    }
+  }
+
+  if (schema.response) {
+    if (_isStatusMap(schema.response)) {
+      compiled.response = {};
+      for (const [status, s] of Object.entries(schema.response)) {
+        compiled.response[status] = ajv.compile(s);
+      }
+    } else {
+      compiled.response = ajv.compile(schema.response);
+    }
+  }
+
+  return compiled;
+}
+
+/**
+ * Build Express middleware that validates requests (and optionally
+ * responses) against compiled route validators.
+ *
+ * @param {object} compiled - Output of compileRouteSchema()
+ * @param {object} opts
+ * @param {string}  opts.label               - Route label for log lines (e.g. "PATCH /api/tasks/:id")
+ * @param {boolean} [opts.validateResponses] - Check res.json() bodies against schema.response
+ * @param {object}  [opts.log]               - Logger with info/warn/error
+ * @returns {function} Express middleware
+ */
+function createSchemaMiddleware(compiled, { label, validateResponses = false, log = logger } = {}) {
+  return function validateSchema(req, res, next) {
+    const details = [];
+
+    for (const part of REQUEST_PARTS) {
+      const validate = compiled[part];
+      if (!validate) continue;
+
+      // Validate a copy so coercion doesn't leak into the handler's view
+      let value = req[part];
+      if (part !== 'body') value = { ...(value || {}) };
+      else if (value === undefined) value = {};
+
+      if (!validate(value)) {
+        details.push(...formatErrors(validate.errors, part));
+      }
+    }
+
+    if (details.length) {
+      return res.status(400).json({ error: 'Validation failed', details });
+    }
+
+    if (validateResponses && compiled.response) {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const validate = _responseSchemaFor(compiled.response, res.statusCode);
+        if (validate && !validate(body)) {
+          const errors = formatErrors(validate.errors, 'response');
+          log.warn(`Response schema mismatch for ${label} (${res.statusCode}): ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+        }
+        return json(body);
+      };
+    }
+
+    next();
+  };
+}
+
+module.exports = { compileRouteSchema, createSchemaMiddleware, formatErrors };
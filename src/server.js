@@ -1,90 +1,138 @@
 require('dotenv').config();
-const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const os = require('os');
 const express = require('express');
 const config = require('../config');
+// Shared leveled logger — stdout + rotating files in log/ (see src/logger.js)
+const { logger: log } = require('./logger');
 const RouteLoader = require('./loader');
+const { buildOpenApiDocument } = require('./openapi');
+const { createRouteAuth } = require('./routeAuth');
+const { createRouteLimiter } = require('./routeLimiter');
+const { createTracer, newCorrelationId, isValidCorrelationId } = require('./tracer');
+const pkg = require('../package.json');
 const gateway = require('./gateway');
 const claudeSocket = require('./claudeSocket');
-const { claudeStream, createAgentCLIPool } = require('./claudeHelper');
+const { claudeStream, createAgentCLIPool, activeProcessCount, killActiveProcesses } = require('./claudeHelper');
 const { createProjectManager } = require('./projectManager');
 const { createToolLoader } = require('./toolLoader');
 const { createMessageBroker } = require('./messageBroker');
+const { formatPrometheus } = require('./messageStats');
+const { createBrokerFederation } = require('./brokerFederation');
 const { createLogScanner } = require('./logScanner');
 const { createAgentTurnManager } = require('./agentTurnManager');
 const { createAnthropicClient } = require('./anthropicHelper');
 const { createServiceLoader } = require('./serviceLoader');
-
-// --- File logger ---
-const logDir = path.join(__dirname, '..', 'log');
-if (!fs.existsSync(logDir)) fs.mkdirSync(logDir, { recursive: true });
-
-function appendToLogFile(level, args) {
-  const ts = new Date().toISOString();
-  const line = `[${level.toUpperCase()}]  ${ts} ${args.map(a => typeof a === 'string' ? a : JSON.stringify(a, null, 2)).join(' ')}\n`;
-  const dateStr = ts.slice(0, 10); // YYYY-MM-DD
-  fs.appendFile(path.join(logDir, `${dateStr}.log`), line, () => {});
-  // Also write errors/warns to a dedicated error log for easy scanning
-  if (level === 'error' || level === 'warn') {
-    fs.appendFile(path.join(logDir, 'error.log'), line, () => {});
-  }
-}
-
-// Simple structured logger — writes to stdout AND log/ files
-const log = {
-  info:  (...args) => { console.log(`[INFO]  ${new Date().toISOString()}`, ...args);  appendToLogFile('info', args);  },
-  warn:  (...args) => { console.warn(`[WARN]  ${new Date().toISOString()}`, ...args); appendToLogFile('warn', args);  },
-  error: (...args) => { console.error(`[ERROR] ${new Date().toISOString()}`, ...args); appendToLogFile('error', args); },
-};
+const { lifecycle } = require('./lifecycle');
 
 const app = express();
-app.use(express.json());
+// Keep the raw body around for HMAC signature verification (routeAuth)
+app.use(express.json({
+  verify: (req, _res, buf) => { req.rawBody = buf; },
+}));
 
 // Static assets (dashboard UI, etc.)
 app.use('/public', express.static(path.join(__dirname, '..', 'public')));
 
-// Request logging middleware
+// Request logging middleware — req.log carries the request id for handlers.
+// Each request also gets a correlation ID (the caller's X-Correlation-Id, or a
+// new one) that handlers pass to messageBroker.route() to start a trace.
 app.use((req, res, next) => {
   const start = Date.now();
+  req.id = crypto.randomUUID().slice(0, 8);
+  const incoming = req.get('x-correlation-id');
+  req.correlationId = isValidCorrelationId(incoming) ? incoming : newCorrelationId();
+  res.set('X-Correlation-Id', req.correlationId);
+  req.log = log.child({ reqId: req.id, correlationId: req.correlationId });
   res.on('finish', () => {
-    log.info(`${req.method} ${req.originalUrl} ${res.statusCode} ${Date.now() - start}ms`);
+    req.log.info(`${req.method} ${req.originalUrl} ${res.statusCode} ${Date.now() - start}ms`);
   });
   next();
 });
 
+// Once shutdown begins, new requests get 503 so no route starts work mid-drain;
+// the health probes keep answering so orchestrators can see the drain
+app.use(lifecycle.rejectWhileDraining({ exempt: ['/health', '/api/health'] }));
+
 // --- Route discovery ---
 
-const loader = new RouteLoader(config.routesDir, log);
+const routeAuth = createRouteAuth({
+  tokens: [config.claudeSocketToken, ...config.httpAuthTokens],
+  tailscaleUsers: config.tailscaleAllowedUsers,
+  log,
+});
+
+// Created once so buckets and in-flight counts survive route hot-reloads
+const routeLimiter = createRouteLimiter({ log });
+
+const loader = new RouteLoader(config.routesDir, log, {
+  pollIntervalMs: config.routeScanIntervalMs,
+  validateResponses: config.validateResponses,
+  auth: routeAuth,
+  limiter: routeLimiter,
+});
 
 /**
  * Build (or rebuild) the dynamic router from discovered route modules.
  */
-function buildRouter() {
+function buildRouter(routes) {
   const router = express.Router();
-  const routes = loader.scan();
 
   for (const route of routes) {
-    router[route.method](route.path, route.handler);
-    log.info(`Registered ${route.method.toUpperCase()} ${route.path} (${route.file})`);
+    // Auth runs first, then rate/concurrency limits, route middleware, and schema validation
+    const chain = [route.authenticate, route.limit, ...route.middleware, route.validate].filter(Boolean);
+    for (const { method, handler } of route.handlers) {
+      router[method](route.path, ...chain, handler);
+      log.info(`Registered ${method.toUpperCase()} ${route.path} (${route.file})`);
+    }
   }
 
   return router;
 }
 
-let dynamicRouter = buildRouter();
+let dynamicRouter = buildRouter(loader.scan());
+
+// Hot-reload: the loader watches routes/ (or polls every routeScanIntervalMs
+// when fs.watch isn't available) and the router is rebuilt only when a route
+// file is added, changed or removed.
+loader.watch((routes) => {
+  dynamicRouter = buildRouter(routes);
+});
 
-// Lazy-reload: re-scan routes directory on every request so new routes are
-// picked up without a restart. The scan is fast (readdir + stat), and module
-// caching means unchanged files are cheap to re-require.
 app.use((req, res, next) => {
-  dynamicRouter = buildRouter();
   dynamicRouter(req, res, next);
 });
 
+// Diagnostics describe every route, its auth and the broker's agents, so
+// they get the same protection as the admin routes: loopback or a server token
+const diagnosticsAuth = routeAuth.createMiddleware(routeAuth.normalize(['local', 'bearer']), 'diagnostics');
+
 // Route listing endpoint for diagnostics
-app.get('/routes', (_req, res) => {
-  res.json({ routes: loader.list() });
+app.get('/routes', diagnosticsAuth, (_req, res) => {
+  res.json({ ...loader.status(), limiter: routeLimiter.stats(), routes: loader.list() });
+});
+
+// OpenAPI document generated from discovered routes (rebuilt per reload generation)
+let openApiCache = { generation: -1, doc: null };
+app.get('/openapi.json', diagnosticsAuth, (_req, res) => {
+  if (openApiCache.generation !== loader.generation) {
+    openApiCache = {
+      generation: loader.generation,
+      doc: buildOpenApiDocument(loader.getRoutes(), {
+        title: pkg.name,
+        version: pkg.version,
+        description: pkg.description,
+      }),
+    };
+  }
+  res.json(openApiCache.doc);
+});
+
+// Message broker metrics in the Prometheus text format
+app.get('/metrics', diagnosticsAuth, (_req, res) => {
+  if (!runtime) return res.status(503).json({ error: 'Agent runtime is not running' });
+  res.type('text/plain; version=0.0.4').send(formatPrometheus(runtime.messageBroker.getStats()));
 });
 
 // 404 handler
@@ -98,95 +146,222 @@ app.use((err, _req, res, _next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
-// --- Start ---
+// --- Lifecycle ---
+//
+// Components start in this order and stop in reverse (see src/lifecycle.js).
+// SIGTERM/SIGINT drain active turns and streams, stop everything, kill any
+// leftover claude processes and flush logs before exiting.
 
-async function start() {
-  // Connect to OpenClaw gateway
-  try {
-    await gateway.connect();
-    log.info(`Connected to OpenClaw gateway at ${config.openclawGateway}`);
-  } catch (err) {
-    log.error(`Failed to connect to OpenClaw gateway: ${err.message}`);
-    process.exit(1);
-  }
+let httpServer = null;
+// Agent runtime (broker, turns, tools) — created when CLAUDE_SOCKET_TOKEN is set
+let runtime = null;
 
-  app.listen(config.port, config.host, () => {
-    log.info(`OpenClaw Custom Routes server listening on ${config.host}:${config.port}`);
-    log.info(`Workspace path: ${config.workspacePath}`);
-    log.info(`Routes directory: ${config.routesDir}`);
-    const routes = loader.list();
-    log.info(`Discovered ${routes.length} route(s): ${routes.map(r => `${r.method} ${r.path}`).join(', ') || '(none)'}`);
-  });
+// Killed last among components: nothing may spawn claude after this
+lifecycle.register('claude-cli', {
+  critical: false,
+  stop: () => killActiveProcesses(),
+  check: () => ({ activeProcesses: activeProcessCount() }),
+});
 
-  // Start Claude WebSocket server (non-blocking — warn on failure, don't crash)
-  if (config.claudeSocketToken) {
-    try {
-      const projectManager = createProjectManager(config.projectRoot);
-      const agentCLIPool = createAgentCLIPool({ projectManager, log });
-      const toolLoader = createToolLoader(config.projectRoot, log, { projectManager });
-      const messageBroker = createMessageBroker(config.projectRoot, projectManager, log);
-      const logScanner = createLogScanner(config.projectRoot, projectManager.listAgents, log);
-      // Create Anthropic API client for lightweight triage (optional — falls back to CLI)
-      let anthropicClient = null;
-      if (config.anthropicApiKey) {
-        anthropicClient = createAnthropicClient({ apiKey: config.anthropicApiKey, log });
-        log.info('Anthropic API client enabled for triage');
-      } else {
-        log.info('ANTHROPIC_API_KEY not set — triage will use Claude CLI fallback');
-      }
-
-      const turnManager = createAgentTurnManager({
-        messageBroker,
-        projectManager,
-        agentCLIPool,
-        anthropicClient,
-        log,
-      });
-      turnManager.start();
-
-      // Start service loader (auto-discovers services/ directory)
-      const expandedRoot = config.projectRoot.startsWith('~/')
-        ? path.join(os.homedir(), config.projectRoot.slice(1))
-        : config.projectRoot;
-      const servicesDir = path.join(expandedRoot, 'services');
-      const serviceLoader = createServiceLoader(servicesDir, log);
-      const serviceContext = {
-        messageBroker,
-        projectManager,
-        agentCLIPool,
-        turnManager,
-        log,
-        config,
-      };
-      serviceLoader.startAll(serviceContext);
+lifecycle.register('http', {
+  start: () => new Promise((resolve, reject) => {
+    httpServer = app.listen(config.port, config.host, (err) => {
+      if (err) return reject(err);
+      log.info(`OpenClaw Custom Routes server listening on ${config.host}:${config.port}`);
+      log.info(`Workspace path: ${config.workspacePath}`);
+      log.info(`Routes directory: ${config.routesDir}`);
+      const routes = loader.list();
+      log.info(`Discovered ${routes.length} route(s): ${routes.map(r => `${r.methods.join('|')} ${r.path}`).join(', ') || '(none)'}`);
+      resolve();
+    });
+  }),
+  stop: () => new Promise((resolve) => {
+    loader.unwatch();
+    httpServer.close(() => resolve());
+    httpServer.closeIdleConnections();
+  }),
+  check: () => ({ ok: Boolean(httpServer && httpServer.listening) }),
+});
+
+// Connect to OpenClaw gateway. Optional: startup doesn't wait for it, and
+// while it's down the client reconnects in the background (src/gateway.js).
+lifecycle.register('gateway', {
+  critical: false,
+  start: () => {
+    gateway.connect().then(
+      () => log.info(`Connected to OpenClaw gateway at ${config.openclawGateway}`),
+      (err) => log.warn(`OpenClaw gateway unavailable — running in degraded mode: ${err.message}`),
+    );
+  },
+  stop: () => gateway.close(),
+  check: () => {
+    const connection = gateway.healthCheck();
+    return { ok: connection.connected, connection };
+  },
+});
+
+// Agent runtime, services and the Claude WebSocket server are non-critical,
+// as before: if they fail, HTTP routes keep serving and the server stays ready.
+if (config.claudeSocketToken) {
+  lifecycle.register('agents', {
+    critical: false,
+    start: () => {
+      runtime = _createAgentRuntime();
+      runtime.turnManager.start();
+    },
+    drain: (timeoutMs) => runtime.turnManager.drain(timeoutMs),
+    stop: () => {
+      runtime.turnManager.stop();
+      runtime.agentCLIPool.destroy();
+      runtime.messageBroker.close();
+    },
+    check: () => ({ turns: runtime.turnManager.getStats().activeTurns }),
+  });
 
-      // Give toolLoader access to serviceLoader so the service-status tool works
-      toolLoader.setServiceLoader(serviceLoader);
+  // Start service loader (auto-discovers services/ directory)
+  lifecycle.register('services', {
+    critical: false,
+    start: () => {
+      if (!runtime) throw new Error('agent runtime is not running');
+      runtime.serviceLoader.startAll(runtime.serviceContext);
+      log.info(`Services directory: ${runtime.servicesDir}`);
+    },
+    stop: () => runtime.serviceLoader.stopAll(),
+    check: () => ({ running: runtime.serviceLoader.list().map(s => s.name) }),
+  });
 
-      log.info(`Services directory: ${servicesDir}`);
+  if (config.federationToken) {
+    lifecycle.register('federation', {
+      critical: false,
+      start: () => {
+        if (!runtime) throw new Error('agent runtime is not running');
+        runtime.federation = createBrokerFederation(runtime.messageBroker, runtime.projectManager, log, {
+          token: config.federationToken,
+          nodeId: config.federationNodeId,
+          port: config.federationPort,
+          host: config.host,
+          peers: config.federationPeers,
+          advertiseIntervalMs: config.federationAdvertiseIntervalMs,
+        });
+        return runtime.federation.start();
+      },
+      stop: () => runtime.federation.close(),
+      check: () => {
+        const { nodeId, links } = runtime.federation.status();
+        return { nodeId, links: links.map(l => l.nodeId) };
+      },
+    });
+  }
 
+  lifecycle.register('socket', {
+    critical: false,
+    start: () => {
+      if (!runtime) throw new Error('agent runtime is not running');
       log.info(`Project root: ${config.projectRoot}`);
-      claudeSocket.start({
+      runtime.socket = claudeSocket.start({
         port: config.claudeSocketPort,
         host: config.host,
         token: config.claudeSocketToken,
         claudeStreamFn: claudeStream,
-        projectManager,
-        agentCLIPool,
-        toolLoader,
-        messageBroker,
-        logScanner,
-        anthropicClient,
+        projectManager: runtime.projectManager,
+        agentCLIPool: runtime.agentCLIPool,
+        toolLoader: runtime.toolLoader,
+        messageBroker: runtime.messageBroker,
+        logScanner: runtime.logScanner,
+        anthropicClient: runtime.anthropicClient,
+        tracer: runtime.tracer,
+        federation: runtime.federation,
+        turnManager: runtime.turnManager,
         log,
       });
-    } catch (err) {
-      log.warn(`Failed to start Claude WebSocket server: ${err.message}`);
-    }
+    },
+    drain: (timeoutMs) => runtime.socket.drain(timeoutMs),
+    stop: () => runtime.socket.close(),
+  });
+} else {
+  log.info('CLAUDE_SOCKET_TOKEN not set — Claude WebSocket server disabled');
+}
+
+/**
+ * Build the agent runtime: project manager, broker, tracer, turn manager,
+ * tools and services, wired together.
+ */
+function _createAgentRuntime() {
+  const projectManager = createProjectManager(config.projectRoot);
+  const agentCLIPool = createAgentCLIPool({ projectManager, log });
+  const toolLoader = createToolLoader(config.projectRoot, log, { projectManager });
+  const tracer = createTracer(config.projectRoot, log);
+  const messageBroker = createMessageBroker(config.projectRoot, projectManager, log, {
+    tracer,
+    retention: { policies: config.messageRetention, intervalMs: config.messageRetentionIntervalMs },
+    delivery: {
+      maxAttempts: config.messageMaxAttempts,
+      backoffMs: config.messageRetryBackoffMs,
+      backoffMaxMs: config.messageRetryBackoffMaxMs,
+    },
+    dedupWindowMs: config.messageDedupWindowMs,
+    middleware: config.messageMiddleware,
+    schemaMode: config.messageSchemaMode,
+  });
+  const logScanner = createLogScanner(config.projectRoot, projectManager.listAgents, log);
+  // Create Anthropic API client for lightweight triage (optional — falls back to CLI)
+  let anthropicClient = null;
+  if (config.anthropicApiKey) {
+    anthropicClient = createAnthropicClient({ apiKey: config.anthropicApiKey, log });
+    log.info('Anthropic API client enabled for triage');
   } else {
-    log.info('CLAUDE_SOCKET_TOKEN not set — Claude WebSocket server disabled');
+    log.info('ANTHROPIC_API_KEY not set — triage will use Claude CLI fallback');
   }
+
+  const turnManager = createAgentTurnManager({
+    messageBroker,
+    projectManager,
+    agentCLIPool,
+    anthropicClient,
+    tracer,
+    projectRoot: config.projectRoot,
+    recovery: config.turnRecovery,
+    maxRecoveryAttempts: config.turnMaxRecoveryAttempts,
+    log,
+  });
+
+  const expandedRoot = config.projectRoot.startsWith('~/')
+    ? path.join(os.homedir(), config.projectRoot.slice(1))
+    : config.projectRoot;
+  const servicesDir = path.join(expandedRoot, 'services');
+  const serviceLoader = createServiceLoader(servicesDir, log);
+  const serviceContext = {
+    messageBroker,
+    projectManager,
+    agentCLIPool,
+    turnManager,
+    log,
+    config,
+  };
+
+  // Give toolLoader access to serviceLoader so the service-status tool works
+  toolLoader.setServiceLoader(serviceLoader);
+
+  return {
+    projectManager,
+    agentCLIPool,
+    toolLoader,
+    tracer,
+    messageBroker,
+    logScanner,
+    anthropicClient,
+    turnManager,
+    serviceLoader,
+    serviceContext,
+    servicesDir,
+    federation: null,
+    socket: null,
+  };
 }
 
-start();
+// --- Start ---
+
+lifecycle.handleSignals();
+lifecycle.startAll();
 
 module.exports = app;
@@ -11,8 +11,9 @@
  *     description: 'What this does',     // human-readable
  *     start(context) {                   // called once on load
  *       // context: { messageBroker, projectManager, agentCLIPool, log, config }
+ *       // (log is a child logger with { service: name } bound)
  *       // Set up listeners, connections, polling, etc.
- *       // Return a cleanup function (or nothing)
+ *       // Return a cleanup function (or nothing); it may be async
  *       return () => { // cleanup };
  *     },
  *     status() {                         // optional — called for health checks
@@ -37,6 +38,7 @@
 
 const fs = require('fs');
 const path = require('path');
+const { logger, childLogger } = require('./logger');
 
 /**
  * Create a ServiceLoader.
@@ -45,7 +47,7 @@ const path = require('path');
  * @param {object} [log]       - Logger with info/warn/error
  * @returns {{ scan, startAll, stopAll, refresh, list }}
  */
-function createServiceLoader(servicesDir, log = console) {
+function createServiceLoader(servicesDir, log = logger) {
   // Running services: name → { module, stopFn, filePath, loadedAt }
   const running = new Map();
 
@@ -106,7 +108,8 @@ function createServiceLoader(servicesDir, log = console) {
     }
 
     try {
-      const stopFn = svc.start(context);
+      // Each service logs with its name bound (e.g. [service=slack] ...)
+      const stopFn = svc.start({ ...context, log: childLogger(context.log || log, { service: svc.name }) });
       running.set(svc.name, {
         module: svc,
         stopFn: typeof stopFn === 'function' ? stopFn : null,
@@ -121,29 +124,37 @@ function createServiceLoader(servicesDir, log = console) {
 
   /**
    * Stop a single service by name.
+   * Returns a promise that settles once an async cleanup function finishes.
    */
   function _stopService(name) {
     const entry = running.get(name);
-    if (!entry) return;
+    if (!entry) return Promise.resolve();
 
+    let cleanup;
     try {
-      if (entry.stopFn) entry.stopFn();
+      if (entry.stopFn) cleanup = entry.stopFn();
     } catch (err) {
       log.error(`[serviceLoader] Error stopping service "${name}": ${err.message}`);
     }
 
     running.delete(name);
     log.info(`[serviceLoader] Stopped service: ${name}`);
+
+    return Promise.resolve(cleanup).then(() => {}, (err) => {
+      log.error(`[serviceLoader] Error stopping service "${name}": ${err.message}`);
+    });
   }
 
   /**
    * Stop all running services.
+   *
+   * @returns {Promise<void>} Settles when every cleanup function has finished
    */
   function stopAll() {
-    for (const name of [...running.keys()]) {
-      _stopService(name);
-    }
-    log.info('[serviceLoader] All services stopped');
+    const pending = [...running.keys()].map(name => _stopService(name));
+    return Promise.all(pending).then(() => {
+      log.info('[serviceLoader] All services stopped');
+    });
   }
 
   /**
@@ -1,5 +1,6 @@
 const { WebClient } = require('@slack/web-api');
 const config = require('../config');
+const { logger } = require('./logger');
 
 const slack = new WebClient(config.mobeySlackBotToken);
 
@@ -38,7 +39,7 @@ async function resolveChannelId(channel) {
       cursor = res.response_metadata?.next_cursor;
     } while (cursor);
   } catch (err) {
-    console.error(`[slackHelper] Failed to list channels for resolution: ${err.message}`);
+    logger.error(`[slackHelper] Failed to list channels for resolution: ${err.message}`);
   }
 
   return channelIdCache.get(name) || channel; // fall back to original if not found
@@ -0,0 +1,168 @@
+/**
+ * subscriptionFilter.js — Content filters on subscriptions.
+ *
+ * A subscription may carry a `filter` that a message must pass, on top of
+ * its path pattern, to be delivered through that subscription:
+ *
+ *   {
+ *     "pattern": "slack/team/#eng",
+ *     "filter": {
+ *       "commands": ["slack.mention", "slack.dm.*"],   // allow list (* globs)
+ *       "excludeCommands": ["slack.bot_message"],      // deny list
+ *       "sources": ["slack"],
+ *       "from": "slack-bridge/**",                     // path pattern(s) for the sender
+ *       "payload": [                                   // every condition must hold
+ *         { "path": "$.text", "regex": "deploy|outage", "flags": "i" },
+ *         { "path": "$.channel_type", "equals": "channel" },
+ *         { "path": "$.files[*].name", "exists": true }
+ *       ]
+ *     }
+ *   }
+ *
+ * All given clauses must hold. A payload condition holds when any value its
+ * JSONPath selects satisfies it; `regex` without a `path` searches the whole
+ * payload as JSON. Regexes test strings as-is and other values as JSON.
+ *
+ * JSONPath subset: $, .key, ['key'], [n], [*], .*, ..key (any depth).
+ */
+
+const FILTER_KEYS = new Set(['commands', 'excludeCommands', 'sources', 'from', 'payload']);
+const CONDITION_OPS = ['regex', 'equals', 'exists'];
+
+/**
+ * Compile a filter into a predicate over messages.
+ *
+ * @param {object} filter - See above
+ * @param {object} opts
+ * @param {function} opts.pathMatches - (pattern, path) => boolean, for `from`
+ * @returns {function} (message) => boolean
+ * @throws {Error} "Invalid subscription filter: ..." on a malformed filter
+ */
+function compileFilter(filter, { pathMatches }) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) _invalid('must be an object');
+  for (const key of Object.keys(filter)) {
+    if (!FILTER_KEYS.has(key)) _invalid(`unknown key "${key}"`);
+  }
+
+  const tests = [];
+
+  if (filter.commands !== undefined) {
+    const allow = _globs(filter.commands, 'commands');
+    tests.push(msg => allow.some(re => re.test(msg.command)));
+  }
+  if (filter.excludeCommands !== undefined) {
+    const deny = _globs(filter.excludeCommands, 'excludeCommands');
+    tests.push(msg => !deny.some(re => re.test(msg.command)));
+  }
+  if (filter.sources !== undefined) {
+    const sources = new Set(_strings(filter.sources, 'sources'));
+    tests.push(msg => sources.has(msg.source));
+  }
+  if (filter.from !== undefined) {
+    const patterns = _strings(filter.from, 'from');
+    tests.push(msg => patterns.some(p => pathMatches(p, msg.from || '')));
+  }
+  if (filter.payload !== undefined) {
+    const conditions = (Array.isArray(filter.payload) ? filter.payload : [filter.payload]).map(_condition);
+    tests.push(msg => conditions.every(test => test(msg.payload || {})));
+  }
+
+  return (msg) => tests.every(test => test(msg));
+}
+
+// ─── Clauses ────────────────────────────────────────────────────────────────
+
+function _invalid(reason) {
+  throw new Error(`Invalid subscription filter: ${reason}`);
+}
+
+function _strings(value, name) {
+  const list = Array.isArray(value) ? value : [value];
+  if (list.length === 0 || !list.every(v => typeof v === 'string' && v)) {
+    _invalid(`${name} must be a non-empty string or list of strings`);
+  }
+  return list;
+}
+
+function _globs(value, name) {
+  return _strings(value, name).map(glob =>
+    new RegExp(`^${glob.split('*').map(_escapeRegExp).join('.*')}$`));
+}
+
+function _escapeRegExp(s) {
+  return s.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function _condition(cond) {
+  if (!cond || typeof cond !== 'object') _invalid('payload conditions must be objects');
+  const ops = CONDITION_OPS.filter(op => cond[op] !== undefined);
+  if (ops.length !== 1) _invalid('each payload condition needs exactly one of regex, equals or exists');
+
+  const select = cond.path === undefined ? null : _compilePath(cond.path);
+  const values = (payload) => (select ? select(payload) : [payload]);
+
+  if (ops[0] === 'regex') {
+    let re;
+    try {
+      re = new RegExp(cond.regex, cond.flags || '');
+    } catch (err) {
+      _invalid(`bad regex "${cond.regex}": ${err.message}`);
+    }
+    return payload => values(payload).some(v => re.test(typeof v === 'string' ? v : JSON.stringify(v)));
+  }
+
+  if (ops[0] === 'equals') {
+    const expected = JSON.stringify(cond.equals);
+    return payload => values(payload).some(v => JSON.stringify(v) === expected);
+  }
+
+  if (!select) _invalid('exists needs a path');
+  return payload => (select(payload).length > 0) === Boolean(cond.exists);
+}
+
+// ─── JSONPath ───────────────────────────────────────────────────────────────
+
+const PATH_TOKEN = /\.\.([A-Za-z_$][\w$-]*|\*)|\.([A-Za-z_$][\w$-]*|\*)|\[(\d+)\]|\[(\*)\]|\['([^']*)'\]|\["([^"]*)"\]/y;
+
+/** Compile a JSONPath (subset) into payload → selected values. */
+function _compilePath(expr) {
+  if (typeof expr !== 'string' || !expr.startsWith('$')) _invalid(`path "${expr}" must start with $`);
+
+  const steps = [];
+  PATH_TOKEN.lastIndex = 1;
+  while (PATH_TOKEN.lastIndex < expr.length) {
+    const start = PATH_TOKEN.lastIndex;
+    const m = PATH_TOKEN.exec(expr);
+    if (!m) _invalid(`cannot parse path "${expr}" at position ${start}`);
+    const [, deep, key, index, star, quoted, dquoted] = m;
+    if (deep !== undefined) steps.push({ deep: true, key: deep === '*' ? null : deep });
+    else if (key === '*' || star) steps.push({ key: null });
+    else if (index !== undefined) steps.push({ index: Number(index) });
+    else steps.push({ key: key ?? quoted ?? dquoted });
+  }
+
+  return (root) => steps.reduce((values, step) => values.flatMap(v => _step(v, step)), [root]);
+}
+
+function _step(value, step) {
+  if (step.deep) {
+    const out = [];
+    _descend(value, (node) => {
+      if (step.key === null) out.push(...Object.values(node));
+      else if (Object.hasOwn(node, step.key)) out.push(node[step.key]);
+    });
+    return out;
+  }
+  if (!value || typeof value !== 'object') return [];
+  if (step.index !== undefined) return Array.isArray(value) && step.index < value.length ? [value[step.index]] : [];
+  if (step.key === null) return Object.values(value);
+  return Object.hasOwn(value, step.key) ? [value[step.key]] : [];
+}
+
+function _descend(value, visit) {
+  if (!value || typeof value !== 'object') return;
+  visit(value);
+  for (const child of Object.values(value)) _descend(child, visit);
+}
+
+module.exports = { compileFilter };
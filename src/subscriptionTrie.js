@@ -0,0 +1,247 @@
+/**
+ * subscriptionTrie.js — Segment trie of subscription patterns.
+ *
+ * Patterns are stored one path segment per level, so matching a delivery path
+ * only visits the branches its segments can reach instead of testing every
+ * pattern:
+ *
+ *   slack ─┬─ team ── #general   {agent-a}
+ *          └─ *    ── **         {agent-b}
+ *   agent ─── researcher         {researcher}
+ *
+ * match() is bidirectional, like the broker's routing:
+ *   - forward:   stored patterns matching the path ("slack/*" ← "slack/team")
+ *   - broadcast: when the path itself has wildcards, stored patterns it
+ *                matches as text ("agent/**" → "agent/researcher")
+ *
+ * Wildcards:
+ *   *   — exactly one segment
+ *   **  — zero or more segments
+ *
+ * Other non-literal segments (globs, braces, captures — see pathPattern.js)
+ * are kept in a per-node list and tested against the path segment in turn.
+ * Negated patterns are not indexed here; the broker applies them per owner.
+ *
+ * broadcastMatches() is the broadcast direction for a single pattern, for
+ * callers that need to know which of an owner's patterns a path reached.
+ */
+
+const { isLiteral, segmentTest } = require('./pathPattern');
+
+/**
+ * Create an empty trie.
+ *
+ * @returns {{ add, remove, match, clear, size }}
+ */
+function createSubscriptionTrie() {
+  let root = _node();
+  let count = 0;
+
+  /**
+   * Index `value` under a normalized pattern.
+   * @returns {boolean} false if it was already there
+   */
+  function add(pattern, value) {
+    // Compile globs before touching the trie, so a malformed pattern changes nothing
+    const segs = pattern.split('/').map(seg => [seg, _isWildcard(seg) || isLiteral(seg) ? null : segmentTest(seg)]);
+    let node = root;
+    for (const [seg, test] of segs) {
+      if (!node.children.has(seg)) {
+        node.children.set(seg, _node());
+        if (test) node.globs.set(seg, test);
+      }
+      node = node.children.get(seg);
+    }
+    if (node.values.has(value)) return false;
+    node.values.add(value);
+    count++;
+    return true;
+  }
+
+  /**
+   * Remove `value` from a normalized pattern, pruning empty branches.
+   * @returns {boolean} false if it wasn't there
+   */
+  function remove(pattern, value) {
+    const trail = [];
+    let node = root;
+    for (const seg of pattern.split('/')) {
+      const child = node.children.get(seg);
+      if (!child) return false;
+      trail.push([node, seg]);
+      node = child;
+    }
+    if (!node.values.delete(value)) return false;
+    count--;
+
+    for (let i = trail.length - 1; i >= 0; i--) {
+      const [parent, seg] = trail[i];
+      const child = parent.children.get(seg);
+      if (child.values.size > 0 || child.children.size > 0) break;
+      parent.children.delete(seg);
+      parent.globs.delete(seg);
+    }
+    return true;
+  }
+
+  /**
+   * Values of every pattern matching a normalized path, in either direction.
+   *
+   * @param {string} inPath
+   * @param {object} [stats] - If given, `visited` is set to the trie nodes the match visited
+   * @returns {Set}
+   */
+  function match(inPath, stats) {
+    const segs = inPath.split('/');
+    const out = new Set();
+    const seen = new Set();
+    _forward(root, segs, 0, out, seen);
+    let visited = seen.size;
+    if (segs.some(seg => !isLiteral(seg))) {
+      const broadcastSeen = new Set();
+      _broadcast(root, segs, 0, out, broadcastSeen);
+      visited += broadcastSeen.size;
+    }
+    if (stats) stats.visited = visited;
+    return out;
+  }
+
+  function clear() {
+    root = _node();
+    count = 0;
+  }
+
+  /** Number of (pattern, value) pairs indexed. */
+  function size() {
+    return count;
+  }
+
+  return { add, remove, match, clear, size };
+}
+
+// ─── Traversal ──────────────────────────────────────────────────────────────
+
+// Node ids let traversals memoize (node, segment index) visits
+let nextNodeId = 0;
+
+function _node() {
+  // globs: non-literal child segments (other than * and **) → test
+  return { id: nextNodeId++, children: new Map(), globs: new Map(), values: new Set() };
+}
+
+function _isWildcard(seg) {
+  return seg === '*' || seg === '**';
+}
+
+function _collect(node, out) {
+  for (const value of node.values) out.add(value);
+}
+
+/** Stored patterns (trie side has wildcards) against a literal path. */
+function _forward(node, segs, i, out, seen) {
+  const key = _visitKey(node, i);
+  if (seen.has(key)) return;
+  seen.add(key);
+
+  const globstar = node.children.get('**');
+  if (globstar) {
+    for (let skip = i; skip <= segs.length; skip++) _forward(globstar, segs, skip, out, seen);
+  }
+
+  if (i === segs.length) {
+    _collect(node, out);
+    return;
+  }
+
+  const literal = node.globs.has(segs[i]) ? null : node.children.get(segs[i]);
+  if (literal) _forward(literal, segs, i + 1, out, seen);
+
+  const star = node.children.get('*');
+  if (star) _forward(star, segs, i + 1, out, seen);
+
+  for (const [seg, test] of node.globs) {
+    if (test(segs[i])) _forward(node.children.get(seg), segs, i + 1, out, seen);
+  }
+}
+
+/** The path's own wildcards against stored patterns read as text. */
+function _broadcast(node, segs, i, out, seen) {
+  const key = _visitKey(node, i);
+  if (seen.has(key)) return;
+  seen.add(key);
+
+  if (i === segs.length) {
+    _collect(node, out);
+    return;
+  }
+
+  const seg = segs[i];
+  if (seg === '**') {
+    _broadcast(node, segs, i + 1, out, seen);
+    for (const child of node.children.values()) _broadcast(child, segs, i, out, seen);
+  } else if (seg === '*') {
+    for (const child of node.children.values()) _broadcast(child, segs, i + 1, out, seen);
+  } else {
+    // A glob in the path matches stored segments read as text
+    const test = isLiteral(seg) ? null : _tryTest(seg);
+    if (test) {
+      for (const [childSeg, child] of node.children) {
+        if (test(childSeg)) _broadcast(child, segs, i + 1, out, seen);
+      }
+    } else {
+      const child = node.children.get(seg);
+      if (child) _broadcast(child, segs, i + 1, out, seen);
+    }
+  }
+}
+
+/**
+ * Whether a path's own wildcards match a pattern read as text, as in the
+ * broadcast direction of match(). A path without wildcards matches nothing
+ * this way, and the path is never compiled as a whole pattern.
+ *
+ * @param {string} inPath  - Normalized delivery path
+ * @param {string} pattern - Normalized stored pattern
+ * @returns {boolean}
+ */
+function broadcastMatches(inPath, pattern) {
+  const segs = inPath.split('/');
+  if (segs.every(isLiteral)) return false;
+  return _broadcastText(segs, 0, pattern.split('/'), 0, new Set());
+}
+
+function _broadcastText(segs, i, texts, j, seen) {
+  const key = `${i}:${j}`;
+  if (seen.has(key)) return false;
+  seen.add(key);
+
+  if (i === segs.length) return j === texts.length;
+  const seg = segs[i];
+  if (seg === '**') {
+    for (let k = j; k <= texts.length; k++) {
+      if (_broadcastText(segs, i + 1, texts, k, seen)) return true;
+    }
+    return false;
+  }
+  if (j === texts.length) return false;
+  if (seg !== '*') {
+    const test = isLiteral(seg) ? null : _tryTest(seg);
+    if (test ? !test(texts[j]) : seg !== texts[j]) return false;
+  }
+  return _broadcastText(segs, i + 1, texts, j + 1, seen);
+}
+
+/** A path segment's glob test, or null if it doesn't parse (then it is matched literally). */
+function _tryTest(seg) {
+  try {
+    return segmentTest(seg);
+  } catch {
+    return null;
+  }
+}
+
+function _visitKey(node, i) {
+  return `${node.id}:${i}`;
+}
+
+module.exports = { createSubscriptionTrie, broadcastMatches };
@@ -22,6 +22,8 @@
  *   CLAUDE_SOCKET_TOKEN — Auth token (required)
  *   TOOL_AGENT_ID       — Default agent ID (overridden by --agent)
  *   TOOL_SESSION_ID     — Default session ID (overridden by --session)
+ *   TOOL_CORRELATION_ID — Trace ID of the turn that spawned this call (set by claudeHelper)
+ *   TOOL_CAUSATION_ID   — ID of that turn
  */
 
 const WebSocket = require('ws');
@@ -300,6 +302,8 @@ async function main() {
       toolName,
       input,
       sessionId,
+      correlationId: process.env.TOOL_CORRELATION_ID || undefined,
+      causationId: process.env.TOOL_CAUSATION_ID || undefined,
     }, requestTimeout);
 
     if (resp.type === 'agent.tool.error') {
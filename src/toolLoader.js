@@ -31,6 +31,9 @@
 
 const fs = require('fs');
 const path = require('path');
+const { logger } = require('./logger');
+
+const defaultLog = logger.child({ module: 'toolLoader' });
 
 /**
  * Create a ToolLoader instance.
@@ -41,7 +44,7 @@ const path = require('path');
  * @param {object} [opts.projectManager] - ProjectManager instance (for secrets + config injection)
  * @returns {object} ToolLoader API
  */
-function createToolLoader(projectRoot, log = console, opts = {}) {
+function createToolLoader(projectRoot, log = defaultLog, opts = {}) {
   if (!projectRoot) {
     throw new Error('toolLoader: projectRoot is required');
   }
@@ -283,12 +286,16 @@ function createToolLoader(projectRoot, log = console, opts = {}) {
       throw new Error(`Tool not found: ${toolName} (agent: ${agentId})`);
     }
 
-    // Build enriched context with secrets and config
+    // Build enriched context with secrets and config. The tool's log has the
+    // agent/session/tool bound when the logger supports child().
+    const baseLog = context.log || log;
     const fullContext = {
       agentId,
       projectRoot,
-      log,
       ...context,
+      log: typeof baseLog.child === 'function'
+        ? baseLog.child({ agentId, sessionId: context.sessionId, tool: toolName, correlationId: context.correlationId })
+        : baseLog,
     };
 
     // Inject per-agent secrets and raw config if projectManager is available
@@ -0,0 +1,180 @@
+/**
+ * tracer.js — Correlation IDs and causal trace records.
+ *
+ * A correlation ID is assigned once at the edge — the HTTP request middleware,
+ * a service receiving an external event (Slack), or a WebSocket request — and
+ * carried explicitly from there:
+ *
+ *   edge → messageBroker.route({ correlationId })   msg.correlationId
+ *        → agentTurnManager turn                    turn records, conversation log
+ *        → claude CLI (TOOL_CORRELATION_ID env)     tool-cli.js
+ *        → agent.tool.execute                       tool context.correlationId
+ *        → send-message → messageBroker.route ...   next hop
+ *
+ * Each hop records an event with its own `id` and the `causationId` of the
+ * hop that caused it. get(correlationId) returns the events in order plus the
+ * tree they form, so one inbound message can be followed through triage,
+ * execution, tool calls and any messages those tools sent.
+ *
+ * Storage:
+ *   {projectRoot}/.traces/YYYY-MM-DD.jsonl   — one event per line, a new file per day
+ *
+ * Event format:
+ * {
+ *   correlationId: string,
+ *   kind: string,                 // "broker.route" | "turn.start" | "turn.triage" | "turn.end" | "tool.execute"
+ *   id: string,                   // message ID, turn ID or tool execution ID
+ *   causationId?: string|string[] // id(s) of the event(s) that caused this one
+ *   timestamp: number,            // Unix ms
+ *   ...fields                     // kind-specific details
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const DEFAULT_RETENTION_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accepted from callers (X-Correlation-Id headers, WebSocket clients)
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/** Generate a new correlation ID. */
+function newCorrelationId() {
+  return crypto.randomUUID();
+}
+
+/** True when `id` is safe to adopt as a correlation ID. */
+function isValidCorrelationId(id) {
+  return typeof id === 'string' && CORRELATION_ID_PATTERN.test(id);
+}
+
+/**
+ * Create a Tracer.
+ *
+ * @param {string} projectRoot - Absolute path to the root directory
+ * @param {object} [log] - Logger with info/warn/error methods
+ * @param {object} [opts]
+ * @param {number}   [opts.retentionDays=7] - Delete trace files older than this
+ * @param {function} [opts.now]             - Clock (ms), injectable for tests
+ * @returns {{ record, get }}
+ */
+function createTracer(projectRoot, log = logger, opts = {}) {
+  if (!projectRoot) throw new Error('tracer: projectRoot is required');
+
+  const {
+    retentionDays = DEFAULT_RETENTION_DAYS,
+    now = Date.now,
+  } = opts;
+
+  const tracesDir = path.join(projectRoot, '.traces');
+  fs.mkdirSync(tracesDir, { recursive: true });
+
+  let lastPruneDay = null;
+
+  /**
+   * Append a trace event. Never throws — tracing must not break delivery.
+   *
+   * @param {string} correlationId
+   * @param {string} kind - Event kind (e.g. "broker.route")
+   * @param {object} fields - { id, causationId?, ...details }
+   */
+  function record(correlationId, kind, fields = {}) {
+    if (!correlationId) return;
+    const timestamp = now();
+    const day = new Date(timestamp).toISOString().slice(0, 10);
+
+    try {
+      if (day !== lastPruneDay) {
+        lastPruneDay = day;
+        _prune(timestamp);
+      }
+      const event = { correlationId, kind, ...fields, timestamp };
+      fs.appendFileSync(path.join(tracesDir, `${day}.jsonl`), JSON.stringify(event) + '\n');
+    } catch (err) {
+      log.warn(`[tracer] Failed to record ${kind} for ${correlationId}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Reconstruct the causal chain for a correlation ID.
+   *
+   * @param {string} correlationId
+   * @returns {{ correlationId, events: object[], chain: object[] }}
+   *   events — every recorded event, oldest first
+   *   chain  — root events, each with `children` (events it caused), recursively
+   */
+  function get(correlationId) {
+    if (!correlationId) throw new Error('correlationId is required');
+
+    const events = [];
+    for (const file of _traceFiles()) {
+      for (const event of _readJSONL(path.join(tracesDir, file))) {
+        if (event.correlationId === correlationId) events.push(event);
+      }
+    }
+    events.sort((a, b) => a.timestamp - b.timestamp);
+
+    return { correlationId, events, chain: _buildChain(events) };
+  }
+
+  // ─── Helpers ────────────────────────────────────────────────────────────
+
+  function _traceFiles() {
+    try {
+      return fs.readdirSync(tracesDir).filter(f => /^\d{4}-\d{2}-\d{2}\.jsonl$/.test(f)).sort();
+    } catch {
+      return [];
+    }
+  }
+
+  /** Link events to the first of their causes seen in this trace. */
+  function _buildChain(events) {
+    const nodes = events.map(event => ({ ...event, children: [] }));
+    const byId = new Map();
+    for (const node of nodes) {
+      if (node.id && !byId.has(node.id)) byId.set(node.id, node);
+    }
+
+    const roots = [];
+    for (const node of nodes) {
+      const causes = [].concat(node.causationId || []);
+      const parent = causes.map(id => byId.get(id)).find(p => p && p !== node);
+      if (parent) parent.children.push(node);
+      else roots.push(node);
+    }
+    return roots;
+  }
+
+  function _prune(t) {
+    const cutoff = t - retentionDays * DAY_MS;
+    for (const file of _traceFiles()) {
+      if (Date.parse(file.slice(0, 10)) + DAY_MS <= cutoff) {
+        try { fs.unlinkSync(path.join(tracesDir, file)); } catch { /* removed concurrently */ }
+      }
+    }
+  }
+
+  function _readJSONL(filePath) {
+    let content;
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch {
+      return [];
+    }
+    const events = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch { /* skip a corrupt or half-written line */ }
+    }
+    return events;
+  }
+
+  return { record, get };
+}
+
+module.exports = { createTracer, newCorrelationId, isValidCorrelationId };
@@ -11,6 +11,7 @@ const path = require('path');
 const os = require('os');
 const { createMessageBroker } = require('../src/messageBroker');
 const { createAgentTurnManager } = require('../src/agentTurnManager');
+const { createTracer } = require('../src/tracer');
 
 // ─── Test Helpers ───────────────────────────────────────────────────────────
 
@@ -278,6 +279,22 @@ describe('debounce and batching', () => {
     assert.equal(pool.calls.triage.length, 1);
     assert.equal(pool.calls.execution.length, 1);
   });
+
+  it('orders a batch by priority and drops messages that expired while queued', async () => {
+    broker.route('system', 'slack/team/#general', { command: 'low', source: 'slack', priority: -1 });
+    broker.route('system', 'slack/team/#general', { command: 'normal', source: 'slack' });
+    broker.route('system', 'slack/team/#general', { command: 'stale', source: 'slack', ttlMs: 50 });
+    broker.route('system', 'slack/team/#general', { command: 'urgent', source: 'slack', priority: 5 });
+
+    await waitFor(() => pool.calls.execution.length > 0, 3000);
+
+    const execPrompt = pool.calls.execution[0].prompt;
+    assert.ok(execPrompt.includes('3 new inbound message'));
+    assert.ok(!execPrompt.includes('stale'));
+    const order = ['urgent', 'normal', 'low'].map(c => execPrompt.indexOf(`Command: ${c}`));
+    assert.deepStrictEqual([...order].sort((a, b) => a - b), order);
+    assert.ok(execPrompt.includes('Priority: 5'));
+  });
 });
 
 // ─── Triage ─────────────────────────────────────────────────────────────────
@@ -567,6 +584,148 @@ describe('execution stage', () => {
   });
 });
 
+// ─── Request / Reply ────────────────────────────────────────────────────────
+
+describe('request/reply turns', () => {
+  let root;
+
+  afterEach(() => rmrf(root));
+
+  it('tells the agent where to reply and does not start a turn for an awaited reply', async () => {
+    root = tmpDir();
+    const pm = mockProjectManager([
+      { id: 'researcher', autoRun: { enabled: true, debounceMs: 50 } },
+      { id: 'writer', autoRun: { enabled: true, debounceMs: 50 } },
+    ]);
+    const broker = createMessageBroker(root, pm, silentLog);
+    const pool = mockAgentCLIPool();
+    const tm = createAgentTurnManager({ messageBroker: broker, projectManager: pm, agentCLIPool: pool, log: silentLog });
+    tm.start();
+
+    const answer = broker.request('writer', 'agent/researcher', { command: 'lookup' }, { timeoutMs: 2000 });
+    await waitFor(() => pool.calls.execution.length > 0, 2000);
+
+    const [request] = broker.history('researcher');
+    assert.ok(pool.calls.execution[0].prompt.includes(`Reply-To: agent/writer`));
+    assert.ok(pool.calls.execution[0].prompt.includes(`inReplyTo "${request.id}"`));
+
+    broker.reply(request, { found: true }, { from: 'researcher' });
+    const replyMsg = await answer;
+    assert.equal(replyMsg.awaited, true);
+
+    await new Promise(r => setTimeout(r, 200));
+    assert.equal(pool.calls.execution.length, 1);
+
+    tm.stop();
+  });
+});
+
+// ─── Acknowledgements ───────────────────────────────────────────────────────
+
+describe('ack / nack of turn messages', () => {
+  let root, tm, broker;
+
+  afterEach(() => { tm.stop(); broker.close(); rmrf(root); });
+
+  function setup(executionResponder, delivery) {
+    root = tmpDir();
+    const pm = mockProjectManager([{ id: 'researcher', autoRun: { enabled: true, debounceMs: 20 } }]);
+    broker = createMessageBroker(root, pm, silentLog, { delivery });
+    const pool = mockAgentCLIPool({ executionResponder });
+    tm = createAgentTurnManager({ messageBroker: broker, projectManager: pm, agentCLIPool: pool, log: silentLog });
+    tm.start();
+    return pool;
+  }
+
+  it('retries the messages of a failed turn in a later turn', async () => {
+    let calls = 0;
+    const pool = setup(() => {
+      if (++calls === 1) throw new Error('CLI crashed');
+      return { markdown: 'Done.' };
+    }, { backoffMs: 20 });
+
+    broker.send('writer', 'researcher', { command: 'work' });
+    await waitFor(() => pool.calls.execution.length >= 2, 2000);
+
+    assert.ok(pool.calls.execution[1].prompt.includes('Delivery attempt: 2'));
+    await new Promise(r => setTimeout(r, 50));
+    assert.equal(pool.calls.execution.length, 2);
+    assert.deepStrictEqual(broker.dlqList('researcher'), []);
+  });
+
+  it('dead-letters messages whose turns keep failing', async () => {
+    const pool = setup(() => { throw new Error('CLI crashed'); }, { backoffMs: 10, maxAttempts: 2 });
+
+    const sent = broker.send('writer', 'researcher', { command: 'work' });
+    await waitFor(() => broker.dlqList('researcher').length > 0, 2000);
+
+    const [dead] = broker.dlqList('researcher');
+    assert.equal(dead.message.id, sent.id);
+    assert.equal(dead.consumer, 'turns');
+    assert.equal(dead.reason, 'CLI crashed');
+    assert.equal(pool.calls.execution.length, 2);
+  });
+});
+
+// ─── Correlation IDs ────────────────────────────────────────────────────────
+
+describe('correlation IDs', () => {
+  let root;
+
+  afterEach(() => rmrf(root));
+
+  it('carries the message correlationId through the turn and records its trace', async () => {
+    root = tmpDir();
+    const pm = mockProjectManager([{
+      id: 'researcher',
+      autoRun: { enabled: true, debounceMs: 50 },
+      subscriptions: [{ pattern: 'slack/**' }],
+    }]);
+    const tracer = createTracer(root, silentLog);
+    const broker = createMessageBroker(root, pm, silentLog, { tracer });
+    const pool = mockAgentCLIPool();
+    const tm = createAgentTurnManager({ messageBroker: broker, projectManager: pm, agentCLIPool: pool, tracer, log: silentLog });
+    tm.start();
+
+    const routed = broker.route('slack/team/alice', 'slack/team/#general', {
+      command: 'slack.message',
+      source: 'slack',
+      correlationId: 'corr-1',
+    });
+    assert.equal(routed.correlationId, 'corr-1');
+
+    await waitFor(() => pm._conversationLogs.some(l => l.type === 'auto-turn-result'), 2000);
+
+    const { options } = pool.calls.execution[0];
+    assert.equal(options.correlationId, 'corr-1');
+    const turnLog = pm._conversationLogs.find(l => l.type === 'auto-turn');
+    assert.equal(turnLog.correlationId, 'corr-1');
+    assert.equal(options.causationId, turnLog.turnId);
+
+    const { chain } = tracer.get('corr-1');
+    assert.equal(chain.length, 1);
+    assert.equal(chain[0].id, routed.id);
+    const [turn] = chain[0].children;
+    assert.equal(turn.kind, 'turn.start');
+    assert.equal(turn.id, turnLog.turnId);
+    assert.deepStrictEqual(turn.children.map(e => e.kind), ['turn.triage', 'turn.end']);
+
+    tm.stop();
+  });
+
+  it('starts a new trace for manual turns without one', async () => {
+    root = tmpDir();
+    const pm = mockProjectManager([{ id: 'researcher' }]);
+    const broker = createMessageBroker(root, pm, silentLog);
+    const pool = mockAgentCLIPool();
+    const tm = createAgentTurnManager({ messageBroker: broker, projectManager: pm, agentCLIPool: pool, log: silentLog });
+
+    await tm.triggerTurn('researcher', 'main', [{ id: 'm1', from: 'x', path: 'agent/researcher', command: 'go', source: 'internal' }]);
+
+    assert.ok(pool.calls.execution[0].options.correlationId);
+  });
+});
+
 // ─── Concurrency ────────────────────────────────────────────────────────────
 
 describe('concurrency control', () => {
@@ -623,6 +782,38 @@ describe('concurrency control', () => {
 
     tm.stop();
   });
+
+  it('drain() stops new turns and waits for the active one', async () => {
+    root = tmpDir();
+    const pm = mockProjectManager([{
+      id: 'researcher',
+      autoRun: { enabled: true, debounceMs: 50 },
+      subscriptions: [{ pattern: 'slack/**' }],
+    }]);
+    const broker = createMessageBroker(root, pm, silentLog);
+
+    let resolveExecution;
+    const pool = mockAgentCLIPool({
+      executionResponder: () => new Promise((resolve) => { resolveExecution = resolve; }),
+    });
+
+    const tm = createAgentTurnManager({ messageBroker: broker, projectManager: pm, agentCLIPool: pool, log: silentLog });
+    tm.start();
+
+    broker.route('system', 'slack/team/#general', { command: 'msg1', source: 'slack' });
+    await waitFor(() => pool.calls.execution.length === 1, 2000);
+
+    // Times out while the turn is still running
+    assert.deepStrictEqual(await tm.drain(20), { drained: false, active: 1 });
+
+    const draining = tm.drain(2000);
+    broker.route('system', 'slack/team/#general', { command: 'msg2', source: 'slack' });
+    resolveExecution({ markdown: 'Done' });
+
+    assert.deepStrictEqual(await draining, { drained: true, active: 0 });
+    await new Promise(r => setTimeout(r, 150));
+    assert.equal(pool.calls.triage.length, 1);
+  });
 });
 
 // ─── No autoRun ─────────────────────────────────────────────────────────────
@@ -777,3 +968,127 @@ describe('getStats', () => {
     tm.stop();
   });
 });
+
+// ─── Persistence / Recovery ─────────────────────────────────────────────────
+
+describe('turn state persistence', () => {
+  let root, broker, pm, tm;
+
+  beforeEach(() => {
+    root = tmpDir();
+    tm = null;
+    pm = mockProjectManager([{ id: 'researcher', autoRun: { enabled: true, debounceMs: 50 } }]);
+    broker = createMessageBroker(root, pm, silentLog, { delivery: { backoffMs: 60000 } });
+  });
+
+  afterEach(() => { if (tm) tm.stop(); broker.close(); rmrf(root); });
+
+  const statePath = () => path.join(root, '.turns', 'state.json');
+  const readState = () => JSON.parse(fs.readFileSync(statePath(), 'utf-8'));
+
+  function manager(pool, opts = {}) {
+    tm = createAgentTurnManager({ messageBroker: broker, projectManager: pm, agentCLIPool: pool, projectRoot: root, log: silentLog, ...opts });
+    tm.start();
+    return tm;
+  }
+
+  /** Run a first manager until its turn hangs in execution, then "restart". */
+  async function interruptTurn() {
+    const pool = mockAgentCLIPool({ executionResponder: () => new Promise(() => {}) });
+    manager(pool);
+    const sent = broker.send('writer', 'researcher', { command: 'work' });
+    await waitFor(() => pool.calls.execution.length === 1, 2000);
+    tm.stop();
+
+    const [entry] = readState();
+    assert.equal(entry.turn.attempts, 1);
+    assert.deepStrictEqual(entry.turn.messageIds, [sent.id]);
+    return sent;
+  }
+
+  it('runs messages that were still in the debounce window after a restart', async () => {
+    manager(mockAgentCLIPool());
+    const sent = broker.send('writer', 'researcher', { command: 'queued-work' });
+    tm.stop();
+    assert.deepStrictEqual(readState()[0].queued.map(m => m.id), [sent.id]);
+
+    const pool = mockAgentCLIPool();
+    manager(pool);
+    assert.equal(tm.getStats().queuedMessages, 1);
+    await waitFor(() => pool.calls.execution.length === 1, 2000);
+    assert.ok(pool.calls.execution[0].prompt.includes('queued-work'));
+    await waitFor(() => readState().length === 0, 2000);
+  });
+
+  it('writes a burst of changes once', async () => {
+    manager(mockAgentCLIPool());
+    for (let i = 0; i < 5; i++) broker.send('writer', 'researcher', { command: `burst-${i}` });
+    assert.equal(fs.existsSync(statePath()), false);
+
+    tm.stop();
+    assert.equal(readState()[0].queued.length, 5);
+    assert.equal(fs.existsSync(`${statePath()}.tmp`), false);
+  });
+
+  it('re-runs an interrupted turn, telling the agent it was interrupted', async () => {
+    await interruptTurn();
+
+    const pool = mockAgentCLIPool();
+    manager(pool);
+    await waitFor(() => pool.calls.execution.length === 1, 2000);
+    assert.ok(pool.calls.execution[0].prompt.includes('this is attempt 2'));
+    assert.equal(tm.getStats().turnsRecovered, 1);
+    await waitFor(() => readState().length === 0, 2000);
+  });
+
+  it('fails a re-run that throws instead of leaving it unhandled', async () => {
+    await interruptTurn();
+
+    const pool = mockAgentCLIPool();
+    manager(pool, { tracer: { record: () => { throw new Error('tracer down'); } } });
+    await waitFor(() => pm._conversationLogs.some(l => l.type === 'auto-turn-error'), 2000);
+
+    const failed = pm._conversationLogs.find(l => l.type === 'auto-turn-error');
+    assert.match(failed.error, /tracer down/);
+    assert.equal(pool.calls.execution.length, 0);
+    assert.equal(tm.getStats().executionErrors, 1);
+    assert.equal(broker.getStats().retries, 1);
+    await waitFor(() => readState().length === 0, 2000);
+  });
+
+  it('holds interrupted turns for a decision with recovery "ask"', async () => {
+    const sent = await interruptTurn();
+
+    const pool = mockAgentCLIPool();
+    manager(pool, { recovery: 'ask' });
+    const [turn] = tm.listInterrupted();
+    assert.deepStrictEqual(turn.messageIds, [sent.id]);
+    assert.equal(tm.getStats().interruptedTurns, 1);
+    await new Promise(r => setTimeout(r, 100));
+    assert.equal(pool.calls.execution.length, 0);
+
+    assert.equal(tm.resolveInterrupted('nope', 'rerun'), false);
+    assert.throws(() => tm.resolveInterrupted(turn.turnId, 'later'), /rerun" or "fail/);
+    assert.equal(tm.resolveInterrupted(turn.turnId, 'rerun'), true);
+    await waitFor(() => pool.calls.execution.length === 1, 2000);
+    assert.deepStrictEqual(tm.listInterrupted(), []);
+  });
+
+  it('fails a turn interrupted maxRecoveryAttempts times', async () => {
+    await interruptTurn();
+
+    const pool = mockAgentCLIPool();
+    manager(pool, { maxRecoveryAttempts: 1 });
+    await new Promise(r => setTimeout(r, 100));
+    assert.equal(pool.calls.execution.length, 0);
+    assert.equal(tm.getStats().turnsFailedOnRecovery, 1);
+    const failed = pm._conversationLogs.find(l => l.type === 'auto-turn-error');
+    assert.match(failed.error, /interrupted by a server restart/);
+    assert.equal(broker.getStats().retries, 1);
+    assert.deepStrictEqual(readState(), []);
+  });
+
+  it('rejects an unknown recovery policy', () => {
+    assert.throws(() => manager(mockAgentCLIPool(), { recovery: 'maybe' }), /recovery must be one of/);
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * brokerFederation.test.js — Tests for linking brokers across processes.
+ *
+ * Each test runs two or three nodes (a broker plus its federation endpoint)
+ * on local ports.
+ *
+ * Run:  node --test test/brokerFederation.test.js
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createMessageBroker } = require('../src/messageBroker');
+const { createBrokerFederation } = require('../src/brokerFederation');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+const TOKEN = 'federation-test-token';
+
+const silentLog = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+function mockProjectManager(agents = []) {
+  const configs = new Map(agents.map(a => [a.id, { id: a.id, name: a.id, subscriptions: a.subscriptions || [] }]));
+  return {
+    listAgents: () => agents.map(a => ({ id: a.id, name: a.id })),
+    getAgent: (id) => {
+      const c = configs.get(id);
+      if (!c) throw new Error(`Agent not found: ${id}`);
+      return { ...c };
+    },
+    updateAgent: (id, updates) => Object.assign(configs.get(id), updates),
+  };
+}
+
+const nodes = [];
+
+/** Start a node: a broker with its own project root, federated as `nodeId`. */
+async function startNode(nodeId, agents, { peers = [], token = TOKEN, listen = true } = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), `federation-${nodeId}-`));
+  const projectManager = mockProjectManager(agents);
+  const broker = createMessageBroker(root, projectManager, silentLog);
+  const federation = createBrokerFederation(broker, projectManager, silentLog, {
+    token,
+    nodeId,
+    port: listen ? 0 : null,
+    host: '127.0.0.1',
+    peers,
+    reconnectMinMs: 20,
+    reconnectMaxMs: 50,
+  });
+  await federation.start();
+  const node = { nodeId, root, broker, federation, url: listen ? `ws://127.0.0.1:${federation.status().port}` : null };
+  nodes.push(node);
+  return node;
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(r => setTimeout(r, 10));
+  }
+}
+
+/** Wait until every node has a link to every other node named. */
+function linked(...group) {
+  return waitFor(() => group.every(n =>
+    group.every(other => other === n || n.federation.status().links.some(l => l.nodeId === other.nodeId && l.patterns > 0))));
+}
+
+afterEach(async () => {
+  for (const node of nodes.splice(0)) {
+    await node.federation.close();
+    node.broker.close();
+    fs.rmSync(node.root, { recursive: true, force: true });
+  }
+});
+
+// ─── Links ──────────────────────────────────────────────────────────────────
+
+describe('federation links', () => {
+  it('links two nodes and lists the remote agents', async () => {
+    const home = await startNode('home', [{ id: 'researcher' }]);
+    const laptop = await startNode('laptop', [{ id: 'writer' }], { peers: [home.url], listen: false });
+    await linked(home, laptop);
+
+    assert.deepStrictEqual(laptop.federation.listRemoteAgents(), [{ id: 'researcher', name: 'researcher', node: 'home', remote: true }]);
+    assert.deepStrictEqual(home.federation.listRemoteAgents().map(a => a.id), ['writer']);
+
+    const [link] = home.federation.status().links;
+    assert.equal(link.direction, 'inbound');
+    assert.equal(laptop.federation.status().peers[0].linked, true);
+  });
+
+  it('refuses a node with the wrong token', async () => {
+    const home = await startNode('home', [{ id: 'researcher' }]);
+    const intruder = await startNode('intruder', [], { peers: [home.url], token: 'wrong', listen: false });
+
+    await waitFor(() => intruder.federation.status().peers[0].lastError === 'Invalid token');
+    assert.deepStrictEqual(home.federation.status().links, []);
+  });
+
+  it('re-advertises changed subscriptions', async () => {
+    const home = await startNode('home', [{ id: 'researcher' }]);
+    const laptop = await startNode('laptop', [{ id: 'writer' }], { peers: [home.url], listen: false });
+    await linked(home, laptop);
+
+    home.broker.subscribe('researcher', 'slack/team/**');
+    home.federation.advertise();
+    await waitFor(() => laptop.federation.status().links[0].patterns === 2);
+
+    const result = laptop.broker.route('slack-bridge', 'slack/team/#eng', { command: 'slack.message' });
+    assert.deepStrictEqual(result.forwardedTo, ['home']);
+  });
+});
+
+// ─── Forwarding ─────────────────────────────────────────────────────────────
+
+describe('federation forwarding', () => {
+  it('delivers to a remote agent under the same message ID', async () => {
+    const home = await startNode('home', [{ id: 'researcher' }]);
+    const laptop = await startNode('laptop', [{ id: 'writer' }], { peers: [home.url], listen: false });
+    await linked(home, laptop);
+
+    const result = laptop.broker.send('writer', 'researcher', { command: 'ask', payload: { q: 1 }, ttlMs: 60000 });
+    assert.equal(result.unmatched, false);
+    assert.deepStrictEqual(result.deliveredTo, []);
+    assert.deepStrictEqual(result.forwardedTo, ['home']);
+
+    await waitFor(() => home.broker.history('researcher').length === 1);
+    const [received] = home.broker.history('researcher');
+    assert.equal(received.id, result.id);
+    assert.equal(received.from, 'writer');
+    assert.deepStrictEqual(received.payload, { q: 1 });
+    assert.deepStrictEqual(received.via, ['laptop']);
+    assert.ok(received.expiresAt > Date.now());
+  });
+
+  it('keeps messages for a local agent on its node', async () => {
+    const home = await startNode('home', [{ id: 'main' }]);
+    const laptop = await startNode('laptop', [{ id: 'main' }, { id: 'writer' }], { peers: [home.url], listen: false });
+    await linked(home, laptop);
+
+    const result = laptop.broker.send('writer', 'main', { command: 'ask' });
+    assert.deepStrictEqual(result.deliveredTo, ['main']);
+    assert.equal(result.forwardedTo, undefined);
+
+    await new Promise(r => setTimeout(r, 50));
+    assert.equal(home.broker.history('main').length, 0);
+  });
+
+  it('answers a request across nodes', async () => {
+    const home = await startNode('home', [{ id: 'researcher' }]);
+    const laptop = await startNode('laptop', [{ id: 'writer' }], { peers: [home.url], listen: false });
+    await linked(home, laptop);
+
+    home.broker.listen('researcher', (msg) => {
+      home.broker.reply(msg, { answer: 42 }, { from: 'researcher' });
+    });
+
+    const reply = await laptop.broker.request('writer', 'agent/researcher', { command: 'ask' }, { timeoutMs: 2000 });
+    assert.deepStrictEqual(reply.payload, { answer: 42 });
+    assert.deepStrictEqual(laptop.broker.history('writer').map(m => m.id), [reply.id]);
+  });
+
+  it('does not send a message back or deliver it twice around a triangle', async () => {
+    const subscriptions = [{ pattern: 'alerts/**' }];
+    const a = await startNode('a', [{ id: 'a1', subscriptions }]);
+    const b = await startNode('b', [{ id: 'b1', subscriptions }], { peers: [a.url] });
+    const c = await startNode('c', [{ id: 'c1', subscriptions }], { peers: [a.url, b.url], listen: false });
+    await linked(a, b, c);
+
+    const result = a.broker.route('monitor', 'alerts/disk', { command: 'alert' });
+    assert.deepStrictEqual(result.forwardedTo.sort(), ['b', 'c']);
+
+    await waitFor(() => b.broker.history('b1').length === 1 && c.broker.history('c1').length === 1);
+    await new Promise(r => setTimeout(r, 50));
+    assert.equal(a.broker.history('a1').length, 1);
+    assert.equal(b.broker.history('b1').length, 1);
+    assert.equal(c.broker.history('c1').length, 1);
+  });
+
+  it('forgets a node whose link closes', async () => {
+    const home = await startNode('home', [{ id: 'researcher' }]);
+    const laptop = await startNode('laptop', [{ id: 'writer' }], { peers: [home.url], listen: false });
+    await linked(home, laptop);
+
+    await laptop.federation.close();
+    await waitFor(() => home.federation.status().links.length === 0);
+
+    assert.deepStrictEqual(home.federation.listRemoteAgents(), []);
+    assert.equal(home.broker.send('researcher', 'writer', {}).unmatched, true);
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * gateway.test.js — Tests for gateway reconnection, state and request queueing.
+ *
+ * Run:  node --test test/gateway.test.js
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { WebSocketServer } = require('ws');
+const ed = require('@noble/ed25519');
+const { createGateway } = require('../src/gateway');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+const silentLog = {
+  debug: () => {},
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+async function testIdentity() {
+  const privateKey = ed.utils.randomSecretKey();
+  const publicKey = await ed.getPublicKeyAsync(privateKey);
+  return {
+    deviceId: 'test-device',
+    publicKey: Buffer.from(publicKey).toString('base64url'),
+    privateKey: Buffer.from(privateKey).toString('base64url'),
+  };
+}
+
+/**
+ * Fake OpenClaw gateway: sends connect.challenge, accepts the connect
+ * request (unless `rejectHandshake`) and echoes other requests' params.
+ * A `silent` gateway accepts connections and never says anything.
+ */
+function fakeGateway({ port = 0, rejectHandshake = false, silent = false } = {}) {
+  return new Promise((resolve) => {
+    const wss = new WebSocketServer({ port, host: '127.0.0.1' }, () => {
+      resolve({
+        wss,
+        port: wss.address().port,
+        dropClients: () => { for (const client of wss.clients) client.terminate(); },
+        close: () => new Promise(r => {
+          for (const client of wss.clients) client.terminate();
+          wss.close(() => r());
+        }),
+      });
+    });
+
+    wss.on('connection', (socket) => {
+      if (silent) return;
+      socket.send(JSON.stringify({ type: 'event', event: 'connect.challenge', payload: { nonce: 'n-1' } }));
+      socket.on('message', (data) => {
+        const msg = JSON.parse(data.toString());
+        if (msg.method === 'connect') {
+          socket.send(JSON.stringify(rejectHandshake
+            ? { type: 'res', id: msg.id, ok: false, error: { message: 'bad token' } }
+            : { type: 'res', id: msg.id, ok: true }));
+        } else {
+          socket.send(JSON.stringify({ type: 'res', id: msg.id, result: { echo: msg.params } }));
+        }
+      });
+    });
+  });
+}
+
+/** A port with nothing listening on it. */
+async function freePort() {
+  const server = await fakeGateway();
+  await server.close();
+  return server.port;
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function waitFor(conditionFn, timeoutMs = 3000, intervalMs = 10) {
+  return new Promise((resolve, reject) => {
+    const start = Date.now();
+    const check = () => {
+      if (conditionFn()) return resolve();
+      if (Date.now() - start > timeoutMs) return reject(new Error('waitFor timeout'));
+      setTimeout(check, intervalMs);
+    };
+    check();
+  });
+}
+
+let identity = null;
+
+async function makeGateway(port, opts = {}) {
+  identity = identity || await testIdentity();
+  return createGateway({
+    url: `http://127.0.0.1:${port}`,
+    token: 'secret',
+    log: silentLog,
+    reconnectMinMs: 20,
+    reconnectMaxMs: 80,
+    queueTtlMs: 1000,
+    queueMax: 10,
+    loadIdentity: async () => identity,
+    random: () => 1,
+    ...opts,
+  });
+}
+
+// ─── Tests ──────────────────────────────────────────────────────────────────
+
+describe('gateway client', () => {
+  const cleanup = [];
+
+  afterEach(async () => {
+    for (const fn of cleanup.splice(0).reverse()) await fn();
+  });
+
+  it('connects, sends requests and reports its state', async () => {
+    const server = await fakeGateway();
+    cleanup.push(server.close);
+    const gw = await makeGateway(server.port);
+    cleanup.push(gw.close);
+
+    assert.equal(gw.healthCheck().state, 'disconnected');
+    await gw.connect();
+
+    const health = gw.healthCheck();
+    assert.equal(health.connected, true);
+    assert.equal(health.state, 'connected');
+    assert.equal(health.attempts, 0);
+    assert.ok(health.lastConnectedAt);
+
+    const result = await gw.send({ type: 'req', method: 'send', params: { to: '#x' } });
+    assert.deepStrictEqual(result, { echo: { to: '#x' } });
+  });
+
+  it('reconnects after the connection drops', async () => {
+    const server = await fakeGateway();
+    cleanup.push(server.close);
+    const gw = await makeGateway(server.port);
+    cleanup.push(gw.close);
+
+    const states = [];
+    gw.onStateChange((health) => states.push(health.state));
+    await gw.connect();
+
+    server.dropClients();
+    await waitFor(() => states.length === 5);
+
+    assert.deepStrictEqual(states, ['connecting', 'connected', 'reconnecting', 'connecting', 'connected']);
+    assert.equal(gw.healthCheck().connected, true);
+    assert.equal(gw.healthCheck().attempts, 0);
+  });
+
+  it('keeps retrying with backoff while the gateway is down, then sends queued requests', async () => {
+    const port = await freePort();
+    const gw = await makeGateway(port);
+    cleanup.push(gw.close);
+
+    await assert.rejects(gw.connect());
+    let health = gw.healthCheck();
+    assert.equal(health.state, 'reconnecting');
+    assert.equal(health.attempts, 1);
+    assert.ok(health.lastError);
+    assert.ok(health.nextRetryAt >= Date.now());
+
+    const reply = gw.send({ type: 'req', method: 'send', params: { n: 1 } });
+    assert.equal(gw.healthCheck().queued, 1);
+
+    // Delays double: 20, 40, 80, 80 ...
+    await waitFor(() => gw.healthCheck().attempts >= 3);
+
+    const server = await fakeGateway({ port });
+    cleanup.unshift(server.close);
+
+    assert.deepStrictEqual(await reply, { echo: { n: 1 } });
+    health = gw.healthCheck();
+    assert.equal(health.connected, true);
+    assert.equal(health.queued, 0);
+  });
+
+  it('expires queued requests after their TTL and caps the queue', async () => {
+    const port = await freePort();
+    const gw = await makeGateway(port, { queueMax: 1 });
+    cleanup.push(gw.close);
+    await gw.connect().catch(() => {});
+
+    const expired = gw.send({ type: 'req', method: 'a' }, 1000, { queueTtlMs: 30 });
+    await assert.rejects(gw.send({ type: 'req', method: 'b' }), /queue is full/);
+    await assert.rejects(expired, /expired after 30ms/);
+    assert.equal(gw.healthCheck().queued, 0);
+
+    await assert.rejects(gw.send({ type: 'req', method: 'c' }, 1000, { queueTtlMs: 0 }), /not connected/);
+  });
+
+  it('retries after a rejected handshake', async () => {
+    const server = await fakeGateway({ rejectHandshake: true });
+    cleanup.push(server.close);
+    const gw = await makeGateway(server.port);
+    cleanup.push(gw.close);
+
+    await assert.rejects(gw.connect(), /bad token/);
+    assert.equal(gw.healthCheck().lastError, 'bad token');
+    await waitFor(() => gw.healthCheck().attempts >= 2);
+  });
+
+  it('abandons and retries an attempt whose handshake never finishes', async () => {
+    const server = await fakeGateway({ silent: true });
+    cleanup.push(server.close);
+    const gw = await makeGateway(server.port, { connectTimeoutMs: 50 });
+    cleanup.push(gw.close);
+
+    await assert.rejects(gw.connect(), /handshake timed out after 50ms/);
+    assert.equal(gw.healthCheck().state, 'reconnecting');
+    await waitFor(() => gw.healthCheck().attempts >= 2);
+  });
+
+  it('stops reconnecting and rejects queued requests on close()', async () => {
+    const port = await freePort();
+    const gw = await makeGateway(port);
+    await gw.connect().catch(() => {});
+
+    const queued = gw.send({ type: 'req', method: 'a' });
+    await gw.close();
+    await assert.rejects(queued, /connection closed/);
+
+    const { state, attempts, nextRetryAt } = gw.healthCheck();
+    assert.equal(state, 'closed');
+    assert.equal(nextRetryAt, null);
+    await sleep(100);
+    assert.equal(gw.healthCheck().attempts, attempts);
+    await assert.rejects(gw.send({ type: 'req', method: 'b' }), /connection closed/);
+  });
+
+  it('is disabled when not configured', async () => {
+    const gw = createGateway({ url: 'http://127.0.0.1:1', token: '', log: silentLog });
+    await assert.rejects(gw.connect(), /OPENCLAW_GATEWAY_TOKEN is not configured/);
+    assert.equal(gw.healthCheck().state, 'disabled');
+    await assert.rejects(gw.send({ type: 'req' }), /not configured/);
+  });
+});
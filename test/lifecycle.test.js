@@ -0,0 +1,195 @@
+/**
+ * lifecycle.test.js — Tests for ordered startup, health and graceful shutdown.
+ *
+ * Run:  node --test test/lifecycle.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createLifecycle } = require('../src/lifecycle');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+function recordingLog() {
+  const lines = [];
+  const log = {
+    lines,
+    closed: false,
+    info: (msg) => lines.push(msg),
+    warn: (msg) => lines.push(msg),
+    error: (msg) => lines.push(msg),
+    close: async () => { log.closed = true; },
+  };
+  return log;
+}
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// ─── Startup ────────────────────────────────────────────────────────────────
+
+describe('startAll', () => {
+  it('starts components in registration order and becomes ready', async () => {
+    const order = [];
+    const lc = createLifecycle({ log: recordingLog() });
+    lc.register('a', { start: () => { order.push('a'); } });
+    lc.register('b', { start: async () => { await sleep(5); order.push('b'); } });
+    lc.register('c', {});
+
+    assert.equal(lc.health().ready, false);
+    const health = await lc.startAll();
+
+    assert.deepStrictEqual(order, ['a', 'b']);
+    assert.equal(health.state, 'running');
+    assert.equal(health.ready, true);
+    assert.equal(health.components.c.state, 'running');
+  });
+
+  it('keeps starting after a failure; only critical failures block readiness', async () => {
+    const lc = createLifecycle({ log: recordingLog() });
+    lc.register('optional', { critical: false, start: () => { throw new Error('no token'); } });
+    lc.register('after', {});
+
+    let health = await lc.startAll();
+    assert.equal(health.ready, true);
+    assert.equal(health.components.optional.state, 'failed');
+    assert.equal(health.components.optional.error, 'no token');
+    assert.equal(health.components.after.state, 'running');
+
+    const lc2 = createLifecycle({ log: recordingLog() });
+    lc2.register('gateway', { start: async () => { throw new Error('unreachable'); } });
+    health = await lc2.startAll();
+    assert.equal(health.live, true);
+    assert.equal(health.ready, false);
+  });
+
+  it('reports check() details and treats ok: false as unhealthy', async () => {
+    let connected = true;
+    const lc = createLifecycle({ log: recordingLog() });
+    lc.register('gateway', { check: () => ({ ok: connected, connected }) });
+    await lc.startAll();
+
+    assert.equal(lc.health().components.gateway.connected, true);
+    connected = false;
+    const health = lc.health();
+    assert.equal(health.ready, false);
+    assert.equal(health.components.gateway.healthy, false);
+  });
+
+  it('rejects duplicate component names', () => {
+    const lc = createLifecycle({ log: recordingLog() });
+    lc.register('a', {});
+    assert.throws(() => lc.register('a', {}), /already registered/);
+  });
+});
+
+// ─── Shutdown ───────────────────────────────────────────────────────────────
+
+describe('shutdown', () => {
+  it('drains concurrently, stops in reverse order, then flushes logs', async () => {
+    const events = [];
+    const log = recordingLog();
+    const lc = createLifecycle({ log });
+    lc.register('http', { stop: () => { events.push('stop:http'); } });
+    lc.register('turns', {
+      drain: async () => { events.push('drain:turns'); await sleep(10); events.push('drained:turns'); },
+      stop: () => { events.push('stop:turns'); },
+    });
+    lc.register('socket', {
+      drain: async () => { events.push('drain:socket'); },
+      stop: async () => { events.push('stop:socket'); },
+    });
+    await lc.startAll();
+
+    const pending = lc.shutdown('SIGTERM');
+    assert.equal(lc.isDraining(), true);
+    assert.equal(lc.health().ready, false);
+
+    const result = await pending;
+    assert.equal(result.drained, true);
+    assert.deepStrictEqual(events, [
+      'drain:turns', 'drain:socket', 'drained:turns',
+      'stop:socket', 'stop:turns', 'stop:http',
+    ]);
+    assert.equal(log.closed, true);
+    assert.equal(lc.health().live, false);
+  });
+
+  it('turns requests away with 503 while draining, except exempt paths', async () => {
+    const lc = createLifecycle({ log: recordingLog() });
+    let finishDrain;
+    lc.register('turns', { drain: () => new Promise(r => { finishDrain = r; }) });
+    await lc.startAll();
+
+    const guard = lc.rejectWhileDraining({ exempt: ['/health'] });
+    const call = (reqPath) => {
+      const res = { headers: {} };
+      res.set = (name, value) => { res.headers[name] = value; return res; };
+      res.status = (code) => { res.statusCode = code; return res; };
+      res.json = (body) => { res.body = body; return res; };
+      let passed = false;
+      guard({ path: reqPath }, res, () => { passed = true; });
+      return { passed, res };
+    };
+
+    assert.ok(call('/api/mobey').passed);
+
+    const pending = lc.shutdown('SIGTERM');
+    const rejected = call('/api/mobey');
+    assert.ok(!rejected.passed);
+    assert.equal(rejected.res.statusCode, 503);
+    assert.equal(rejected.res.headers['Retry-After'], '5');
+    assert.ok(call('/health').passed);
+    assert.ok(call('/health/ready').passed);
+    assert.ok(!call('/healthz').passed);
+
+    finishDrain();
+    await pending;
+  });
+
+  it('gives up on drains that outlive the deadline', async () => {
+    const lc = createLifecycle({ log: recordingLog(), shutdownTimeoutMs: 20 });
+    let stopped = false;
+    lc.register('turns', {
+      drain: () => new Promise(() => {}), // never settles
+      stop: () => { stopped = true; },
+    });
+    await lc.startAll();
+
+    const result = await lc.shutdown();
+    assert.equal(result.drained, false);
+    assert.equal(stopped, true);
+  });
+
+  it('runs once however many times it is called, skipping failed components', async () => {
+    let stops = 0;
+    const lc = createLifecycle({ log: recordingLog() });
+    lc.register('ok', { stop: () => { stops++; } });
+    lc.register('broken', { start: () => { throw new Error('x'); }, stop: () => { stops++; } });
+    await lc.startAll();
+
+    const [a, b] = await Promise.all([lc.shutdown(), lc.shutdown()]);
+    assert.equal(a, b);
+    assert.equal(stops, 1);
+  });
+
+  it('exits after shutdown on a signal, and immediately on a second one', async () => {
+    const proc = new EventEmitter();
+    const exits = [];
+    const lc = createLifecycle({ log: recordingLog() });
+    lc.register('slow', { drain: () => sleep(20) });
+    await lc.startAll();
+    const remove = lc.handleSignals({ proc, exit: (code) => exits.push(code) });
+
+    proc.emit('SIGTERM', 'SIGTERM');
+    proc.emit('SIGINT', 'SIGINT');
+    assert.deepStrictEqual(exits, [1]);
+
+    await lc.shutdown();
+    await sleep(0);
+    assert.deepStrictEqual(exits, [1, 0]);
+
+    remove();
+    assert.equal(proc.listenerCount('SIGTERM'), 0);
+  });
+});
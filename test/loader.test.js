@@ -0,0 +1,369 @@
+/**
+ * loader.test.js — Tests for route auto-discovery (RouteLoader).
+ *
+ * Run:  node --test test/loader.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { EventEmitter } = require('events');
+const RouteLoader = require('../src/loader');
+const { createRouteAuth } = require('../src/routeAuth');
+const { createRouteLimiter } = require('../src/routeLimiter');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'rl-test-'));
+}
+
+function rmrf(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+function writeRoute(dir, relFile, source) {
+  const filePath = path.join(dir, relFile);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, source);
+}
+
+/** Logger that records warnings so tests can assert on skipped modules */
+function recordingLog() {
+  const warnings = [];
+  return {
+    warnings,
+    info: () => {},
+    warn: (msg) => warnings.push(msg),
+    error: (msg) => warnings.push(msg),
+  };
+}
+
+// ─── Single-method contract ─────────────────────────────────────────────────
+
+describe('single-method route modules', () => {
+  let dir, log, loader;
+
+  beforeEach(() => {
+    dir = tmpDir();
+    log = recordingLog();
+    loader = new RouteLoader(dir, log);
+  });
+
+  afterEach(() => rmrf(dir));
+
+  it('loads { path, method, handler } modules', () => {
+    writeRoute(dir, 'hello.js', `module.exports = { path: '/hello', method: 'GET', handler() {} };`);
+
+    const routes = loader.scan();
+    assert.equal(routes.length, 1);
+    assert.equal(routes[0].path, '/hello');
+    assert.deepStrictEqual(routes[0].handlers.map(h => h.method), ['get']);
+    assert.deepStrictEqual(routes[0].middleware, []);
+  });
+
+  it('prefixes paths with the subfolder', () => {
+    writeRoute(dir, 'api/hello.js', `module.exports = { path: '/hello', method: 'GET', handler() {} };`);
+
+    const [route] = loader.scan();
+    assert.equal(route.path, '/api/hello');
+    assert.equal(route.file, 'api/hello.js');
+  });
+
+  it('skips modules missing method or handler', () => {
+    writeRoute(dir, 'broken.js', `module.exports = { path: '/broken', method: 'GET' };`);
+
+    assert.equal(loader.scan().length, 0);
+    assert.ok(log.warnings.some(w => w.includes('"handler"')));
+  });
+
+  it('skips unsupported methods', () => {
+    writeRoute(dir, 'trace.js', `module.exports = { path: '/t', method: 'TRACE', handler() {} };`);
+
+    assert.equal(loader.scan().length, 0);
+    assert.ok(log.warnings.some(w => w.includes('unsupported method')));
+  });
+});
+
+// ─── Multi-method handlers map ──────────────────────────────────────────────
+
+describe('handlers map', () => {
+  let dir, log, loader;
+
+  beforeEach(() => {
+    dir = tmpDir();
+    log = recordingLog();
+    loader = new RouteLoader(dir, log);
+  });
+
+  afterEach(() => rmrf(dir));
+
+  it('registers every method in the map', () => {
+    writeRoute(dir, 'items.js', `
+      module.exports = {
+        path: '/items',
+        handlers: { GET() {}, post() {}, HEAD() {}, OPTIONS() {}, ALL() {} },
+      };
+    `);
+
+    const [route] = loader.scan();
+    assert.deepStrictEqual(route.handlers.map(h => h.method), ['get', 'post', 'head', 'options', 'all']);
+  });
+
+  it('rejects non-function handlers', () => {
+    writeRoute(dir, 'items.js', `module.exports = { path: '/items', handlers: { GET: 'nope' } };`);
+
+    assert.equal(loader.scan().length, 0);
+    assert.ok(log.warnings.some(w => w.includes('not a function')));
+  });
+
+  it('rejects an empty handlers map', () => {
+    writeRoute(dir, 'items.js', `module.exports = { path: '/items', handlers: {} };`);
+
+    assert.equal(loader.scan().length, 0);
+  });
+});
+
+// ─── Middleware ─────────────────────────────────────────────────────────────
+
+describe('middleware', () => {
+  let dir, log, loader;
+
+  beforeEach(() => {
+    dir = tmpDir();
+    log = recordingLog();
+    loader = new RouteLoader(dir, log);
+  });
+
+  afterEach(() => rmrf(dir));
+
+  it('accepts a single function or an array', () => {
+    writeRoute(dir, 'one.js', `module.exports = { path: '/one', method: 'GET', middleware: function auth(q, s, n) { n(); }, handler() {} };`);
+    writeRoute(dir, 'two.js', `
+      function auth(q, s, n) { n(); }
+      function limit(q, s, n) { n(); }
+      module.exports = { path: '/two', method: 'GET', middleware: [auth, limit], handler() {} };
+    `);
+
+    const byFile = new Map(loader.scan().map(r => [r.file, r]));
+    assert.equal(byFile.get('one.js').middleware.length, 1);
+    assert.equal(byFile.get('two.js').middleware.length, 2);
+  });
+
+  it('skips modules with non-function middleware', () => {
+    writeRoute(dir, 'bad.js', `module.exports = { path: '/bad', method: 'GET', middleware: ['x'], handler() {} };`);
+
+    assert.equal(loader.scan().length, 0);
+    assert.ok(log.warnings.some(w => w.includes('"middleware"')));
+  });
+
+  it('list() reports methods and middleware names per file', () => {
+    writeRoute(dir, 'items.js', `
+      function requireAuth(q, s, n) { n(); }
+      module.exports = {
+        path: '/items',
+        description: 'Items',
+        middleware: [requireAuth],
+        handlers: { GET() {}, POST() {} },
+      };
+    `);
+
+    loader.scan();
+    assert.deepStrictEqual(loader.list(), [{
+      methods: ['GET', 'POST'],
+      path: '/items',
+      file: 'items.js',
+      description: 'Items',
+      middleware: ['requireAuth'],
+      validated: false,
+      auth: [],
+      limits: null,
+    }]);
+  });
+});
+
+// ─── Schema ─────────────────────────────────────────────────────────────────
+
+describe('schema export', () => {
+  let dir, log, loader;
+
+  beforeEach(() => {
+    dir = tmpDir();
+    log = recordingLog();
+    loader = new RouteLoader(dir, log);
+  });
+
+  afterEach(() => rmrf(dir));
+
+  it('attaches a validation middleware', () => {
+    writeRoute(dir, 'items.js', `
+      module.exports = {
+        path: '/items',
+        method: 'POST',
+        schema: { body: { type: 'object', required: ['name'] } },
+        handler() {},
+      };
+    `);
+
+    const [route] = loader.scan();
+    assert.equal(typeof route.validate, 'function');
+    assert.deepStrictEqual(route.schema, { body: { type: 'object', required: ['name'] } });
+    assert.equal(loader.list()[0].validated, true);
+  });
+
+  it('skips routes with an invalid schema', () => {
+    writeRoute(dir, 'items.js', `module.exports = { path: '/items', method: 'POST', schema: { body: { type: 'bogus' } }, handler() {} };`);
+
+    assert.equal(loader.scan().length, 0);
+    assert.ok(log.warnings.some(w => w.includes('invalid schema')));
+  });
+});
+
+// ─── Auth ───────────────────────────────────────────────────────────────────
+
+describe('auth export', () => {
+  let dir, log;
+
+  beforeEach(() => {
+    dir = tmpDir();
+    log = recordingLog();
+  });
+
+  afterEach(() => rmrf(dir));
+
+  it('attaches an authenticate middleware and lists strategies', () => {
+    const loader = new RouteLoader(dir, log, { auth: createRouteAuth({ tokens: ['t'], log }) });
+    writeRoute(dir, 'secure.js', `module.exports = { path: '/s', method: 'GET', auth: ['local', 'bearer'], handler() {} };`);
+
+    const [route] = loader.scan();
+    assert.equal(typeof route.authenticate, 'function');
+    assert.deepStrictEqual(loader.list()[0].auth, ['local', 'bearer']);
+  });
+
+  it('skips routes with unknown strategies', () => {
+    const loader = new RouteLoader(dir, log, { auth: createRouteAuth({ log }) });
+    writeRoute(dir, 'secure.js', `module.exports = { path: '/s', method: 'GET', auth: 'magic', handler() {} };`);
+
+    assert.equal(loader.scan().length, 0);
+    assert.ok(log.warnings.some(w => w.includes('unknown auth strategy')));
+  });
+
+  it('fails closed when no authenticator is configured', () => {
+    const loader = new RouteLoader(dir, log);
+    writeRoute(dir, 'secure.js', `module.exports = { path: '/s', method: 'GET', auth: 'bearer', handler() {} };`);
+
+    assert.equal(loader.scan().length, 0);
+  });
+});
+
+// ─── Limits ─────────────────────────────────────────────────────────────────
+
+describe('limits export', () => {
+  let dir, log;
+
+  beforeEach(() => {
+    dir = tmpDir();
+    log = recordingLog();
+  });
+
+  afterEach(() => rmrf(dir));
+
+  it('attaches a limit middleware and lists normalized limits', () => {
+    const loader = new RouteLoader(dir, log, { limiter: createRouteLimiter({ log }) });
+    writeRoute(dir, 'busy.js', `module.exports = { path: '/b', method: 'POST', limits: { concurrency: 2 }, handler() {} };`);
+
+    const [route] = loader.scan();
+    assert.equal(typeof route.limit, 'function');
+    assert.deepStrictEqual(loader.list()[0].limits, {
+      rate: [],
+      concurrency: { max: 2, by: 'route', retryAfterSec: 5 },
+    });
+  });
+
+  it('holds a concurrency slot until the handler settles, even if the client aborts', async () => {
+    const loader = new RouteLoader(dir, log, { limiter: createRouteLimiter({ log }) });
+    writeRoute(dir, 'busy.js', `module.exports = {
+      path: '/b', method: 'POST', limits: { concurrency: 1 },
+      handler() { return new Promise(resolve => { globalThis.__finishBusy = resolve; }); },
+    };`);
+    const [route] = loader.scan();
+    const [{ handler }] = route.handlers;
+
+    const call = () => {
+      const req = { method: 'POST', originalUrl: '/b', ip: '127.0.0.1', headers: {} };
+      const res = new EventEmitter();
+      res.set = () => res;
+      res.status = (code) => { res.statusCode = code; return res; };
+      res.json = () => res;
+      let passed = false;
+      route.limit(req, res, () => { passed = true; });
+      return { req, res, passed };
+    };
+
+    const first = call();
+    assert.ok(first.passed);
+    const pending = handler(first.req, first.res, () => {});
+    first.res.emit('close'); // client gave up
+
+    const second = call();
+    assert.ok(!second.passed);
+    assert.equal(second.res.statusCode, 429);
+
+    globalThis.__finishBusy();
+    await pending;
+    assert.ok(call().passed);
+    delete globalThis.__finishBusy;
+  });
+
+  it('skips routes with invalid limits', () => {
+    const loader = new RouteLoader(dir, log, { limiter: createRouteLimiter({ log }) });
+    writeRoute(dir, 'busy.js', `module.exports = { path: '/b', method: 'POST', limits: { rate: { max: 0, windowMs: 1000 } }, handler() {} };`);
+
+    assert.equal(loader.scan().length, 0);
+    assert.ok(log.warnings.some(w => w.includes('invalid limits')));
+  });
+
+  it('skips routes with limits when no limiter is configured', () => {
+    const loader = new RouteLoader(dir, log);
+    writeRoute(dir, 'busy.js', `module.exports = { path: '/b', method: 'POST', limits: { concurrency: 1 }, handler() {} };`);
+
+    assert.equal(loader.scan().length, 0);
+  });
+});
+
+// ─── Reload bookkeeping ─────────────────────────────────────────────────────
+
+describe('reload status', () => {
+  let dir, loader;
+
+  beforeEach(() => {
+    dir = tmpDir();
+    loader = new RouteLoader(dir, recordingLog(), { debounceMs: 20 });
+  });
+
+  afterEach(() => {
+    loader.unwatch();
+    rmrf(dir);
+  });
+
+  it('increments generation on every scan', () => {
+    assert.equal(loader.status().generation, 0);
+    loader.scan();
+    loader.scan();
+    assert.equal(loader.status().generation, 2);
+    assert.ok(loader.status().lastReloadAt);
+  });
+
+  it('watch() reloads when a route file is added', async () => {
+    loader.scan();
+
+    const reloaded = new Promise((resolve) => loader.watch(resolve));
+    writeRoute(dir, 'late.js', `module.exports = { path: '/late', method: 'GET', handler() {} };`);
+
+    const routes = await reloaded;
+    assert.deepStrictEqual(routes.map(r => r.path), ['/late']);
+    assert.equal(loader.status().generation, 2);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * logger.test.js — Tests for the shared leveled logger.
+ *
+ * Run:  node --test test/logger.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createLogger, childLogger } = require('../src/logger');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'logger-test-'));
+}
+
+function rmrf(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+function readLines(filePath) {
+  return fs.readFileSync(filePath, 'utf-8').split('\n').filter(Boolean);
+}
+
+const NOW = Date.parse('2025-03-01T12:00:00.000Z');
+
+// ─── Levels and formatting ──────────────────────────────────────────────────
+
+describe('levels and formatting', () => {
+  let dir;
+
+  beforeEach(() => { dir = tmpDir(); });
+  afterEach(() => rmrf(dir));
+
+  it('drops lines below the configured level', async () => {
+    const log = createLogger({ level: 'warn', dir, console: false, now: () => NOW });
+    log.debug('d');
+    log.info('i');
+    log.warn('w');
+    log.error('e');
+    await log.close();
+
+    const lines = readLines(path.join(dir, '2025-03-01.log'));
+    assert.deepStrictEqual(lines, [
+      '[WARN]  2025-03-01T12:00:00.000Z w',
+      '[ERROR] 2025-03-01T12:00:00.000Z e',
+    ]);
+  });
+
+  it('writes warn and error lines to error.log too', async () => {
+    const log = createLogger({ dir, console: false, now: () => NOW });
+    log.info('fine');
+    log.error('broken');
+    await log.close();
+
+    assert.equal(readLines(path.join(dir, 'error.log')).length, 1);
+    assert.equal(readLines(path.join(dir, '2025-03-01.log')).length, 2);
+  });
+
+  it('changes level at runtime for the logger and its children', async () => {
+    const log = createLogger({ level: 'info', dir, console: false, now: () => NOW });
+    const child = log.child({ agentId: 'main' });
+
+    child.debug('hidden');
+    log.setLevel('debug');
+    child.debug('shown');
+    await log.close();
+
+    assert.equal(log.isLevelEnabled('debug'), true);
+    assert.deepStrictEqual(readLines(path.join(dir, '2025-03-01.log')), [
+      '[DEBUG] 2025-03-01T12:00:00.000Z [agentId=main] shown',
+    ]);
+  });
+
+  it('rejects unknown levels and formats', () => {
+    assert.throws(() => createLogger({ level: 'verbose', console: false }), /Unknown log level/);
+    assert.throws(() => createLogger({ format: 'xml', console: false }), /Unknown log format/);
+  });
+});
+
+// ─── Child loggers ──────────────────────────────────────────────────────────
+
+describe('child loggers', () => {
+  let dir;
+
+  beforeEach(() => { dir = tmpDir(); });
+  afterEach(() => rmrf(dir));
+
+  it('binds context in text output, skipping unset values', async () => {
+    const log = createLogger({ dir, console: false, now: () => NOW });
+    log.child({ agentId: 'main', sessionId: undefined }).child({ turnId: 'ab12' }).info('running');
+    await log.close();
+
+    assert.deepStrictEqual(readLines(path.join(dir, '2025-03-01.log')), [
+      '[INFO]  2025-03-01T12:00:00.000Z [agentId=main turnId=ab12] running',
+    ]);
+  });
+
+  it('emits JSON lines with context fields and data', async () => {
+    const log = createLogger({ format: 'json', dir, console: false, now: () => NOW });
+    log.child({ reqId: 'r1' }).warn('Slow request', { ms: 1200 });
+    await log.close();
+
+    const [line] = readLines(path.join(dir, '2025-03-01.log'));
+    assert.deepStrictEqual(JSON.parse(line), {
+      ts: '2025-03-01T12:00:00.000Z',
+      level: 'warn',
+      reqId: 'r1',
+      msg: 'Slow request',
+      data: { ms: 1200 },
+    });
+  });
+
+  it('childLogger() falls back for loggers without child()', () => {
+    const plain = { info() {}, warn() {}, error() {} };
+    assert.equal(childLogger(plain, { agentId: 'x' }), plain);
+    assert.equal(typeof childLogger(createLogger({ console: false }), { agentId: 'x' }).child, 'function');
+  });
+});
+
+// ─── Rotation and retention ─────────────────────────────────────────────────
+
+describe('rotation and retention', () => {
+  let dir;
+
+  beforeEach(() => { dir = tmpDir(); });
+  afterEach(() => rmrf(dir));
+
+  it('rotates files that exceed maxSizeBytes', async () => {
+    const log = createLogger({ dir, console: false, maxSizeBytes: 200, now: () => NOW });
+    for (let i = 0; i < 10; i++) log.info(`line ${i} ${'x'.repeat(40)}`);
+    await log.close();
+
+    const files = fs.readdirSync(dir).sort();
+    assert.ok(files.includes('2025-03-01.log'));
+    assert.ok(files.includes('2025-03-01.1.log'));
+    for (const file of files) {
+      assert.ok(fs.statSync(path.join(dir, file)).size <= 200, `${file} too large`);
+    }
+
+    const total = files.flatMap(f => readLines(path.join(dir, f)));
+    assert.equal(total.length, 10);
+  });
+
+  it('starts a new file each day', async () => {
+    let t = NOW;
+    const log = createLogger({ dir, console: false, now: () => t });
+    log.info('day one');
+    t += 24 * 60 * 60 * 1000;
+    log.info('day two');
+    await log.close();
+
+    assert.deepStrictEqual(readLines(path.join(dir, '2025-03-02.log')).length, 1);
+    assert.deepStrictEqual(readLines(path.join(dir, '2025-03-01.log')).length, 1);
+  });
+
+  it('deletes files older than retentionDays', async () => {
+    const old = path.join(dir, '2025-01-01.log');
+    fs.writeFileSync(old, 'old\n');
+    const oldTime = new Date(NOW - 30 * 24 * 60 * 60 * 1000);
+    fs.utimesSync(old, oldTime, oldTime);
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'keep');
+
+    const log = createLogger({ dir, console: false, retentionDays: 14, now: () => NOW });
+    log.info('trigger prune');
+    await log.close();
+
+    assert.ok(!fs.existsSync(old));
+    assert.ok(fs.existsSync(path.join(dir, 'notes.txt')));
+  });
+});
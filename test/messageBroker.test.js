@@ -10,6 +10,7 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { createMessageBroker } = require('../src/messageBroker');
+const { createSubscriptionTrie, broadcastMatches } = require('../src/subscriptionTrie');
 
 // ─── Test Helpers ───────────────────────────────────────────────────────────
 
@@ -107,6 +108,195 @@ describe('pathMatches', () => {
     assert.ok(broker.pathMatches('slack/*/*', 'slack/workspace/@user'));
     assert.ok(!broker.pathMatches('slack/*/*', 'slack/workspace/#general/thread'));
   });
+
+  it('matches globs inside a segment', () => {
+    assert.ok(broker.pathMatches('slack/*/#*', 'slack/team/#general'));
+    assert.ok(!broker.pathMatches('slack/*/#*', 'slack/team/@user'));
+    assert.ok(broker.pathMatches('slack/team/#eng-*', 'slack/team/#eng-backend'));
+    assert.ok(broker.pathMatches('slack/team/#eng-*', 'slack/team/#eng-'));
+    assert.ok(!broker.pathMatches('slack/team/#eng-*', 'slack/team/#engineering'));
+    assert.ok(broker.pathMatches('webhook/*-ci/**', 'webhook/github-ci/push/main'));
+  });
+
+  it('matches brace alternation', () => {
+    assert.ok(broker.pathMatches('slack/team/{#ops,#alerts}', 'slack/team/#ops'));
+    assert.ok(broker.pathMatches('slack/team/{#ops,#alerts}', 'slack/team/#alerts'));
+    assert.ok(!broker.pathMatches('slack/team/{#ops,#alerts}', 'slack/team/#general'));
+    assert.ok(broker.pathMatches('{slack,email}/**', 'email/to@co.com/from@x.com'));
+    assert.ok(broker.pathMatches('slack/team/{#ops-*,#alerts}', 'slack/team/#ops-eu'));
+  });
+
+  it('matches negated patterns', () => {
+    assert.ok(!broker.pathMatches('!agent/system/**', 'agent/system/monitor'));
+    assert.ok(broker.pathMatches('!agent/system/**', 'agent/researcher'));
+    assert.ok(broker.pathMatches('!slack/*/{#ops,#alerts}', 'slack/team/#general'));
+  });
+
+  it('captures named segments', () => {
+    assert.deepStrictEqual(broker.pathParams('slack/:workspace/#:channel', 'slack/acme/#eng'), { workspace: 'acme', channel: 'eng' });
+    assert.deepStrictEqual(broker.pathParams('email/:to/**', 'email/me@co.com/you@x.com'), { to: 'me@co.com' });
+    assert.deepStrictEqual(broker.pathParams('slack/*/*', 'slack/acme/#eng'), {});
+    assert.equal(broker.pathParams('slack/:workspace/#:channel', 'slack/acme/@user'), null);
+    assert.ok(broker.pathMatches('slack/:workspace', 'slack/acme'));
+  });
+
+  it('keeps colons that are not captures literal', () => {
+    assert.ok(broker.pathMatches('webhook/host:8080/a:b', 'webhook/host:8080/a:b'));
+    assert.ok(!broker.pathMatches('webhook/host:8080', 'webhook/host'));
+  });
+
+  it('rejects malformed patterns', () => {
+    assert.throws(() => broker.pathMatches('slack/{#ops,#alerts', 'slack/#ops'), /unbalanced braces/);
+    assert.throws(() => broker.pathMatches('slack/{a,{b,c}}', 'slack/a'), /nested braces/);
+    assert.throws(() => broker.pathMatches('a/:x/:x', 'a/b/c'), /capture :x appears twice/);
+    assert.throws(() => broker.pathMatches('slack/{:a,b}', 'slack/b'), /inside braces/);
+  });
+});
+
+// ─── Subscription Index ─────────────────────────────────────────────────────
+
+/** Every path of 1..maxLen segments drawn from `alphabet`. */
+function allPaths(alphabet, maxLen) {
+  let level = alphabet.map(s => [s]);
+  const out = [...level];
+  for (let len = 2; len <= maxLen; len++) {
+    level = level.flatMap(segs => alphabet.map(s => [...segs, s]));
+    out.push(...level);
+  }
+  return out.map(segs => segs.join('/'));
+}
+
+/** Average microseconds per call over `iterations`, after a warm-up. */
+function timeMicros(fn, iterations) {
+  for (let i = 0; i < 200; i++) fn(i);
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < iterations; i++) fn(i);
+  return Number(process.hrtime.bigint() - start) / 1000 / iterations;
+}
+
+describe('subscription index', () => {
+  let root, broker;
+
+  beforeEach(() => {
+    root = tmpDir();
+    broker = createMessageBroker(root, mockProjectManager(), silentLog);
+  });
+
+  afterEach(() => rmrf(root));
+
+  it('matches exactly what a bidirectional pathMatches scan would', () => {
+    const patterns = allPaths(['a', 'b', '*', '**'], 3);
+    const paths = allPaths(['a', 'c', '*', '**'], 3);
+    const trie = createSubscriptionTrie();
+    for (const pattern of patterns) trie.add(pattern, pattern);
+
+    for (const p of paths) {
+      const expected = patterns.filter(pattern => broker.pathMatches(pattern, p) || broker.pathMatches(p, pattern));
+      assert.deepStrictEqual([...trie.match(p)].sort(), expected.sort(), `path ${p}`);
+    }
+  });
+
+  it('matches globs, braces and captures like pathMatches', () => {
+    const patterns = allPaths(['a', '*', '**', 'a*', '*b', '{a,c}', '{ab,c*}'], 3).concat(['x/:p', ':p/*', 'a/#:p']);
+    const paths = allPaths(['a', 'ab', 'cb', '*', 'a*'], 3).concat(['x/a', 'a/#b', 'a/{a,c}']);
+    const trie = createSubscriptionTrie();
+    for (const pattern of patterns) trie.add(pattern, pattern);
+
+    for (const p of paths) {
+      const expected = patterns.filter(pattern => broker.pathMatches(pattern, p) || broker.pathMatches(p, pattern));
+      assert.deepStrictEqual([...trie.match(p)].sort(), expected.sort(), `path ${p}`);
+    }
+
+    for (const pattern of patterns) trie.remove(pattern, pattern);
+    assert.equal(trie.size(), 0);
+    assert.deepStrictEqual([...trie.match('a/ab')], []);
+  });
+
+  it('broadcastMatches() agrees with the broadcast walk for one pattern', () => {
+    const patterns = allPaths(['a', 'ab', '*', '**', '{a,c}'], 3).concat(['x/:p', 'a/#:p']);
+    const paths = allPaths(['a', 'ab', '*', '**', 'a*'], 3).concat(['a/{a,c}', 'a/{oops']);
+    for (const pattern of patterns) {
+      const trie = createSubscriptionTrie();
+      trie.add(pattern, pattern);
+      for (const p of paths) {
+        const forward = broker.pathMatches(pattern, p);
+        assert.equal(forward || broadcastMatches(p, pattern), trie.match(p).size > 0, `pattern ${pattern}, path ${p}`);
+      }
+    }
+    assert.equal(broadcastMatches('a/b', 'a/b'), false, 'a literal path is not a broadcast');
+  });
+
+  it('remove() prunes only the removed value', () => {
+    const trie = createSubscriptionTrie();
+    trie.add('slack/team/#general', 'a');
+    trie.add('slack/team/#general', 'b');
+    trie.add('slack/*', 'c');
+
+    assert.equal(trie.remove('slack/team/#general', 'a'), true);
+    assert.equal(trie.remove('slack/team/#general', 'a'), false);
+    assert.equal(trie.remove('slack/nope', 'c'), false);
+    assert.deepStrictEqual([...trie.match('slack/team/#general')], ['b']);
+
+    trie.remove('slack/team/#general', 'b');
+    assert.equal(trie.size(), 1);
+    assert.deepStrictEqual([...trie.match('slack/team')], ['c']);
+  });
+
+  it('routes among hundreds of thread sessions by their own path', () => {
+    const sessions = [];
+    for (let i = 0; i < 300; i++) {
+      sessions.push({ id: `thread-${i}`, subscriptions: [{ pattern: `slack/team/#general/${i}` }] });
+    }
+    const pm = {
+      ...mockProjectManager([{ id: 'slackbot', subscriptions: [{ pattern: 'slack/team/**' }] }]),
+      listSessions: () => sessions,
+    };
+    const threaded = createMessageBroker(root, pm, silentLog);
+
+    const result = threaded.route('slack', 'slack/team/#general/42', { command: 'message' });
+    assert.deepStrictEqual(result.deliveredTo, ['slackbot']);
+    assert.deepStrictEqual(result.deliveredToSessions, [{ agentId: 'slackbot', sessionId: 'thread-42' }]);
+  });
+
+  it('matching visits the same number of trie nodes however many subscriptions there are', (t) => {
+    const iterations = 2000;
+    const measure = (n) => {
+      const patterns = [];
+      for (let i = 0; i < n; i++) patterns.push(`slack/team${i % 8}/#channel${i % 64}/${i}`);
+      patterns.push('slack/*/#channel7/**', 'agent/**');
+
+      const trie = createSubscriptionTrie();
+      for (const pattern of patterns) trie.add(pattern, pattern);
+
+      const pathFor = (i) => `slack/team${i % 8}/#channel${i % 64}/${(i * 7919) % n}`;
+      let visited = 0;
+      for (let i = 0; i < iterations; i++) {
+        const stats = {};
+        trie.match(pathFor(i), stats);
+        visited = Math.max(visited, stats.visited);
+      }
+
+      const scan = (i) => {
+        const p = pathFor(i);
+        return patterns.filter(pattern => broker.pathMatches(pattern, p) || broker.pathMatches(p, pattern));
+      };
+      return {
+        visited,
+        trie: timeMicros((i) => trie.match(pathFor(i)), iterations),
+        scan: timeMicros(scan, Math.max(20, iterations * 100 / n)),
+      };
+    };
+
+    const small = measure(500);
+    const large = measure(8000);
+    // Timings are informational only: wall-clock ratios are too noisy to assert on
+    t.diagnostic(`500 subs: ${small.visited} nodes, trie ${small.trie.toFixed(2)}µs, scan ${small.scan.toFixed(1)}µs`);
+    t.diagnostic(`8000 subs: ${large.visited} nodes, trie ${large.trie.toFixed(2)}µs, scan ${large.scan.toFixed(1)}µs`);
+
+    // 16× the subscriptions: a linear scan tests 16× as many patterns, the trie walks the same branches
+    assert.equal(large.visited, small.visited);
+    assert.ok(large.visited <= 10, `visited ${large.visited} nodes for a 4-segment path`);
+  });
 });
 
 // ─── Auto-Subscriptions & Direct Messaging ──────────────────────────────────
@@ -151,6 +341,21 @@ describe('auto-subscriptions', () => {
     assert.equal(msgs2.length, 0);
   });
 
+  it('receive() tracks delivery per consumer without rewriting the file', () => {
+    broker.send('writer', 'researcher', { command: 'task1' });
+    const filePath = path.join(root, '.messages', 'agent--researcher.jsonl');
+    const before = fs.readFileSync(filePath, 'utf8');
+
+    broker.receive('researcher');
+    broker.send('writer', 'researcher', { command: 'task2' });
+
+    assert.ok(fs.readFileSync(filePath, 'utf8').startsWith(before));
+    const status = Object.fromEntries(broker.history('researcher').map(m => [m.command, m.status]));
+    assert.deepStrictEqual(status, { task1: 'delivered', task2: 'pending' });
+    assert.equal(broker.receive('researcher', { consumer: 'mobile' }).length, 2);
+    assert.deepStrictEqual(broker.receive('researcher').map(m => m.command), ['task2']);
+  });
+
   it('send() returns a valid message structure', () => {
     const result = broker.send('writer', 'researcher', { command: 'ping', payload: { data: 42 } });
 
@@ -211,6 +416,20 @@ describe('route()', () => {
     assert.equal(deadLetters[0].reason, 'no_subscribers');
   });
 
+  it('stamps correlation and causation IDs, starting a trace when none is given', () => {
+    const fresh = broker.route('system', 'agent/writer', { command: 'ping' });
+    assert.equal(fresh.correlationId, fresh.id);
+    assert.equal(fresh.causationId, null);
+
+    const child = broker.route('agent/writer', 'agent/researcher', {
+      command: 'reply',
+      correlationId: fresh.correlationId,
+      causationId: 'turn-1',
+    });
+    assert.equal(child.correlationId, fresh.id);
+    assert.equal(broker.history('researcher')[0].causationId, 'turn-1');
+  });
+
   it('throws on empty path', () => {
     assert.throws(() => broker.route('writer', '', {}), /path is required/);
   });
@@ -357,6 +576,723 @@ describe('subscribe / unsubscribe', () => {
   });
 });
 
+// ─── Subscription Filters ───────────────────────────────────────────────────
+
+describe('subscription filters', () => {
+  let root, broker, pm;
+
+  beforeEach(() => {
+    root = tmpDir();
+    pm = mockProjectManager([
+      { id: 'researcher' },
+      {
+        id: 'writer',
+        subscriptions: [
+          { pattern: 'slack/team/#eng', filter: { commands: ['slack.mention'] } },
+          { pattern: 'slack/team/#broken', filter: { nope: true } },
+        ],
+      },
+    ]);
+    broker = createMessageBroker(root, pm, silentLog);
+  });
+
+  afterEach(() => { broker.close(); rmrf(root); });
+
+  it('delivers only messages passing a subscription filter', () => {
+    broker.subscribe('researcher', 'slack/team/*', {
+      filter: { sources: ['slack'], payload: { path: '$.text', regex: 'outage', flags: 'i' } },
+    });
+
+    const hit = broker.route('slack-bridge', 'slack/team/#eng', { command: 'slack.message', source: 'slack', payload: { text: 'Outage in EU' } });
+    assert.deepStrictEqual(hit.deliveredTo, ['researcher']);
+
+    const mention = broker.route('slack-bridge', 'slack/team/#eng', { command: 'slack.mention', source: 'slack', payload: { text: 'hi' } });
+    assert.deepStrictEqual(mention.deliveredTo, ['writer']);
+
+    const neither = broker.route('slack-bridge', 'slack/team/#eng', { command: 'slack.message', source: 'slack', payload: { text: 'hi' } });
+    assert.equal(neither.unmatched, true);
+  });
+
+  it('does not compile a literal delivery path as a pattern', () => {
+    broker.subscribe('researcher', 'slack/other', { filter: { sources: ['slack'] } });
+    broker.subscribe('researcher', 'slack/team/**', { filter: { sources: ['slack'] } });
+    const result = broker.route('slack-bridge', 'slack/team/{draft', { command: 'slack.message', source: 'slack' });
+    assert.deepStrictEqual(result.deliveredTo, ['researcher']);
+  });
+
+  it('passes when any matching subscription of the agent accepts', () => {
+    broker.subscribe('writer', 'slack/team/**');
+    const result = broker.route('slack-bridge', 'slack/team/#eng', { command: 'slack.message', source: 'slack' });
+    assert.deepStrictEqual(result.deliveredTo, ['writer']);
+  });
+
+  it('never filters direct messages', () => {
+    broker.subscribe('writer', 'agent/**', { filter: { commands: ['never'] } });
+    assert.deepStrictEqual(broker.send('researcher', 'writer', { command: 'hello' }).deliveredTo, ['writer']);
+  });
+
+  it('persists filters, replaces them on resubscribe and rejects bad ones', () => {
+    broker.subscribe('researcher', 'webhook/**', { filter: { sources: ['webhook'] } });
+    assert.deepStrictEqual(broker.getSubscriptions('researcher')[0].filter, { sources: ['webhook'] });
+
+    broker.subscribe('researcher', 'webhook/**');
+    assert.equal(broker.getSubscriptions('researcher')[0].filter, undefined);
+
+    assert.throws(() => broker.subscribe('researcher', 'email/**', { filter: { payload: { regex: '[' } } }), /Invalid subscription filter/);
+    assert.deepStrictEqual(broker.getSubscriptions('researcher').map(s => s.pattern), ['webhook/**']);
+  });
+
+  it('delivers unfiltered when a configured filter is invalid', () => {
+    const result = broker.route('slack-bridge', 'slack/team/#broken', { command: 'anything' });
+    assert.deepStrictEqual(result.deliveredTo, ['writer']);
+  });
+});
+
+// ─── Pattern Subscriptions ──────────────────────────────────────────────────
+
+describe('pattern subscriptions', () => {
+  let root, broker, pm;
+
+  beforeEach(() => {
+    root = tmpDir();
+    pm = {
+      ...mockProjectManager([{ id: 'ops' }, { id: 'watcher' }, { id: 'system' }]),
+      listSessions: () => [],
+      getSession: () => ({}),
+      updateSession: () => {},
+    };
+    broker = createMessageBroker(root, pm, silentLog);
+  });
+
+  afterEach(() => { broker.close(); rmrf(root); });
+
+  it('delivers on globs and brace alternation', () => {
+    broker.subscribe('ops', 'slack/*/{#ops,#alerts-*}');
+
+    assert.deepStrictEqual(broker.route('slack', 'slack/team/#ops', {}).deliveredTo, ['ops']);
+    assert.deepStrictEqual(broker.route('slack', 'slack/team/#alerts-disk', {}).deliveredTo, ['ops']);
+    assert.equal(broker.route('slack', 'slack/team/#general', {}).unmatched, true);
+  });
+
+  it('carves exceptions out with negated patterns', () => {
+    broker.subscribe('watcher', 'agent/**');
+    broker.subscribe('watcher', '!agent/system/**');
+
+    assert.ok(broker.route('ops', 'agent/ops/status', {}).deliveredTo.includes('watcher'));
+    assert.ok(!broker.route('ops', 'agent/system/health', {}).deliveredTo.includes('watcher'));
+    // Direct messages still arrive
+    assert.deepStrictEqual(broker.send('ops', 'watcher', {}).deliveredTo, ['watcher']);
+    assert.deepStrictEqual(broker.getSubscriptionPatterns().filter(p => p.startsWith('!')), []);
+  });
+
+  it('passes named captures to the subscriber as pathParams', () => {
+    broker.subscribe('ops', 'slack/:workspace/#:channel');
+    broker.subscribe('watcher', 'slack/**');
+    broker.route('slack', 'slack/acme/#eng', { command: 'slack.message' });
+
+    const [opsMsg] = broker.receive('ops');
+    assert.deepStrictEqual(opsMsg.pathParams, { workspace: 'acme', channel: 'eng' });
+    const [watcherMsg] = broker.receive('watcher');
+    assert.equal(watcherMsg.pathParams, undefined);
+  });
+
+  it('passes captures to sessions', () => {
+    broker.subscribeSession('ops', 'thread', 'slack/acme/#eng/:threadTs');
+    broker.route('slack', 'slack/acme/#eng/1700000000.0001', {});
+
+    const [msg] = broker.receiveSession('ops', 'thread');
+    assert.deepStrictEqual(msg.pathParams, { threadTs: '1700000000.0001' });
+  });
+
+  it('persists new patterns and reloads them', () => {
+    broker.subscribe('watcher', 'slack/*/#eng-*');
+    broker.subscribe('watcher', '!slack/*/#eng-secret');
+    broker.rebuildIndex();
+
+    assert.deepStrictEqual(broker.getSubscriptions('watcher').map(s => s.pattern), ['slack/*/#eng-*', '!slack/*/#eng-secret']);
+    assert.equal(broker.route('slack', 'slack/team/#eng-backend', {}).delivered, true);
+    assert.equal(broker.route('slack', 'slack/team/#eng-secret', {}).unmatched, true);
+  });
+
+  it('rejects malformed patterns and filters on negations', () => {
+    assert.throws(() => broker.subscribe('ops', 'slack/{#ops'), /unbalanced braces/);
+    assert.throws(() => broker.subscribe('ops', '!slack/**', { filter: { command: 'x' } }), /negated pattern cannot have a filter/);
+    assert.deepStrictEqual(broker.getSubscriptions('ops'), []);
+  });
+
+  it('skips malformed persisted patterns on rebuild', () => {
+    pm.updateAgent('ops', { subscriptions: [{ pattern: 'slack/{#ops' }, { pattern: 'slack/*/#ops' }] });
+    broker.rebuildIndex();
+    assert.deepStrictEqual(broker.route('slack', 'slack/team/#ops', {}).deliveredTo, ['ops']);
+  });
+
+  it('broadcasts to a glob of agents', () => {
+    const result = broker.route('ops', 'agent/{watcher,system}', {});
+    assert.deepStrictEqual(result.deliveredTo.sort(), ['system', 'watcher']);
+  });
+});
+
+// ─── Middleware ─────────────────────────────────────────────────────────────
+
+describe('middleware', () => {
+  let root, broker, pm;
+
+  beforeEach(() => {
+    root = tmpDir();
+    pm = mockProjectManager([
+      { id: 'researcher', subscriptions: [{ pattern: 'slack/team/#ops' }] },
+      { id: 'writer' },
+      { id: 'auditor' },
+    ]);
+    broker = createMessageBroker(root, pm, silentLog, {
+      middleware: [
+        { type: 'alias', aliases: { ops: 'slack/team/#ops' } },
+        { type: 'redact', fields: ['token'] },
+      ],
+    });
+  });
+
+  afterEach(() => { broker.close(); rmrf(root); });
+
+  it('delivers the rewritten message from configured middleware', () => {
+    const result = broker.route('writer', 'ops', { command: 'alert', payload: { token: 'secret', text: 'disk full' } });
+    assert.equal(result.path, 'slack/team/#ops');
+    assert.deepStrictEqual(result.deliveredTo, ['researcher']);
+
+    const [stored] = broker.history('researcher');
+    assert.deepStrictEqual(stored.payload, { token: '[REDACTED]', text: 'disk full' });
+    assert.deepStrictEqual(broker.listMiddleware().map(m => [m.name, m.calls, m.rewrites]), [['alias', 1, 1], ['redact', 1, 0]]);
+  });
+
+  it('logs blocked messages and rejects blocked requests', async () => {
+    broker.use('mute-writer', (ctx) => {
+      if (ctx.from === 'writer') ctx.block('muted');
+    }, { order: 1 });
+
+    const result = broker.send('writer', 'researcher', { command: 'hello' });
+    assert.equal(result.blocked, true);
+    assert.equal(result.delivered, false);
+    assert.equal(result.blockedBy, 'mute-writer');
+    assert.deepStrictEqual(broker.history('researcher'), []);
+
+    const [logged] = broker.getUnmatched();
+    assert.equal(logged.reason, 'blocked');
+    assert.equal(logged.blockReason, 'muted');
+
+    await assert.rejects(broker.request('writer', 'agent/researcher', {}), /Blocked by mute-writer: muted/);
+  });
+
+  it('fans out copies that share the correlation', () => {
+    const remove = broker.use('audit', (ctx) => ctx.fanOut('agent/auditor', ctx.path));
+    const result = broker.send('writer', 'researcher', { command: 'hello', correlationId: 'trace-1' });
+    remove();
+
+    assert.deepStrictEqual(result.deliveredTo, ['researcher']);
+    assert.equal(result.fannedOut.length, 1, 'the original path is not copied to');
+    assert.deepStrictEqual(result.fannedOut[0].deliveredTo, ['auditor']);
+
+    const [copy] = broker.history('auditor');
+    assert.equal(copy.id, result.fannedOut[0].id);
+    assert.equal(copy.correlationId, 'trace-1');
+    assert.equal(copy.causationId, result.id);
+    assert.equal(copy.command, 'hello');
+    assert.equal(broker.listMiddleware().some(m => m.name === 'audit'), false);
+  });
+
+  it('rejects an unknown configured middleware type', () => {
+    assert.throws(() => createMessageBroker(root, pm, silentLog, { middleware: [{ type: 'nope' }] }), /Unknown middleware type/);
+  });
+});
+
+// ─── Schemas ────────────────────────────────────────────────────────────────
+
+describe('payload schemas', () => {
+  let root, broker, pm;
+
+  const SEND = {
+    type: 'object',
+    required: ['text'],
+    properties: { text: { type: 'string' } },
+  };
+
+  beforeEach(() => {
+    root = tmpDir();
+    pm = mockProjectManager([
+      { id: 'researcher' },
+      { id: 'writer' },
+    ]);
+    broker = createMessageBroker(root, pm, silentLog);
+  });
+
+  afterEach(() => { broker.close(); rmrf(root); });
+
+  it('warns by default and still delivers', () => {
+    broker.registerSchema('note', SEND, { owner: 'test' });
+
+    const bad = broker.send('writer', 'researcher', { command: 'note', payload: { text: 1 } });
+    assert.deepStrictEqual(bad.deliveredTo, ['researcher']);
+    assert.deepStrictEqual(bad.schemaErrors, [{ field: 'payload.text', message: 'must be string' }]);
+
+    const good = broker.send('writer', 'researcher', { command: 'note', payload: { text: 'hi' } });
+    assert.equal(good.schemaErrors, undefined);
+  });
+
+  it('rejects in reject mode, per schema or for the broker', async () => {
+    broker.registerSchema('note', SEND, { owner: 'test', mode: 'reject' });
+    assert.throws(() => broker.send('writer', 'researcher', { command: 'note', payload: {} }),
+      (err) => err.code === 'EINVAL' && /Invalid note payload: payload.text is required/.test(err.message));
+    await assert.rejects(broker.request('writer', 'agent/researcher', { command: 'note' }), /Invalid note payload/);
+    assert.deepStrictEqual(broker.history('researcher'), []);
+
+    const strictRoot = tmpDir();
+    const strict = createMessageBroker(strictRoot, pm, silentLog, { schemaMode: 'reject' });
+    strict.registerSchema('note', SEND);
+    assert.throws(() => strict.send('writer', 'researcher', { command: 'note', payload: {} }), /Invalid note payload/);
+    strict.close();
+    rmrf(strictRoot);
+
+    const offRoot = tmpDir();
+    const off = createMessageBroker(offRoot, pm, silentLog, { schemaMode: 'off' });
+    off.registerSchema('note', SEND, { mode: 'reject' });
+    assert.equal(off.send('writer', 'researcher', { command: 'note', payload: {} }).delivered, true);
+    off.close();
+    rmrf(offRoot);
+  });
+
+  it('loads schemas agents declare and lists them', () => {
+    pm.updateAgent('writer', {
+      messageSchemas: [
+        { command: 'draft.ready', schema: { type: 'object', required: ['url'] }, description: 'A draft to review' },
+        { command: 'broken', schema: { type: 'nope' } },
+      ],
+    });
+    broker.rebuildIndex();
+
+    assert.deepStrictEqual(broker.listSchemas().map(s => [s.command, s.owner]), [['draft.ready', 'agent/writer']]);
+    assert.deepStrictEqual(broker.listSchemas({ command: 'draft.ready' })[0].description, 'A draft to review');
+    assert.deepStrictEqual(broker.listSchemas({ command: 'missing' }), []);
+
+    pm.updateAgent('writer', { messageSchemas: [] });
+    broker.rebuildIndex();
+    assert.deepStrictEqual(broker.listSchemas(), []);
+  });
+});
+
+// ─── request() / reply() ────────────────────────────────────────────────────
+
+describe('request() / reply()', () => {
+  let root, broker, pm;
+
+  beforeEach(() => {
+    root = tmpDir();
+    pm = mockProjectManager([{ id: 'researcher' }, { id: 'writer' }]);
+    broker = createMessageBroker(root, pm, silentLog);
+  });
+
+  afterEach(() => { broker.close(); rmrf(root); });
+
+  it('resolves with the reply, which keeps the request correlationId', async () => {
+    broker.listen('researcher', (msg) => {
+      broker.reply(msg, { answer: 42 }, { from: 'researcher' });
+    });
+
+    const reply = await broker.request('writer', 'agent/researcher', { command: 'ask', correlationId: 'trace-1' });
+    assert.deepStrictEqual(reply.payload, { answer: 42 });
+    assert.equal(reply.correlationId, 'trace-1');
+    assert.equal(reply.path, 'agent/writer');
+    assert.deepStrictEqual(reply.deliveredTo, ['writer']);
+
+    const [request] = broker.history('researcher');
+    assert.equal(request.replyTo, 'agent/writer');
+    assert.equal(reply.inReplyTo, request.id);
+  });
+
+  it('answers a reply sent by ID only, even to a path nobody subscribes to', async () => {
+    let requestId;
+    broker.listen('researcher', (msg) => { requestId = msg.id; });
+
+    const pending = broker.request('dashboard', 'agent/researcher', {}, { replyTo: 'ui/dashboard' });
+    const result = broker.reply({ id: requestId }, { ok: true }, { from: 'researcher' });
+    assert.equal(result.unmatched, true);
+
+    const reply = await pending;
+    assert.equal(reply.path, 'ui/dashboard');
+  });
+
+  it('rejects with ETIMEDOUT when no reply arrives', async () => {
+    await assert.rejects(
+      broker.request('writer', 'agent/researcher', {}, { timeoutMs: 20 }),
+      (err) => err.code === 'ETIMEDOUT' && /timed out after 20ms/.test(err.message),
+    );
+  });
+
+  it('rejects immediately when nobody subscribes to the request path', async () => {
+    await assert.rejects(broker.request('writer', 'nowhere/at/all'), /No subscribers for: nowhere\/at\/all/);
+  });
+
+  it('rejects in-flight requests on close()', async () => {
+    const pending = broker.request('writer', 'agent/researcher');
+    broker.close();
+    await assert.rejects(pending, /Message broker closed/);
+  });
+
+  it('refuses to reply to a message that did not ask for one', () => {
+    const sent = broker.send('writer', 'researcher', { command: 'fyi' });
+    assert.throws(() => broker.reply(sent, {}), /does not expect a reply/);
+  });
+});
+
+// ─── ack / nack / DLQ ───────────────────────────────────────────────────────
+
+describe('ack / nack', () => {
+  let root, broker, pm;
+
+  beforeEach(() => {
+    root = tmpDir();
+    pm = mockProjectManager([{ id: 'researcher' }, { id: 'writer' }]);
+    broker = createMessageBroker(root, pm, silentLog, { delivery: { maxAttempts: 2, backoffMs: 0 } });
+  });
+
+  afterEach(() => { broker.close(); rmrf(root); });
+
+  it('returns a nacked message again from receive() once its retry is due', () => {
+    broker.send('writer', 'researcher', { command: 'work' });
+    const [first] = broker.receive('researcher');
+
+    const result = broker.nack('researcher', first.id, 'turn failed');
+    assert.equal(result.attempts, 1);
+    assert.equal(result.dead, false);
+
+    const [retry] = broker.receive('researcher');
+    assert.equal(retry.id, first.id);
+    assert.equal(retry.command, 'work');
+    assert.equal(retry.redelivery, true);
+    assert.deepStrictEqual(broker.receive('researcher'), []);
+  });
+
+  it('dead-letters after maxAttempts and replays from the DLQ', () => {
+    const sent = broker.send('writer', 'researcher', { command: 'work' });
+    broker.receive('researcher');
+
+    assert.equal(broker.nack('researcher', sent.id, 'first').dead, false);
+    const [retry] = broker.receive('researcher');
+    assert.equal(retry.id, sent.id);
+    assert.equal(retry.attempt, 2);
+
+    assert.equal(broker.nack('researcher', retry, 'second').dead, true);
+    assert.deepStrictEqual(broker.receive('researcher'), []);
+
+    const [dead] = broker.dlqList('researcher');
+    assert.equal(dead.message.id, sent.id);
+    assert.equal(dead.reason, 'second');
+
+    broker.dlqReplay('researcher', { messageIds: [sent.id] });
+    assert.deepStrictEqual(broker.dlqList('researcher'), []);
+    assert.equal(broker.receive('researcher')[0].id, sent.id);
+  });
+
+  it('keeps retries per consumer and ends them on ack', () => {
+    const sent = broker.send('writer', 'researcher', { command: 'work' });
+    broker.nack('researcher', sent.id, 'x', { consumer: 'mobile' });
+
+    assert.deepStrictEqual(broker.ack('researcher', sent.id), { acked: true, retrying: false });
+    assert.deepStrictEqual(broker.ack('researcher', sent.id, { consumer: 'mobile' }), { acked: true, retrying: true });
+    assert.deepStrictEqual(broker.receive('researcher', { consumer: 'mobile' }).map(m => m.redelivery), [undefined]);
+  });
+
+  it('pushes due retries to onRedeliver hooks that take them', async () => {
+    const sent = broker.send('writer', 'researcher', { command: 'work' });
+    const pushed = [];
+    const unhook = broker.onRedeliver((retry) => {
+      pushed.push(retry);
+      return retry.consumer === 'turns';
+    });
+
+    broker.nack('researcher', sent.id, 'x', { consumer: 'turns', sessionId: 'main' });
+    await new Promise(r => setTimeout(r, 20));
+    unhook();
+
+    assert.equal(pushed.length, 1);
+    assert.equal(pushed[0].sessionId, 'main');
+    assert.equal(pushed[0].message.id, sent.id);
+    assert.equal(pushed[0].attempt, 2);
+  });
+
+  it('rejects nack for an unknown message', () => {
+    assert.throws(() => broker.nack('researcher', 'nope', 'x'), /Message not found: nope/);
+  });
+});
+
+// ─── TTL, Priority and Deduplication ────────────────────────────────────────
+
+describe('ttl, priority and dedup', () => {
+  let root, broker, pm;
+
+  beforeEach(() => {
+    root = tmpDir();
+    pm = mockProjectManager([{ id: 'researcher' }, { id: 'writer' }]);
+    broker = createMessageBroker(root, pm, silentLog, { delivery: { backoffMs: 0 } });
+  });
+
+  afterEach(() => { broker.close(); rmrf(root); });
+
+  it('stamps priority and expiresAt', () => {
+    const urgent = broker.send('writer', 'researcher', { command: 'a', priority: 3, ttlMs: 1000 });
+    assert.equal(urgent.priority, 3);
+    assert.equal(urgent.expiresAt, urgent.timestamp + 1000);
+
+    const plain = broker.send('writer', 'researcher', { command: 'b' });
+    assert.equal(plain.priority, 0);
+    assert.equal(plain.expiresAt, null);
+  });
+
+  it('skips expired messages and retries on receive', async () => {
+    broker.send('writer', 'researcher', { command: 'stale', ttlMs: 10 });
+    const fresh = broker.send('writer', 'researcher', { command: 'fresh', ttlMs: 60000 });
+    const short = broker.send('writer', 'researcher', { command: 'short', ttlMs: 300 });
+    await new Promise(r => setTimeout(r, 30));
+
+    assert.deepStrictEqual(broker.receive('researcher').map(m => m.command), ['fresh', 'short']);
+    broker.nack('researcher', fresh.id, 'x');
+    broker.nack('researcher', short.id, 'x');
+    await new Promise(r => setTimeout(r, 300));
+
+    assert.deepStrictEqual(broker.receive('researcher').map(m => m.command), ['fresh']);
+    assert.equal(broker.history('researcher').length, 3, 'expired messages stay in history');
+  });
+
+  it('routes a source + externalId once and returns the original on repeats', () => {
+    const first = broker.route('slack-bridge', 'agent/researcher', { command: 'event', source: 'slack', externalId: 'Ev1' });
+    const again = broker.route('slack-bridge', 'agent/researcher', { command: 'event', source: 'slack', externalId: 'Ev1' });
+
+    assert.equal(again.duplicate, true);
+    assert.equal(again.id, first.id);
+    assert.deepStrictEqual(again.deliveredTo, ['researcher']);
+    assert.equal(broker.receive('researcher').length, 1);
+
+    const otherSource = broker.route('mailer', 'agent/researcher', { command: 'event', source: 'email', externalId: 'Ev1' });
+    assert.equal(otherSource.duplicate, undefined);
+    assert.notEqual(otherSource.id, first.id);
+  });
+
+  it('forgets external IDs after the dedup window', async () => {
+    broker.close();
+    broker = createMessageBroker(root, pm, silentLog, { dedupWindowMs: 10 });
+    const first = broker.route('hook', 'agent/researcher', { source: 'webhook', externalId: 'x' });
+    await new Promise(r => setTimeout(r, 20));
+
+    const later = broker.route('hook', 'agent/researcher', { source: 'webhook', externalId: 'x' });
+    assert.equal(later.duplicate, undefined);
+    assert.notEqual(later.id, first.id);
+  });
+});
+
+// ─── schedule() ─────────────────────────────────────────────────────────────
+
+describe('schedule()', () => {
+  let root, broker, pm;
+
+  beforeEach(() => {
+    root = tmpDir();
+    pm = mockProjectManager([{ id: 'researcher' }, { id: 'writer' }]);
+    broker = createMessageBroker(root, pm, silentLog);
+  });
+
+  afterEach(() => { broker.close(); rmrf(root); });
+
+  it('routes a delayed message with the schedule as its cause', async () => {
+    const schedule = broker.schedule('writer', '/agent/researcher/', {
+      command: 'remind',
+      payload: { text: 'standup' },
+      correlationId: 'trace-1',
+    }, { delayMs: 10 });
+    assert.equal(schedule.path, 'agent/researcher');
+    assert.deepStrictEqual(broker.receive('researcher'), []);
+
+    await new Promise(r => setTimeout(r, 40));
+    const [msg] = broker.receive('researcher');
+    assert.equal(msg.command, 'remind');
+    assert.deepStrictEqual(msg.payload, { text: 'standup' });
+    assert.equal(msg.causationId, schedule.id);
+    assert.equal(msg.correlationId, 'trace-1');
+    assert.deepStrictEqual(broker.listSchedules(), []);
+  });
+
+  it('cancels by ID and lists by sender', () => {
+    const a = broker.schedule('writer', 'agent/researcher', { command: 'a' }, { delayMs: 60000 });
+    broker.schedule('researcher', 'agent/writer', { command: 'b' }, { cron: '0 9 * * 1' });
+
+    assert.deepStrictEqual(broker.listSchedules({ from: 'writer' }).map(s => s.id), [a.id]);
+    assert.equal(broker.getSchedule(a.id).from, 'writer');
+    assert.equal(broker.cancelSchedule(a.id), true);
+    assert.equal(broker.getSchedule(a.id), null);
+    assert.equal(broker.cancelSchedule(a.id), false);
+    assert.deepStrictEqual(broker.listSchedules().map(s => s.message.command), ['b']);
+  });
+
+  it('keeps schedules across a restart', () => {
+    const s = broker.schedule('writer', 'agent/researcher', { command: 'later' }, { at: Date.now() + 60000 });
+    broker.close();
+
+    broker = createMessageBroker(root, pm, silentLog);
+    assert.deepStrictEqual(broker.listSchedules().map(x => x.id), [s.id]);
+  });
+
+  it('rejects a missing path or time', () => {
+    assert.throws(() => broker.schedule('writer', '', {}, { delayMs: 1 }), /path is required/);
+    assert.throws(() => broker.schedule('writer', 'agent/researcher', {}, {}), /Exactly one of at, delayMs or cron/);
+  });
+});
+
+// ─── getStats() ─────────────────────────────────────────────────────────────
+
+describe('getStats()', () => {
+  let root, broker, pm;
+
+  beforeEach(() => {
+    root = tmpDir();
+    pm = mockProjectManager([
+      { id: 'researcher', subscriptions: [{ pattern: 'slack/**' }] },
+      { id: 'writer' },
+    ]);
+    broker = createMessageBroker(root, pm, silentLog, { delivery: { backoffMs: 60000 } });
+  });
+
+  afterEach(() => { broker.close(); rmrf(root); });
+
+  it('counts messages per source, prefix, agent and session', () => {
+    broker.subscribeSession('writer', 'main', 'slack/team/#eng');
+    broker.route('slack-bridge', 'slack/team/#eng', { command: 'slack.message', source: 'slack', payload: { text: 'hi' } });
+    broker.send('writer', 'researcher', { command: 'ask' });
+    broker.route('writer', 'nowhere/at/all', { command: 'ping' });
+
+    const stats = broker.getStats();
+    assert.deepStrictEqual(
+      { routed: stats.totals.routed, delivered: stats.totals.delivered, unmatched: stats.totals.unmatched },
+      { routed: 3, delivered: 2, unmatched: 1 });
+    assert.deepStrictEqual(stats.bySource.slack, { routed: 1, delivered: 1, unmatched: 0, bytes: 13 });
+    assert.equal(stats.bySource.internal.routed, 2);
+    assert.deepStrictEqual(Object.keys(stats.byPrefix), ['agent', 'nowhere', 'slack']);
+    assert.deepStrictEqual(stats.byAgent.writer, { routed: 2, delivered: 1, unmatched: 1, bytes: 13 });
+    assert.equal(stats.byAgent.researcher.delivered, 2);
+    assert.equal(stats.bySession['writer:main'].delivered, 1);
+    assert.equal(stats.rates['1m'].routed, 3 / 60);
+  });
+
+  it('counts duplicates and schema rejects', () => {
+    broker.registerSchema('note', { type: 'object', required: ['text'] }, { mode: 'reject' });
+    assert.throws(() => broker.send('writer', 'researcher', { command: 'note' }), /Invalid note payload/);
+    broker.route('slack-bridge', 'slack/team/#eng', { source: 'slack', externalId: 'e1' });
+    broker.route('slack-bridge', 'slack/team/#eng', { source: 'slack', externalId: 'e1' });
+
+    const { totals } = broker.getStats();
+    assert.equal(totals.rejected, 1);
+    assert.equal(totals.duplicates, 1);
+    assert.equal(totals.routed, 1);
+  });
+
+  it('reports unconsumed messages per stream and consumer', () => {
+    broker.send('writer', 'researcher', { command: 'one' });
+    broker.send('writer', 'researcher', { command: 'two' });
+    broker.receive('researcher', { consumer: 'mobile' });
+    const [first] = broker.receive('researcher');
+    broker.nack('researcher', first.id, 'failed');
+    broker.send('writer', 'researcher', { command: 'three' });
+
+    const stats = broker.getStats();
+    assert.deepStrictEqual(stats.queues.map(q => [q.agentId, q.consumer, q.messages, q.retrying]), [
+      ['researcher', 'default', 1, 1],
+      ['researcher', 'mobile', 1, 0],
+    ]);
+    assert.equal(stats.queues[0].stream, 'agent--researcher');
+    assert.equal(stats.retries, 1);
+    assert.equal(stats.scheduled, 0);
+  });
+
+  it('reports queues without reading the stream files', (t) => {
+    for (let i = 0; i < 3; i++) broker.send('writer', 'researcher', { command: `task${i}` });
+    broker.receive('researcher', { consumer: 'mobile' });
+    broker.send('writer', 'researcher', { command: 'late' });
+
+    const opened = [];
+    const openSync = fs.openSync;
+    t.mock.method(fs, 'openSync', (file, ...rest) => { opened.push(String(file)); return openSync(file, ...rest); });
+    const readFileSync = fs.readFileSync;
+    t.mock.method(fs, 'readFileSync', (file, ...rest) => { opened.push(String(file)); return readFileSync(file, ...rest); });
+
+    const { queues } = broker.getStats();
+    assert.deepStrictEqual(queues.map(q => [q.consumer, q.messages]), [['default', 4], ['mobile', 1]]);
+    assert.deepStrictEqual(opened.filter(f => f.endsWith('.jsonl')), []);
+  });
+});
+
+// ─── search() ───────────────────────────────────────────────────────────────
+
+describe('search()', () => {
+  let root, broker, pm;
+
+  beforeEach(() => {
+    root = tmpDir();
+    pm = mockProjectManager([
+      { id: 'researcher', subscriptions: [{ pattern: 'slack/**' }] },
+      { id: 'writer' },
+    ]);
+    broker = createMessageBroker(root, pm, silentLog);
+  });
+
+  afterEach(() => { broker.close(); rmrf(root); });
+
+  it('finds delivered messages with filters', () => {
+    broker.route('slack-bridge', 'slack/team/#billing', { command: 'slack.message', source: 'slack', payload: { text: 'The invoice bug is back' } });
+    broker.send('writer', 'researcher', { command: 'ask', payload: { q: 'Any news on the invoice bug?' } });
+    broker.route('slack-bridge', 'nowhere/#void', { command: 'slack.message', payload: { text: 'invoice bug nobody hears' } });
+
+    assert.deepStrictEqual(broker.search({ query: 'invoice bug' }).map(m => m.from), ['writer', 'slack-bridge']);
+    assert.deepStrictEqual(broker.search({ query: 'invoice', source: 'slack' }).map(m => m.path), ['slack/team/#billing']);
+    assert.equal(broker.search({ query: 'invoice', pathPattern: 'slack/*/#billing' }).length, 1);
+    assert.equal(broker.search({ query: 'invoice', command: 'ask' }).length, 1);
+    assert.equal(broker.search({ query: 'invoice', from: 'writer', fromTime: Date.now() + 1000 }).length, 0);
+
+    const [hit] = broker.search({ query: 'news' });
+    assert.deepStrictEqual(hit.deliveredTo, ['researcher']);
+    assert.equal(hit.status, undefined);
+  });
+
+  it('limits to what an agent or its sessions received or sent', () => {
+    broker.subscribeSession('writer', 'main', 'slack/team/#drafts');
+    broker.route('slack-bridge', 'slack/team/#drafts', { payload: { text: 'draft ready' } });
+    broker.send('researcher', 'writer', { payload: { text: 'draft notes' } });
+    broker.send('agent/researcher/session/s1', 'researcher', { payload: { text: 'draft to self' } });
+
+    assert.equal(broker.search({ query: 'draft', agentId: 'writer' }).length, 2);
+    assert.equal(broker.search({ query: 'draft', agentId: 'researcher' }).length, 3);
+  });
+
+  it('indexes existing history on first start', () => {
+    broker.send('writer', 'researcher', { payload: { text: 'before the index existed' } });
+    broker.close();
+    fs.rmSync(path.join(root, '.messages', 'search'), { recursive: true });
+
+    broker = createMessageBroker(root, pm, silentLog);
+    const [hit] = broker.search({ query: 'existed' });
+    assert.equal(hit.from, 'writer');
+    assert.deepStrictEqual(hit.deliveredTo, ['researcher']);
+    assert.equal(hit._deliveredTo, undefined);
+  });
+
+  it('prunes messages retention archives', () => {
+    broker.close();
+    broker = createMessageBroker(root, pm, silentLog, {
+      retention: { policies: [{ prefix: '', maxCount: 2 }] },
+    });
+    for (let i = 0; i < 4; i++) broker.send('writer', 'researcher', { payload: { text: `report ${i}` } });
+    assert.equal(broker.search({ query: 'report' }).length, 4);
+
+    broker.runRetention();
+    assert.deepStrictEqual(broker.search({ query: 'report' }).map(m => m.payload.text), ['report 3', 'report 2']);
+  });
+});
+
 // ─── listen() — Real-time EventEmitter ──────────────────────────────────────
 
 describe('listen()', () => {
@@ -458,6 +1394,60 @@ describe('history()', () => {
     const msgs = broker.history('writer');
     assert.equal(msgs.length, 0);
   });
+
+  it('pages with nextCursor, continuing into archived messages', () => {
+    const archiving = createMessageBroker(root, pm, silentLog, {
+      retention: { policies: [{ prefix: '', maxCount: 2 }] },
+    });
+    for (let i = 0; i < 5; i++) {
+      archiving.send('writer', 'researcher', { command: `task${i}` });
+    }
+    archiving.runRetention();
+
+    const seen = [];
+    let cursor;
+    do {
+      const page = archiving.historyPage('researcher', { limit: 2, cursor });
+      seen.push(...page.messages);
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.equal(seen.length, 5);
+    assert.equal(new Set(seen.map(m => m.id)).size, 5);
+    assert.equal(seen.filter(m => m.archived).length, 3);
+    assert.ok(seen.slice(0, 2).every(m => !m.archived));
+  });
+
+  it('resumes a page from its cursor when newer messages arrive in between', () => {
+    for (let i = 0; i < 5; i++) broker.send('writer', 'researcher', { command: `task${i}` });
+    const all = broker.history('researcher').map(m => m.id);
+
+    const first = broker.historyPage('researcher', { limit: 2 });
+    broker.send('writer', 'researcher', { command: 'late' });
+    const second = broker.historyPage('researcher', { limit: 2, cursor: first.nextCursor });
+
+    assert.deepEqual(first.messages.map(m => m.id), all.slice(0, 2));
+    assert.deepEqual(second.messages.map(m => m.id), all.slice(2, 4));
+  });
+
+  it('keeps paging after the live file is compacted between pages', () => {
+    const archiving = createMessageBroker(root, pm, silentLog, {
+      retention: { policies: [{ prefix: '', maxCount: 2 }] },
+    });
+    for (let i = 0; i < 5; i++) archiving.send('writer', 'researcher', { command: `task${i}` });
+    const all = archiving.history('researcher').map(m => m.id);
+
+    const first = archiving.historyPage('researcher', { limit: 2 });
+    archiving.runRetention();
+    const second = archiving.historyPage('researcher', { limit: 2, cursor: first.nextCursor });
+
+    assert.deepEqual(second.messages.map(m => m.id), all.slice(2, 4));
+    assert.ok(second.messages.every(m => m.archived));
+  });
+
+  it('rejects an invalid cursor', () => {
+    assert.throws(() => broker.historyPage('researcher', { cursor: 'nope' }), /Invalid history cursor/);
+  });
 });
 
 // ─── Dead-letter / Unmatched ────────────────────────────────────────────────
@@ -502,6 +1492,18 @@ describe('dead-letter', () => {
     const unmatched = broker.getUnmatched({ limit: 2 });
     assert.equal(unmatched.length, 2);
   });
+
+  it('is left alone by retention', () => {
+    broker.close();
+    broker = createMessageBroker(root, pm, silentLog, {
+      retention: { policies: [{ prefix: '', maxCount: 1 }] },
+    });
+    for (let i = 0; i < 3; i++) broker.route('system', `gone/${i}`, { command: 'lost' });
+
+    broker.runRetention();
+    assert.equal(broker.getUnmatched().length, 3);
+    assert.ok(!fs.existsSync(path.join(root, '.messages', 'broker-unmatched.cursors.json')));
+  });
 });
 
 // ─── rebuildIndex() ─────────────────────────────────────────────────────────
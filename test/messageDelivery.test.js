@@ -0,0 +1,161 @@
+/**
+ * messageDelivery.test.js — Tests for ack/nack retries and the dead-letter queue.
+ *
+ * Run:  node --test test/messageDelivery.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createMessageDelivery } = require('../src/messageDelivery');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'delivery-test-'));
+}
+
+function rmrf(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+const silentLog = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+function setup(dir, opts = {}) {
+  const clock = { t: 1000000 };
+  const delivery = createMessageDelivery(dir, silentLog, {
+    maxAttempts: 3,
+    backoffMs: 100,
+    backoffMaxMs: 150,
+    now: () => clock.t,
+    ...opts,
+  });
+  return { clock, delivery };
+}
+
+const msg = (id) => ({ id, path: 'agent/a', command: 'work', payload: {}, status: 'delivered' });
+
+// ─── Retries ────────────────────────────────────────────────────────────────
+
+describe('retries', () => {
+  let dir, delivery;
+
+  beforeEach(() => { dir = tmpDir(); });
+  afterEach(() => { delivery.stop(); rmrf(dir); });
+
+  it('retries a nacked message after an exponential backoff, capped', () => {
+    let clock;
+    ({ clock, delivery } = setup(dir));
+
+    assert.deepStrictEqual(delivery.nack('a', 'default', msg('m1'), 'boom'), { attempts: 1, dead: false, retryAt: clock.t + 100 });
+    assert.deepStrictEqual(delivery.take('a', 'default'), []);
+
+    clock.t += 100;
+    const [retry] = delivery.take('a', 'default');
+    assert.equal(retry.id, 'm1');
+    assert.equal(retry.attempt, 2);
+    assert.equal(retry.redelivery, true);
+    assert.equal(retry.status, undefined);
+    assert.deepStrictEqual(delivery.take('a', 'default'), [], 'in flight until acked or nacked');
+
+    assert.equal(delivery.nack('a', 'default', retry, 'boom again').retryAt, clock.t + 150);
+  });
+
+  it('keeps retries per consumer and ends them on ack', () => {
+    let clock;
+    ({ clock, delivery } = setup(dir));
+    delivery.nack('a', 'default', msg('m1'), 'x');
+    delivery.nack('a', 'mobile', msg('m1'), 'x');
+
+    assert.equal(delivery.ack('a', 'default', 'm1'), true);
+    assert.equal(delivery.ack('a', 'default', 'm1'), false);
+
+    clock.t += 100;
+    assert.deepStrictEqual(delivery.take('a', 'default'), []);
+    assert.equal(delivery.take('a', 'mobile').length, 1);
+  });
+
+  it('dead-letters after maxAttempts and replays with a fresh count', () => {
+    let clock;
+    ({ clock, delivery } = setup(dir));
+    delivery.nack('a', 'default', msg('m1'), 'one');
+    delivery.nack('a', 'default', msg('m1'), 'two');
+    assert.deepStrictEqual(delivery.nack('a', 'default', msg('m1'), 'three'), { attempts: 3, dead: true });
+    assert.deepStrictEqual(delivery.retries('a'), []);
+
+    const [dead] = delivery.dlqList('a');
+    assert.equal(dead.message.id, 'm1');
+    assert.equal(dead.reason, 'three');
+    assert.equal(dead.attempts, 3);
+    assert.equal(dead.consumer, 'default');
+
+    assert.equal(delivery.dlqReplay('a', { messageIds: ['other'] }).length, 0);
+    assert.equal(delivery.dlqReplay('a').length, 1);
+    assert.deepStrictEqual(delivery.dlqList('a'), []);
+
+    const [retry] = delivery.take('a', 'default');
+    assert.equal(retry.attempt, 1);
+    clock.t += 1;
+    assert.equal(delivery.nack('a', 'default', retry, 'again').attempts, 1);
+  });
+
+  it('keeps separate queues for agent IDs that differ only in punctuation', () => {
+    ({ delivery } = setup(dir));
+    for (const agentId of ['team/a', 'team_a', 'team.a']) {
+      for (let i = 0; i < 3; i++) delivery.nack(agentId, 'default', msg(`m-${agentId}`), 'boom');
+    }
+
+    for (const agentId of ['team/a', 'team_a', 'team.a']) {
+      assert.deepStrictEqual(delivery.dlqList(agentId).map(e => e.message.id), [`m-${agentId}`]);
+    }
+    assert.ok(fs.existsSync(path.join(dir, 'dlq', 'team%2Fa.jsonl')));
+  });
+
+  it('persists retries, making in-flight ones due again after a restart', () => {
+    let clock;
+    ({ clock, delivery } = setup(dir));
+    delivery.nack('a', 'default', msg('m1'), 'x');
+    clock.t += 100;
+    assert.equal(delivery.take('a', 'default').length, 1);
+    delivery.stop();
+
+    const reopened = setup(dir);
+    delivery = reopened.delivery;
+    reopened.clock.t = clock.t;
+    assert.equal(delivery.take('a', 'default').length, 1);
+  });
+});
+
+// ─── Push Consumers ─────────────────────────────────────────────────────────
+
+describe('onDue', () => {
+  let dir, delivery;
+
+  beforeEach(() => { dir = tmpDir(); });
+  afterEach(() => { delivery.stop(); rmrf(dir); });
+
+  it('offers due retries to push consumers and leaves declined ones for take()', async () => {
+    const offered = [];
+    ({ delivery } = setup(dir, {
+      backoffMs: 5,
+      now: Date.now,
+      onDue: (retry) => { offered.push(retry); return retry.consumer === 'turns'; },
+    }));
+    delivery.nack('a', 'turns', msg('m1'), 'x', 'main');
+    delivery.nack('a', 'default', msg('m2'), 'x');
+
+    await new Promise(r => setTimeout(r, 50));
+    assert.deepStrictEqual(offered.map(r => [r.consumer, r.sessionId, r.message.id]).sort(), [
+      ['default', null, 'm2'],
+      ['turns', 'main', 'm1'],
+    ]);
+    assert.deepStrictEqual(delivery.take('a', 'turns', 'main'), [], 'taken by the push consumer');
+    assert.equal(delivery.take('a', 'default')[0].id, 'm2');
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * messageMiddleware.test.js — Tests for the pre-delivery middleware chain.
+ *
+ * Run:  node --test test/messageMiddleware.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createMessageMiddleware,
+  fromSpec,
+  aliasMiddleware,
+  enrichMiddleware,
+  redactMiddleware,
+} = require('../src/messageMiddleware');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+const silentLog = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+// Prefix match standing in for the broker's wildcard matcher
+const pathMatches = (pattern, p) => (pattern.endsWith('/**') ? p.startsWith(pattern.slice(0, -2)) : pattern === p);
+const chain = () => createMessageMiddleware(silentLog, { pathMatches });
+
+// ─── Chain ──────────────────────────────────────────────────────────────────
+
+describe('createMessageMiddleware', () => {
+  it('runs in order, then registration order', () => {
+    const mw = chain();
+    const seen = [];
+    mw.use('late', () => seen.push('late'), { order: 200 });
+    mw.use('first', () => seen.push('first'), { order: 10 });
+    mw.use('second', () => seen.push('second'), { order: 10 });
+    mw.use('default', () => seen.push('default'));
+
+    mw.run('a', 'agent/b', {});
+    assert.deepStrictEqual(seen, ['first', 'second', 'default', 'late']);
+    assert.deepStrictEqual(mw.list().map(m => m.name), seen);
+  });
+
+  it('rewrites path and message without touching the original', () => {
+    const mw = chain();
+    mw.use('move', (ctx) => { ctx.path = 'agent/c'; });
+    mw.use('tag', (ctx) => { ctx.message.payload.tagged = true; });
+
+    const message = { command: 'x', payload: { n: 1 } };
+    const out = mw.run('a', 'agent/b', message);
+    assert.equal(out.path, 'agent/c');
+    assert.deepStrictEqual(out.message.payload, { n: 1, tagged: true });
+    assert.deepStrictEqual(message.payload, { n: 1 });
+    assert.equal(mw.list()[0].rewrites, 1);
+  });
+
+  it('stops at the first block and drops fan-outs', () => {
+    const mw = chain();
+    const seen = [];
+    mw.use('copy', (ctx) => ctx.fanOut('agent/audit'), { order: 1 });
+    mw.use('policy', (ctx) => ctx.block('no'), { order: 2 });
+    mw.use('after', () => seen.push('after'), { order: 3 });
+
+    const out = mw.run('a', 'agent/b', {});
+    assert.deepStrictEqual(out.blocked, { by: 'policy', reason: 'no' });
+    assert.deepStrictEqual(out.fanOut, []);
+    assert.deepStrictEqual(seen, []);
+    assert.equal(mw.list().find(m => m.name === 'policy').blocked, 1);
+  });
+
+  it('rolls back a failing middleware and carries on', () => {
+    const mw = chain();
+    mw.use('broken', (ctx) => {
+      ctx.path = 'agent/wrong';
+      ctx.message.payload.half = true;
+      ctx.fanOut('agent/wrong');
+      throw new Error('boom');
+    });
+    mw.use('ok', (ctx) => { ctx.message.payload.ok = true; });
+
+    const out = mw.run('a', 'agent/b', { payload: {} });
+    assert.equal(out.path, 'agent/b');
+    assert.deepStrictEqual(out.message.payload, { ok: true });
+    assert.deepStrictEqual(out.fanOut, []);
+    assert.equal(out.blocked, null);
+
+    const [broken] = mw.list();
+    assert.equal(broken.errors, 1);
+    assert.equal(broken.lastError, 'boom');
+  });
+
+  it('blocks on error when the middleware fails closed', () => {
+    const mw = chain();
+    mw.use('policy', () => { throw new Error('policy store down'); }, { onError: 'block' });
+    assert.deepStrictEqual(mw.run('a', 'agent/b', {}).blocked, { by: 'policy', reason: 'middleware error: policy store down' });
+  });
+
+  it('runs only for messages its match selects', () => {
+    const mw = chain();
+    const seen = [];
+    mw.use('slack-only', (ctx) => seen.push(ctx.path), {
+      match: { paths: ['slack/**'], filter: { commands: ['slack.*'] } },
+    });
+
+    mw.run('a', 'slack/team/#eng', { command: 'slack.message' });
+    mw.run('a', 'slack/team/#eng', { command: 'other' });
+    mw.run('a', 'agent/b', { command: 'slack.message' });
+    assert.deepStrictEqual(seen, ['slack/team/#eng']);
+    assert.equal(mw.list()[0].calls, 1);
+  });
+
+  it('rejects bad registrations and removes by name', () => {
+    const mw = chain();
+    const remove = mw.use('a', () => {});
+    assert.throws(() => mw.use('a', () => {}), /already registered/);
+    assert.throws(() => mw.use('b', 'nope'), /must be a function/);
+    assert.throws(() => mw.use('c', () => {}, { onError: 'retry' }), /onError/);
+    assert.throws(() => mw.use('d', () => {}, { match: { filter: { bad: 1 } } }), /middleware d: Invalid subscription filter/);
+
+    remove();
+    assert.equal(mw.size(), 0);
+    assert.equal(mw.remove('a'), false);
+  });
+});
+
+// ─── Built-in Middleware ────────────────────────────────────────────────────
+
+describe('built-in middleware', () => {
+  const apply = (fn, path, message = {}) => {
+    const mw = chain();
+    mw.use('m', fn);
+    return mw.run('a', path, message);
+  };
+
+  it('alias rewrites exact and prefixed paths', () => {
+    const alias = aliasMiddleware({ aliases: { ops: 'slack/team/#ops' } });
+    assert.equal(apply(alias, 'ops').path, 'slack/team/#ops');
+    assert.equal(apply(alias, 'ops/thread-1').path, 'slack/team/#ops/thread-1');
+    assert.equal(apply(alias, 'opsec').path, 'opsec');
+  });
+
+  it('enrich keeps existing payload fields', () => {
+    const out = apply(enrichMiddleware({ payload: { env: 'prod', team: 'core' } }), 'agent/b', { payload: { team: 'web' } });
+    assert.deepStrictEqual(out.message.payload, { env: 'prod', team: 'web' });
+  });
+
+  it('redact scrubs named fields and PII patterns at any depth', () => {
+    const out = apply(redactMiddleware({ fields: ['phone'] }), 'agent/b', {
+      payload: {
+        text: 'mail jane@example.com, card 4111 1111 1111 1111',
+        user: { phone: '555-0100', ssn: '123-45-6789' },
+        count: 3,
+      },
+    });
+    assert.deepStrictEqual(out.message.payload, {
+      text: 'mail [REDACTED], card [REDACTED]',
+      user: { phone: '[REDACTED]', ssn: '[REDACTED]' },
+      count: 3,
+    });
+  });
+
+  it('builds from config specs', () => {
+    const mw = chain();
+    for (const spec of [
+      { type: 'fanOut', to: ['agent/audit'] },
+      { type: 'block', name: 'no-bots', order: 1, match: { filter: { commands: ['bot.*'] } }, reason: 'bots muted' },
+    ]) {
+      const { name, fn, options } = fromSpec(spec);
+      mw.use(name, fn, options);
+    }
+
+    assert.deepStrictEqual(mw.run('a', 'agent/b', { command: 'hello' }).fanOut, ['agent/audit']);
+    assert.deepStrictEqual(mw.run('a', 'agent/b', { command: 'bot.ping' }).blocked, { by: 'no-bots', reason: 'bots muted' });
+    assert.throws(() => fromSpec({ type: 'rewrite' }), /Unknown middleware type: rewrite/);
+  });
+});
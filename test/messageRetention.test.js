@@ -0,0 +1,173 @@
+/**
+ * messageRetention.test.js — Tests for retention policies and gzip archives.
+ *
+ * Run:  node --test test/messageRetention.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createMessageStore } = require('../src/messageStore');
+const { createMessageArchive } = require('../src/messageArchive');
+const { createMessageRetention } = require('../src/messageRetention');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'retention-test-'));
+}
+
+function rmrf(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+const silentLog = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2025-03-10T12:00:00.000Z');
+
+function setup(dir, policies, opts = {}) {
+  const archive = createMessageArchive(path.join(dir, 'archive'), silentLog);
+  const store = createMessageStore(dir, silentLog, { archive });
+  const retention = createMessageRetention(store, silentLog, { policies, now: () => NOW, ...opts });
+  return { archive, store, retention };
+}
+
+function msg(id, msgPath, ageDays = 0, extra = {}) {
+  return { id, path: msgPath, timestamp: NOW - ageDays * DAY, ...extra };
+}
+
+const ids = (entries) => entries.map(e => e.id);
+
+// ─── Policy Matching ────────────────────────────────────────────────────────
+
+describe('policyFor', () => {
+  let dir;
+
+  beforeEach(() => { dir = tmpDir(); });
+  afterEach(() => rmrf(dir));
+
+  it('picks the longest segment-wise prefix', () => {
+    const { retention } = setup(dir, [
+      { prefix: '', maxAgeDays: 30 },
+      { prefix: 'slack', maxAgeDays: 7 },
+      { prefix: '/slack/team/', maxAgeDays: 1 },
+    ]);
+    assert.equal(retention.policyFor('slack/team/#general').maxAgeDays, 1);
+    assert.equal(retention.policyFor('slack/other/#x').maxAgeDays, 7);
+    assert.equal(retention.policyFor('slackbot/x').maxAgeDays, 30);
+    assert.equal(retention.policyFor('agent/a').maxAgeDays, 30);
+  });
+
+  it('returns null when nothing matches', () => {
+    const { retention } = setup(dir, [{ prefix: 'slack', maxAgeDays: 7 }]);
+    assert.equal(retention.policyFor('agent/a'), null);
+  });
+});
+
+// ─── Running ────────────────────────────────────────────────────────────────
+
+describe('run', () => {
+  let dir;
+
+  beforeEach(() => { dir = tmpDir(); });
+  afterEach(() => rmrf(dir));
+
+  it('expires by age and archives what it drops', () => {
+    const { store, archive, retention } = setup(dir, [{ prefix: '', maxAgeDays: 7 }]);
+    store.append('agent--a', msg('old', 'agent/a', 8));
+    store.append('agent--a', msg('new', 'agent/a', 1));
+
+    const [result] = retention.run();
+    assert.equal(result.removed, 1);
+    assert.deepStrictEqual(ids(store.read('agent--a')), ['new']);
+
+    assert.deepStrictEqual(archive.days('agent--a'), ['2025-03-02']);
+    const [archived] = archive.readDay('agent--a', '2025-03-02');
+    assert.equal(archived.id, 'old');
+    assert.equal(archived.archived, true);
+    assert.equal(archived.status, 'pending');
+  });
+
+  it('applies maxCount and maxBytes per policy, newest kept', () => {
+    const { store, retention } = setup(dir, [
+      { prefix: 'slack', maxCount: 2 },
+      { prefix: 'agent', maxBytes: 120 },
+    ]);
+    for (let i = 0; i < 4; i++) {
+      store.append('agent--a', msg(`s${i}`, 'slack/team/#x'));
+      store.append('agent--a', msg(`a${i}`, 'agent/a', 0, { payload: 'x'.repeat(20) }));
+    }
+
+    retention.run();
+    const kept = ids(store.read('agent--a'));
+    assert.deepStrictEqual(kept.filter(id => id.startsWith('s')), ['s2', 's3']);
+    assert.deepStrictEqual(kept.filter(id => id.startsWith('a')), ['a3']);
+  });
+
+  it('keeps messages no policy covers', () => {
+    const { store, retention } = setup(dir, [{ prefix: 'slack', maxAgeDays: 1 }]);
+    store.append('agent--a', msg('a', 'agent/a', 100));
+    assert.deepStrictEqual(retention.run(), []);
+    assert.deepStrictEqual(ids(store.read('agent--a')), ['a']);
+  });
+
+  it('keeps consumer cursors on the same messages after dropping from the middle', () => {
+    const { store, retention } = setup(dir, [{ prefix: 'slack', maxAgeDays: 1 }]);
+    store.append('agent--a', msg('a0', 'agent/a', 5));
+    store.append('agent--a', msg('s0', 'slack/t/#x', 5));
+    store.append('agent--a', msg('a1', 'agent/a', 5));
+    store.consume('agent--a');
+    store.append('agent--a', msg('s1', 'slack/t/#x', 5));
+    store.append('agent--a', msg('a2', 'agent/a'));
+
+    retention.run();
+    assert.deepStrictEqual(store.read('agent--a').map(e => [e.id, e.status]), [
+      ['a0', 'delivered'], ['a1', 'delivered'], ['a2', 'pending'],
+    ]);
+    assert.deepStrictEqual(ids(store.consume('agent--a')), ['a2']);
+  });
+
+  it('skips excluded streams', () => {
+    const { store, retention } = setup(dir, [{ prefix: '', maxCount: 1 }], { exclude: ['broker-unmatched'] });
+    store.append('broker-unmatched', msg('u0', 'nowhere'));
+    store.append('broker-unmatched', msg('u1', 'nowhere'));
+
+    assert.deepStrictEqual(retention.run(), []);
+    assert.deepStrictEqual(ids(store.read('broker-unmatched')), ['u0', 'u1']);
+    assert.ok(!fs.existsSync(path.join(dir, 'broker-unmatched.cursors.json')));
+  });
+
+  it('does nothing without policies', () => {
+    const { store, retention } = setup(dir, []);
+    store.append('agent--a', msg('a', 'agent/a', 100));
+    retention.start();
+    assert.deepStrictEqual(retention.run(), []);
+    retention.stop();
+  });
+});
+
+// ─── Archive ────────────────────────────────────────────────────────────────
+
+describe('archive', () => {
+  let dir;
+
+  beforeEach(() => { dir = tmpDir(); });
+  afterEach(() => rmrf(dir));
+
+  it('groups by day and appends gzip members to the same file', () => {
+    const archive = createMessageArchive(dir, silentLog);
+    archive.append('agent--a', [msg('m0', 'agent/a', 2), msg('m1', 'agent/a', 1)]);
+    archive.append('agent--a', [msg('m2', 'agent/a', 1)]);
+
+    assert.deepStrictEqual(archive.days('agent--a'), ['2025-03-08', '2025-03-09']);
+    assert.deepStrictEqual(ids(archive.readDay('agent--a', '2025-03-09')), ['m1', 'm2']);
+    assert.deepStrictEqual(archive.readDay('agent--a', '2025-01-01'), []);
+  });
+});
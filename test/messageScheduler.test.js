@@ -0,0 +1,177 @@
+/**
+ * messageScheduler.test.js — Tests for delayed and cron-scheduled messages.
+ *
+ * Run:  node --test test/messageScheduler.test.js
+ */
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createMessageScheduler } = require('../src/messageScheduler');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+}
+
+function rmrf(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+const silentLog = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+// Wednesday 1 January 2025, 08:00 local time
+const WED_0800 = new Date(2025, 0, 1, 8, 0).getTime();
+
+function setup(dir, t = WED_0800) {
+  const clock = { t };
+  const delivered = [];
+  const scheduler = createMessageScheduler(dir, silentLog, {
+    deliver: (s) => delivered.push(s),
+    now: () => clock.t,
+  });
+  return { clock, delivered, scheduler };
+}
+
+const tick = (ms = 20) => new Promise(r => setTimeout(r, ms));
+const local = (...args) => new Date(...args).getTime();
+
+// ─── Cron Expressions ───────────────────────────────────────────────────────
+
+// node-cron runs on the real clock, so these tests mock it and flush with
+// setImmediate, which the mock leaves alone.
+const flush = async () => { for (let i = 0; i < 5; i++) await new Promise(r => setImmediate(r)); };
+describe('cron schedules', () => {
+  let dir, scheduler;
+
+  beforeEach(() => {
+    dir = tmpDir();
+    mock.timers.enable({ apis: ['setTimeout', 'Date'], now: WED_0800 });
+  });
+  afterEach(() => { scheduler.stop(); mock.timers.reset(); rmrf(dir); });
+
+  function open() {
+    const delivered = [];
+    scheduler = createMessageScheduler(dir, silentLog, { deliver: (s) => delivered.push(s) });
+    return delivered;
+  }
+
+  it('computes the next run', () => {
+    open();
+    const next = (cron) => scheduler.add('a', 'agent/b', {}, { cron }).nextRunAt;
+
+    assert.equal(next('0 9 * * 1'), local(2025, 0, 6, 9, 0), 'next Monday');
+    assert.equal(next('30 8 * * 7'), local(2025, 0, 5, 8, 30), '7 is Sunday');
+    assert.equal(next('*/15 8-18 * * MON-FRI'), local(2025, 0, 1, 8, 15), 'strictly after now');
+    assert.equal(next('0 0 1,15 * *'), local(2025, 0, 15, 0, 0));
+    assert.equal(next('0 12 13 * 5'), local(2025, 5, 13, 12, 0), 'both day fields');
+    assert.equal(next('0 0 1 mar *'), local(2025, 2, 1, 0, 0));
+  });
+
+  it('rejects invalid and impossible expressions', () => {
+    open();
+    assert.throws(() => scheduler.add('a', 'agent/b', {}, { cron: '* * *' }), /expected 5 fields/);
+    assert.throws(() => scheduler.add('a', 'agent/b', {}, { cron: '0 * * * * *' }), /expected 5 fields/);
+    assert.throws(() => scheduler.add('a', 'agent/b', {}, { cron: '61 * * * *' }), /61 is a invalid expression for minute/);
+    assert.throws(() => scheduler.add('a', 'agent/b', {}, { cron: '0 0 * * FUN' }), /week day/);
+    assert.throws(() => scheduler.add('a', 'agent/b', {}, { cron: '*/0 * * * *' }), /minute/);
+    assert.throws(() => scheduler.add('a', 'agent/b', {}, { cron: '0 0 31 2 *' }), /impossible day of month/);
+    assert.deepStrictEqual(scheduler.list(), []);
+  });
+
+  it('runs on each match and advances', async () => {
+    const delivered = open();
+    const s = scheduler.add('a', 'agent/b', { command: 'weekly' }, { cron: '0 9 * * 1' });
+
+    mock.timers.tick(s.nextRunAt - Date.now() + 1000);
+    await flush();
+
+    assert.equal(delivered.length, 1);
+    assert.equal(delivered[0].id, s.id);
+    const [after] = scheduler.list();
+    assert.equal(after.runCount, 1);
+    assert.ok(after.lastRunAt >= s.nextRunAt);
+    assert.equal(after.nextRunAt, local(2025, 0, 13, 9, 0));
+  });
+
+  it('stops running once cancelled', async () => {
+    const delivered = open();
+    const s = scheduler.add('a', 'agent/b', {}, { cron: '*/5 * * * *' });
+    assert.equal(scheduler.cancel(s.id), true);
+
+    mock.timers.tick(3600000);
+    await flush();
+    assert.deepStrictEqual(delivered, []);
+  });
+
+  it('skips runs missed while stopped', async () => {
+    open();
+    scheduler.add('a', 'agent/b', {}, { cron: '0 9 * * 1' });
+    scheduler.stop();
+
+    mock.timers.setTime(local(2025, 0, 15, 12, 0));
+    const delivered = open();
+    await flush();
+
+    assert.deepStrictEqual(delivered, []);
+    assert.equal(scheduler.list()[0].nextRunAt, local(2025, 0, 20, 9, 0));
+  });
+});
+
+// ─── One-shot Schedules ─────────────────────────────────────────────────────
+
+describe('one-shot schedules', () => {
+  let dir, scheduler;
+
+  beforeEach(() => { dir = tmpDir(); });
+  afterEach(() => { scheduler.stop(); rmrf(dir); });
+
+  it('delivers once when due, then forgets the schedule', async () => {
+    let delivered;
+    ({ delivered, scheduler } = setup(dir));
+    const s = scheduler.add('a', 'agent/b', { command: 'ping' }, { delayMs: 0 });
+    assert.equal(s.at, WED_0800);
+
+    await tick();
+    assert.deepStrictEqual(delivered.map(d => d.id), [s.id]);
+    assert.equal(scheduler.get(s.id), null);
+    assert.deepStrictEqual(scheduler.list(), []);
+  });
+
+  it('accepts ISO dates and rejects bad times', () => {
+    ({ scheduler } = setup(dir));
+    assert.equal(scheduler.add('a', 'agent/b', {}, { at: '2025-02-01T00:00:00Z' }).nextRunAt, Date.parse('2025-02-01T00:00:00Z'));
+    assert.throws(() => scheduler.add('a', 'agent/b', {}, { at: 'soon' }), /Invalid schedule time/);
+    assert.throws(() => scheduler.add('a', 'agent/b', {}, { delayMs: 5, cron: '* * * * *' }), /Exactly one/);
+  });
+
+  it('cancels before it fires', async () => {
+    let delivered;
+    ({ delivered, scheduler } = setup(dir));
+    const s = scheduler.add('a', 'agent/b', {}, { delayMs: 0 });
+    assert.equal(scheduler.cancel(s.id), true);
+    assert.equal(scheduler.cancel(s.id), false);
+
+    await tick();
+    assert.deepStrictEqual(delivered, []);
+  });
+
+  it('fires schedules that came due while stopped after a restart', async () => {
+    let clock, delivered;
+    ({ clock, scheduler } = setup(dir));
+    const s = scheduler.add('a', 'agent/b', {}, { delayMs: 60000 });
+    scheduler.stop();
+
+    ({ clock, delivered, scheduler } = setup(dir, clock.t + 3600000));
+    await tick();
+    assert.deepStrictEqual(delivered.map(d => d.id), [s.id]);
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir, 'schedules.json'), 'utf8')), []);
+  });
+});
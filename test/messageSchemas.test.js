@@ -0,0 +1,79 @@
+/**
+ * messageSchemas.test.js — Tests for the per-command payload schema registry.
+ *
+ * Run:  node --test test/messageSchemas.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMessageSchemas } = require('../src/messageSchemas');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+const silentLog = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+const SEND = {
+  type: 'object',
+  required: ['channel', 'text'],
+  properties: { channel: { type: 'string' }, text: { type: 'string' } },
+};
+
+// ─── Registry ───────────────────────────────────────────────────────────────
+
+describe('createMessageSchemas', () => {
+  it('validates payloads against their command schema', () => {
+    const registry = createMessageSchemas(silentLog);
+    registry.register('slack.send', SEND, { owner: 'slack' });
+
+    assert.deepStrictEqual(registry.validate('slack.send', { channel: '#eng', text: 'hi' }), { mode: null, errors: [] });
+    assert.deepStrictEqual(registry.validate('slack.send', { channel: 7 }).errors, [
+      { field: 'payload.text', message: 'is required' },
+      { field: 'payload.channel', message: 'must be string' },
+    ]);
+    assert.equal(registry.validate('other', {}), null);
+  });
+
+  it('lets only the owner replace a schema', () => {
+    const registry = createMessageSchemas(silentLog);
+    registry.register('slack.send', SEND, { owner: 'slack' });
+    registry.register('slack.send', { type: 'object' }, { owner: 'slack', mode: 'reject' });
+    assert.equal(registry.get('slack.send').mode, 'reject');
+
+    assert.throws(() => registry.register('slack.send', SEND, { owner: 'agent/writer' }), /already registered by slack/);
+  });
+
+  it('unregisters, also by owner', () => {
+    const registry = createMessageSchemas(silentLog);
+    const unregister = registry.register('a', { type: 'object' }, { owner: 'svc' });
+    registry.register('b', { type: 'object' }, { owner: 'agent/x' });
+    registry.register('c', { type: 'object' }, { owner: 'agent/y' });
+
+    assert.equal(registry.removeWhere(owner => owner.startsWith('agent/')), 2);
+    unregister();
+    assert.deepStrictEqual(registry.list(), []);
+    assert.equal(registry.unregister('a'), false);
+  });
+
+  it('rejects schemas that do not compile and unknown modes', () => {
+    const registry = createMessageSchemas(silentLog);
+    assert.throws(() => registry.register('x', { type: 'nope' }), /Invalid schema for x/);
+    assert.throws(() => registry.register('x', { type: 'object' }, { mode: 'drop' }), /mode must be/);
+    assert.throws(() => registry.register('', {}), /command is required/);
+  });
+
+  it('lists schemas sorted by command', () => {
+    const registry = createMessageSchemas(silentLog);
+    registry.register('slack.send', SEND, { owner: 'slack', description: 'Post to Slack' });
+    registry.register('heartbeat', { type: 'object' });
+
+    const list = registry.list();
+    assert.deepStrictEqual(list.map(s => s.command), ['heartbeat', 'slack.send']);
+    assert.equal(list[1].description, 'Post to Slack');
+    assert.deepStrictEqual(list[1].schema, SEND);
+    assert.equal(list[1].check, undefined);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * messageSearch.test.js — Tests for the incremental full-text message index.
+ *
+ * Run:  node --test test/messageSearch.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createMessageSearch, messageText, tokenize, parseQuery } = require('../src/messageSearch');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'search-test-'));
+}
+
+function rmrf(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+const silentLog = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+function doc(id, text, extra = {}) {
+  return { id, path: 'slack/team/#eng', command: 'slack.message', timestamp: Number(id.slice(1)), payload: { text }, ...extra };
+}
+
+const ids = (docs) => docs.map(d => d.id);
+
+// ─── Text ───────────────────────────────────────────────────────────────────
+
+describe('text', () => {
+  it('tokenizes lowercase words without accents or single letters', () => {
+    assert.deepStrictEqual(tokenize('Café INVOICE-bug, a #42!'), ['cafe', 'invoice', 'bug', '42']);
+  });
+
+  it('collects payload strings and numbers, command and path', () => {
+    const text = messageText({ path: 'slack/team/#billing', command: 'slack.message', payload: { text: 'hi', n: 7, nested: [{ ok: true, s: 'deep' }] } });
+    assert.equal(text, 'hi 7 deep slack.message slack/team/#billing');
+  });
+
+  it('parses prefix words', () => {
+    assert.deepStrictEqual(parseQuery('invoic* bug-fix*'), [
+      { term: 'invoic', prefix: true },
+      { term: 'bug', prefix: false },
+      { term: 'fix', prefix: true },
+    ]);
+  });
+});
+
+// ─── Index ──────────────────────────────────────────────────────────────────
+
+describe('createMessageSearch', () => {
+  let dir;
+
+  beforeEach(() => { dir = tmpDir(); });
+  afterEach(() => rmrf(dir));
+
+  it('finds documents containing every word, newest first', () => {
+    const index = createMessageSearch(dir, silentLog);
+    index.add(doc('m1', 'The invoice bug is back'));
+    index.add(doc('m2', 'Lunch?'));
+    index.add(doc('m3', 'Fixed the invoice rounding bug'));
+    index.add(doc('m4', 'invoice sent'));
+
+    assert.deepStrictEqual(ids(index.search('invoice bug')), ['m3', 'm1']);
+    assert.deepStrictEqual(ids(index.search('INVOICE', { limit: 2 })), ['m4', 'm3']);
+    assert.deepStrictEqual(ids(index.search('invoice', { filter: d => d.id !== 'm4' })), ['m3', 'm1']);
+    assert.deepStrictEqual(ids(index.search('round*')), ['m3']);
+    assert.deepStrictEqual(index.search('nothing'), []);
+    assert.throws(() => index.search('  '), /query is required/);
+  });
+
+  it('persists segments and reopens them', () => {
+    const index = createMessageSearch(dir, silentLog, { flushEvery: 2 });
+    index.add(doc('m1', 'alpha'));
+    index.add(doc('m2', 'alpha beta'));
+    index.add(doc('m3', 'beta'));
+    index.close();
+
+    const reopened = createMessageSearch(dir, silentLog);
+    assert.deepStrictEqual(reopened.stats().segments, 2);
+    assert.deepStrictEqual(ids(reopened.search('beta')), ['m3', 'm2']);
+    assert.equal(reopened.isEmpty(), false);
+  });
+
+  it('re-indexes documents added after the last flush', () => {
+    const index = createMessageSearch(dir, silentLog);
+    index.add(doc('m1', 'unflushed words'));
+    assert.equal(index.stats().pendingDocs, 1);
+    fs.appendFileSync(path.join(dir, 'docs.jsonl'), '{"id":"half');
+
+    // No flush — as if the process died
+    const reopened = createMessageSearch(dir, silentLog);
+    assert.deepStrictEqual(ids(reopened.search('unflushed')), ['m1']);
+    reopened.add(doc('m2', 'more words'));
+    assert.deepStrictEqual(ids(reopened.search('words')), ['m2', 'm1']);
+  });
+
+  it('merges segments past maxSegments', () => {
+    const index = createMessageSearch(dir, silentLog, { flushEvery: 1, maxSegments: 3 });
+    for (let i = 1; i <= 5; i++) index.add(doc(`m${i}`, `shared word${i}`));
+
+    assert.equal(index.stats().segments, 2);
+    assert.equal(fs.readdirSync(dir).filter(f => f.startsWith('seg-')).length, 2);
+    assert.deepStrictEqual(ids(index.search('shared')), ['m5', 'm4', 'm3', 'm2', 'm1']);
+    assert.deepStrictEqual(ids(createMessageSearch(dir, silentLog).search('word2')), ['m2']);
+  });
+
+  it('prunes documents and rewrites what is left', () => {
+    const index = createMessageSearch(dir, silentLog, { flushEvery: 2 });
+    for (let i = 1; i <= 5; i++) index.add(doc(`m${i}`, `shared word${i}`));
+
+    assert.equal(index.prune(d => d.id !== 'm2' && d.id !== 'm4'), 2);
+    assert.deepStrictEqual(ids(index.search('shared')), ['m5', 'm3', 'm1']);
+    assert.deepStrictEqual(index.search('word2'), []);
+    assert.equal(fs.readFileSync(path.join(dir, 'docs.jsonl'), 'utf8').includes('word4'), false);
+    assert.equal(index.prune(() => true), 0);
+
+    index.add(doc('m6', 'shared after'));
+    const reopened = createMessageSearch(dir, silentLog);
+    assert.deepStrictEqual(ids(reopened.search('shared')), ['m6', 'm5', 'm3', 'm1']);
+  });
+
+  it('evicts cached segments past maxCachedTerms', () => {
+    // Six terms per document: shared, wordN, slack, message, team, eng
+    const index = createMessageSearch(dir, silentLog, { flushEvery: 1, maxCachedTerms: 12 });
+    for (let i = 1; i <= 4; i++) index.add(doc(`m${i}`, `shared word${i}`));
+    assert.equal(index.stats().cachedTerms, 12);
+
+    assert.deepStrictEqual(ids(index.search('shared')), ['m4', 'm3', 'm2', 'm1']);
+    assert.equal(index.stats().cachedTerms, 12);
+  });
+});
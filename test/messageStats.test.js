@@ -0,0 +1,112 @@
+/**
+ * messageStats.test.js — Tests for broker traffic counters and Prometheus output.
+ *
+ * Run:  node --test test/messageStats.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMessageStats, formatPrometheus } = require('../src/messageStats');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+function clock(start = 1_000_000) {
+  const c = { t: start, now: () => c.t };
+  return c;
+}
+
+function result(overrides = {}) {
+  return {
+    from: 'writer',
+    path: 'agent/researcher',
+    source: 'internal',
+    payload: { q: 1 },
+    delivered: true,
+    deliveredTo: ['researcher'],
+    deliveredToSessions: [],
+    unmatched: false,
+    ...overrides,
+  };
+}
+
+// ─── Counters ───────────────────────────────────────────────────────────────
+
+describe('createMessageStats', () => {
+  it('counts totals and groups', () => {
+    const stats = createMessageStats();
+    stats.record(result());
+    stats.record(result({ path: 'slack/team/#eng', source: 'slack', from: 'slack-bridge', deliveredTo: ['researcher'], deliveredToSessions: [{ agentId: 'researcher', sessionId: 'main' }] }));
+    stats.record(result({ path: 'nowhere', delivered: false, deliveredTo: [], unmatched: true }));
+    stats.record(result({ duplicate: true }));
+    stats.recordRejected();
+
+    const snap = stats.snapshot();
+    assert.deepStrictEqual(snap.totals, {
+      routed: 3, delivered: 2, unmatched: 1, blocked: 0, rejected: 1, duplicates: 1, forwarded: 0, bytes: 21,
+    });
+    assert.deepStrictEqual(snap.bySource.slack, { routed: 1, delivered: 1, unmatched: 0, bytes: 7 });
+    assert.deepStrictEqual(Object.keys(snap.byPrefix), ['agent', 'nowhere', 'slack']);
+    assert.deepStrictEqual(snap.byAgent.writer, { routed: 2, delivered: 0, unmatched: 1, bytes: 0 });
+    assert.deepStrictEqual(snap.byAgent.researcher, { routed: 0, delivered: 2, unmatched: 0, bytes: 14 });
+    assert.deepStrictEqual(snap.bySession, { 'researcher:main': { routed: 0, delivered: 1, unmatched: 0, bytes: 7 } });
+  });
+
+  it('reports rates over rolling windows', () => {
+    const c = clock();
+    const stats = createMessageStats({ now: c.now });
+    for (let i = 0; i < 60; i++) stats.record(result());
+    c.t += 120_000;
+    for (let i = 0; i < 30; i++) stats.record(result({ delivered: false, deliveredTo: [], unmatched: true }));
+
+    const { rates, uptimeMs } = stats.snapshot();
+    assert.equal(uptimeMs, 120_000);
+    assert.deepStrictEqual(rates['1m'], { routed: 0.5, delivered: 0, unmatched: 0.5 });
+    assert.deepStrictEqual(rates['5m'], { routed: 90 / 300, delivered: 60 / 300, unmatched: 30 / 300 });
+
+    c.t += 20 * 60_000;
+    assert.deepStrictEqual(stats.snapshot().rates['15m'], { routed: 0, delivered: 0, unmatched: 0 });
+  });
+
+  it('drops the key idle longest past maxKeys', () => {
+    const stats = createMessageStats({ maxKeys: 2 });
+    const toSession = (sessionId) => result({ deliveredToSessions: [{ agentId: 'researcher', sessionId }] });
+    stats.record(toSession('s1'));
+    stats.record(toSession('s2'));
+    stats.record(toSession('s1'));
+    stats.record(toSession('s3'));
+
+    const snap = stats.snapshot();
+    assert.deepStrictEqual(Object.keys(snap.bySession), ['researcher:s1', 'researcher:s3']);
+    assert.equal(snap.bySession['researcher:s1'].delivered, 2);
+    assert.equal(snap.totals.routed, 4);
+  });
+});
+
+// ─── Prometheus ─────────────────────────────────────────────────────────────
+
+describe('formatPrometheus', () => {
+  it('renders counters, rates and queues with escaped labels', () => {
+    const stats = createMessageStats();
+    stats.record(result({ source: 'we"b\\hook', deliveredToSessions: [{ agentId: 'researcher', sessionId: 'thread-1' }] }));
+    const text = formatPrometheus({
+      ...stats.snapshot(),
+      queues: [
+        { stream: 'agent--researcher', agentId: 'researcher', sessionId: null, consumer: 'default', messages: 3, bytes: 120, retrying: 1 },
+        { stream: 'session--researcher--thread-1', agentId: 'researcher', sessionId: 'thread-1', consumer: 'default', messages: 2, bytes: 50, retrying: 0 },
+        { stream: 'session--researcher--thread-2', agentId: 'researcher', sessionId: 'thread-2', consumer: 'default', messages: 1, bytes: 10, retrying: 0 },
+      ],
+    });
+
+    assert.match(text, /^# HELP broker_messages_total Messages by route outcome\n# TYPE broker_messages_total counter\n/);
+    assert.match(text, /^broker_messages_total\{outcome="routed"\} 1$/m);
+    assert.match(text, /^broker_source_messages_total\{source="we\\"b\\\\hook",outcome="delivered"\} 1$/m);
+    assert.match(text, /^broker_agent_bytes_total\{agent="researcher"\} 7$/m);
+    assert.match(text, /^broker_message_rate\{window="1m",outcome="routed"\} 0\.01666/m);
+    assert.match(text, /^broker_queue_depth\{agent="researcher",scope="agent",consumer="default"\} 3$/m);
+    assert.match(text, /^broker_queue_depth\{agent="researcher",scope="sessions",consumer="default"\} 3$/m);
+    assert.match(text, /^broker_queue_bytes\{agent="researcher",scope="sessions",consumer="default"\} 60$/m);
+    assert.match(text, /^broker_queue_retrying\{.*\} 1$/m);
+    assert.doesNotMatch(text, /session=|thread-1/);
+    assert.ok(text.endsWith('\n'));
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * messageStore.test.js — Tests for append-only streams, cursors and compaction.
+ *
+ * Run:  node --test test/messageStore.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createMessageStore } = require('../src/messageStore');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+}
+
+function rmrf(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+const silentLog = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+function appendN(store, stream, n, start = 0) {
+  for (let i = start; i < start + n; i++) store.append(stream, { id: `m${i}`, status: 'pending' });
+}
+
+const ids = (entries) => entries.map(e => e.id);
+
+// ─── Consuming ──────────────────────────────────────────────────────────────
+
+describe('consume', () => {
+  let dir;
+
+  beforeEach(() => { dir = tmpDir(); });
+  afterEach(() => rmrf(dir));
+
+  it('returns only messages appended since the last call', () => {
+    const store = createMessageStore(dir, silentLog);
+    appendN(store, 'agent--a', 2);
+    assert.deepStrictEqual(ids(store.consume('agent--a')), ['m0', 'm1']);
+    assert.deepStrictEqual(store.consume('agent--a'), []);
+
+    appendN(store, 'agent--a', 1, 2);
+    assert.deepStrictEqual(ids(store.consume('agent--a')), ['m2']);
+  });
+
+  it('never rewrites the message file', () => {
+    const store = createMessageStore(dir, silentLog);
+    appendN(store, 'agent--a', 3);
+    const before = fs.readFileSync(path.join(dir, 'agent--a.jsonl'), 'utf8');
+    store.consume('agent--a');
+    assert.equal(fs.readFileSync(path.join(dir, 'agent--a.jsonl'), 'utf8'), before);
+  });
+
+  it('keeps an independent cursor per consumer, persisted across instances', () => {
+    const store = createMessageStore(dir, silentLog);
+    appendN(store, 'agent--a', 2);
+    store.consume('agent--a');
+
+    const reopened = createMessageStore(dir, silentLog);
+    assert.deepStrictEqual(reopened.consume('agent--a'), []);
+    assert.deepStrictEqual(ids(reopened.consume('agent--a', 'mobile')), ['m0', 'm1']);
+  });
+
+  it('leaves a partially written last line for the next read', () => {
+    const store = createMessageStore(dir, silentLog);
+    const file = path.join(dir, 'agent--a.jsonl');
+    fs.writeFileSync(file, '{"id":"m0"}\n{"id":"m');
+    assert.deepStrictEqual(ids(store.consume('agent--a')), ['m0']);
+
+    fs.appendFileSync(file, '1"}\n');
+    assert.deepStrictEqual(ids(store.consume('agent--a')), ['m1']);
+  });
+
+  it('skips corrupt lines', () => {
+    const store = createMessageStore(dir, silentLog);
+    fs.writeFileSync(path.join(dir, 'agent--a.jsonl'), '{"id":"m0"}\nnot json\n{"id":"m1"}\n');
+    assert.deepStrictEqual(ids(store.consume('agent--a')), ['m0', 'm1']);
+  });
+
+  it('starts over when the file is truncated', () => {
+    const store = createMessageStore(dir, silentLog);
+    appendN(store, 'agent--a', 3);
+    store.consume('agent--a');
+
+    fs.writeFileSync(path.join(dir, 'agent--a.jsonl'), '');
+    appendN(store, 'agent--a', 1, 3);
+    assert.deepStrictEqual(ids(store.consume('agent--a')), ['m3']);
+  });
+
+  it('picks up where a pre-cursor broker left off', () => {
+    fs.writeFileSync(path.join(dir, 'agent--a.jsonl'), [
+      { id: 'm0', status: 'delivered' },
+      { id: 'm1', status: 'delivered' },
+      { id: 'm2', status: 'pending' },
+    ].map(e => JSON.stringify(e)).join('\n') + '\n');
+
+    const store = createMessageStore(dir, silentLog);
+    assert.deepStrictEqual(ids(store.consume('agent--a')), ['m2']);
+  });
+});
+
+// ─── Reading ────────────────────────────────────────────────────────────────
+
+describe('read', () => {
+  let dir;
+
+  beforeEach(() => { dir = tmpDir(); });
+  afterEach(() => rmrf(dir));
+
+  it('reports status from the consumer cursor', () => {
+    const store = createMessageStore(dir, silentLog);
+    appendN(store, 'agent--a', 2);
+    store.consume('agent--a');
+    appendN(store, 'agent--a', 1, 2);
+
+    const entries = store.read('agent--a');
+    assert.deepStrictEqual(entries.map(e => e.status), ['delivered', 'delivered', 'pending']);
+    assert.deepStrictEqual(store.read('agent--a', 'mobile').map(e => e.status), ['pending', 'pending', 'pending']);
+  });
+
+  it('readReverse() yields newest first across chunk boundaries', () => {
+    const store = createMessageStore(dir, silentLog);
+    const padding = 'x'.repeat(150);
+    for (let i = 0; i < 1000; i++) store.append('agent--a', { id: `m${i}`, padding });
+    store.append('agent--a', { id: 'long', padding: 'y'.repeat(100 * 1024) });
+    store.consume('agent--a');
+    store.append('agent--a', { id: 'last' });
+    fs.appendFileSync(path.join(dir, 'agent--a.jsonl'), '{"id":"partial"');
+
+    const entries = [...store.readReverse('agent--a')];
+    assert.equal(entries.length, 1002);
+    assert.deepStrictEqual(ids(entries.slice(0, 3)), ['last', 'long', 'm999']);
+    assert.equal(entries[entries.length - 1].id, 'm0');
+    assert.deepStrictEqual(entries.slice(0, 2).map(e => e.status), ['pending', 'delivered']);
+  });
+
+  it('readReverse() resumes before a byte offset', () => {
+    const store = createMessageStore(dir, silentLog);
+    for (let i = 0; i < 5; i++) store.append('agent--a', { id: `m${i}` });
+
+    const all = [...store.readReverse('agent--a', undefined, { withOffsets: true })];
+    assert.deepStrictEqual(ids(all.map(l => l.entry)), ['m4', 'm3', 'm2', 'm1', 'm0']);
+
+    const { end } = all[2];
+    assert.deepStrictEqual(ids([...store.readReverse('agent--a', undefined, { before: end })]), ['m2', 'm1', 'm0']);
+    assert.deepStrictEqual(ids([...store.readReverse('agent--a', undefined, { before: end - 1 })]), ['m1', 'm0'], 'a cut-off line is skipped');
+  });
+
+  it('backlog() counts what each consumer has yet to consume', () => {
+    const store = createMessageStore(dir, silentLog);
+    appendN(store, 'agent--a', 3);
+    store.consume('agent--a');
+    store.consume('agent--a', 'mobile');
+    appendN(store, 'agent--a', 2, 3);
+    store.consume('agent--a', 'mobile');
+    appendN(store, 'agent--a', 1, 5);
+    fs.appendFileSync(path.join(dir, 'agent--a.jsonl'), '{"id":"partial"');
+
+    const backlog = store.backlog('agent--a');
+    assert.equal(backlog.default.messages, 3);
+    assert.equal(backlog.mobile.messages, 1);
+    assert.equal(backlog.mobile.bytes, Buffer.byteLength(JSON.stringify({ id: 'm5', status: 'pending' }) + '\n'));
+    assert.deepStrictEqual(store.backlog('agent--none'), { default: { messages: 0, bytes: 0 } });
+  });
+
+  it('backlog() keeps its counts through consumes and compaction', () => {
+    const store = createMessageStore(dir, silentLog, { compactKeep: 2 });
+    appendN(store, 'agent--a', 4);
+    store.consume('agent--a');
+    appendN(store, 'agent--a', 2, 4);
+    store.consume('agent--a', 'mobile');
+    appendN(store, 'agent--a', 1, 6);
+    store.consume('agent--a');
+    store.compact('agent--a');
+    appendN(store, 'agent--a', 2, 7);
+
+    const kept = store.backlog('agent--a');
+    assert.equal(kept.default.messages, 2);
+    assert.equal(kept.mobile.messages, 3);
+    assert.deepStrictEqual(kept, createMessageStore(dir, silentLog).backlog('agent--a'), 'matches a recount');
+  });
+
+  it('lists streams', () => {
+    const store = createMessageStore(dir, silentLog);
+    appendN(store, 'agent--a', 1);
+    appendN(store, 'session--a--main', 1);
+    store.consume('agent--a');
+    assert.deepStrictEqual(store.streams().sort(), ['agent--a', 'session--a--main']);
+  });
+});
+
+// ─── Compaction ─────────────────────────────────────────────────────────────
+
+describe('compaction', () => {
+  let dir;
+
+  beforeEach(() => { dir = tmpDir(); });
+  afterEach(() => rmrf(dir));
+
+  it('drops consumed messages beyond `keep` and shifts cursors', () => {
+    const store = createMessageStore(dir, silentLog);
+    appendN(store, 'agent--a', 5);
+    store.consume('agent--a');
+    appendN(store, 'agent--a', 2, 5);
+
+    const result = store.compact('agent--a', { keep: 3 });
+    assert.equal(result.removed, 4);
+    assert.equal(result.bytes, fs.statSync(path.join(dir, 'agent--a.jsonl')).size);
+
+    assert.deepStrictEqual(ids(store.read('agent--a')), ['m4', 'm5', 'm6']);
+    assert.deepStrictEqual(store.read('agent--a').map(e => e.status), ['delivered', 'pending', 'pending']);
+    assert.deepStrictEqual(ids(store.consume('agent--a')), ['m5', 'm6']);
+  });
+
+  it('never drops messages a consumer has not read', () => {
+    const store = createMessageStore(dir, silentLog);
+    appendN(store, 'agent--a', 4);
+    store.consume('agent--a', 'mobile');
+    assert.equal(store.compact('agent--a', { keep: 0 }).removed, 0); // default consumer hasn't read
+
+    store.consume('agent--a');
+    appendN(store, 'agent--a', 2, 4);
+    store.consume('agent--a');
+    assert.equal(store.compact('agent--a', { keep: 0 }).removed, 4); // mobile is behind at m3
+    assert.deepStrictEqual(ids(store.consume('agent--a', 'mobile')), ['m4', 'm5']);
+  });
+
+  it('runs automatically once a stream passes compactAtBytes', () => {
+    const store = createMessageStore(dir, silentLog, { compactAtBytes: 400, compactKeep: 2 });
+    appendN(store, 'agent--a', 5);
+    store.consume('agent--a');
+    appendN(store, 'agent--a', 20, 5);
+
+    const remaining = store.read('agent--a');
+    assert.ok(remaining.length < 25);
+    assert.ok(remaining.every(e => e.status === 'pending'));
+    assert.equal(store.consume('agent--a').length, 20);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * openapi.test.js — Tests for OpenAPI generation from discovered routes.
+ *
+ * Run:  node --test test/openapi.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildOpenApiDocument, expandOptionalGroups, toOpenApiPath, tagForFile } = require('../src/openapi');
+
+/** Build a loader-shaped route definition */
+function route(file, routePath, methods, extra = {}) {
+  return {
+    file,
+    path: routePath,
+    handlers: methods.map(method => ({ method, handler() {} })),
+    middleware: [],
+    schema: null,
+    description: '',
+    ...extra,
+  };
+}
+
+// ─── Path conversion ────────────────────────────────────────────────────────
+
+describe('path conversion', () => {
+  it('converts :params to {params}', () => {
+    assert.deepStrictEqual(toOpenApiPath('/api/tasks/:agentId/:taskId'), {
+      path: '/api/tasks/{agentId}/{taskId}',
+      params: ['agentId', 'taskId'],
+    });
+  });
+
+  it('converts named wildcards', () => {
+    assert.deepStrictEqual(toOpenApiPath('/files/*filePath'), { path: '/files/{filePath}', params: ['filePath'] });
+  });
+
+  it('expands optional segments into separate paths', () => {
+    assert.deepStrictEqual(expandOptionalGroups('/telegram-webhook{/:channel}'), [
+      '/telegram-webhook',
+      '/telegram-webhook/:channel',
+    ]);
+  });
+
+  it('expands nested and sibling optional groups', () => {
+    assert.deepStrictEqual(expandOptionalGroups('/a{/:b{/:c}}').sort(), ['/a', '/a/:b', '/a/:b/:c']);
+    assert.equal(expandOptionalGroups('/a{/:b}/x{/:c}').length, 4);
+  });
+
+  it('derives tags from subfolders', () => {
+    assert.equal(tagForFile('api/mobey.js'), 'api');
+    assert.equal(tagForFile('api/v2/things.js'), 'api/v2');
+    assert.equal(tagForFile('health.js'), null);
+  });
+});
+
+// ─── Document ───────────────────────────────────────────────────────────────
+
+describe('buildOpenApiDocument', () => {
+  it('emits an OpenAPI 3.1 document with info and tags', () => {
+    const doc = buildOpenApiDocument([
+      route('api/health.js', '/api/health', ['get']),
+      route('health.js', '/health', ['get']),
+    ], { title: 'routes', version: '1.2.3' });
+
+    assert.equal(doc.openapi, '3.1.0');
+    assert.deepStrictEqual(doc.info, { title: 'routes', version: '1.2.3' });
+    assert.deepStrictEqual(doc.tags, [{ name: 'api' }]);
+    assert.deepStrictEqual(doc.paths['/api/health'].get.tags, ['api']);
+    assert.equal(doc.paths['/health'].get.tags, undefined);
+  });
+
+  it('documents optional segments as two paths', () => {
+    const doc = buildOpenApiDocument([route('telegram-webhook.js', '/telegram-webhook{/:channel}', ['post'])]);
+
+    assert.ok(doc.paths['/telegram-webhook'].post);
+    const withChannel = doc.paths['/telegram-webhook/{channel}'].post;
+    assert.deepStrictEqual(withChannel.parameters, [{ name: 'channel', in: 'path', required: true, schema: { type: 'string' } }]);
+  });
+
+  it('pulls parameters, request body and responses from the schema', () => {
+    const schema = {
+      params: { type: 'object', properties: { id: { type: 'string', pattern: '^[a-z]+$' } } },
+      query: { type: 'object', required: ['limit'], properties: { limit: { type: 'integer' } } },
+      body: { type: 'object', required: ['status'] },
+      response: { 200: { type: 'object' }, 404: { type: 'object' } },
+    };
+    const doc = buildOpenApiDocument([route('items.js', '/items/:id', ['patch'], { schema, description: 'Update item' })]);
+    const op = doc.paths['/items/{id}'].patch;
+
+    assert.equal(op.summary, 'Update item');
+    assert.deepStrictEqual(op.parameters, [
+      { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-z]+$' } },
+      { name: 'limit', in: 'query', required: true, schema: { type: 'integer' } },
+    ]);
+    assert.deepStrictEqual(op.requestBody.content['application/json'].schema, schema.body);
+    assert.deepStrictEqual(Object.keys(op.responses).sort(), ['200', '400', '404']);
+  });
+
+  it('marks authenticated operations with x-auth and a 401 response', () => {
+    const auth = [{ strategy: 'local', options: {} }, { strategy: 'bearer', options: {} }];
+    const doc = buildOpenApiDocument([route('secure.js', '/secure', ['post'], { auth })]);
+    const op = doc.paths['/secure'].post;
+
+    assert.deepStrictEqual(op['x-auth'], ['local', 'bearer']);
+    assert.ok(op.responses['401']);
+  });
+
+  it('documents limits with x-limits and a 429 response', () => {
+    const limits = { rate: [], concurrency: { max: 3, by: 'route', retryAfterSec: 5 } };
+    const op = buildOpenApiDocument([route('busy.js', '/busy', ['post'], { limits })]).paths['/busy'].post;
+
+    assert.deepStrictEqual(op['x-limits'], limits);
+    assert.ok(op.responses['429'].headers['Retry-After']);
+  });
+
+  it('lists every method of a multi-method route and expands ALL', () => {
+    const doc = buildOpenApiDocument([route('items.js', '/items', ['get', 'all'])]);
+    const methods = Object.keys(doc.paths['/items']).sort();
+
+    assert.deepStrictEqual(methods, ['delete', 'get', 'patch', 'post', 'put']);
+    assert.equal(doc.paths['/items'].get.operationId, 'getItems');
+  });
+});
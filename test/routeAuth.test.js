@@ -0,0 +1,171 @@
+/**
+ * routeAuth.test.js — Tests for pluggable HTTP route authentication.
+ *
+ * Run:  node --test test/routeAuth.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createRouteAuth } = require('../src/routeAuth');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+const silentLog = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+function mockReq({ headers = {}, remoteAddress = '10.0.0.5', rawBody } = {}) {
+  return {
+    method: 'POST',
+    originalUrl: '/test',
+    headers,
+    socket: { remoteAddress },
+    rawBody,
+  };
+}
+
+function mockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; return res; },
+    set(name, value) { res.headers[name] = value; return res; },
+  };
+  return res;
+}
+
+/** Build middleware for an `auth` export and run it against a request */
+function check(auth, reqOpts, authOpts = {}) {
+  const routeAuth = createRouteAuth({ log: silentLog, ...authOpts });
+  const middleware = routeAuth.createMiddleware(routeAuth.normalize(auth), 'test');
+  const req = mockReq(reqOpts);
+  const res = mockRes();
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { passed, req, res };
+}
+
+// ─── normalize ──────────────────────────────────────────────────────────────
+
+describe('normalize', () => {
+  const routeAuth = createRouteAuth({ log: silentLog });
+
+  it('accepts strings, objects and arrays', () => {
+    assert.deepStrictEqual(routeAuth.normalize('bearer'), [{ strategy: 'bearer', options: {} }]);
+    assert.deepStrictEqual(routeAuth.normalize(['local', { strategy: 'apiKey', keys: ['k'] }]), [
+      { strategy: 'local', options: {} },
+      { strategy: 'apiKey', options: { keys: ['k'] } },
+    ]);
+  });
+
+  it('treats missing or false auth as public', () => {
+    assert.deepStrictEqual(routeAuth.normalize(undefined), []);
+    assert.deepStrictEqual(routeAuth.normalize(false), []);
+  });
+
+  it('rejects unknown strategies and bad options', () => {
+    assert.throws(() => routeAuth.normalize('magic'), /unknown auth strategy/);
+    assert.throws(() => routeAuth.normalize({ strategy: 'apiKey' }), /keys/);
+    assert.throws(() => routeAuth.normalize({ strategy: 'hmac' }), /secret/);
+  });
+});
+
+// ─── Strategies ─────────────────────────────────────────────────────────────
+
+describe('bearer', () => {
+  it('accepts the configured token', () => {
+    const { passed, req } = check('bearer', { headers: { authorization: 'Bearer s3cret' } }, { tokens: ['s3cret'] });
+    assert.ok(passed);
+    assert.equal(req.auth.strategy, 'bearer');
+  });
+
+  it('rejects a wrong token with 401 and WWW-Authenticate', () => {
+    const { passed, res } = check('bearer', { headers: { authorization: 'Bearer nope' } }, { tokens: ['s3cret'] });
+    assert.ok(!passed);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.headers['WWW-Authenticate'], 'Bearer');
+    assert.deepStrictEqual(res.body, { error: 'Unauthorized' });
+  });
+
+  it('rejects everything when no tokens are configured', () => {
+    const { passed } = check('bearer', { headers: { authorization: 'Bearer ' } });
+    assert.ok(!passed);
+  });
+});
+
+describe('apiKey', () => {
+  const auth = { strategy: 'apiKey', header: 'X-Telegram-Bot-Api-Secret-Token', keys: ['a', 'b'] };
+
+  it('accepts any listed key in the configured header', () => {
+    assert.ok(check(auth, { headers: { 'x-telegram-bot-api-secret-token': 'b' } }).passed);
+  });
+
+  it('rejects unknown keys', () => {
+    assert.ok(!check(auth, { headers: { 'x-telegram-bot-api-secret-token': 'c' } }).passed);
+  });
+});
+
+describe('hmac', () => {
+  const body = Buffer.from('{"event":"push"}');
+  const sig = 'sha256=' + crypto.createHmac('sha256', 'hook-secret').update(body).digest('hex');
+  const auth = { strategy: 'hmac', secret: 'hook-secret', header: 'x-hub-signature-256', prefix: 'sha256=' };
+
+  it('accepts a valid signature over the raw body', () => {
+    assert.ok(check(auth, { headers: { 'x-hub-signature-256': sig }, rawBody: body }).passed);
+  });
+
+  it('rejects a tampered body', () => {
+    const tampered = Buffer.from('{"event":"pull"}');
+    assert.ok(!check(auth, { headers: { 'x-hub-signature-256': sig }, rawBody: tampered }).passed);
+  });
+
+  it('accepts any of several secrets (rotation)', () => {
+    const rotating = { ...auth, secret: ['new-secret', 'hook-secret'] };
+    assert.ok(check(rotating, { headers: { 'x-hub-signature-256': sig }, rawBody: body }).passed);
+  });
+});
+
+describe('tailscale', () => {
+  const headers = { 'tailscale-user-login': 'me@example.com', 'tailscale-user-name': 'Me' };
+
+  it('accepts identity headers from loopback', () => {
+    const { passed, req } = check('tailscale', { headers, remoteAddress: '127.0.0.1' });
+    assert.ok(passed);
+    assert.deepStrictEqual(req.auth.identity, { type: 'tailscale', login: 'me@example.com', name: 'Me' });
+  });
+
+  it('ignores identity headers from other hosts', () => {
+    assert.ok(!check('tailscale', { headers, remoteAddress: '100.64.0.9' }).passed);
+  });
+
+  it('enforces the user allowlist', () => {
+    assert.ok(!check('tailscale', { headers, remoteAddress: '::1' }, { tailscaleUsers: ['other@example.com'] }).passed);
+    assert.ok(check({ strategy: 'tailscale', users: ['me@example.com'] }, { headers, remoteAddress: '::1' }, { tailscaleUsers: ['other@example.com'] }).passed);
+  });
+});
+
+describe('multiple strategies', () => {
+  it('passes when any strategy succeeds', () => {
+    const { passed, req } = check(['bearer', 'local'], { remoteAddress: '127.0.0.1' }, { tokens: ['t'] });
+    assert.ok(passed);
+    assert.equal(req.auth.strategy, 'local');
+  });
+
+  it('fails when all strategies fail', () => {
+    assert.ok(!check(['bearer', 'local'], {}, { tokens: ['t'] }).passed);
+  });
+
+  it('supports custom strategies', () => {
+    const routeAuth = createRouteAuth({ log: silentLog });
+    routeAuth.registerStrategy('always', () => ({ ok: true, identity: { type: 'always' } }));
+    const middleware = routeAuth.createMiddleware(routeAuth.normalize('always'), 'test');
+    let passed = false;
+    middleware(mockReq(), mockRes(), () => { passed = true; });
+    assert.ok(passed);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * routeLimiter.test.js — Tests for route rate limiting and concurrency guards.
+ *
+ * Run:  node --test test/routeLimiter.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { createRouteLimiter } = require('../src/routeLimiter');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+const silentLog = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+/** Limiter with a controllable clock */
+function limiterWithClock(start = 1_000_000) {
+  const clock = { t: start };
+  const limiter = createRouteLimiter({ log: silentLog, now: () => clock.t });
+  return { limiter, clock };
+}
+
+function mockReq({ ip = '10.0.0.5', headers = {}, auth } = {}) {
+  return { method: 'POST', originalUrl: '/test', ip, headers, auth };
+}
+
+function mockRes() {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  return res;
+}
+
+/** Run a limit middleware; returns { passed, res } */
+function run(middleware, reqOpts) {
+  const res = mockRes();
+  let passed = false;
+  middleware(mockReq(reqOpts), res, () => { passed = true; });
+  return { passed, res };
+}
+
+// ─── normalize ──────────────────────────────────────────────────────────────
+
+describe('normalize', () => {
+  const limiter = createRouteLimiter({ log: silentLog });
+
+  it('fills in defaults', () => {
+    assert.deepStrictEqual(limiter.normalize({ rate: { max: 5, windowMs: 1000 }, concurrency: 2 }), {
+      rate: [{ max: 5, windowMs: 1000, by: 'ip' }],
+      concurrency: { max: 2, by: 'route', retryAfterSec: 5 },
+    });
+  });
+
+  it('returns null when nothing is limited', () => {
+    assert.equal(limiter.normalize(undefined), null);
+    assert.equal(limiter.normalize({}), null);
+  });
+
+  it('rejects invalid rules', () => {
+    assert.throws(() => limiter.normalize({ rate: { max: 1.5, windowMs: 1000 } }), /max/);
+    assert.throws(() => limiter.normalize({ rate: { max: 1, windowMs: 1000, by: 'cookie' } }), /by/);
+    assert.throws(() => limiter.normalize({ concurrency: 0 }), /concurrency/);
+    assert.throws(() => limiter.normalize([]), /object/);
+  });
+});
+
+// ─── Token buckets ──────────────────────────────────────────────────────────
+
+describe('rate limits', () => {
+  it('allows a burst of max, then 429s with Retry-After', () => {
+    const { limiter } = limiterWithClock();
+    const mw = limiter.createMiddleware(limiter.normalize({ rate: { max: 2, windowMs: 10_000 } }), 'r.js');
+
+    assert.ok(run(mw).passed);
+    assert.ok(run(mw).passed);
+
+    const { passed, res } = run(mw);
+    assert.ok(!passed);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['Retry-After'], '5');
+    assert.deepStrictEqual(res.body, { error: 'Too many requests', retryAfter: 5 });
+  });
+
+  it('refills over time', () => {
+    const { limiter, clock } = limiterWithClock();
+    const mw = limiter.createMiddleware(limiter.normalize({ rate: { max: 1, windowMs: 1000 } }), 'r.js');
+
+    assert.ok(run(mw).passed);
+    assert.ok(!run(mw).passed);
+    clock.t += 1000;
+    assert.ok(run(mw).passed);
+  });
+
+  it('keeps separate buckets per ip and per token', () => {
+    const { limiter } = limiterWithClock();
+    const byIp = limiter.createMiddleware(limiter.normalize({ rate: { max: 1, windowMs: 1000 } }), 'ip.js');
+    const byToken = limiter.createMiddleware(limiter.normalize({ rate: { max: 1, windowMs: 1000, by: 'token' } }), 'token.js');
+
+    assert.ok(run(byIp, { ip: '1.1.1.1' }).passed);
+    assert.ok(run(byIp, { ip: '2.2.2.2' }).passed);
+    assert.ok(!run(byIp, { ip: '1.1.1.1' }).passed);
+
+    assert.ok(run(byToken, { headers: { authorization: 'Bearer a' } }).passed);
+    assert.ok(run(byToken, { headers: { authorization: 'Bearer b' } }).passed);
+    assert.ok(!run(byToken, { headers: { authorization: 'Bearer a' } }).passed);
+  });
+
+  it('does not consume tokens when a later rule rejects', () => {
+    const { limiter } = limiterWithClock();
+    const limits = limiter.normalize({
+      rate: [{ max: 5, windowMs: 1000, by: 'ip' }, { max: 1, windowMs: 1000, by: 'route' }],
+    });
+    const mw = limiter.createMiddleware(limits, 'r.js');
+
+    assert.ok(run(mw, { ip: '1.1.1.1' }).passed);
+    for (let i = 0; i < 10; i++) assert.ok(!run(mw, { ip: '1.1.1.1' }).passed);
+    assert.equal(limiter.stats().rejected, 10);
+  });
+
+  it('shares state across middleware rebuilt for the same route (hot reload)', () => {
+    const { limiter } = limiterWithClock();
+    const limits = { rate: { max: 1, windowMs: 60_000 } };
+
+    const before = limiter.createMiddleware(limiter.normalize(limits), 'api/mobey.js');
+    assert.ok(run(before).passed);
+
+    const after = limiter.createMiddleware(limiter.normalize(limits), 'api/mobey.js');
+    assert.ok(!run(after).passed);
+  });
+});
+
+// ─── Concurrency ────────────────────────────────────────────────────────────
+
+describe('concurrency limits', () => {
+  it('caps in-flight requests and releases on finish', () => {
+    const { limiter } = limiterWithClock();
+    const mw = limiter.createMiddleware(limiter.normalize({ concurrency: 2 }), 'r.js');
+
+    const a = run(mw);
+    const b = run(mw);
+    assert.ok(a.passed && b.passed);
+
+    const c = run(mw);
+    assert.ok(!c.passed);
+    assert.equal(c.res.statusCode, 429);
+    assert.equal(c.res.headers['Retry-After'], '5');
+
+    a.res.emit('finish');
+    a.res.emit('close'); // released only once
+    assert.ok(run(mw).passed);
+    assert.ok(!run(mw).passed);
+  });
+
+  it('releases when the client disconnects', () => {
+    const { limiter } = limiterWithClock();
+    const mw = limiter.createMiddleware(limiter.normalize({ concurrency: 1 }), 'r.js');
+
+    const a = run(mw);
+    a.res.emit('close');
+    assert.ok(run(mw).passed);
+  });
+
+  it('keeps in-flight counts across hot reloads', () => {
+    const { limiter } = limiterWithClock();
+    const before = limiter.createMiddleware(limiter.normalize({ concurrency: 1 }), 'api/mobey.js');
+    const a = run(before);
+
+    const after = limiter.createMiddleware(limiter.normalize({ concurrency: 1 }), 'api/mobey.js');
+    assert.ok(!run(after).passed);
+    assert.deepStrictEqual(limiter.stats().inFlight, [{ key: 'api/mobey.js|concurrency|route', active: 1, max: 1 }]);
+
+    a.res.emit('finish');
+    assert.ok(run(after).passed);
+  });
+});
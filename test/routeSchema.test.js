@@ -0,0 +1,144 @@
+/**
+ * routeSchema.test.js — Tests for declarative route request/response validation.
+ *
+ * Run:  node --test test/routeSchema.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileRouteSchema, createSchemaMiddleware } = require('../src/routeSchema');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+const silentLog = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+/** Minimal Express-like response that records status + JSON body */
+function mockRes() {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) { res.statusCode = code; return res; },
+    json(body) { res.body = body; return res; },
+  };
+  return res;
+}
+
+/** Run middleware and report whether it called next() */
+function run(middleware, req, res = mockRes()) {
+  let nextCalled = false;
+  middleware(req, res, () => { nextCalled = true; });
+  return { res, nextCalled };
+}
+
+// ─── compileRouteSchema ─────────────────────────────────────────────────────
+
+describe('compileRouteSchema', () => {
+  it('rejects unknown keys', () => {
+    assert.throws(() => compileRouteSchema({ headers: {} }), /unknown schema key/);
+  });
+
+  it('rejects schemas that do not compile', () => {
+    assert.throws(() => compileRouteSchema({ body: { type: 'nonsense' } }));
+  });
+
+  it('compiles a status-code response map', () => {
+    const compiled = compileRouteSchema({ response: { 200: { type: 'object' }, default: { type: 'object' } } });
+    assert.equal(typeof compiled.response[200], 'function');
+    assert.equal(typeof compiled.response.default, 'function');
+  });
+});
+
+// ─── Request validation ─────────────────────────────────────────────────────
+
+describe('request validation', () => {
+  const middleware = createSchemaMiddleware(compileRouteSchema({
+    params: { type: 'object', properties: { id: { type: 'string', pattern: '^[a-z]+$' } } },
+    query: { type: 'object', properties: { limit: { type: 'integer', maximum: 50 } } },
+    body: {
+      type: 'object',
+      required: ['status'],
+      properties: { status: { type: 'string' }, meta: { type: 'object', properties: { n: { type: 'number' } } } },
+    },
+  }), { label: 'test', log: silentLog });
+
+  it('passes valid requests through', () => {
+    const { nextCalled } = run(middleware, { params: { id: 'abc' }, query: { limit: '10' }, body: { status: 'done' } });
+    assert.ok(nextCalled);
+  });
+
+  it('does not mutate coerced query values', () => {
+    const req = { params: { id: 'abc' }, query: { limit: '10' }, body: { status: 'done' } };
+    run(middleware, req);
+    assert.equal(req.query.limit, '10');
+  });
+
+  it('returns 400 with field paths for every failing part', () => {
+    const { res, nextCalled } = run(middleware, {
+      params: { id: 'ABC' },
+      query: { limit: '99' },
+      body: { meta: { n: 'x' } },
+    });
+
+    assert.ok(!nextCalled);
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.error, 'Validation failed');
+    const fields = res.body.details.map(d => d.field).sort();
+    assert.deepStrictEqual(fields, ['body.meta.n', 'body.status', 'params.id', 'query.limit']);
+    assert.equal(res.body.details.find(d => d.field === 'body.status').message, 'is required');
+  });
+
+  it('treats a missing body as an empty object', () => {
+    const { res } = run(middleware, { params: {}, query: {} });
+    assert.equal(res.statusCode, 400);
+    assert.deepStrictEqual(res.body.details, [{ field: 'body.status', message: 'is required' }]);
+  });
+});
+
+// ─── Response validation ────────────────────────────────────────────────────
+
+describe('response validation', () => {
+  const schema = {
+    response: {
+      200: { type: 'object', required: ['ok'], properties: { ok: { type: 'boolean' } } },
+    },
+  };
+
+  it('logs mismatches without altering the response', () => {
+    const warnings = [];
+    const log = { ...silentLog, warn: (m) => warnings.push(m) };
+    const middleware = createSchemaMiddleware(compileRouteSchema(schema), { label: 'GET /x', validateResponses: true, log });
+
+    const { res } = run(middleware, { params: {}, query: {}, body: {} });
+    res.json({ nope: true });
+
+    assert.deepStrictEqual(res.body, { nope: true });
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /GET \/x \(200\): response\.ok is required/);
+  });
+
+  it('ignores status codes without a schema', () => {
+    const warnings = [];
+    const log = { ...silentLog, warn: (m) => warnings.push(m) };
+    const middleware = createSchemaMiddleware(compileRouteSchema(schema), { label: 'GET /x', validateResponses: true, log });
+
+    const { res } = run(middleware, { params: {}, query: {}, body: {} });
+    res.status(404).json({ error: 'Not found' });
+
+    assert.equal(warnings.length, 0);
+  });
+
+  it('is skipped when validateResponses is off', () => {
+    const warnings = [];
+    const log = { ...silentLog, warn: (m) => warnings.push(m) };
+    const middleware = createSchemaMiddleware(compileRouteSchema(schema), { label: 'GET /x', log });
+
+    const { res } = run(middleware, { params: {}, query: {}, body: {} });
+    res.json({ nope: true });
+
+    assert.equal(warnings.length, 0);
+  });
+});
@@ -580,6 +580,52 @@ describe('rebuildIndex() loads session subscriptions', () => {
   });
 });
 
+// ─── Filters ────────────────────────────────────────────────────────────────
+
+describe('session subscription filters', () => {
+  let root, broker, pm;
+
+  beforeEach(() => {
+    root = tmpDir();
+    pm = mockProjectManager([
+      {
+        id: 'researcher',
+        sessions: [
+          { id: 'main', isDefault: true, subscriptions: [] },
+          {
+            id: 'eng-monitor',
+            subscriptions: [{ pattern: 'slack/team/#eng', filter: { commands: ['slack.mention'] } }],
+          },
+        ],
+      },
+    ]);
+    broker = createMessageBroker(root, pm, silentLog);
+  });
+
+  afterEach(() => rmrf(root));
+
+  it('delivers (and cascades) only messages passing the filter', () => {
+    const mention = broker.route('system', 'slack/team/#eng', { command: 'slack.mention', source: 'slack' });
+    assert.deepStrictEqual(mention.deliveredToSessions, [{ agentId: 'researcher', sessionId: 'eng-monitor' }]);
+    assert.deepStrictEqual(mention.deliveredTo, ['researcher']);
+
+    const chatter = broker.route('system', 'slack/team/#eng', { command: 'slack.message', source: 'slack' });
+    assert.equal(chatter.unmatched, true);
+  });
+
+  it('persists a filter given to subscribeSession', () => {
+    const filter = { payload: { path: '$.text', regex: 'deploy' } };
+    broker.subscribeSession('researcher', 'main', 'slack/team/#ops', { filter });
+
+    const session = pm.getSession('researcher', 'main');
+    assert.deepStrictEqual(session.subscriptions.map(s => [s.pattern, s.filter]), [['slack/team/#ops', filter]]);
+
+    broker.rebuildIndex();
+    assert.equal(broker.route('system', 'slack/team/#ops', { payload: { text: 'lunch' } }).unmatched, true);
+    assert.equal(broker.route('system', 'slack/team/#ops', { payload: { text: 'deploy now' } }).deliveredToSessions.length, 1);
+  });
+});
+
 // ─── Persistence ────────────────────────────────────────────────────────────
 
 describe('session message persistence', () => {
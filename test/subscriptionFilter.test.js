@@ -0,0 +1,88 @@
+/**
+ * subscriptionFilter.test.js — Tests for content filters on subscriptions.
+ *
+ * Run:  node --test test/subscriptionFilter.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileFilter } = require('../src/subscriptionFilter');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+// Prefix match standing in for the broker's wildcard matcher
+const pathMatches = (pattern, p) => (pattern.endsWith('/**') ? p.startsWith(pattern.slice(0, -2)) : pattern === p);
+const compile = (filter) => compileFilter(filter, { pathMatches });
+
+function msg(fields = {}) {
+  return { from: 'slack-bridge/team', command: 'slack.message', source: 'slack', payload: {}, ...fields };
+}
+
+// ─── Clauses ────────────────────────────────────────────────────────────────
+
+describe('compileFilter', () => {
+  it('allows and denies commands, with globs', () => {
+    const test = compile({ commands: ['slack.mention', 'slack.dm.*'], excludeCommands: 'slack.dm.bot' });
+    assert.equal(test(msg({ command: 'slack.mention' })), true);
+    assert.equal(test(msg({ command: 'slack.dm.user' })), true);
+    assert.equal(test(msg({ command: 'slack.dm.bot' })), false);
+    assert.equal(test(msg({ command: 'slack.message' })), false);
+    assert.equal(test(msg({ command: 'slackXmention' })), false, 'dots are literal');
+  });
+
+  it('matches sources and sender patterns', () => {
+    const test = compile({ sources: ['slack', 'email'], from: 'slack-bridge/**' });
+    assert.equal(test(msg()), true);
+    assert.equal(test(msg({ source: 'webhook' })), false);
+    assert.equal(test(msg({ from: 'writer' })), false);
+  });
+
+  it('requires every payload condition', () => {
+    const test = compile({
+      payload: [
+        { path: '$.text', regex: 'deploy|outage', flags: 'i' },
+        { path: '$.channel_type', equals: 'channel' },
+      ],
+    });
+    assert.equal(test(msg({ payload: { text: 'Deploy failed', channel_type: 'channel' } })), true);
+    assert.equal(test(msg({ payload: { text: 'Deploy failed', channel_type: 'im' } })), false);
+    assert.equal(test(msg({ payload: { text: 'lunch?', channel_type: 'channel' } })), false);
+  });
+
+  it('searches the whole payload when a regex has no path', () => {
+    const test = compile({ payload: { regex: 'urgent' } });
+    assert.equal(test(msg({ payload: { blocks: [{ text: 'this is urgent' }] } })), true);
+    assert.equal(test(msg({ payload: { text: 'later' } })), false);
+  });
+
+  it('selects values with JSONPath', () => {
+    const has = (path, payload) => compile({ payload: { path, exists: true } })(msg({ payload }));
+    const payload = { files: [{ name: 'a.txt' }, { name: 'b.png' }], meta: { 'x-id': 1, deep: { user: 'U1' } } };
+
+    assert.equal(has('$.files[1].name', payload), true);
+    assert.equal(has('$.files[2].name', payload), false);
+    assert.equal(has("$.meta['x-id']", payload), true);
+    assert.equal(has('$..user', payload), true);
+    assert.equal(has('$.meta.user', payload), false);
+
+    const names = compile({ payload: { path: '$.files[*].name', regex: '\\.png$' } });
+    assert.equal(names(msg({ payload })), true);
+    assert.equal(compile({ payload: { path: '$.files', exists: false } })(msg()), true);
+    assert.equal(compile({ payload: { path: '$.meta.*', equals: 1 } })(msg({ payload })), true);
+  });
+
+  it('passes everything when empty', () => {
+    assert.equal(compile({})(msg()), true);
+  });
+
+  it('rejects malformed filters', () => {
+    assert.throws(() => compile(null), /Invalid subscription filter: must be an object/);
+    assert.throws(() => compile({ command: ['x'] }), /unknown key "command"/);
+    assert.throws(() => compile({ commands: [] }), /commands must be/);
+    assert.throws(() => compile({ payload: { path: '$.a' } }), /exactly one of regex, equals or exists/);
+    assert.throws(() => compile({ payload: { regex: '(' } }), /bad regex/);
+    assert.throws(() => compile({ payload: { path: 'a.b', exists: true } }), /must start with \$/);
+    assert.throws(() => compile({ payload: { path: '$.a[', exists: true } }), /cannot parse path/);
+    assert.throws(() => compile({ payload: { exists: true } }), /exists needs a path/);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * tracer.test.js — Tests for correlation IDs and causal trace records.
+ *
+ * Run:  node --test test/tracer.test.js
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { createTracer, newCorrelationId, isValidCorrelationId } = require('../src/tracer');
+
+// ─── Test Helpers ───────────────────────────────────────────────────────────
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'tracer-test-'));
+}
+
+function rmrf(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+const silentLog = {
+  info: () => {},
+  warn: () => {},
+  error: () => {},
+};
+
+const NOW = Date.parse('2025-03-01T12:00:00.000Z');
+
+/** Tracer with a clock that advances 1ms per event */
+function tracerWithClock(root, start = NOW) {
+  const clock = { t: start };
+  const tracer = createTracer(root, silentLog, { now: () => clock.t++ });
+  return { tracer, clock };
+}
+
+// ─── Correlation IDs ────────────────────────────────────────────────────────
+
+describe('correlation IDs', () => {
+  it('generates unique, valid IDs', () => {
+    const a = newCorrelationId();
+    assert.notEqual(a, newCorrelationId());
+    assert.ok(isValidCorrelationId(a));
+  });
+
+  it('rejects unsafe caller-supplied IDs', () => {
+    assert.ok(isValidCorrelationId('req-123.abc:1'));
+    assert.ok(!isValidCorrelationId(''));
+    assert.ok(!isValidCorrelationId('has spaces'));
+    assert.ok(!isValidCorrelationId('x'.repeat(129)));
+    assert.ok(!isValidCorrelationId(undefined));
+  });
+});
+
+// ─── Recording ──────────────────────────────────────────────────────────────
+
+describe('record and get', () => {
+  let root;
+
+  beforeEach(() => { root = tmpDir(); });
+  afterEach(() => rmrf(root));
+
+  it('returns only events for the requested correlation ID, oldest first', () => {
+    const { tracer } = tracerWithClock(root);
+    tracer.record('c1', 'broker.route', { id: 'm1' });
+    tracer.record('c2', 'broker.route', { id: 'm2' });
+    tracer.record('c1', 'turn.start', { id: 't1', causationId: ['m1'] });
+
+    const trace = tracer.get('c1');
+    assert.equal(trace.correlationId, 'c1');
+    assert.deepStrictEqual(trace.events.map(e => e.id), ['m1', 't1']);
+    assert.equal(trace.events[0].timestamp, NOW);
+  });
+
+  it('builds the causal chain from causationId links', () => {
+    const { tracer } = tracerWithClock(root);
+    tracer.record('c1', 'broker.route', { id: 'm1' });
+    tracer.record('c1', 'turn.start', { id: 't1', causationId: ['m1'] });
+    tracer.record('c1', 'turn.triage', { id: 't1', causationId: 't1', decision: 'run' });
+    tracer.record('c1', 'tool.execute', { id: 'x1', causationId: 't1', toolName: 'send-message' });
+    tracer.record('c1', 'broker.route', { id: 'm2', causationId: 'x1' });
+    tracer.record('c1', 'turn.end', { id: 't1', causationId: 't1', executed: true });
+
+    const { chain } = tracer.get('c1');
+    assert.equal(chain.length, 1);
+    const [route] = chain;
+    assert.equal(route.id, 'm1');
+
+    const [turn] = route.children;
+    assert.equal(turn.kind, 'turn.start');
+    assert.deepStrictEqual(turn.children.map(c => c.kind), ['turn.triage', 'tool.execute', 'turn.end']);
+    assert.equal(turn.children[1].children[0].id, 'm2');
+  });
+
+  it('treats events whose cause is outside the trace as roots', () => {
+    const { tracer } = tracerWithClock(root);
+    tracer.record('c1', 'turn.start', { id: 't1', causationId: ['m-other'] });
+    assert.equal(tracer.get('c1').chain[0].id, 't1');
+  });
+
+  it('reads traces across daily files and prunes expired ones', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const { tracer, clock } = tracerWithClock(root);
+    tracer.record('c1', 'broker.route', { id: 'm1' });
+    clock.t += day;
+    tracer.record('c1', 'turn.start', { id: 't1', causationId: ['m1'] });
+
+    const files = fs.readdirSync(path.join(root, '.traces')).sort();
+    assert.deepStrictEqual(files, ['2025-03-01.jsonl', '2025-03-02.jsonl']);
+    assert.equal(tracer.get('c1').events.length, 2);
+
+    clock.t += 8 * day;
+    tracer.record('c2', 'broker.route', { id: 'm2' });
+    assert.ok(!fs.existsSync(path.join(root, '.traces', '2025-03-01.jsonl')));
+  });
+
+  it('skips a half-written line and keeps the rest of the day', () => {
+    const { tracer } = tracerWithClock(root);
+    tracer.record('c1', 'broker.route', { id: 'm1' });
+    tracer.record('c1', 'turn.start', { id: 't1', causationId: ['m1'] });
+    fs.appendFileSync(path.join(root, '.traces', '2025-03-01.jsonl'), '{"correlationId":"c1","kind":"tu');
+
+    assert.deepStrictEqual(tracer.get('c1').events.map(e => e.id), ['m1', 't1']);
+  });
+
+  it('ignores events without a correlation ID and requires one for get()', () => {
+    const { tracer } = tracerWithClock(root);
+    tracer.record(null, 'broker.route', { id: 'm1' });
+    assert.throws(() => tracer.get(), /correlationId is required/);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * schedule-message — Built-in tool for delayed and recurring messages.
+ *
+ * Wraps messageBroker.schedule(). `to` is auto-detected like send-message
+ * (agent ID or full path). Give exactly one of `at`, `delayMs` or `cron`.
+ *
+ * Examples:
+ *   { to: "researcher", command: "remind", delayMs: 600000 }        → in 10 minutes
+ *   { to: "agent/writer", command: "publish", at: "2025-06-01T09:00:00Z" }
+ *   { to: "slack/team/#standup", command: "notify", cron: "0 9 * * 1" } → every Monday at 09:00
+ *   { action: "list" }                                               → this agent's schedules
+ *   { action: "cancel", scheduleId: "<id>" }                        → one of this agent's schedules
+ */
+
+module.exports = {
+  name: 'schedule-message',
+  description: 'Schedule a message for later delivery via the unified broker: at a time ("at", ISO date), after a delay ("delayMs"), or on a five-field cron expression ("cron", server local time, e.g. "0 9 * * 1" for every Monday at 9am). Schedules survive restarts. Use action "list" to see your schedules and action "cancel" with scheduleId to cancel one.',
+
+  schema: {
+    type: 'object',
+    properties: {
+      action: { type: 'string', enum: ['create', 'list', 'cancel'], description: 'What to do. Defaults to "create"' },
+      to: { type: 'string', description: 'Delivery path or agent ID (create only)' },
+      command: { type: 'string', description: 'Action verb (create only)' },
+      payload: { type: 'object', description: 'Arbitrary data to send with the message (create only)' },
+      at: { type: 'string', description: 'When to deliver, as an ISO date (e.g. "2025-06-01T09:00:00Z")' },
+      delayMs: { type: 'number', description: 'Deliver this many milliseconds from now' },
+      cron: { type: 'string', description: 'Deliver repeatedly on this cron expression (minute hour day-of-month month day-of-week)' },
+      scheduleId: { type: 'string', description: 'Schedule to cancel (cancel only)' },
+    },
+  },
+
+  async execute(input, context) {
+    const { messageBroker, agentId, sessionId, correlationId } = context;
+    if (!messageBroker) {
+      return { output: 'messageBroker not available in context', isError: true };
+    }
+
+    // Build from address: agent/{id}/session/{sid} when session is known
+    const fromAddr = sessionId ? `agent/${agentId}/session/${sessionId}` : (agentId || 'unknown');
+
+    try {
+      switch (input.action || 'create') {
+        case 'list':
+          return { output: { schedules: messageBroker.listSchedules({ from: fromAddr }).map(_summary) }, isError: false };
+
+        case 'cancel': {
+          if (!input.scheduleId) return { output: 'scheduleId is required', isError: true };
+          // Only the sender's own schedules, as for list — others look like they don't exist
+          const schedule = messageBroker.getSchedule(input.scheduleId);
+          if (!schedule || schedule.from !== fromAddr) {
+            return { output: `Schedule not found: ${input.scheduleId}`, isError: true };
+          }
+          const cancelled = messageBroker.cancelSchedule(input.scheduleId);
+          return { output: { scheduleId: input.scheduleId, cancelled }, isError: false };
+        }
+
+        case 'create': {
+          if (!input.to) return { output: 'Delivery path (to) is required', isError: true };
+
+          // Auto-detect: if 'to' doesn't contain a known path prefix, treat as agent ID
+          const knownPrefixes = ['agent/', 'slack/', 'email/', 'webhook/', 'custom/'];
+          const isFullPath = knownPrefixes.some(p => input.to.startsWith(p)) || input.to.includes('/');
+          const deliveryPath = isFullPath ? input.to : `agent/${input.to}`;
+
+          const schedule = messageBroker.schedule(fromAddr, deliveryPath, {
+            command: input.command || 'message',
+            payload: input.payload || {},
+            // One-shot deliveries continue the trace of the turn that scheduled them
+            correlationId,
+          }, { at: input.at, delayMs: input.delayMs, cron: input.cron });
+
+          return { output: _summary(schedule), isError: false };
+        }
+
+        default:
+          return { output: `Unknown action: ${input.action}`, isError: true };
+      }
+    } catch (err) {
+      return { output: err.message, isError: true };
+    }
+  },
+};
+
+function _summary(schedule) {
+  return {
+    scheduleId: schedule.id,
+    path: schedule.path,
+    command: schedule.message.command,
+    cron: schedule.cron,
+    nextRunAt: new Date(schedule.nextRunAt).toISOString(),
+    runCount: schedule.runCount,
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * search-messages — Built-in tool for full-text search over message history.
+ *
+ * Wraps messageBroker.search(), limited to messages the calling agent (or
+ * one of its sessions) received or sent. All words must match; "word*"
+ * matches a prefix. Results come newest first.
+ *
+ * Examples:
+ *   { query: "invoice bug" }
+ *   { query: "deploy*", source: "slack", since: "2025-06-01T00:00:00Z" }
+ *   { query: "report", path: "agent/researcher/**", limit: 5 }
+ */
+
+const MAX_LIMIT = 50;
+const PAYLOAD_PREVIEW_CHARS = 500;
+
+module.exports = {
+  name: 'search-messages',
+  description: 'Search the text of messages you (or your sessions) received or sent through the broker, newest first. Every word of "query" must appear; end a word with * to match a prefix (e.g. "invoic*"). Narrow with path (a subscription pattern like "slack/*/#billing"), source, command, from, and since/until (ISO dates).',
+
+  schema: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Words to search for' },
+      path: { type: 'string', description: 'Only messages whose path matches this pattern (* = one segment, ** = any)' },
+      source: { type: 'string', description: 'Only messages from this source (e.g. "slack", "email", "internal")' },
+      command: { type: 'string', description: 'Only messages with this command' },
+      from: { type: 'string', description: 'Only messages from this sender' },
+      since: { type: 'string', description: 'Only messages at or after this ISO date' },
+      until: { type: 'string', description: 'Only messages at or before this ISO date' },
+      limit: { type: 'number', description: `Max results (default 10, max ${MAX_LIMIT})` },
+    },
+    required: ['query'],
+  },
+
+  async execute(input, context) {
+    const { messageBroker, agentId } = context;
+    if (!messageBroker) {
+      return { output: 'messageBroker not available in context', isError: true };
+    }
+    if (!input.query) return { output: 'query is required', isError: true };
+
+    const fromTime = _time(input.since);
+    const toTime = _time(input.until);
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      return { output: 'since and until must be ISO dates', isError: true };
+    }
+
+    try {
+      const messages = messageBroker.search({
+        query: input.query,
+        pathPattern: input.path,
+        source: input.source,
+        command: input.command,
+        from: input.from,
+        agentId,
+        fromTime,
+        toTime,
+        limit: Math.min(input.limit || 10, MAX_LIMIT),
+      });
+      return { output: { count: messages.length, messages: messages.map(_summary) }, isError: false };
+    } catch (err) {
+      return { output: err.message, isError: true };
+    }
+  },
+};
+
+function _time(iso) {
+  return iso ? Date.parse(iso) : undefined;
+}
+
+function _summary(msg) {
+  const payload = JSON.stringify(msg.payload);
+  return {
+    id: msg.id,
+    time: new Date(msg.timestamp).toISOString(),
+    from: msg.from,
+    path: msg.path,
+    command: msg.command,
+    source: msg.source,
+    payload: payload.length > PAYLOAD_PREVIEW_CHARS ? `${payload.slice(0, PAYLOAD_PREVIEW_CHARS)}…` : msg.payload,
+  };
+}
@@ -9,11 +9,17 @@
  *   { to: "agent/researcher" }       → routes to agent/researcher
  *   { to: "slack/workspace/#general" } → routes to Slack channel subscribers
  *   { to: "email/to@co.com/from@x.com" } → routes to email subscribers
+ *
+ * Request/reply:
+ *   { to: "researcher", command: "lookup", waitForReply: true }
+ *       → waits (up to timeoutMs) and returns the reply alongside the request
+ *   { to: "agent/writer", command: "reply", inReplyTo: "<request id>" }
+ *       → answers a request; use the request's Reply-To path as `to`
  */
 
 module.exports = {
   name: 'send-message',
-  description: 'Send a message via the unified broker. Accepts agent IDs (e.g. "researcher") or full paths (e.g. "slack/workspace/#channel", "email/to@domain/from@domain"). Messages are persisted and delivered in real-time.',
+  description: 'Send a message via the unified broker. Accepts agent IDs (e.g. "researcher") or full paths (e.g. "slack/workspace/#channel", "email/to@domain/from@domain"). Messages are persisted and delivered in real-time. Set waitForReply to ask a question and wait for the answer; set inReplyTo to answer a message that asked for a reply.',
 
   schema: {
     type: 'object',
@@ -22,13 +28,18 @@ module.exports = {
       command: { type: 'string', description: 'Action verb (e.g. "analyze", "generate", "notify")' },
       payload: { type: 'object', description: 'Arbitrary data to send with the message' },
       source: { type: 'string', description: 'Source type for external routing (e.g. "slack", "email", "webhook"). Defaults to "internal"' },
-      externalId: { type: 'string', description: 'External system message ID (e.g. Slack thread_ts, email message-id)' },
+      externalId: { type: 'string', description: 'External system message ID (e.g. Slack thread_ts, email message-id). A repeat of the same source + externalId is delivered only once' },
+      priority: { type: 'number', description: 'Higher numbers are handled first when the recipient has several messages waiting. Defaults to 0' },
+      ttlMs: { type: 'number', description: 'Drop the message if it has not been handled within this many milliseconds' },
+      waitForReply: { type: 'boolean', description: 'Wait for the recipient to reply and return the reply. Defaults to false' },
+      timeoutMs: { type: 'number', description: 'How long to wait for a reply (waitForReply only). Defaults to 30000' },
+      inReplyTo: { type: 'string', description: 'ID of the message this answers. Send it to that message\'s Reply-To path' },
     },
     required: ['to', 'command'],
   },
 
   async execute(input, context) {
-    const { messageBroker, agentId, sessionId } = context;
+    const { messageBroker, agentId, sessionId, correlationId, causationId } = context;
     if (!messageBroker) {
       return { output: 'messageBroker not available in context', isError: true };
     }
@@ -46,12 +57,42 @@ module.exports = {
       // Build from address: agent/{id}/session/{sid} when session is known
       const fromAddr = sessionId ? `agent/${agentId}/session/${sessionId}` : (agentId || 'unknown');
 
-      const result = messageBroker.route(fromAddr, deliveryPath, {
+      const message = {
         command: input.command || 'message',
         payload: input.payload || {},
         source: input.source || 'internal',
         externalId: input.externalId || null,
-      });
+        priority: input.priority,
+        ttlMs: input.ttlMs,
+        // Continue the trace of the turn that called this tool
+        correlationId,
+        causationId,
+      };
+
+      if (input.waitForReply) {
+        const reply = await messageBroker.request(fromAddr, deliveryPath, message, {
+          timeoutMs: input.timeoutMs,
+          // The agent's inbox keeps a record of the reply
+          replyTo: agentId ? `agent/${agentId}` : undefined,
+        });
+        return {
+          output: {
+            requestId: reply.inReplyTo,
+            path: deliveryPath,
+            correlationId: reply.correlationId,
+            reply: {
+              messageId: reply.id,
+              from: reply.from,
+              command: reply.command,
+              payload: reply.payload,
+              timestamp: reply.timestamp,
+            },
+          },
+          isError: false,
+        };
+      }
+
+      const result = messageBroker.route(fromAddr, deliveryPath, { ...message, inReplyTo: input.inReplyTo || null });
 
       return {
         output: {
@@ -61,6 +102,8 @@ module.exports = {
           command: result.command,
           delivered: result.delivered,
           deliveredTo: result.deliveredTo,
+          duplicate: result.duplicate || undefined,
+          correlationId: result.correlationId,
           timestamp: result.timestamp,
         },
         isError: false,